@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+
+import path from 'path';
+import { FileStorage, TASK_FORMATS } from '../storage/file-storage.js';
+import { log } from '../utils/logger.js';
+
+/**
+ * One-shot migration of existing task files to another file format
+ *
+ * Usage: node src/cli/migrate-format.js [yaml|markdown] [--dry-run]
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const format = args.find(arg => !arg.startsWith('--')) || 'yaml';
+
+  if (!TASK_FORMATS.includes(format)) {
+    log('error', `Unknown format "${format}". Use one of: ${TASK_FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+
+  const tasksDir = process.env.TASKS_DIR || path.join(process.cwd(), '.tasks');
+  const storage = new FileStorage(tasksDir);
+
+  const result = await storage.migrateFormat(format, { dryRun });
+
+  for (const file of result.migrated) {
+    console.log(`${dryRun ? 'would migrate' : 'migrated'}: ${path.relative(tasksDir, file)}`);
+  }
+  for (const { file, error } of result.failed) {
+    console.log(`failed: ${path.relative(tasksDir, file)} (${error})`);
+  }
+
+  process.exit(result.failed.length > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  log('error', `Migration failed: ${error.message}`);
+  process.exit(1);
+});
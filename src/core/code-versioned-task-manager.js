@@ -14,7 +14,7 @@ const execAsync = promisify(exec);
  */
 export class CodeVersionedTaskManager extends TaskManager {
   constructor(fileStorage, graphConnection, options = {}) {
-    super(fileStorage, graphConnection);
+    super(fileStorage, graphConnection, options);
     this.codeDir = options.codeDir || process.cwd();
     this.autoCommit = options.autoCommit !== false;
     this.journal = new SimpleJournal(fileStorage.tasksDir);
@@ -96,12 +96,17 @@ export class CodeVersionedTaskManager extends TaskManager {
   }
 
   /**
-   * Complete a task with final commit
+   * Complete a task with final commit. Refuses before committing if
+   * acceptance criteria are unchecked, unless force is set.
    */
-  async completeTask(taskId, finalMessage = '') {
+  async completeTask(taskId, finalMessage = '', { force = false } = {}) {
     const task = await this.getTask(taskId);
     if (!task) throw new Error(`Task not found: ${taskId}`);
 
+    if (!force) {
+      await this.assertCriteriaMet(task);
+    }
+
     const branchName = this.getBranchName(taskId, task.title);
 
     // Ensure we're on the right branch
@@ -112,7 +117,7 @@ export class CodeVersionedTaskManager extends TaskManager {
     const commitHash = await this.commitCode(finalCommitMessage, taskId);
 
     // Update task status
-    await this.updateTaskStatus(taskId, 'done');
+    await this.updateTaskStatus(taskId, 'done', { force });
 
     // Log completion
     await this.journal.logOperation('task_completed', {
@@ -0,0 +1,133 @@
+/**
+ * Raised when a task references dependency IDs that do not exist
+ */
+export class InvalidDependencyError extends Error {
+  constructor(invalidIds) {
+    super(`Unknown dependency task ID(s): ${invalidIds.join(', ')}`);
+    this.name = 'InvalidDependencyError';
+    this.code = 'INVALID_DEPENDENCIES';
+    this.details = { invalid_ids: invalidIds };
+  }
+}
+
+/**
+ * Raised when a task reference matches more than one task
+ */
+export class AmbiguousTaskReferenceError extends Error {
+  constructor(reference, candidates) {
+    const listed = candidates
+      .slice(0, 10)
+      .map(task => `${task.semantic_id || task.id} (${task.id}) - ${task.title}`)
+      .join('; ');
+    const more = candidates.length > 10 ? `; and ${candidates.length - 10} more` : '';
+
+    super(`Task reference "${reference}" is ambiguous, matches: ${listed}${more}`);
+    this.name = 'AmbiguousTaskReferenceError';
+    this.code = 'AMBIGUOUS_TASK_REFERENCE';
+    this.details = {
+      reference,
+      candidates: candidates.map(task => ({
+        id: task.id,
+        semantic_id: task.semantic_id || null,
+        title: task.title,
+        status: task.status,
+      })),
+    };
+  }
+}
+
+/**
+ * Raised when completing a task whose acceptance criteria are not all checked
+ */
+export class UnmetCriteriaError extends Error {
+  constructor(taskId, unchecked) {
+    super(
+      `Task ${taskId} has ${unchecked.length} unchecked acceptance criteria: ` +
+        `${unchecked.map(criterion => criterion.text).join('; ')}. Pass force to complete anyway`
+    );
+    this.name = 'UnmetCriteriaError';
+    this.code = 'UNMET_ACCEPTANCE_CRITERIA';
+    this.details = {
+      task_id: taskId,
+      unchecked: unchecked.map(criterion => ({
+        position: criterion.position,
+        text: criterion.text,
+      })),
+    };
+  }
+}
+
+/**
+ * Raised when a task query cannot be parsed
+ */
+export class InvalidQueryError extends Error {
+  constructor(query, reason, position) {
+    super(`Invalid query: ${reason} (at position ${position})`);
+    this.name = 'InvalidQueryError';
+    this.code = 'INVALID_QUERY';
+    this.details = { query, position, reason };
+  }
+}
+
+/**
+ * Raised when a new task looks like a duplicate and the policy is 'reject'
+ */
+export class DuplicateTaskError extends Error {
+  constructor(title, duplicates) {
+    const listed = duplicates
+      .map(task => `${task.semantic_id || task.id} (${task.id}) - ${task.title} (${task.score})`)
+      .join('; ');
+
+    super(
+      `Task "${title}" looks like a duplicate of: ${listed}. ` +
+        'Pass duplicate_policy "warn" to create it anyway'
+    );
+    this.name = 'DuplicateTaskError';
+    this.code = 'DUPLICATE_TASK';
+    this.details = { title, duplicates };
+  }
+}
+
+/**
+ * Raised when any task in a batch is invalid; nothing in the batch is created
+ */
+export class InvalidBatchError extends Error {
+  constructor(errors) {
+    const listed = errors
+      .map(entry => `${entry.key ? `$${entry.key}` : `#${entry.index}`}: ${entry.error}`)
+      .join('; ');
+
+    super(`Batch rejected, no tasks were created: ${listed}`);
+    this.name = 'InvalidBatchError';
+    this.code = 'INVALID_BATCH';
+    this.details = { errors };
+  }
+}
+
+/**
+ * Raised when a task is claimed by another assignee whose lease has not expired
+ */
+export class LeaseConflictError extends Error {
+  constructor(taskId, assignee, leaseExpiresAt) {
+    super(`Task ${taskId} is claimed by ${assignee} until ${leaseExpiresAt}`);
+    this.name = 'LeaseConflictError';
+    this.code = 'LEASE_CONFLICT';
+    this.details = { task_id: taskId, assignee, lease_expires_at: leaseExpiresAt };
+  }
+}
+
+/**
+ * Raised when resolving a sync conflict that the task does not have
+ */
+export class UnknownConflictError extends Error {
+  constructor(taskId, field, conflicts) {
+    const fields = conflicts.map(conflict => conflict.field);
+    super(
+      `Task ${taskId} has no conflict on ${field}` +
+        (fields.length > 0 ? `; conflicting fields: ${fields.join(', ')}` : '')
+    );
+    this.name = 'UnknownConflictError';
+    this.code = 'UNKNOWN_CONFLICT';
+    this.details = { task_id: taskId, field, conflicting_fields: fields };
+  }
+}
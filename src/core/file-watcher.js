@@ -0,0 +1,186 @@
+import { watch, promises as fs } from 'fs';
+import path from 'path';
+import { clearInterval, clearTimeout, setInterval, setTimeout } from 'timers';
+import { log } from '../utils/logger.js';
+import { isTempFile } from '../storage/file-lock.js';
+
+export const WATCH_MODES = ['native', 'poll'];
+
+/**
+ * Watches the task status directories and reports changed task files in
+ * debounced batches. Uses fs.watch, and falls back to polling modification
+ * times where native watching is unavailable or fails.
+ */
+export class FileWatcher {
+  constructor(dirs, { mode = 'native', debounce = 100, pollInterval = 2000 } = {}) {
+    if (!WATCH_MODES.includes(mode)) {
+      throw new Error(`Unknown watch mode "${mode}" (expected one of: ${WATCH_MODES.join(', ')})`);
+    }
+
+    this.dirs = dirs;
+    this.mode = mode;
+    this.debounce = debounce;
+    this.pollInterval = pollInterval;
+
+    this.onChange = null;
+    this.watchers = [];
+    this.pending = new Set(); // Paths changed since the last batch
+    this.debounceTimer = null;
+    this.pollTimer = null;
+    this.polling = false;
+    this.mtimes = new Map(); // file path -> mtime seen by the last poll
+  }
+
+  /**
+   * Start watching; onChange receives an array of changed file paths.
+   * Returns the mode in use, which is 'poll' if native watching failed.
+   */
+  async start(onChange) {
+    this.onChange = onChange;
+
+    if (this.mode === 'native') {
+      try {
+        for (const dir of this.dirs) {
+          // Not persistent: watching alone should not keep the process running
+          const watcher = watch(dir, { persistent: false }, (event, filename) => {
+            if (filename) {
+              this.queue(path.join(dir, filename.toString()));
+            }
+          });
+          watcher.on('error', error => this.fallBackToPolling(error));
+          this.watchers.push(watcher);
+        }
+        return this.mode;
+      } catch (error) {
+        this.closeWatchers();
+        log('warn', `Native file watching unavailable, polling instead: ${error.message}`);
+        this.mode = 'poll';
+      }
+    }
+
+    await this.startPolling();
+    return this.mode;
+  }
+
+  /**
+   * Stop watching and drop changes not yet reported
+   */
+  stop() {
+    this.closeWatchers();
+    clearInterval(this.pollTimer);
+    clearTimeout(this.debounceTimer);
+    this.pollTimer = null;
+    this.debounceTimer = null;
+    this.pending.clear();
+    this.onChange = null;
+  }
+
+  /**
+   * Report the pending changes now instead of waiting for the debounce
+   */
+  flush() {
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = null;
+
+    if (this.pending.size === 0 || !this.onChange) {
+      return;
+    }
+
+    const paths = [...this.pending];
+    this.pending.clear();
+    this.onChange(paths);
+  }
+
+  /**
+   * Add a changed path to the next batch, ignoring files that are not tasks
+   */
+  queue(filepath) {
+    const filename = path.basename(filepath);
+    if (!filename.endsWith('.md') || isTempFile(filename)) {
+      return;
+    }
+
+    this.pending.add(filepath);
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = setTimeout(() => this.flush(), this.debounce);
+    this.debounceTimer.unref();
+  }
+
+  closeWatchers() {
+    for (const watcher of this.watchers) {
+      watcher.close();
+    }
+    this.watchers = [];
+  }
+
+  async fallBackToPolling(error) {
+    if (this.mode === 'poll') {
+      return;
+    }
+
+    log('warn', `File watching failed, polling instead: ${error.message}`);
+    this.closeWatchers();
+    this.mode = 'poll';
+    await this.startPolling();
+  }
+
+  async startPolling() {
+    // The first scan only records what is there
+    await this.poll(false);
+    this.pollTimer = setInterval(() => this.poll(true), this.pollInterval);
+    this.pollTimer.unref();
+  }
+
+  /**
+   * Compare modification times with the previous poll and queue the
+   * files that were added, changed or removed since
+   */
+  async poll(report) {
+    if (this.polling) {
+      return;
+    }
+    this.polling = true;
+
+    try {
+      const seen = new Map();
+      for (const dir of this.dirs) {
+        let files;
+        try {
+          files = await fs.readdir(dir);
+        } catch (error) {
+          log('debug', `Skipping ${dir}: ${error.message}`);
+          continue;
+        }
+
+        for (const file of files.filter(name => name.endsWith('.md'))) {
+          const filepath = path.join(dir, file);
+          try {
+            seen.set(filepath, (await fs.stat(filepath)).mtimeMs);
+          } catch {
+            // Removed between readdir and stat, reported as removed below
+          }
+        }
+      }
+
+      if (report) {
+        for (const [filepath, mtime] of seen) {
+          if (this.mtimes.get(filepath) !== mtime) {
+            this.queue(filepath);
+          }
+        }
+        for (const filepath of this.mtimes.keys()) {
+          if (!seen.has(filepath)) {
+            this.queue(filepath);
+          }
+        }
+      }
+      this.mtimes = seen;
+    } catch (error) {
+      log('error', `Failed to poll task files: ${error.message}`);
+    } finally {
+      this.polling = false;
+    }
+  }
+}
+
+export default FileWatcher;
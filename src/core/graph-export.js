@@ -0,0 +1,149 @@
+/**
+ * Renders the task graph as Mermaid, Graphviz DOT or JSON.
+ *
+ * Input is { nodes, edges } as returned by GraphConnection.getGraphElements.
+ * Nodes are coloured by status and grouped by stream (the semantic ID
+ * prefix). Edges keep the graph's direction: a DEPENDS_ON arrow points from a
+ * task to the task it depends on, a PARENT_CHILD arrow from parent to child.
+ */
+
+export const EXPORT_FORMATS = ['mermaid', 'dot', 'json'];
+
+export const STATUS_COLORS = {
+  pending: { fill: '#f3f4f6', stroke: '#6b7280' },
+  'in-progress': { fill: '#fef3c7', stroke: '#d97706' },
+  done: { fill: '#d1fae5', stroke: '#059669' },
+  archive: { fill: '#e5e7eb', stroke: '#9ca3af' },
+};
+
+const MAX_LABEL_TITLE = 50;
+
+/**
+ * Stream of a task, taken from its semantic ID ("API-1.02" -> "API")
+ */
+export function streamOf(node) {
+  const match = (node.semantic_id || '').match(/^([A-Z]+)-\d+\.\d+$/);
+  return match ? match[1] : 'UNASSIGNED';
+}
+
+function shortTitle(title) {
+  const text = String(title || '').replace(/\s+/g, ' ');
+  return text.length > MAX_LABEL_TITLE ? `${text.substring(0, MAX_LABEL_TITLE - 1)}…` : text;
+}
+
+/**
+ * Group nodes by stream, streams and nodes in a stable order
+ */
+function clusters(nodes) {
+  const byStream = new Map();
+  for (const node of [...nodes].sort((a, b) =>
+    (a.semantic_id || a.id).localeCompare(b.semantic_id || b.id)
+  )) {
+    const stream = streamOf(node);
+    if (!byStream.has(stream)) {
+      byStream.set(stream, []);
+    }
+    byStream.get(stream).push(node);
+  }
+  return [...byStream.entries()].sort(([a], [b]) => a.localeCompare(b));
+}
+
+/**
+ * Mermaid flowchart: one subgraph per stream, a class per status, solid
+ * arrows for dependencies and dotted ones for parent/child
+ */
+export function toMermaid({ nodes, edges }) {
+  const ids = new Map(nodes.map((node, index) => [node.id, `t${index}`]));
+  const escape = text => String(text).replace(/"/g, '#quot;');
+  const lines = ['flowchart LR'];
+
+  for (const [stream, members] of clusters(nodes)) {
+    lines.push(`  subgraph ${stream}["${stream}"]`);
+    for (const node of members) {
+      const label = `${node.semantic_id || node.id}: ${shortTitle(node.title)}`;
+      lines.push(`    ${ids.get(node.id)}["${escape(label)}"]`);
+    }
+    lines.push('  end');
+  }
+
+  for (const edge of edges) {
+    const arrow = edge.type === 'PARENT_CHILD' ? '-.->' : '-->';
+    lines.push(`  ${ids.get(edge.from)} ${arrow} ${ids.get(edge.to)}`);
+  }
+
+  for (const [status, { fill, stroke }] of Object.entries(STATUS_COLORS)) {
+    const members = nodes.filter(node => node.status === status).map(node => ids.get(node.id));
+    if (members.length > 0) {
+      const className = status.replace(/-/g, '_');
+      lines.push(`  classDef ${className} fill:${fill},stroke:${stroke}`);
+      lines.push(`  class ${members.join(',')} ${className}`);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Graphviz DOT: one cluster per stream, filled boxes per status, solid edges
+ * for dependencies and dashed ones for parent/child
+ */
+export function toDot({ nodes, edges }) {
+  const quote = text => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  const lines = [
+    'digraph tasks {',
+    '  rankdir=LR;',
+    '  node [shape=box, style="rounded,filled", fontname="Helvetica"];',
+  ];
+
+  for (const [stream, members] of clusters(nodes)) {
+    lines.push(`  subgraph ${quote(`cluster_${stream}`)} {`);
+    lines.push(`    label=${quote(stream)};`);
+    for (const node of members) {
+      const colors = STATUS_COLORS[node.status] || STATUS_COLORS.pending;
+      const label = `${node.semantic_id || node.id}\n${shortTitle(node.title)}`;
+      lines.push(
+        `    ${quote(node.id)} [label=${quote(label).replace(/\n/g, '\\n')}, ` +
+          `fillcolor=${quote(colors.fill)}, color=${quote(colors.stroke)}];`
+      );
+    }
+    lines.push('  }');
+  }
+
+  for (const edge of edges) {
+    const style = edge.type === 'PARENT_CHILD' ? ' [style=dashed, arrowhead=empty]' : '';
+    lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)}${style};`);
+  }
+
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * JSON document with the nodes (including their stream) and edges
+ */
+export function toJson({ nodes, edges }) {
+  return `${JSON.stringify(
+    {
+      nodes: nodes.map(node => ({ ...node, stream: streamOf(node) })),
+      edges,
+    },
+    null,
+    2
+  )}\n`;
+}
+
+/**
+ * Render a graph in one of EXPORT_FORMATS
+ */
+export function renderGraph(graph, format = 'mermaid') {
+  switch (format) {
+    case 'mermaid':
+      return toMermaid(graph);
+    case 'dot':
+      return toDot(graph);
+    case 'json':
+      return toJson(graph);
+    default:
+      throw new Error(`Invalid format: ${format}. Must be one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+}
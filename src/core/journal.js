@@ -82,6 +82,16 @@ export class SimpleJournal {
     });
   }
 
+  /**
+   * Log task field update
+   */
+  async logTaskUpdated(taskId, changes) {
+    await this.logOperation('task.updated', {
+      task_id: taskId,
+      changes,
+    });
+  }
+
   /**
    * Log task deletion
    */
@@ -122,6 +132,16 @@ export class SimpleJournal {
     });
   }
 
+  /**
+   * Log acceptance criteria being checked or unchecked
+   */
+  async logCriteriaChecked(taskId, criteria, checked) {
+    await this.logOperation(checked ? 'criteria.checked' : 'criteria.unchecked', {
+      task_id: taskId,
+      criteria: criteria.map(criterion => criterion.text),
+    });
+  }
+
   /**
    * Log subtask creation
    */
@@ -132,6 +152,36 @@ export class SimpleJournal {
     });
   }
 
+  /**
+   * Log a lease transition: claimed, renewed, released or expired
+   */
+  async logLeaseChanged(event, taskId, details = {}) {
+    await this.logOperation(`lease.${event}`, {
+      task_id: taskId,
+      ...details,
+    });
+  }
+
+  /**
+   * Log a task file change made outside MCP: deleted, moved or renamed
+   */
+  async logExternalChange(event, taskId, details = {}) {
+    await this.logOperation(`external.${event}`, {
+      task_id: taskId,
+      ...details,
+    });
+  }
+
+  /**
+   * Log a sync conflict being detected or resolved
+   */
+  async logConflict(event, taskId, details = {}) {
+    await this.logOperation(`conflict.${event}`, {
+      task_id: taskId,
+      ...details,
+    });
+  }
+
   /**
    * Log sync operation
    */
@@ -0,0 +1,214 @@
+/**
+ * Strategies for picking the next task among the actionable ones.
+ *
+ * Candidates are pending tasks whose dependencies are all done: subtasks of
+ * in-progress tasks and top-level tasks (see GraphConnection.findActionableTasks).
+ * A strategy scores each candidate and reports the factors behind the score;
+ * the highest score wins and ties fall back to the priority-FIFO order.
+ */
+
+import { streamOf } from './graph-export.js';
+
+export const NEXT_TASK_STRATEGIES = [
+  'priority-fifo',
+  'unblocks-most-dependents',
+  'critical-path-first',
+  'shortest-estimate-first',
+  'same-stream-as-last-completed',
+  'weighted',
+];
+
+// Shorter names accepted for the strategies above
+export const STRATEGY_ALIASES = {
+  'unblocks-most': 'unblocks-most-dependents',
+  'critical-path': 'critical-path-first',
+  'shortest-estimate': 'shortest-estimate-first',
+  'same-stream': 'same-stream-as-last-completed',
+};
+
+// Weights of the factors the 'weighted' strategy adds up, each factor scaled to 0..1
+export const DEFAULT_WEIGHTS = {
+  priority: 3,
+  active_parent: 3,
+  unblocks: 2,
+  critical: 2,
+  shortness: 1,
+  same_stream: 1,
+  age: 1,
+};
+
+const PRIORITY_RANK = { high: 3, medium: 2, low: 1 };
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Inputs besides the candidates a strategy needs: the critical path schedule
+ * and/or the stream of the last completed task
+ */
+export function strategyInputs(strategy) {
+  return {
+    schedule: ['unblocks-most-dependents', 'critical-path-first', 'weighted'].includes(strategy),
+    lastStream: ['same-stream-as-last-completed', 'weighted'].includes(strategy),
+  };
+}
+
+/**
+ * Validate a strategy name, resolving aliases to the full name
+ */
+export function normalizeStrategy(strategy) {
+  const name = STRATEGY_ALIASES[strategy] || strategy;
+  if (!NEXT_TASK_STRATEGIES.includes(name)) {
+    throw new Error(
+      `Invalid strategy: ${strategy}. Must be one of: ${NEXT_TASK_STRATEGIES.join(', ')}`
+    );
+  }
+  return name;
+}
+
+/**
+ * Merge weights over the defaults. Accepts an object or a
+ * "priority=3,unblocks=2" string (as in NEXT_TASK_WEIGHTS).
+ */
+export function normalizeWeights(weights = {}) {
+  const entries =
+    typeof weights === 'string'
+      ? weights
+          .split(',')
+          .filter(pair => pair.trim() !== '')
+          .map(pair => pair.split('=').map(part => part.trim()))
+          .map(([key, value]) => [key, value === undefined || value === '' ? NaN : Number(value)])
+      : Object.entries(weights || {});
+
+  const merged = { ...DEFAULT_WEIGHTS };
+  for (const [key, value] of entries) {
+    if (!(key in DEFAULT_WEIGHTS)) {
+      throw new Error(
+        `Unknown weight: ${key}. Must be one of: ${Object.keys(DEFAULT_WEIGHTS).join(', ')}`
+      );
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      throw new Error(`Weight ${key} must be a non-negative number`);
+    }
+    merged[key] = value;
+  }
+  return merged;
+}
+
+/**
+ * The priority-FIFO order: subtasks of in-progress tasks first (by parent
+ * priority, then checklist position), then by priority and creation time
+ */
+export function fifoOrder(candidates) {
+  const rank = priority => PRIORITY_RANK[priority] || 0;
+  return [...candidates].sort(
+    (a, b) =>
+      Number(b.active_parent) - Number(a.active_parent) ||
+      rank(b.parent_priority) - rank(a.parent_priority) ||
+      (a.position ?? 999) - (b.position ?? 999) ||
+      rank(b.priority) - rank(a.priority) ||
+      String(a.created_at || '').localeCompare(String(b.created_at || ''))
+  );
+}
+
+/**
+ * Score one candidate: { score, factors }
+ */
+function scoreCandidate(strategy, candidate, context) {
+  const planned = context.schedule?.get(candidate.id);
+  const unblocks = planned?.unblocks ?? 0;
+  const slack = planned?.slack ?? context.maxSlack;
+  const estimate = candidate.estimate ?? context.defaultEstimate;
+  const sameStream = Number(
+    context.lastStream !== null && streamOf(candidate) === context.lastStream
+  );
+  const priority = PRIORITY_RANK[candidate.priority] || 0;
+
+  switch (strategy) {
+    case 'priority-fifo':
+      return {
+        score: (candidate.active_parent ? 10 : 0) + priority,
+        factors: { active_parent: Number(candidate.active_parent), priority },
+      };
+    case 'unblocks-most-dependents':
+      return { score: unblocks, factors: { unblocks } };
+    case 'critical-path-first':
+      return { score: -slack, factors: { slack, critical: Number(slack === 0) } };
+    case 'shortest-estimate-first':
+      return { score: -estimate, factors: { estimate } };
+    case 'same-stream-as-last-completed':
+      return { score: sameStream, factors: { same_stream: sameStream } };
+    default: {
+      // Each factor scaled to 0..1 against the other candidates, then weighted
+      const { weights } = context;
+      const scaled = {
+        priority: (priority - 1) / 2,
+        active_parent: Number(candidate.active_parent),
+        unblocks: context.maxUnblocks > 0 ? unblocks / context.maxUnblocks : 0,
+        critical: context.maxSlack > 0 ? 1 - slack / context.maxSlack : 1,
+        shortness: context.maxEstimate > 0 ? 1 - estimate / context.maxEstimate : 1,
+        same_stream: sameStream,
+        age: context.count > 1 ? 1 - context.ageRank.get(candidate.id) / (context.count - 1) : 1,
+      };
+      const factors = Object.fromEntries(
+        Object.entries(scaled).map(([key, value]) => [key, round(value * weights[key])])
+      );
+      return {
+        score: round(Object.values(factors).reduce((sum, value) => sum + value, 0)),
+        factors,
+      };
+    }
+  }
+}
+
+/**
+ * Rank candidates with a strategy. schedule is the task list of
+ * computeSchedule (for unblocks and slack), lastStream the stream of the last
+ * completed task. Returns the candidates best first, each with its score
+ * and the factors behind it.
+ */
+export function rankCandidates(
+  candidates,
+  {
+    strategy = 'priority-fifo',
+    weights = DEFAULT_WEIGHTS,
+    schedule = [],
+    lastStream = null,
+    defaultEstimate = 1,
+  } = {}
+) {
+  const ordered = fifoOrder(candidates);
+  const planned = new Map(schedule.map(task => [task.id, task]));
+  const byAge = [...candidates].sort((a, b) =>
+    String(a.created_at || '').localeCompare(String(b.created_at || ''))
+  );
+
+  const context = {
+    schedule: planned,
+    weights: normalizeWeights(weights),
+    lastStream,
+    defaultEstimate,
+    count: candidates.length,
+    ageRank: new Map(byAge.map((candidate, index) => [candidate.id, index])),
+    maxUnblocks: Math.max(0, ...candidates.map(c => planned.get(c.id)?.unblocks ?? 0)),
+    maxSlack: Math.max(0, ...schedule.map(task => task.slack)),
+    maxEstimate: Math.max(0, ...candidates.map(c => c.estimate ?? defaultEstimate)),
+  };
+
+  return ordered
+    .map((candidate, fifo) => ({
+      candidate,
+      fifo,
+      ...scoreCandidate(strategy, candidate, context),
+    }))
+    .sort((a, b) => b.score - a.score || a.fifo - b.fifo)
+    .map(({ candidate, score, factors }) => ({
+      id: candidate.id,
+      semantic_id: candidate.semantic_id || null,
+      title: candidate.title,
+      priority: candidate.priority,
+      estimate: candidate.estimate ?? null,
+      parent_id: candidate.parent_id || null,
+      score,
+      factors,
+    }));
+}
@@ -0,0 +1,126 @@
+/**
+ * Parser for plans written as nested markdown lists (an agent's plan, a
+ * TODO.md checklist).
+ *
+ * Every list item becomes a task; items nested under another item become its
+ * children. Indented lines under an item that are not list items form its
+ * description. Dependencies come from an explicit "(deps: A, B)" annotation,
+ * or are inferred from a trailing "after X" / "depends on X" phrase.
+ * parsePlan only reads the text; TaskManager.importPlan resolves the
+ * references and creates the tasks.
+ */
+
+const LIST_ITEM = /^(\s*)(?:[-*+]|\d+[.)])\s+(?:\[([ xX])\]\s+)?(.*)$/;
+const HEADING = /^\s{0,3}#{1,6}\s/;
+const FENCE = /^\s*(```|~~~)/;
+
+// "(deps: A, B)", "(depends on: A)" or "(after: A)" anywhere in the item
+const EXPLICIT_DEPS = /\s*\(\s*(?:deps?|depends on|after)\s*:\s*([^)]*)\)/i;
+
+// A trailing phrase such as "Write docs after API endpoint" or "Deploy (depends on CI)"
+const INFERRED_DEPS = /(?:\s*[,;:(—–]\s*|\s+-\s+|\s+)(?:after|depends on)\s+([^()]+?)\)?\.?\s*$/i;
+
+/**
+ * Width of leading whitespace, counting a tab as four spaces
+ */
+function indentWidth(whitespace) {
+  return whitespace.replace(/\t/g, '    ').length;
+}
+
+/**
+ * Split a dependency list ("A, B and C") into trimmed references
+ */
+export function splitReferences(text) {
+  return text
+    .split(/\s*(?:,|;|\band\b)\s*/i)
+    .map(ref => ref.trim().replace(/^["'`]|["'`]$/g, ''))
+    .filter(ref => ref !== '');
+}
+
+/**
+ * Split the text of a list item into its title and dependency references
+ */
+export function parseItemText(text) {
+  let title = text.trim();
+  let dependencies = [];
+  let inferred = null;
+
+  const explicit = title.match(EXPLICIT_DEPS);
+  if (explicit) {
+    dependencies = splitReferences(explicit[1]);
+    title = title.replace(EXPLICIT_DEPS, '').trim();
+  }
+
+  const phrase = title.match(INFERRED_DEPS);
+  if (phrase && phrase.index > 0) {
+    inferred = {
+      title: title.substring(0, phrase.index).trim(),
+      dependencies: splitReferences(phrase[1]),
+    };
+  }
+
+  return { title, dependencies, inferred };
+}
+
+/**
+ * Parse markdown into plan items, in document order:
+ * { line, depth, parent, title, description, checked, dependencies, inferred }
+ * where parent is the index of the enclosing item (or null) and inferred is
+ * { title, dependencies } when the title ends in an "after X" phrase
+ */
+export function parsePlan(markdown) {
+  const items = [];
+  let stack = []; // enclosing items: { indent, index }
+  let current = null;
+  let inFence = false;
+
+  String(markdown || '')
+    .split(/\r?\n/)
+    .forEach((line, lineIndex) => {
+      if (FENCE.test(line)) {
+        inFence = !inFence;
+        return;
+      }
+      if (inFence || line.trim() === '') {
+        return;
+      }
+
+      const match = line.match(LIST_ITEM);
+      if (match && match[3].trim() !== '') {
+        const indent = indentWidth(match[1]);
+        while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+          stack.pop();
+        }
+
+        const parent = stack.length > 0 ? stack[stack.length - 1].index : null;
+        current = {
+          line: lineIndex + 1,
+          depth: stack.length,
+          parent,
+          checked: Boolean(match[2] && match[2].toLowerCase() === 'x'),
+          description: '',
+          indent,
+          ...parseItemText(match[3]),
+        };
+        items.push(current);
+        stack.push({ indent, index: items.length - 1 });
+        return;
+      }
+
+      // Indented text under an item continues its description
+      if (current && indentWidth(line.match(/^\s*/)[0]) > current.indent) {
+        current.description = current.description
+          ? `${current.description}\n${line.trim()}`
+          : line.trim();
+        return;
+      }
+
+      // Headings and unindented paragraphs end the current list
+      if (HEADING.test(line) || !/^\s/.test(line)) {
+        stack = [];
+        current = null;
+      }
+    });
+
+  return items.map(({ indent: _indent, ...item }) => item);
+}
@@ -0,0 +1,181 @@
+/**
+ * Critical path scheduling over the DEPENDS_ON graph.
+ *
+ * Every task takes its estimate (in whatever unit the estimates use) and can
+ * start once everything it depends on has finished. A forward pass gives the
+ * earliest start and finish of each task, a backward pass the latest ones
+ * that still meet the overall finish, and the difference is the slack. Tasks
+ * without slack form the critical path: any delay there delays the end.
+ * Finished tasks take no time.
+ */
+
+const FINISHED = ['done', 'archive'];
+
+/**
+ * Order task IDs so every task comes after the tasks it depends on.
+ * Throws when the dependencies contain a cycle.
+ */
+function topologicalOrder(ids, dependenciesOf) {
+  const remaining = new Map(ids.map(id => [id, dependenciesOf.get(id).length]));
+  const dependentsOf = new Map(ids.map(id => [id, []]));
+  for (const id of ids) {
+    dependenciesOf.get(id).forEach(dep => dependentsOf.get(dep).push(id));
+  }
+
+  const order = [];
+  const ready = ids.filter(id => remaining.get(id) === 0);
+  while (ready.length > 0) {
+    const id = ready.shift();
+    order.push(id);
+    for (const dependent of dependentsOf.get(id)) {
+      remaining.set(dependent, remaining.get(dependent) - 1);
+      if (remaining.get(dependent) === 0) {
+        ready.push(dependent);
+      }
+    }
+  }
+
+  if (order.length < ids.length) {
+    const cycle = ids.filter(id => remaining.get(id) > 0);
+    throw new Error(`Cannot schedule, dependency cycle between: ${cycle.join(', ')}`);
+  }
+
+  return { order, dependentsOf };
+}
+
+/**
+ * Compute earliest/latest start and finish, slack and the critical path.
+ *
+ * graph: { nodes, edges } with DEPENDS_ON edges from a task to its dependency
+ * estimates: { [taskId]: duration }, overriding the nodes' own estimate;
+ * tasks with neither take defaultEstimate
+ */
+export function computeSchedule({ nodes, edges }, { estimates = {}, defaultEstimate = 1 } = {}) {
+  const ids = nodes.map(node => node.id);
+  const known = new Set(ids);
+
+  const dependenciesOf = new Map(ids.map(id => [id, []]));
+  for (const edge of edges) {
+    if (edge.type === 'DEPENDS_ON' && known.has(edge.from) && known.has(edge.to)) {
+      dependenciesOf.get(edge.from).push(edge.to);
+    }
+  }
+
+  const { order, dependentsOf } = topologicalOrder(ids, dependenciesOf);
+  const byId = new Map(nodes.map(node => [node.id, node]));
+
+  const duration = new Map(
+    ids.map(id => [
+      id,
+      FINISHED.includes(byId.get(id).status)
+        ? 0
+        : (estimates[id] ?? byId.get(id).estimate ?? defaultEstimate),
+    ])
+  );
+
+  // Forward pass
+  const earliestStart = new Map();
+  const earliestFinish = new Map();
+  for (const id of order) {
+    const start = Math.max(0, ...dependenciesOf.get(id).map(dep => earliestFinish.get(dep)));
+    earliestStart.set(id, start);
+    earliestFinish.set(id, start + duration.get(id));
+  }
+  const totalDuration = Math.max(0, ...earliestFinish.values());
+
+  // Backward pass
+  const latestStart = new Map();
+  const latestFinish = new Map();
+  for (const id of [...order].reverse()) {
+    const finish = Math.min(
+      totalDuration,
+      ...dependentsOf.get(id).map(dependent => latestStart.get(dependent))
+    );
+    latestFinish.set(id, finish);
+    latestStart.set(id, finish - duration.get(id));
+  }
+
+  // Open work waiting on each task, directly or not
+  const unblocks = new Map();
+  for (const id of [...order].reverse()) {
+    const waiting = new Set();
+    for (const dependent of dependentsOf.get(id)) {
+      if (!FINISHED.includes(byId.get(dependent).status)) {
+        waiting.add(dependent);
+      }
+      unblocks.get(dependent).forEach(other => waiting.add(other));
+    }
+    unblocks.set(id, waiting);
+  }
+
+  const round = value => Math.round(value * 100) / 100;
+  const tasks = order.map(id => {
+    const slack = round(latestStart.get(id) - earliestStart.get(id));
+    return {
+      id,
+      semantic_id: byId.get(id).semantic_id || null,
+      title: byId.get(id).title,
+      status: byId.get(id).status,
+      estimate: duration.get(id),
+      earliest_start: round(earliestStart.get(id)),
+      earliest_finish: round(earliestFinish.get(id)),
+      latest_start: round(latestStart.get(id)),
+      latest_finish: round(latestFinish.get(id)),
+      slack,
+      critical: slack === 0 && duration.get(id) > 0,
+      unblocks: unblocks.get(id).size,
+    };
+  });
+
+  // Tasks carry rounded times, so compare them with the rounded total
+  return {
+    total_duration: round(totalDuration),
+    critical_path: criticalPath(tasks, dependenciesOf, round(totalDuration)),
+    tasks,
+  };
+}
+
+/**
+ * Walk back from the task finishing last through the dependencies that
+ * finish exactly when it can start, giving the longest chain of work
+ */
+function criticalPath(tasks, dependenciesOf, totalDuration) {
+  const byId = new Map(tasks.map(task => [task.id, task]));
+  const open = task => task.estimate > 0;
+
+  let current = tasks.find(task => open(task) && task.earliest_finish === totalDuration);
+  const path = [];
+  while (current) {
+    path.unshift(current.id);
+    const start = current.earliest_start;
+    current = dependenciesOf
+      .get(current.id)
+      .map(dep => byId.get(dep))
+      .find(dep => open(dep) && dep.slack === 0 && dep.earliest_finish === start);
+  }
+  return path;
+}
+
+/**
+ * The goal task plus everything it depends on, directly or not
+ */
+export function goalSubgraph({ nodes, edges }, goalId) {
+  const reached = new Set([goalId]);
+  const queue = [goalId];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    for (const edge of edges) {
+      if (edge.type === 'DEPENDS_ON' && edge.from === current && !reached.has(edge.to)) {
+        reached.add(edge.to);
+        queue.push(edge.to);
+      }
+    }
+  }
+
+  return {
+    nodes: nodes.filter(node => reached.has(node.id)),
+    edges: edges.filter(
+      edge => edge.type === 'DEPENDS_ON' && reached.has(edge.from) && reached.has(edge.to)
+    ),
+  };
+}
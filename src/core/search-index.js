@@ -0,0 +1,433 @@
+/**
+ * In-memory inverted index over task file content.
+ *
+ * Each task is split into sections (title, description, subtasks, files,
+ * notes) and every term points at the tasks containing it. SyncEngine keeps
+ * the index current by refreshing the tasks it sees change.
+ */
+import { log } from '../utils/logger.js';
+
+// Matches in the title count more than matches buried in notes
+const SECTION_WEIGHTS = {
+  Title: 3,
+  Description: 1.5,
+  Tasks: 1.2,
+  Files: 1,
+  Notes: 1,
+};
+
+const STOP_WORDS = new Set([
+  'a',
+  'an',
+  'and',
+  'are',
+  'as',
+  'at',
+  'be',
+  'by',
+  'for',
+  'from',
+  'in',
+  'is',
+  'it',
+  'of',
+  'on',
+  'or',
+  'the',
+  'to',
+  'with',
+]);
+
+// Verbs that say little about what a task is about ("Add X" vs "Implement X")
+const ACTION_WORDS = new Set([
+  'add',
+  'build',
+  'create',
+  'implement',
+  'introduce',
+  'make',
+  'new',
+  'support',
+  'write',
+]);
+
+const SNIPPET_BEFORE = 40;
+const SNIPPET_AFTER = 80;
+
+/**
+ * Split text into lowercase search terms
+ */
+export function tokenize(text) {
+  return (
+    String(text || '')
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+/gu) || []
+  ).filter(term => !STOP_WORDS.has(term));
+}
+
+/**
+ * Terms used to compare tasks: action words dropped (unless nothing else is
+ * left) and plural "s" stripped
+ */
+function comparableTerms(text) {
+  const terms = tokenize(text).map(term =>
+    term.length > 3 && term.endsWith('s') && !term.endsWith('ss') ? term.slice(0, -1) : term
+  );
+  const meaningful = terms.filter(term => !ACTION_WORDS.has(term));
+  return meaningful.length > 0 ? meaningful : terms;
+}
+
+/**
+ * Cosine similarity of two term lists
+ */
+function cosine(a, b) {
+  const counts = terms => {
+    const map = new Map();
+    terms.forEach(term => map.set(term, (map.get(term) || 0) + 1));
+    return map;
+  };
+  const left = counts(a);
+  const right = counts(b);
+
+  let dot = 0;
+  for (const [term, count] of left) {
+    dot += count * (right.get(term) || 0);
+  }
+  const norm = map => Math.sqrt([...map.values()].reduce((sum, count) => sum + count * count, 0));
+  return dot === 0 ? 0 : dot / (norm(left) * norm(right));
+}
+
+/**
+ * Similarity of two tasks between 0 and 1. Titles decide most of it (Dice
+ * coefficient of their terms); when both tasks have a description, the
+ * overlap of the full text counts for the rest.
+ */
+export function taskSimilarity(a, b) {
+  const titleA = new Set(comparableTerms(a.title));
+  const titleB = new Set(comparableTerms(b.title));
+  if (titleA.size === 0 || titleB.size === 0) {
+    return 0;
+  }
+
+  const shared = [...titleA].filter(term => titleB.has(term)).length;
+  const titleScore = (2 * shared) / (titleA.size + titleB.size);
+
+  if (tokenize(a.description).length === 0 || tokenize(b.description).length === 0) {
+    return Math.round(titleScore * 100) / 100;
+  }
+
+  const textScore = cosine(
+    comparableTerms(`${a.title} ${a.description}`),
+    comparableTerms(`${b.title} ${b.description}`)
+  );
+  return Math.round((0.7 * titleScore + 0.3 * textScore) * 100) / 100;
+}
+
+/**
+ * Cut a snippet of text around the first occurrence of any of the terms
+ */
+function makeSnippet(text, terms) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  const lower = flat.toLowerCase();
+
+  let index = -1;
+  for (const term of terms) {
+    const found = lower.search(new RegExp(`(^|[^\\p{L}\\p{N}])${term}`, 'u'));
+    if (found !== -1 && (index === -1 || found < index)) {
+      index = found === 0 ? 0 : found + 1;
+    }
+  }
+  if (index === -1 || flat.length <= SNIPPET_BEFORE + SNIPPET_AFTER) {
+    return flat.length <= SNIPPET_BEFORE + SNIPPET_AFTER
+      ? flat
+      : `${flat.substring(0, SNIPPET_BEFORE + SNIPPET_AFTER).trimEnd()}...`;
+  }
+
+  let start = Math.max(0, index - SNIPPET_BEFORE);
+  let end = Math.min(flat.length, index + SNIPPET_AFTER);
+  // Don't cut words in half
+  if (start > 0) {
+    const space = flat.indexOf(' ', start);
+    start = space !== -1 && space < index ? space + 1 : start;
+  }
+  if (end < flat.length) {
+    const space = flat.lastIndexOf(' ', end);
+    end = space > index ? space : end;
+  }
+
+  return `${start > 0 ? '...' : ''}${flat.substring(start, end)}${end < flat.length ? '...' : ''}`;
+}
+
+export class SearchIndex {
+  constructor(fileStorage) {
+    this.files = fileStorage;
+    this.documents = new Map(); // taskId -> { task, sections }
+    this.postings = new Map(); // term -> Set of taskIds
+    this.built = false;
+  }
+
+  /**
+   * Index every task file from scratch
+   */
+  async build() {
+    const tasks = await this.files.listAllTasks();
+
+    this.documents.clear();
+    this.postings.clear();
+    for (const task of tasks) {
+      this.addTask(task);
+    }
+    this.built = true;
+
+    log('debug', `Built search index for ${tasks.length} tasks`);
+    return tasks.length;
+  }
+
+  /**
+   * Re-read the given tasks from their files and update their entries.
+   * Tasks whose file is gone are dropped. Does nothing before the first build.
+   */
+  async refresh(taskIds) {
+    if (!this.built) {
+      return 0;
+    }
+
+    for (const taskId of new Set(taskIds)) {
+      const task = await this.files.readTaskFile(taskId);
+      if (task) {
+        this.addTask(task);
+      } else {
+        this.removeTask(taskId);
+      }
+    }
+
+    return new Set(taskIds).size;
+  }
+
+  /**
+   * Split a task into the sections that are searched
+   */
+  sectionsOf(task) {
+    const sections = [{ section: 'Title', text: task.title || '' }];
+
+    if (task.description) {
+      sections.push({ section: 'Description', text: task.description });
+    }
+    for (const subtask of task.subtasks || []) {
+      sections.push({ section: 'Tasks', text: subtask.title || '' });
+    }
+    for (const file of task.files || []) {
+      sections.push({ section: 'Files', text: file });
+    }
+    for (const note of task.notes || []) {
+      sections.push({ section: 'Notes', text: note.content || '', timestamp: note.timestamp });
+    }
+
+    return sections.map(section => {
+      const counts = new Map();
+      for (const term of tokenize(section.text)) {
+        counts.set(term, (counts.get(term) || 0) + 1);
+      }
+      return { ...section, counts };
+    });
+  }
+
+  /**
+   * Add or replace a task in the index
+   */
+  addTask(task) {
+    this.removeTask(task.id);
+
+    const sections = this.sectionsOf(task);
+    this.documents.set(task.id, {
+      task: {
+        id: task.id,
+        semantic_id: task.semantic_id || null,
+        title: task.title,
+        status: task.status,
+        priority: task.priority,
+      },
+      sections,
+    });
+
+    for (const section of sections) {
+      for (const term of section.counts.keys()) {
+        if (!this.postings.has(term)) {
+          this.postings.set(term, new Set());
+        }
+        this.postings.get(term).add(task.id);
+      }
+    }
+  }
+
+  /**
+   * Remove a task from the index
+   */
+  removeTask(taskId) {
+    const document = this.documents.get(taskId);
+    if (!document) {
+      return;
+    }
+
+    for (const section of document.sections) {
+      for (const term of section.counts.keys()) {
+        const ids = this.postings.get(term);
+        if (ids) {
+          ids.delete(taskId);
+          if (ids.size === 0) {
+            this.postings.delete(term);
+          }
+        }
+      }
+    }
+    this.documents.delete(taskId);
+  }
+
+  /**
+   * Index terms matching a query term: the term itself, plus longer terms it
+   * is a prefix of (at a discount) so "auth" finds "authentication"
+   */
+  expandTerm(queryTerm) {
+    const matches = [];
+    if (this.postings.has(queryTerm)) {
+      matches.push({ term: queryTerm, weight: 1 });
+    }
+    if (queryTerm.length >= 3) {
+      for (const term of this.postings.keys()) {
+        if (term !== queryTerm && term.startsWith(queryTerm)) {
+          matches.push({ term, weight: 0.5 });
+        }
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * Find indexed tasks that look like the same piece of work as the given
+   * title and description, most similar first
+   */
+  findSimilar(
+    { title, description = '' },
+    { threshold = 0.6, statuses = ['pending', 'in-progress'] } = {}
+  ) {
+    // Only tasks sharing at least one word with the title can be similar enough
+    const candidates = new Set();
+    for (const term of tokenize(title)) {
+      for (const { term: match } of this.expandTerm(term)) {
+        this.postings.get(match).forEach(taskId => candidates.add(taskId));
+      }
+    }
+
+    const similar = [];
+    for (const taskId of candidates) {
+      const { task, sections } = this.documents.get(taskId);
+      if (!statuses.includes(task.status)) {
+        continue;
+      }
+
+      const other = {
+        title: task.title,
+        description: sections.find(section => section.section === 'Description')?.text || '',
+      };
+      const score = taskSimilarity({ title, description }, other);
+      if (score >= threshold) {
+        similar.push({
+          id: task.id,
+          semantic_id: task.semantic_id,
+          title: task.title,
+          status: task.status,
+          score,
+        });
+      }
+    }
+
+    return similar.sort((a, b) => b.score - a.score || a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Rank tasks against a free-text query.
+   * Returns all hits, best first, each with its score and the best matching
+   * sections as snippets.
+   */
+  search(query, { status = null, exclude_ids = [] } = {}) {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0) {
+      return [];
+    }
+
+    const phrase = tokenize(query).join(' ');
+    const total = this.documents.size;
+    const hits = new Map(); // taskId -> { score, matched: Set, sections: Map }
+
+    for (const queryTerm of queryTerms) {
+      for (const { term, weight } of this.expandTerm(queryTerm)) {
+        const ids = this.postings.get(term);
+        const idf = Math.log(1 + total / ids.size);
+
+        for (const taskId of ids) {
+          const document = this.documents.get(taskId);
+          if (!hits.has(taskId)) {
+            hits.set(taskId, { score: 0, matched: new Set(), sections: new Map() });
+          }
+          const hit = hits.get(taskId);
+
+          document.sections.forEach((section, position) => {
+            const count = section.counts.get(term);
+            if (!count) {
+              return;
+            }
+            const score = SECTION_WEIGHTS[section.section] * idf * weight * (1 + Math.log(count));
+            hit.score += score;
+            hit.matched.add(queryTerm);
+
+            const entry = hit.sections.get(position) || { score: 0, terms: new Set() };
+            entry.score += score;
+            entry.terms.add(term);
+            hit.sections.set(position, entry);
+          });
+        }
+      }
+    }
+
+    const results = [];
+    for (const [taskId, hit] of hits) {
+      const { task, sections } = this.documents.get(taskId);
+      if ((status && task.status !== status) || exclude_ids.includes(taskId)) {
+        continue;
+      }
+
+      // Favour tasks matching every term, and the query as a phrase
+      let score = hit.score * (hit.matched.size / queryTerms.length);
+      for (const [position, entry] of hit.sections) {
+        const section = sections[position];
+        if (queryTerms.length > 1 && tokenize(section.text).join(' ').includes(phrase)) {
+          entry.score += SECTION_WEIGHTS[section.section];
+          score += 2 * SECTION_WEIGHTS[section.section];
+        }
+      }
+
+      const matches = [...hit.sections.entries()]
+        .sort(([, a], [, b]) => b.score - a.score)
+        .slice(0, 2)
+        .map(([position, entry]) => ({
+          section: sections[position].section,
+          snippet: makeSnippet(sections[position].text, [...entry.terms]),
+          ...(sections[position].timestamp ? { timestamp: sections[position].timestamp } : {}),
+        }));
+
+      results.push({
+        task_id: taskId,
+        semantic_id: task.semantic_id,
+        title: task.title,
+        status: task.status,
+        score: Math.round(score * 100) / 100,
+        matched_terms: queryTerms.filter(term => hit.matched.has(term)),
+        matches,
+      });
+    }
+
+    return results.sort((a, b) => b.score - a.score || a.task_id.localeCompare(b.task_id));
+  }
+}
+
+export default SearchIndex;
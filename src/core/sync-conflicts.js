@@ -0,0 +1,72 @@
+import { EMPTY_DESCRIPTION } from '../storage/file-storage.js';
+
+/**
+ * Task fields by owner. Files are the source of truth for file-owned
+ * fields, which the graph mirrors and file sync overwrites. Graph-owned
+ * fields only exist on the Task node: they are written directly by
+ * complexity analysis and decomposition, and file sync never writes them.
+ */
+export const FILE_OWNED_FIELDS = {
+  title: task => task.title ?? null,
+  description: task => (task.description === EMPTY_DESCRIPTION ? '' : task.description || ''),
+  status: task => task.status ?? null,
+  priority: task => task.priority ?? null,
+  estimate: task => task.estimate ?? null,
+  assignee: task => task.assignee || null,
+  lease_expires_at: task => task.lease_expires_at || null,
+};
+
+export const GRAPH_OWNED_FIELDS = ['complexity_score', 'is_atomic', 'has_children'];
+
+// Graph-owned fields kept in the sync manifest so a recreated node gets
+// them back; has_children is restored with the parent-child edges instead
+export const PRESERVED_GRAPH_FIELDS = ['complexity_score', 'is_atomic'];
+
+// How a conflicting field is resolved: keep the file's value or the graph's
+export const RESOLUTIONS = ['file', 'graph'];
+
+/**
+ * The file-owned field values of a task, normalized for comparison
+ */
+export function fileOwnedValues(task) {
+  return Object.fromEntries(
+    Object.entries(FILE_OWNED_FIELDS).map(([field, value]) => [field, value(task)])
+  );
+}
+
+/**
+ * The preserved graph-owned field values of a Task node that are set
+ */
+export function preservedGraphValues(node) {
+  return Object.fromEntries(
+    PRESERVED_GRAPH_FIELDS.filter(field => node[field] !== null && node[field] !== undefined).map(
+      field => [field, node[field]]
+    )
+  );
+}
+
+/**
+ * File-owned fields changed on both sides since the last sync, to
+ * different values. base holds the values last synced (fileOwnedValues);
+ * without it nothing is known to have changed in the graph.
+ */
+export function findConflicts(base, fileValues, graphValues) {
+  if (!base) {
+    return [];
+  }
+
+  return Object.keys(FILE_OWNED_FIELDS)
+    .filter(
+      field =>
+        field in base &&
+        fileValues[field] !== base[field] &&
+        graphValues[field] !== base[field] &&
+        fileValues[field] !== graphValues[field]
+    )
+    .map(field => ({
+      field,
+      base: base[field],
+      file: fileValues[field],
+      graph: graphValues[field],
+    }));
+}
@@ -1,23 +1,44 @@
 import { promises as fs } from 'fs';
 import path from 'path';
 import { log } from '../utils/logger.js';
+import { SearchIndex } from './search-index.js';
+import { FileWatcher } from './file-watcher.js';
+import { SyncManifest } from './sync-manifest.js';
+import {
+  FILE_OWNED_FIELDS,
+  fileOwnedValues,
+  findConflicts,
+  preservedGraphValues,
+} from './sync-conflicts.js';
 
 /**
  * Sync engine that ensures graph database matches file system state
  * Files are the source of truth, graph syncs to match
  */
 export class SyncEngine {
-  constructor(fileStorage, graphConnection) {
+  constructor(fileStorage, graphConnection, options = {}) {
     this.files = fileStorage;
     this.graph = graphConnection;
+    // Records external deletes, moves and renames when given
+    this.journal = options.journal || null;
     this.lastSyncTime = null;
     this.syncCache = new Map();
 
-    // Track changes for efficient sync
-    this.mcpChanges = new Set(); // Changes made by MCP operations
-    this.fileTimestamps = new Map(); // file path -> last known mtime
+    // What each task file was last synced from, kept across restarts
+    this.manifest = new SyncManifest(fileStorage.tasksDir);
+    this.reportedConflicts = new Set(); // conflicts already journaled
     this.lastFullScan = 0; // Timestamp of last full scan
     this.fullScanInterval = 60000; // Re-scan interval (1 minute)
+
+    // Full-text index over the task files, built on first search
+    this.searchIndex = new SearchIndex(fileStorage);
+    this.searchIndexPending = new Set(); // Task IDs to re-index
+
+    // File watcher feeding the incremental sync queue, see startWatching()
+    this.watcher = null;
+    this.changedPaths = new Set(); // Paths reported by the watcher, not yet synced
+    this.queueRun = Promise.resolve({ changes: 0 });
+    this.nextQueueRun = null;
   }
 
   /**
@@ -101,9 +122,10 @@ export class SyncEngine {
   }
 
   /**
-   * Sync all tasks from files to graph (intelligent sync)
+   * Sync all tasks from files to graph. Tasks whose file content and graph
+   * version match the manifest are skipped unless options.full is set.
    */
-  async syncFilesToGraph() {
+  async syncFilesToGraph({ full = false } = {}) {
     log('info', 'Starting file-to-graph synchronization');
 
     const changes = {
@@ -111,48 +133,87 @@ export class SyncEngine {
       updated: 0,
       deleted: 0,
       dependencies: 0,
+      unchanged: 0,
+      conflicts: 0,
     };
 
     try {
+      await this.manifest.load();
+
       // Get all tasks from files
       const fileTasks = await this.files.listAllTasks();
       const fileTaskIds = new Set(fileTasks.map(t => t.id));
 
       // Get all tasks from graph
       const graphTasks = await this.getAllGraphTasks();
-      const graphTaskIds = new Set(graphTasks.map(t => t.id));
+      const graphTaskMap = new Map(graphTasks.map(t => [t.id, t]));
 
       // Process each file task
+      const synced = [];
       for (const fileTask of fileTasks) {
+        const graphTask = graphTaskMap.get(fileTask.id);
+        const hash = this.files.contentHashOf(fileTask);
+
+        if (!full && graphTask && this.isSynced(fileTask, hash, graphTask)) {
+          changes.unchanged++;
+          continue;
+        }
+
         try {
-          if (!graphTaskIds.has(fileTask.id)) {
+          if (!graphTask) {
             // Task exists in file but not graph - create it
             await this.createTaskInGraph(fileTask);
+            await this.restoreGraphFields(fileTask.id);
             changes.created++;
-          } else {
-            // Task exists in both - check if update needed
-            const graphTask = graphTasks.find(t => t.id === fileTask.id);
-            if (this.needsUpdate(fileTask, graphTask)) {
-              await this.updateTaskInGraph(fileTask);
-              changes.updated++;
-            }
+          } else if (await this.reportConflicts(fileTask, graphTask)) {
+            // Changed in the graph too; left alone until resolved
+            changes.conflicts++;
+            continue;
+          } else if (this.needsUpdate(fileTask, graphTask)) {
+            // Task exists in both and differs
+            await this.updateTaskInGraph(fileTask);
+            changes.updated++;
           }
 
-          // Sync dependencies
-          const depChanges = await this.syncTaskDependencies(fileTask);
-          changes.dependencies += depChanges;
-
           // Sync subtasks
           await this.syncSubtasks(fileTask);
+
+          // Sync acceptance criteria and tags
+          await this.syncCriteria(fileTask);
+          await this.syncTags(fileTask);
+
+          synced.push({ fileTask, hash, graphTask });
         } catch (error) {
           log('error', `Failed to sync task ${fileTask.id}: ${error.message}`);
         }
       }
 
+      // Second pass: dependencies, once every task file has its node. A task
+      // is only recorded as synced when all its edges to other tasks exist,
+      // so missing ones are retried on the next sync.
+      for (const { fileTask, hash, graphTask } of synced) {
+        try {
+          const { changes: depChanges, unlinked } = await this.syncTaskDependencies(fileTask);
+          changes.dependencies += depChanges;
+
+          const missing = unlinked.filter(id => fileTaskIds.has(id));
+          if (missing.length > 0) {
+            log(
+              'warn',
+              `Could not link dependencies of task ${fileTask.id}: ${missing.join(', ')}`
+            );
+            continue;
+          }
+
+          await this.recordSynced(fileTask, hash, graphTask);
+        } catch (error) {
+          log('error', `Failed to sync dependencies of task ${fileTask.id}: ${error.message}`);
+        }
+      }
+
       // Remove tasks that exist in graph but not files
       for (const graphTask of graphTasks) {
-        if (!fileTaskIds.has(graphTask.id) && !graphTask.id.includes('-')) {
-          // Don't delete subtasks (they have parent-N format)
+        if (!fileTaskIds.has(graphTask.id) && !this.isSubtaskId(graphTask.id, graphTaskMap)) {
           try {
             await this.deleteTaskFromGraph(graphTask.id);
             changes.deleted++;
@@ -162,8 +223,15 @@ export class SyncEngine {
         }
       }
 
-      // Second pass: sync parent-child relationships
-      for (const fileTask of fileTasks) {
+      // Forget files that are gone
+      for (const taskId of this.manifest.taskIds()) {
+        if (!fileTaskIds.has(taskId)) {
+          this.manifest.deleteTask(taskId);
+        }
+      }
+
+      // Then parent-child relationships
+      for (const { fileTask } of synced) {
         if (fileTask.parent_id) {
           try {
             await this.syncParentChildRelationship(fileTask);
@@ -176,9 +244,11 @@ export class SyncEngine {
         }
       }
 
+      await this.manifest.save();
+
       log(
         'info',
-        `Sync completed: ${changes.created} created, ${changes.updated} updated, ${changes.deleted} deleted`
+        `Sync completed: ${changes.created} created, ${changes.updated} updated, ${changes.deleted} deleted, ${changes.unchanged} unchanged, ${changes.conflicts} conflicts`
       );
 
       return {
@@ -192,6 +262,160 @@ export class SyncEngine {
     }
   }
 
+  /**
+   * Whether a task's file content is the one last synced into this graph:
+   * the manifest has its hash, and the node still carries the version the
+   * manifest recorded (a replaced or restored database would not)
+   */
+  isSynced(fileTask, hash, graphTask) {
+    if (!hash || !fileTask.file_path) {
+      return false;
+    }
+
+    const entry = this.manifest.get(fileTask.file_path);
+    return (
+      entry?.task_id === fileTask.id &&
+      entry.hash === hash &&
+      Number(graphTask.sync_version) === entry.graph_version
+    );
+  }
+
+  /**
+   * Record in the manifest and on the node that a task file was synced,
+   * along with the field values synced and the graph-owned ones to keep
+   */
+  async recordSynced(fileTask, hash, graphTask = null) {
+    if (!hash || !fileTask.file_path) {
+      return;
+    }
+
+    const previous = this.manifest.get(this.manifest.pathOf(fileTask.id) || fileTask.file_path);
+    const version = (previous?.graph_version || 0) + 1;
+
+    await this.graph.updateTask(fileTask.id, { sync_version: version });
+    this.manifest.set(fileTask.file_path, {
+      task_id: fileTask.id,
+      hash,
+      graph_version: version,
+      fields: fileOwnedValues(fileTask),
+      ...(graphTask && { graph_fields: preservedGraphValues(graphTask) }),
+    });
+  }
+
+  /**
+   * The manifest entry of the file a task was last synced from
+   */
+  manifestEntryOf(taskId) {
+    const knownPath = this.manifest.pathOf(taskId);
+    return knownPath ? this.manifest.get(knownPath) : undefined;
+  }
+
+  /**
+   * Put back the graph-owned fields of a task whose node was recreated,
+   * e.g. after the database was replaced
+   */
+  async restoreGraphFields(taskId) {
+    const graphFields = this.manifestEntryOf(taskId)?.graph_fields;
+    if (graphFields && Object.keys(graphFields).length > 0) {
+      await this.graph.updateTask(taskId, graphFields);
+      log('debug', `Restored graph-owned fields of ${taskId}`);
+    }
+  }
+
+  /**
+   * Remember graph-owned fields written directly to the graph
+   */
+  recordGraphChange(taskId, fields) {
+    const knownPath = this.manifest.pathOf(taskId);
+    if (!knownPath) {
+      return;
+    }
+
+    const entry = this.manifest.get(knownPath);
+    this.manifest.set(knownPath, {
+      task_id: taskId,
+      graph_fields: { ...entry.graph_fields, ...preservedGraphValues(fields) },
+    });
+  }
+
+  /**
+   * Remember file-owned field values written to both file and graph
+   */
+  recordOwnValues(taskId, values) {
+    const knownPath = this.manifest.pathOf(taskId);
+    if (!knownPath) {
+      return;
+    }
+
+    const entry = this.manifest.get(knownPath);
+    this.manifest.set(knownPath, { task_id: taskId, fields: { ...entry.fields, ...values } });
+  }
+
+  /**
+   * File-owned fields of a task changed in both its file and the graph since
+   * the last sync: [{ field, base, file, graph }]
+   */
+  conflictsOf(fileTask, graphTask) {
+    return findConflicts(
+      this.manifestEntryOf(fileTask.id)?.fields,
+      fileOwnedValues(fileTask),
+      fileOwnedValues(graphTask)
+    );
+  }
+
+  /**
+   * Conflicts of a task by ID, read from its file and the graph
+   */
+  async getTaskConflicts(taskId) {
+    await this.manifest.load();
+    const fileTask = await this.files.readTaskFile(taskId);
+    const graphTask = await this.graph.getTask(taskId);
+    if (!fileTask || !graphTask) {
+      return [];
+    }
+
+    return this.conflictsOf(fileTask, graphTask);
+  }
+
+  /**
+   * Whether a task has conflicts; new ones are journaled as conflict.detected
+   */
+  async reportConflicts(fileTask, graphTask) {
+    const conflicts = this.conflictsOf(fileTask, graphTask);
+    if (conflicts.length === 0) {
+      return false;
+    }
+
+    // The file is left unsynced until the conflicts are resolved, but its
+    // content has been seen: it is not picked up as a change again
+    const hash = this.files.contentHashOf(fileTask);
+    if (hash && fileTask.file_path) {
+      this.manifest.set(fileTask.file_path, { task_id: fileTask.id, hash });
+    }
+
+    const key = JSON.stringify([fileTask.id, conflicts]);
+    if (!this.reportedConflicts.has(key)) {
+      this.reportedConflicts.add(key);
+      log(
+        'warn',
+        `Task ${fileTask.id} changed in both file and graph: ${conflicts.map(conflict => conflict.field).join(', ')}`
+      );
+      if (this.journal) {
+        await this.journal.logConflict('detected', fileTask.id, { conflicts });
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Subtask nodes are "<parent id>-<position>" and have no file of their own
+   */
+  isSubtaskId(taskId, graphTaskMap) {
+    const match = taskId.match(/^(.+)-\d+$/);
+    return Boolean(match && graphTaskMap.has(match[1]));
+  }
+
   /**
    * Get all tasks from graph
    */
@@ -209,14 +433,23 @@ export class SyncEngine {
    * Check if task needs update in graph
    */
   needsUpdate(fileTask, graphTask) {
-    // Compare key fields
-    return (
-      fileTask.title !== graphTask.title ||
-      fileTask.status !== graphTask.status ||
-      fileTask.priority !== graphTask.priority ||
-      fileTask.description !== graphTask.description ||
-      fileTask.file_path !== graphTask.file_path
+    return this.changedFields(fileTask, graphTask).length > 0;
+  }
+
+  /**
+   * Fields mirrored into the graph whose file and graph values differ
+   */
+  changedFields(fileTask, graphTask) {
+    const fileValues = fileOwnedValues(fileTask);
+    const graphValues = fileOwnedValues(graphTask);
+
+    const fields = Object.keys(fileValues).filter(
+      field => fileValues[field] !== graphValues[field]
     );
+    if (fileTask.file_path !== graphTask.file_path) {
+      fields.push('file_path');
+    }
+    return fields;
   }
 
   /**
@@ -227,9 +460,12 @@ export class SyncEngine {
       id: fileTask.id,
       semantic_id: fileTask.semantic_id,
       title: fileTask.title,
-      description: fileTask.description || '',
+      description: FILE_OWNED_FIELDS.description(fileTask),
       status: fileTask.status,
       priority: fileTask.priority,
+      estimate: fileTask.estimate,
+      assignee: fileTask.assignee,
+      lease_expires_at: fileTask.lease_expires_at,
       created_at: fileTask.created_at,
       file_path: fileTask.file_path,
     });
@@ -243,9 +479,12 @@ export class SyncEngine {
   async updateTaskInGraph(fileTask) {
     await this.graph.updateTask(fileTask.id, {
       title: fileTask.title,
-      description: fileTask.description || '',
+      description: FILE_OWNED_FIELDS.description(fileTask),
       status: fileTask.status,
       priority: fileTask.priority,
+      estimate: fileTask.estimate ?? null,
+      assignee: fileTask.assignee || null,
+      lease_expires_at: fileTask.lease_expires_at || null,
       file_path: fileTask.file_path,
     });
 
@@ -256,9 +495,22 @@ export class SyncEngine {
    * Delete task from graph
    */
   async deleteTaskFromGraph(taskId) {
+    await this.graph.deleteCriteria(taskId);
+    await this.graph.setTags(taskId, []);
+
+    // Subtask nodes only exist as part of their task's file
+    await this.graph.execute(
+      `
+      MATCH (t:Task {id: $id})-[rel:PARENT_CHILD]->(child:Task)
+      WHERE rel.relationship_type = 'subtask'
+      DETACH DELETE child
+    `,
+      { id: taskId }
+    );
+
     const query = `
       MATCH (t:Task {id: $id})
-      DELETE t
+      DETACH DELETE t
     `;
 
     await this.graph.execute(query, { id: taskId });
@@ -266,10 +518,13 @@ export class SyncEngine {
   }
 
   /**
-   * Sync task dependencies from file to graph
+   * Sync task dependencies from file to graph. Returns the number of edges
+   * added or removed, and the dependencies whose edge could not be created
+   * (unlinked), such as ones on tasks without a node.
    */
   async syncTaskDependencies(fileTask) {
     let changes = 0;
+    const unlinked = [];
 
     if (!fileTask.dependencies || fileTask.dependencies.length === 0) {
       // Remove all dependencies if none in file
@@ -282,7 +537,7 @@ export class SyncEngine {
         { id: fileTask.id }
       );
 
-      return removed[0]?.count || 0;
+      return { changes: Number(removed[0]?.count || 0), unlinked };
     }
 
     // Get current dependencies from graph
@@ -294,10 +549,14 @@ export class SyncEngine {
     for (const dep of fileTask.dependencies) {
       if (!currentDepIds.has(dep.id)) {
         try {
-          await this.graph.addDependency(fileTask.id, dep.id);
-          changes++;
-          log('debug', `Added dependency: ${fileTask.id} -> ${dep.id}`);
+          if (await this.graph.addDependency(fileTask.id, dep.id)) {
+            changes++;
+            log('debug', `Added dependency: ${fileTask.id} -> ${dep.id}`);
+          } else {
+            unlinked.push(dep.id);
+          }
         } catch (error) {
+          unlinked.push(dep.id);
           log('warn', `Failed to add dependency ${fileTask.id} -> ${dep.id}: ${error.message}`);
         }
       }
@@ -316,7 +575,7 @@ export class SyncEngine {
       }
     }
 
-    return changes;
+    return { changes, unlinked };
   }
 
   /**
@@ -341,7 +600,7 @@ export class SyncEngine {
         `
         MATCH (parent:Task {id: $parentId})-[rel:PARENT_CHILD]->(child:Task)
         WHERE rel.relationship_type = 'subtask'
-        DELETE child
+        DETACH DELETE child
       `,
         { parentId: fileTask.id }
       );
@@ -411,7 +670,7 @@ export class SyncEngine {
         await this.graph.execute(
           `
           MATCH (t:Task {id: $id})
-          DELETE t
+          DETACH DELETE t
         `,
           { id: subtaskId }
         );
@@ -420,32 +679,144 @@ export class SyncEngine {
   }
 
   /**
-   * Verify sync status between files and graph
+   * Sync acceptance criteria for a task, rewriting them only when they differ
+   */
+  async syncCriteria(fileTask) {
+    const criteria = fileTask.acceptance_criteria || [];
+    const current = await this.graph.getCriteria(fileTask.id);
+
+    const unchanged =
+      current.length === criteria.length &&
+      current.every(
+        (row, index) =>
+          row.text === criteria[index].text &&
+          row.is_checked === Boolean(criteria[index].is_checked)
+      );
+
+    if (!unchanged) {
+      await this.graph.setCriteria(fileTask.id, criteria);
+      log('debug', `Synced ${criteria.length} acceptance criteria for ${fileTask.id}`);
+    }
+  }
+
+  /**
+   * Sync tags for a task, relinking them only when they differ
+   */
+  async syncTags(fileTask) {
+    const tags = [...new Set((fileTask.tags || []).map(tag => tag.toLowerCase()))].sort();
+    const current = await this.graph.getTags(fileTask.id);
+
+    if (JSON.stringify(tags) !== JSON.stringify(current)) {
+      await this.graph.setTags(fileTask.id, tags);
+      log('debug', `Synced ${tags.length} tags for ${fileTask.id}`);
+    }
+  }
+
+  /**
+   * Compare files and graph task by task. Each difference is reported as
+   * missing_in_graph, missing_file, conflict (with the conflicts),
+   * fields_differ (with the fields), not_synced (the file changed since it
+   * was last synced) or dependencies_differ (with the missing and extra
+   * DEPENDS_ON edges).
    */
   async verifySyncStatus() {
     try {
-      // Count tasks in files
+      await this.manifest.load();
       const fileTasks = await this.files.listAllTasks();
-      const fileCount = fileTasks.length;
 
-      // Count tasks in graph (excluding subtasks)
+      // Tasks in graph (excluding subtasks)
       const graphResult = await this.graph.execute(`
         MATCH (t:Task)
         WHERE NOT EXISTS {
           MATCH (parent:Task)-[rel:PARENT_CHILD]->(t)
           WHERE rel.relationship_type = 'subtask'
         }
-        RETURN count(t) as count
+        RETURN t
       `);
-      const graphCount = graphResult[0]?.count || 0;
+      const graphTasks = new Map(graphResult.map(row => [row.t.id, row.t]));
+
+      const edges = await this.graph.execute(`
+        MATCH (a:Task)-[:DEPENDS_ON]->(b:Task)
+        RETURN a.id AS from_id, b.id AS to_id
+      `);
+      const graphDeps = new Map();
+      for (const edge of edges) {
+        if (!graphDeps.has(edge.from_id)) {
+          graphDeps.set(edge.from_id, new Set());
+        }
+        graphDeps.get(edge.from_id).add(edge.to_id);
+      }
+
+      const fileTaskIds = new Set(fileTasks.map(task => task.id));
+      const knownIds = new Set([...fileTaskIds, ...graphTasks.keys()]);
+
+      const diff = [];
+      for (const fileTask of fileTasks) {
+        const graphTask = graphTasks.get(fileTask.id);
+        if (!graphTask) {
+          diff.push({
+            task_id: fileTask.id,
+            issue: 'missing_in_graph',
+            file_path: fileTask.file_path,
+          });
+          continue;
+        }
 
-      const inSync = fileCount === graphCount;
+        const conflicts = this.conflictsOf(fileTask, graphTask);
+        const fields = this.changedFields(fileTask, graphTask);
+        const entry = this.manifest.get(fileTask.file_path);
+        const hash = this.files.contentHashOf(fileTask);
+        if (conflicts.length > 0) {
+          diff.push({
+            task_id: fileTask.id,
+            issue: 'conflict',
+            file_path: fileTask.file_path,
+            conflicts,
+          });
+        } else if (fields.length > 0) {
+          diff.push({
+            task_id: fileTask.id,
+            issue: 'fields_differ',
+            file_path: fileTask.file_path,
+            fields,
+          });
+        } else if (
+          entry &&
+          hash &&
+          entry.hash !== hash &&
+          !this.files.isOwnWrite(fileTask.file_path, hash)
+        ) {
+          diff.push({ task_id: fileTask.id, issue: 'not_synced', file_path: fileTask.file_path });
+        }
+
+        const { missing, extra } = this.dependencyDiff(
+          fileTask,
+          graphDeps.get(fileTask.id),
+          knownIds
+        );
+        if (missing.length > 0 || extra.length > 0) {
+          diff.push({
+            task_id: fileTask.id,
+            issue: 'dependencies_differ',
+            file_path: fileTask.file_path,
+            missing,
+            extra,
+          });
+        }
+      }
+
+      for (const [taskId, graphTask] of graphTasks) {
+        if (!fileTaskIds.has(taskId)) {
+          diff.push({ task_id: taskId, issue: 'missing_file', file_path: graphTask.file_path });
+        }
+      }
 
       return {
-        in_sync: inSync,
-        file_count: fileCount,
-        graph_count: graphCount,
-        difference: fileCount - graphCount,
+        in_sync: diff.length === 0,
+        file_count: fileTasks.length,
+        graph_count: graphTasks.size,
+        difference: fileTasks.length - graphTasks.size,
+        diff,
       };
     } catch (error) {
       log('error', `Failed to verify sync status: ${error.message}`);
@@ -453,6 +824,146 @@ export class SyncEngine {
     }
   }
 
+  /**
+   * DEPENDS_ON edges a task file lists but the graph lacks (missing), and
+   * edges the graph has but the file doesn't list (extra). Dependencies on
+   * tasks that exist nowhere can't be linked, so they aren't missing.
+   */
+  dependencyDiff(fileTask, graphDepIds = new Set(), knownIds = new Set()) {
+    const fileDepIds = new Set((fileTask.dependencies || []).map(dep => dep.id));
+
+    return {
+      missing: [...fileDepIds].filter(id => !graphDepIds.has(id) && knownIds.has(id)),
+      extra: [...graphDepIds].filter(id => !fileDepIds.has(id)),
+    };
+  }
+
+  /**
+   * Why the graph database can't be used, or null when it opens and answers
+   * queries. A database that failed to open is tried again.
+   */
+  async checkGraph() {
+    try {
+      await this.graph.initialize();
+      await this.graph.execute('MATCH (t:Task) RETURN count(t) AS count');
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  /**
+   * Recreate the graph from all task files. A database that can't be used
+   * (see checkGraph) is replaced by an empty one, otherwise the graph is
+   * cleared. Unlike clearGraph, the manifest is kept, so graph-owned
+   * fields are restored on the recreated tasks.
+   */
+  async rebuildGraph() {
+    try {
+      const graphError = await this.checkGraph();
+      let backupPath = null;
+      if (graphError) {
+        log('warn', `Graph database unusable, replacing it: ${graphError}`);
+        ({ backup_path: backupPath } = await this.graph.rebuild());
+      } else {
+        await this.deleteGraphData();
+      }
+
+      const result = await this.syncFilesToGraph({ full: true });
+      return { ...result, status: 'rebuilt', backup_path: backupPath };
+    } catch (error) {
+      log('error', `Failed to rebuild graph: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Plan what would bring the graph back in line with the task files,
+   * without changing anything. Actions are rebuild (the database can't be
+   * used; every task is recreated), create, update, delete and relink
+   * (dependency edges). Conflicts need a decision, so they are listed as
+   * skipped instead.
+   */
+  async planRepair() {
+    try {
+      const graphError = await this.checkGraph();
+      if (graphError) {
+        const fileTasks = await this.files.listAllTasks();
+        return {
+          graph_error: graphError,
+          actions: [{ action: 'rebuild', reason: graphError, task_count: fileTasks.length }],
+          skipped: [],
+        };
+      }
+
+      const status = await this.verifySyncStatus();
+      const actions = [];
+      const skipped = [];
+      for (const entry of status.diff) {
+        const { task_id, file_path } = entry;
+        switch (entry.issue) {
+          case 'missing_in_graph':
+            actions.push({ action: 'create', task_id, file_path });
+            break;
+          case 'missing_file':
+            actions.push({ action: 'delete', task_id });
+            break;
+          case 'fields_differ':
+            actions.push({ action: 'update', task_id, file_path, fields: entry.fields });
+            break;
+          case 'not_synced':
+            actions.push({ action: 'update', task_id, file_path });
+            break;
+          case 'dependencies_differ':
+            actions.push({
+              action: 'relink',
+              task_id,
+              file_path,
+              add: entry.missing,
+              remove: entry.extra,
+            });
+            break;
+          case 'conflict':
+            skipped.push({
+              task_id,
+              reason: 'conflict',
+              fields: entry.conflicts.map(conflict => conflict.field),
+            });
+            break;
+        }
+      }
+
+      return { graph_error: null, actions, skipped };
+    } catch (error) {
+      log('error', `Failed to plan repair: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Carry out a plan from planRepair. A rebuild recreates the graph;
+   * otherwise a full sync makes the changes, and dependency edges are
+   * relinked for conflicting tasks too, which the sync leaves alone.
+   */
+  async applyRepair(plan) {
+    try {
+      if (plan.actions.length === 0) {
+        return { status: 'in_sync', changes: 0, details: null, backup_path: null };
+      }
+
+      if (plan.actions.some(action => action.action === 'rebuild')) {
+        return await this.rebuildGraph();
+      }
+
+      const result = await this.syncFilesToGraph({ full: true });
+      const dependencies = await this.repairDependencies();
+      return { ...result, status: 'repaired', backup_path: null, dependencies };
+    } catch (error) {
+      log('error', `Failed to apply repair: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Sync a single task from file to graph
    */
@@ -467,13 +978,20 @@ export class SyncEngine {
       // Check if exists in graph
       const existing = await this.graph.getTask(taskId);
 
+      if (existing && (await this.reportConflicts(task, existing))) {
+        return { task_id: taskId, synced: false, conflicts: this.conflictsOf(task, existing) };
+      }
+
       if (existing) {
         // Update existing
         await this.graph.updateTask(taskId, {
           title: task.title,
-          description: task.description,
+          description: FILE_OWNED_FIELDS.description(task),
           status: task.status,
           priority: task.priority,
+          estimate: task.estimate ?? null,
+          assignee: task.assignee || null,
+          lease_expires_at: task.lease_expires_at || null,
           file_path: task.file_path,
         });
 
@@ -494,6 +1012,7 @@ export class SyncEngine {
       } else {
         // Create new
         await this.graph.createTask(task);
+        await this.restoreGraphFields(taskId);
 
         // Add dependencies
         if (task.dependencies) {
@@ -503,6 +1022,10 @@ export class SyncEngine {
         }
       }
 
+      await this.syncCriteria(task);
+      await this.syncTags(task);
+      await this.recordSynced(task, this.files.contentHashOf(task), existing);
+
       log('info', `Synced task ${taskId} to graph`);
 
       return { task_id: taskId, synced: true };
@@ -517,14 +1040,11 @@ export class SyncEngine {
    */
   async clearGraph() {
     try {
-      // Delete all DEPENDS_ON relationships
-      await this.graph.execute('MATCH (a:Task)-[r:DEPENDS_ON]->(b:Task) DELETE r');
-
-      // Delete all parent-child relationships
-      await this.graph.execute('MATCH (a:Task)-[r:PARENT_CHILD]->(b:Task) DELETE r');
+      await this.deleteGraphData();
 
-      // Then delete all Task nodes
-      await this.graph.execute('MATCH (n:Task) DELETE n');
+      // Nothing is synced any more
+      this.manifest.clear();
+      await this.manifest.save();
 
       log('info', 'Cleared all graph data');
     } catch (error) {
@@ -533,74 +1053,69 @@ export class SyncEngine {
     }
   }
 
+  /**
+   * Delete all nodes and edges from the graph
+   */
+  async deleteGraphData() {
+    // Delete acceptance criteria and tags along with their edges
+    await this.graph.execute('MATCH (c:Criterion) DETACH DELETE c');
+    await this.graph.execute('MATCH (g:Tag) DETACH DELETE g');
+
+    // Delete all DEPENDS_ON relationships
+    await this.graph.execute('MATCH (a:Task)-[r:DEPENDS_ON]->(b:Task) DELETE r');
+
+    // Delete all parent-child relationships
+    await this.graph.execute('MATCH (a:Task)-[r:PARENT_CHILD]->(b:Task) DELETE r');
+
+    // Then delete all Task nodes, detaching any edges Kuzu still tracks
+    await this.graph.execute('MATCH (n:Task) DETACH DELETE n');
+  }
+
   /**
    * Clear sync cache (useful after major operations)
    */
   clearCache() {
     this.syncCache.clear();
     this.lastSyncTime = null;
+    // Rebuilt from scratch on next search
+    this.searchIndex.built = false;
     log('debug', 'Sync cache cleared');
   }
 
   /**
-   * Repair broken dependencies
+   * Relink DEPENDS_ON edges to match the task files, for every task in the
+   * graph. Cycles come from the files, so they are reported for a file
+   * edit rather than broken in the graph, where the next sync would
+   * restore them.
    */
   async repairDependencies() {
     try {
       const issues = [];
 
-      // Find dependencies pointing to non-existent tasks
-      const missingDeps = await this.graph.execute(`
-        MATCH (t1:Task)-[d:DEPENDS_ON]->(t2:Task)
-        WHERE t2 IS NULL
-        RETURN t1.id as task_id, d as dependency
-      `);
-
-      // Remove broken dependencies
-      for (const row of missingDeps) {
-        issues.push({
-          type: 'missing_dependency',
-          task_id: row.task_id,
-          action: 'removed',
-        });
-
-        await this.graph.execute(
-          `
-          MATCH (t:Task {id: $id})-[d:DEPENDS_ON]->()
-          WHERE NOT EXISTS { MATCH (t)-[d]->(t2:Task) }
-          DELETE d
-        `,
-          { id: row.task_id }
-        );
+      const graphTaskIds = new Set((await this.getAllGraphTasks()).map(task => task.id));
+      for (const fileTask of await this.files.listAllTasks()) {
+        if (
+          graphTaskIds.has(fileTask.id) &&
+          (await this.syncTaskDependencies(fileTask)).changes > 0
+        ) {
+          issues.push({ type: 'dependencies_differ', task_id: fileTask.id, action: 'relinked' });
+        }
       }
+      const fixed = issues.length;
 
-      // Find and fix circular dependencies
       const circles = await this.graph.detectCircularDependencies();
-
       for (const circle of circles) {
         issues.push({
           type: 'circular_dependency',
           task_id: circle.task_id,
           cycle: circle.cycle,
-          action: 'breaking_cycle',
+          action: 'edit_file',
         });
-
-        // Break the cycle by removing the last dependency
-        const lastId = circle.cycle[circle.cycle.length - 1];
-        const firstId = circle.cycle[0];
-
-        await this.graph.execute(
-          `
-          MATCH (t1:Task {id: $lastId})-[d:DEPENDS_ON]->(t2:Task {id: $firstId})
-          DELETE d
-        `,
-          { lastId, firstId }
-        );
       }
 
-      log('info', `Repaired ${issues.length} dependency issues`);
+      log('info', `Repaired ${fixed} dependency issues`);
 
-      return { issues_fixed: issues.length, details: issues };
+      return { issues_fixed: fixed, details: issues };
     } catch (error) {
       log('error', `Failed to repair dependencies: ${error.message}`);
       throw error;
@@ -647,8 +1162,24 @@ export class SyncEngine {
    * Record a change made by MCP operation
    */
   recordMcpChange(taskId, changeType = 'updated') {
-    this.mcpChanges.add(taskId);
+    this.searchIndexPending.add(taskId);
     log('debug', `Recorded MCP change: ${taskId} (${changeType})`);
+
+    // The graph was updated along with the file, so its content is synced.
+    // Until the manifest is loaded, the first sync records it instead.
+    if (!this.manifest.loaded) {
+      return;
+    }
+
+    if (changeType === 'deleted') {
+      this.manifest.deleteTask(taskId);
+      return;
+    }
+
+    const written = this.files.ownWriteOf(taskId);
+    if (written) {
+      this.manifest.set(written.file_path, { task_id: taskId, hash: written.hash });
+    }
   }
 
   /**
@@ -668,8 +1199,17 @@ export class SyncEngine {
         }
       }
 
+      if (task.acceptance_criteria && task.acceptance_criteria.length > 0) {
+        await this.graph.setCriteria(task.id, task.acceptance_criteria);
+      }
+
+      if (task.tags && task.tags.length > 0) {
+        await this.graph.setTags(task.id, task.tags);
+      }
+
       // Record that we synced this
       this.recordMcpChange(task.id, 'created');
+      this.recordOwnValues(task.id, fileOwnedValues(task));
 
       log('debug', `Synced new task ${task.id} to graph`);
     } catch (error) {
@@ -685,6 +1225,23 @@ export class SyncEngine {
     try {
       await this.graph.updateTask(taskId, updates);
       this.recordMcpChange(taskId, 'updated');
+      this.recordOwnValues(
+        taskId,
+        Object.fromEntries(
+          Object.entries(FILE_OWNED_FIELDS)
+            .filter(([field]) => field in updates)
+            .map(([field, value]) => [field, value(updates)])
+        )
+      );
+
+      // Moved or renamed through MCP: not a path change to detect later
+      const knownPath = this.manifest.pathOf(taskId);
+      if (updates.file_path && knownPath && knownPath !== updates.file_path) {
+        this.manifest.set(updates.file_path, {
+          task_id: taskId,
+          hash: this.manifest.get(knownPath).hash,
+        });
+      }
 
       log('debug', `Synced task update ${taskId} to graph`);
     } catch (error) {
@@ -694,7 +1251,9 @@ export class SyncEngine {
   }
 
   /**
-   * Detect files that have been modified externally
+   * Detect files that have been created, modified, moved, renamed or
+   * deleted externally since they were last synced. Content is compared by
+   * hash, so touching a file is not a change.
    */
   async detectExternalChanges() {
     try {
@@ -706,27 +1265,47 @@ export class SyncEngine {
         return changes;
       }
 
+      await this.manifest.load();
+
       // Scan all task files
       const allTasks = await this.files.listAllTasks();
+      const present = new Set();
 
       for (const task of allTasks) {
         const filePath = task.file_path;
-        const stats = await fs.stat(filePath);
-        const lastKnownTime = this.fileTimestamps.get(filePath);
-
-        // Check if file is new or modified
-        if (!lastKnownTime || stats.mtimeMs > lastKnownTime) {
-          // Only count as external change if we didn't just modify it
-          if (!this.mcpChanges.has(task.id)) {
-            changes.push({
-              taskId: task.id,
-              filePath: filePath,
-              type: lastKnownTime ? 'modified' : 'created',
-            });
-          }
+        present.add(task.id);
+
+        // Moved to another status directory or renamed since the last sync
+        const knownPath = this.manifest.pathOf(task.id);
+        let change =
+          knownPath && knownPath !== filePath
+            ? await this.describePathChange(task.id, knownPath, filePath)
+            : null;
+
+        // Only count as external change if the content isn't ours or already synced
+        const hash = this.files.contentHashOf(task);
+        if (this.hasNewContent(task.id, filePath, hash) && !change) {
+          change = {
+            taskId: task.id,
+            filePath: filePath,
+            type: knownPath ? 'modified' : 'created',
+          };
+        }
+
+        if (change) {
+          changes.push(change);
+        }
+      }
 
-          // Update our timestamp record
-          this.fileTimestamps.set(filePath, stats.mtimeMs);
+      // Tasks synced before whose file is gone
+      for (const taskId of this.manifest.taskIds()) {
+        if (!present.has(taskId)) {
+          const filePath = this.manifest.pathOf(taskId);
+          this.manifest.deleteTask(taskId);
+          const change = await this.describePathChange(taskId, filePath, null);
+          if (change) {
+            changes.push(change);
+          }
         }
       }
 
@@ -738,11 +1317,72 @@ export class SyncEngine {
     }
   }
 
+  /**
+   * Describe a task file that left filePath: moved to another status
+   * directory, renamed in place, or deleted (newPath null). Returns null
+   * when this process did it and the graph already follows.
+   */
+  async describePathChange(taskId, filePath, newPath) {
+    if (this.files.isOwnRemoval(filePath)) {
+      return null;
+    }
+
+    const graphTask = await this.graph.getTask(taskId);
+    if (!graphTask || graphTask.file_path === newPath) {
+      return null;
+    }
+
+    if (!newPath) {
+      return { taskId, filePath, type: 'deleted' };
+    }
+
+    const type = path.dirname(filePath) === path.dirname(newPath) ? 'renamed' : 'moved';
+    return { taskId, filePath: newPath, previousPath: filePath, type };
+  }
+
+  /**
+   * Apply an external change to the graph; deletes, moves and renames
+   * are also journaled as external.*
+   */
+  async applyExternalChange(change) {
+    this.searchIndexPending.add(change.taskId);
+
+    if (change.type === 'deleted') {
+      await this.deleteTaskFromGraph(change.taskId);
+      this.manifest.deleteTask(change.taskId);
+    } else {
+      await this.syncTaskToGraph(change.taskId);
+    }
+
+    if (!this.journal) {
+      return;
+    }
+
+    if (change.type === 'deleted') {
+      await this.journal.logExternalChange('deleted', change.taskId, {
+        file_path: change.filePath,
+      });
+    } else if (change.type === 'moved') {
+      await this.journal.logExternalChange('moved', change.taskId, {
+        from: change.previousPath,
+        to: change.filePath,
+        old_status: path.basename(path.dirname(change.previousPath)),
+        new_status: path.basename(path.dirname(change.filePath)),
+      });
+    } else if (change.type === 'renamed') {
+      await this.journal.logExternalChange('renamed', change.taskId, {
+        from: change.previousPath,
+        to: change.filePath,
+      });
+    }
+  }
+
   /**
    * Sync only changed files
    */
   async syncChangedFiles() {
     const changes = await this.detectExternalChanges();
+    await this.refreshSearchIndex();
 
     if (changes.length === 0) {
       log('debug', 'No external changes detected');
@@ -753,26 +1393,222 @@ export class SyncEngine {
 
     for (const change of changes) {
       try {
-        const task = await this.files.readTaskFile(change.taskId);
-        if (task) {
-          await this.syncTaskToGraph(change.taskId);
-        }
+        await this.applyExternalChange(change);
       } catch (error) {
         log('error', `Failed to sync changed file ${change.taskId}: ${error.message}`);
       }
     }
-
-    // Clear MCP changes after successful sync
-    this.mcpChanges.clear();
+    await this.manifest.save();
 
     return { changes: changes.length };
   }
 
+  /**
+   * Whether a task file needs syncing: its content (by hash) is neither the
+   * one last synced nor written by this process. Own writes are recorded in
+   * the manifest as synced, since the graph was updated along with them.
+   */
+  hasNewContent(taskId, filePath, hash) {
+    if (!hash) {
+      return true;
+    }
+
+    const entry = this.manifest.get(filePath);
+    if (entry?.task_id === taskId && entry.hash === hash) {
+      return false;
+    }
+
+    if (this.files.isOwnWrite(filePath, hash)) {
+      this.manifest.set(filePath, { task_id: taskId, hash });
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Watch the status directories and sync changed files as they change
+   * instead of on the next scan. options go to FileWatcher ({ mode,
+   * debounce, pollInterval }); returns the mode in use.
+   */
+  async startWatching(options = {}) {
+    if (this.watcher) {
+      return this.watcher.mode;
+    }
+
+    const dirs = this.files.statusDirs.map(status => path.join(this.files.tasksDir, status));
+    this.watcher = new FileWatcher(dirs, options);
+
+    const mode = await this.watcher.start(paths => {
+      for (const filePath of paths) {
+        this.changedPaths.add(filePath);
+      }
+      this.processQueue();
+    });
+
+    log('info', `Watching task files for changes (${mode})`);
+    return mode;
+  }
+
+  /**
+   * Stop the file watcher and wait for the sync run in progress
+   */
+  async stopWatching() {
+    if (this.watcher) {
+      this.watcher.stop();
+      this.watcher = null;
+    }
+    await this.queueRun;
+    await this.manifest.save();
+  }
+
+  /**
+   * Sync the queued file changes. Runs are chained so they never overlap,
+   * and calls made before the next run starts share it.
+   */
+  processQueue() {
+    if (!this.nextQueueRun) {
+      this.nextQueueRun = this.queueRun.then(() => {
+        this.nextQueueRun = null;
+        return this.syncQueuedFiles();
+      });
+      this.queueRun = this.nextQueueRun;
+    }
+    return this.nextQueueRun;
+  }
+
+  async syncQueuedFiles() {
+    const paths = [...this.changedPaths];
+    this.changedPaths.clear();
+
+    // Existing files first, so a move is seen at its new path before the old one is missed
+    const exists = await Promise.all(
+      paths.map(filePath =>
+        fs.access(filePath).then(
+          () => true,
+          () => false
+        )
+      )
+    );
+    const ordered = [
+      ...paths.filter((_, index) => exists[index]),
+      ...paths.filter((_, index) => !exists[index]),
+    ];
+
+    let changes = 0;
+    for (const filePath of ordered) {
+      try {
+        if (await this.syncChangedFile(filePath)) {
+          changes++;
+        }
+      } catch (error) {
+        log('error', `Failed to sync changed file ${filePath}: ${error.message}`);
+      }
+    }
+
+    if (changes > 0) {
+      log('info', `Synced ${changes} changed task files`);
+    }
+    await this.manifest.save();
+    return { changes };
+  }
+
+  /**
+   * Sync one file reported by the watcher. Returns false when there was
+   * nothing to do: the change was this process's own, or already synced.
+   */
+  async syncChangedFile(filePath) {
+    let task;
+    try {
+      task = await this.files.loadTaskFile(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return this.syncRemovedFile(filePath);
+      }
+      throw error;
+    }
+
+    if (!task.id) {
+      return false;
+    }
+
+    await this.manifest.load();
+    const knownPath = this.manifest.pathOf(task.id);
+    const moved =
+      knownPath && knownPath !== filePath
+        ? await this.describePathChange(task.id, knownPath, filePath)
+        : null;
+
+    if (!this.hasNewContent(task.id, filePath, this.files.contentHashOf(task)) && !moved) {
+      return false;
+    }
+
+    const type = knownPath ? 'modified' : 'created';
+    await this.applyExternalChange(moved || { taskId: task.id, filePath, type });
+
+    return true;
+  }
+
+  /**
+   * A watched file disappeared: the task moved or was renamed if its file
+   * is found elsewhere, otherwise it was deleted
+   */
+  async syncRemovedFile(filePath) {
+    await this.manifest.load();
+    const taskId = this.manifest.get(filePath)?.task_id;
+    if (!taskId || this.manifest.pathOf(taskId) !== filePath) {
+      return false;
+    }
+
+    const task = await this.files.readTaskFile(taskId);
+    if (!task) {
+      this.manifest.deleteTask(taskId);
+    }
+
+    const change = await this.describePathChange(taskId, filePath, task?.file_path || null);
+    if (!change) {
+      return false;
+    }
+
+    await this.applyExternalChange(change);
+    return true;
+  }
+
+  /**
+   * Re-index the tasks changed since the last refresh
+   */
+  async refreshSearchIndex() {
+    if (this.searchIndexPending.size === 0) {
+      return;
+    }
+
+    const taskIds = [...this.searchIndexPending];
+    this.searchIndexPending.clear();
+
+    try {
+      await this.searchIndex.refresh(taskIds);
+    } catch (error) {
+      // Rebuilt from scratch on next search
+      log('warn', `Failed to refresh search index: ${error.message}`);
+      this.searchIndex.built = false;
+    }
+  }
+
   /**
    * Smart sync that handles both MCP and external changes
    */
   async smartSync(priority = 'medium') {
     try {
+      // With a watcher, changes are queued as they happen; sync them now
+      if (this.watcher) {
+        this.watcher.flush();
+        const queued = await this.processQueue();
+        await this.refreshSearchIndex();
+        if (priority !== 'high') {
+          return queued;
+        }
+      }
+
       // High priority always checks for changes
       if (priority === 'high') {
         return await this.syncChangedFiles();
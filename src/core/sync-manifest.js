@@ -0,0 +1,154 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { log } from '../utils/logger.js';
+import { writeFileAtomic } from '../storage/file-lock.js';
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * Persisted record of what the graph was last synced from, kept in
+ * .sync-manifest.json: for each task file, the hash of the content synced,
+ * the graph version it was written as (the task node's sync_version), the
+ * file-owned field values synced (fields) and the preserved graph-owned
+ * ones (graph_fields). Paths are stored relative to the tasks directory.
+ */
+export class SyncManifest {
+  constructor(tasksDir) {
+    this.tasksDir = tasksDir;
+    this.manifestPath = path.join(tasksDir, '.sync-manifest.json');
+    this.byPath = new Map(); // relative path -> { task_id, hash, graph_version, fields, graph_fields }
+    this.byTask = new Map(); // task ID -> relative path
+    this.loaded = false;
+    this.dirty = false;
+  }
+
+  /**
+   * Read the manifest; a missing or unreadable one starts empty, which
+   * makes the next sync a full one
+   */
+  async load() {
+    if (this.loaded) {
+      return;
+    }
+    this.loaded = true;
+
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(this.manifestPath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log('warn', `Ignoring unreadable sync manifest: ${error.message}`);
+      }
+      return;
+    }
+
+    if (data.version !== MANIFEST_VERSION || typeof data.files !== 'object') {
+      log('warn', `Ignoring sync manifest with unknown version ${data.version}`);
+      return;
+    }
+
+    for (const [relative, entry] of Object.entries(data.files)) {
+      this.byPath.set(relative, entry);
+      this.byTask.set(entry.task_id, relative);
+    }
+  }
+
+  /**
+   * Write the manifest if it changed. Failures are logged, not thrown: a
+   * stale manifest only costs a larger sync after the next restart.
+   */
+  async save() {
+    if (!this.dirty) {
+      return;
+    }
+
+    const files = Object.fromEntries([...this.byPath].sort(([a], [b]) => a.localeCompare(b)));
+    const content = JSON.stringify(
+      { version: MANIFEST_VERSION, updated_at: new Date().toISOString(), files },
+      null,
+      2
+    );
+
+    try {
+      await writeFileAtomic(this.manifestPath, `${content}\n`);
+      this.dirty = false;
+    } catch (error) {
+      log('warn', `Failed to save sync manifest: ${error.message}`);
+    }
+  }
+
+  relative(filePath) {
+    return path.relative(this.tasksDir, filePath);
+  }
+
+  /**
+   * The entry for a task file, or undefined
+   */
+  get(filePath) {
+    return this.byPath.get(this.relative(filePath));
+  }
+
+  /**
+   * Absolute path of the file a task was last synced from
+   */
+  pathOf(taskId) {
+    const relative = this.byTask.get(taskId);
+    return relative === undefined ? undefined : path.join(this.tasksDir, relative);
+  }
+
+  /**
+   * Record what a task file was synced from. Anything not given is kept
+   * from the task's previous entry; graph_version starts at 0.
+   */
+  set(filePath, entry) {
+    const relative = this.relative(filePath);
+    const previous = this.byTask.get(entry.task_id);
+    const previousEntry = this.byPath.get(previous);
+
+    if (previous !== undefined && previous !== relative) {
+      this.byPath.delete(previous);
+    }
+    this.byPath.set(relative, {
+      task_id: entry.task_id,
+      graph_version: 0,
+      ...previousEntry,
+      ...entry,
+    });
+    this.byTask.set(entry.task_id, relative);
+    this.dirty = true;
+  }
+
+  /**
+   * Forget a task, e.g. when its file is gone
+   */
+  deleteTask(taskId) {
+    const relative = this.byTask.get(taskId);
+    if (relative === undefined) {
+      return;
+    }
+
+    this.byTask.delete(taskId);
+    if (this.byPath.get(relative)?.task_id === taskId) {
+      this.byPath.delete(relative);
+    }
+    this.dirty = true;
+  }
+
+  /**
+   * Task IDs of every entry
+   */
+  taskIds() {
+    return [...this.byTask.keys()];
+  }
+
+  /**
+   * Forget everything, e.g. after the graph was cleared
+   */
+  clear() {
+    this.byPath.clear();
+    this.byTask.clear();
+    this.dirty = true;
+  }
+}
+
+export default SyncManifest;
@@ -1,8 +1,34 @@
 import crypto from 'crypto';
+import os from 'os';
 import { log } from '../utils/logger.js';
 import { SyncEngine } from './sync-engine.js';
 import { SimpleJournal } from './journal.js';
 import { TaskDecompositionService } from './llm-service.js';
+import { parseTaskQuery, parseTaskSort } from './task-query.js';
+import { parsePlan } from './plan-parser.js';
+import { EXPORT_FORMATS, renderGraph, streamOf } from './graph-export.js';
+import { computeSchedule, goalSubgraph } from './scheduler.js';
+import { summarizeTime, trackTime } from './time-tracking.js';
+import { RESOLUTIONS } from './sync-conflicts.js';
+import {
+  normalizeStrategy,
+  normalizeWeights,
+  rankCandidates,
+  strategyInputs,
+} from './next-task-strategies.js';
+import {
+  AmbiguousTaskReferenceError,
+  DuplicateTaskError,
+  InvalidBatchError,
+  InvalidDependencyError,
+  LeaseConflictError,
+  UnknownConflictError,
+  UnmetCriteriaError,
+} from './errors.js';
+
+// Longest dependency chain followed by transitive queries (Kuzu's default
+// upper bound for variable-length paths)
+const MAX_DEPENDENCY_DEPTH = 30;
 
 /**
  * Core task management logic combining file storage and graph operations
@@ -11,9 +37,30 @@ export class TaskManager {
   constructor(fileStorage, graphConnection, options = {}) {
     this.files = fileStorage;
     this.graph = graphConnection;
-    this.sync = new SyncEngine(fileStorage, graphConnection);
     this.journal = new SimpleJournal(fileStorage.tasksDir);
+    this.sync = new SyncEngine(fileStorage, graphConnection, { journal: this.journal });
     this.decomposition = new TaskDecompositionService(options.decomposition);
+
+    // How createTask treats tasks that look like existing ones
+    this.duplicates = {
+      policy: this.normalizeDuplicatePolicy(options.duplicates?.policy || 'warn'),
+      threshold: options.duplicates?.threshold ?? 0.6,
+    };
+
+    // How findNextTask picks among the actionable tasks
+    this.nextTask = {
+      strategy: normalizeStrategy(options.nextTask?.strategy || 'priority-fifo'),
+      weights: normalizeWeights(options.nextTask?.weights),
+    };
+
+    // Who this session claims tasks as, and for how many minutes by default
+    this.leases = {
+      assignee: options.leases?.assignee || `${os.hostname()}-${process.pid}`,
+      minutes: this.normalizeLeaseMinutes(options.leases?.minutes ?? 30),
+    };
+
+    // File watcher options ({ mode, debounce, pollInterval }), or null to rely on scans
+    this.watch = options.watch || null;
   }
 
   /**
@@ -24,6 +71,15 @@ export class TaskManager {
     await this.graph.initialize();
     await this.journal.initialize();
 
+    // Record what the startup recovery of the tasks directory repaired
+    const recovery = this.files.recovery;
+    if (
+      recovery &&
+      (recovery.interrupted || recovery.temp_files.length || recovery.duplicates.length)
+    ) {
+      await this.journal.logOperation('files.recovered', recovery);
+    }
+
     // Initial sync on startup
     const syncResult = await this.sync.ensureSynced();
 
@@ -32,6 +88,11 @@ export class TaskManager {
       await this.journal.logSyncPerformed(syncResult);
     }
 
+    // Pick up edits made outside of MCP as they happen
+    if (this.watch) {
+      await this.sync.startWatching(this.watch);
+    }
+
     log('info', 'Task Manager initialized');
   }
 
@@ -69,9 +130,10 @@ export class TaskManager {
   }
 
   /**
-   * Calculate phase based on dependencies
+   * Calculate phase based on dependencies. Tasks not written yet (e.g. earlier
+   * items of a batch) can be passed as pending.
    */
-  async calculatePhase(dependencies) {
+  async calculatePhase(dependencies, pending = []) {
     if (!dependencies || dependencies.length === 0) {
       return 1; // Base phase for tasks with no dependencies
     }
@@ -82,7 +144,8 @@ export class TaskManager {
     // Find the highest phase among dependencies
     for (const depId of dependencies) {
       try {
-        const depTask = await this.files.readTaskFile(depId);
+        const depTask =
+          pending.find(task => task.id === depId) || (await this.files.readTaskFile(depId));
         if (depTask && depTask.semantic_id) {
           // Extract phase from semantic ID (e.g., "SYNC-2.01" -> 2)
           const match = depTask.semantic_id.match(/[A-Z]+-(\d+)\./);
@@ -103,10 +166,11 @@ export class TaskManager {
   }
 
   /**
-   * Get next sequence number for stream-phase combination
+   * Get next sequence number for stream-phase combination. Pass the task list
+   * to avoid rescanning the files.
    */
-  async getNextSequence(stream, phase) {
-    const tasks = await this.files.listAllTasks();
+  async getNextSequence(stream, phase, tasks = null) {
+    tasks = tasks || (await this.files.listAllTasks());
     let maxSequence = 0;
 
     // Find highest sequence for this stream-phase
@@ -135,37 +199,86 @@ export class TaskManager {
   }
 
   /**
-   * Create a new task
+   * Check that every dependency exists and return the internal task IDs.
+   * With resolveSemanticIds, semantic IDs (e.g. API-1.02) are accepted too.
    */
-  async createTask({ title, description, priority = 'medium', dependencies = [], parent_id }) {
-    try {
-      // Validate required fields
-      if (title === undefined || title === null) {
-        throw new Error('Title is required');
-      }
+  async resolveDependencyIds(dependencies, { resolveSemanticIds = false } = {}) {
+    const resolved = [];
+    const invalid = [];
+    let allTasks = null;
 
-      if (typeof title !== 'string' || title.trim() === '') {
-        throw new Error('Title cannot be empty');
+    for (const depId of dependencies) {
+      let depTask = await this.files.readTaskFile(depId);
+
+      if (!depTask && resolveSemanticIds) {
+        allTasks = allTasks || (await this.files.listAllTasks());
+        depTask = allTasks.find(task => task.semantic_id === depId) || null;
       }
 
-      // Validate priority
-      const validPriorities = ['high', 'medium', 'low'];
-      if (!validPriorities.includes(priority)) {
-        throw new Error(
-          `Invalid priority: ${priority}. Must be one of: ${validPriorities.join(', ')}`
-        );
+      if (!depTask) {
+        invalid.push(depId);
+      } else if (!resolved.includes(depTask.id)) {
+        resolved.push(depTask.id);
       }
+    }
 
-      // Validate dependencies is an array
-      if (!Array.isArray(dependencies)) {
-        throw new Error('Dependencies must be an array');
+    if (invalid.length > 0) {
+      throw new InvalidDependencyError(invalid);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Create a new task
+   */
+  async createTask({
+    title,
+    description,
+    priority = 'medium',
+    dependencies = [],
+    parent_id,
+    resolve_semantic_ids = false,
+    acceptance_criteria = [],
+    tags = [],
+    estimate,
+    duplicate_policy,
+  }) {
+    try {
+      this.validateNewTask({ title, priority, dependencies });
+
+      const taskEstimate = this.normalizeEstimate(estimate);
+      const criteria = this.normalizeCriteria(acceptance_criteria);
+      const taskTags = this.normalizeTags(tags);
+
+      const policy = this.normalizeDuplicatePolicy(duplicate_policy || this.duplicates.policy);
+
+      // Reject dangling dependencies before anything is written
+      const dependencyIds = await this.resolveDependencyIds(dependencies, {
+        resolveSemanticIds: resolve_semantic_ids,
+      });
+
+      // Look for open tasks describing the same work. Children created by
+      // decomposition are expected to resemble their parent, so skip them.
+      const duplicates = parent_id ? [] : await this.findDuplicates(title, description);
+      if (duplicates.length > 0) {
+        if (policy === 'reject') {
+          throw new DuplicateTaskError(title, duplicates);
+        }
+        if (policy === 'merge-as-note') {
+          return await this.mergeDuplicate(duplicates, { title, description });
+        }
+        log(
+          'warn',
+          `Task "${title}" looks like a duplicate of ${duplicates.map(d => d.id).join(', ')}`
+        );
       }
 
       // Generate unique ID
       const id = this.generateTaskId(title);
 
       // Generate semantic ID
-      const semantic_id = await this.generateSemanticId(title, description, dependencies);
+      const semantic_id = await this.generateSemanticId(title, description, dependencyIds);
 
       const task = {
         id,
@@ -175,8 +288,10 @@ export class TaskManager {
         priority,
         status: 'pending',
         created_at: new Date().toISOString(),
-        dependencies: dependencies.map(depId => ({ id: depId, status: 'unknown' })),
+        dependencies: dependencyIds.map(depId => ({ id: depId, status: 'unknown' })),
         subtasks: [],
+        acceptance_criteria: criteria.map(text => ({ text, is_checked: false })),
+        tags: taskTags,
         files: [],
         notes: [],
       };
@@ -186,6 +301,10 @@ export class TaskManager {
         task.parent_id = parent_id;
       }
 
+      if (taskEstimate !== null) {
+        task.estimate = taskEstimate;
+      }
+
       // Create file first
       const filePath = await this.files.createTaskFile(task);
       task.file_path = filePath;
@@ -198,7 +317,7 @@ export class TaskManager {
 
       log('info', `Created task: ${semantic_id} (${id}) - ${title}`);
 
-      return { id, semantic_id, title, file_path: filePath };
+      return { id, semantic_id, title, file_path: filePath, duplicates };
     } catch (error) {
       log('error', `Failed to create task: ${error.message}`);
       throw error;
@@ -206,162 +325,1575 @@ export class TaskManager {
   }
 
   /**
-   * Get a task by ID
+   * Validate the title, priority and dependency list of a new task
+   */
+  validateNewTask({ title, priority, dependencies }) {
+    // Validate required fields
+    if (title === undefined || title === null) {
+      throw new Error('Title is required');
+    }
+
+    if (typeof title !== 'string' || title.trim() === '') {
+      throw new Error('Title cannot be empty');
+    }
+
+    // Validate priority
+    const validPriorities = ['high', 'medium', 'low'];
+    if (!validPriorities.includes(priority)) {
+      throw new Error(
+        `Invalid priority: ${priority}. Must be one of: ${validPriorities.join(', ')}`
+      );
+    }
+
+    // Validate dependencies is an array
+    if (!Array.isArray(dependencies)) {
+      throw new Error('Dependencies must be an array');
+    }
+  }
+
+  /**
+   * Validate an estimate (points or hours); null when not set
+   */
+  normalizeEstimate(estimate) {
+    if (estimate === undefined || estimate === null) {
+      return null;
+    }
+    if (typeof estimate !== 'number' || !Number.isFinite(estimate) || estimate < 0) {
+      throw new Error('Estimate must be a non-negative number');
+    }
+    return estimate;
+  }
+
+  /**
+   * Create several tasks in one pass. Each spec takes the createTask fields
+   * plus an optional `key`; dependencies written as "$key" point at other
+   * tasks in the batch. Every spec is validated before anything is written,
+   * tasks are created in dependency order so phases and semantic IDs follow
+   * the batch's own dependencies, and if writing fails part-way the tasks
+   * already created are removed again.
    */
-  async getTask(taskId) {
+  async createTaskBatch(specs, { resolve_semantic_ids = false, duplicate_policy } = {}) {
     try {
-      // Medium priority sync: single task lookup
-      await this.sync.smartSync('medium');
+      if (!Array.isArray(specs) || specs.length === 0) {
+        throw new Error('Batch must contain at least one task');
+      }
 
-      // Read from file (source of truth for content)
-      const fileTask = await this.files.readTaskFile(taskId);
-      if (!fileTask) {
-        return null;
+      // 'merge-as-note' acts like 'warn' here: other tasks in the batch may
+      // depend on the one that would be merged away
+      const policy = this.normalizeDuplicatePolicy(duplicate_policy || this.duplicates.policy);
+
+      const errors = [];
+      const fail = (index, message) =>
+        errors.push({ index, key: specs[index]?.key ?? null, error: message });
+
+      // Local keys, so specs can reference each other as "$key"
+      const keys = new Map();
+      specs.forEach((spec, index) => {
+        if (spec?.key === undefined || spec?.key === null) {
+          return;
+        }
+        if (typeof spec.key !== 'string' || !/^[\w.-]+$/.test(spec.key)) {
+          fail(index, 'Key must be a string of letters, digits, "_", "." or "-"');
+        } else if (keys.has(spec.key)) {
+          fail(index, `Duplicate key: ${spec.key}`);
+        } else {
+          keys.set(spec.key, index);
+        }
+      });
+
+      const items = [];
+      for (const [index, spec] of specs.entries()) {
+        try {
+          if (!spec || typeof spec !== 'object') {
+            throw new Error('Task spec must be an object');
+          }
+          const { title, description, priority = 'medium' } = spec;
+          const dependencies = spec.dependencies ?? spec.deps ?? [];
+          this.validateNewTask({ title, priority, dependencies });
+
+          const local = [];
+          const external = [];
+          for (const ref of dependencies) {
+            if (typeof ref === 'string' && ref.startsWith('$')) {
+              if (!keys.has(ref.substring(1))) {
+                throw new Error(`Unknown batch key: ${ref}`);
+              }
+              local.push(keys.get(ref.substring(1)));
+            } else {
+              external.push(ref);
+            }
+          }
+
+          items[index] = {
+            index,
+            key: spec.key ?? null,
+            title,
+            description,
+            priority,
+            estimate: this.normalizeEstimate(spec.estimate),
+            local: [...new Set(local)],
+            criteria: this.normalizeCriteria(spec.acceptance_criteria ?? []),
+            tags: this.normalizeTags(spec.tags ?? []),
+            externalIds: await this.resolveDependencyIds(external, {
+              resolveSemanticIds: resolve_semantic_ids,
+            }),
+          };
+        } catch (error) {
+          fail(index, error.message);
+        }
       }
 
-      // Get dependencies from graph
-      const dependencies = await this.graph.getDependencies(taskId);
-      fileTask.dependencies = dependencies;
+      if (errors.length > 0) {
+        throw new InvalidBatchError(errors);
+      }
 
-      return fileTask;
+      const order = this.orderBatch(items);
+      if (order.cycle.length > 0) {
+        const cycle = order.cycle.map(index => items[index].key || `#${index}`).join(', ');
+        order.cycle.forEach(index => fail(index, `Dependency cycle between batch tasks: ${cycle}`));
+        throw new InvalidBatchError(errors);
+      }
+
+      for (const item of items) {
+        item.duplicates = await this.findDuplicates(item.title, item.description);
+        if (item.duplicates.length > 0 && policy === 'reject') {
+          fail(item.index, new DuplicateTaskError(item.title, item.duplicates).message);
+        }
+      }
+      if (errors.length > 0) {
+        throw new InvalidBatchError(errors);
+      }
+
+      // One scan of the existing tasks for all sequence numbers
+      const existing = await this.files.listAllTasks();
+      const created = [];
+      const usedIds = new Set(existing.map(task => task.id));
+
+      for (const index of order.sorted) {
+        const item = items[index];
+
+        let id = this.generateTaskId(item.title);
+        for (let attempt = 1; usedIds.has(id); attempt++) {
+          id = this.generateTaskId(`${item.title}#${attempt}`);
+        }
+        usedIds.add(id);
+
+        const dependencyIds = [
+          ...item.externalIds,
+          ...item.local.map(depIndex => items[depIndex].task.id),
+        ];
+        const stream = this.detectStream(item.title, item.description);
+        const phase = await this.calculatePhase(dependencyIds, created);
+        const sequence = await this.getNextSequence(stream, phase, [...existing, ...created]);
+
+        item.task = {
+          id,
+          semantic_id: `${stream}-${phase}.${sequence}`,
+          title: item.title,
+          description: item.description,
+          priority: item.priority,
+          status: 'pending',
+          created_at: new Date().toISOString(),
+          dependencies: dependencyIds.map(depId => ({ id: depId, status: 'unknown' })),
+          subtasks: [],
+          acceptance_criteria: item.criteria.map(text => ({ text, is_checked: false })),
+          tags: item.tags,
+          files: [],
+          notes: [],
+        };
+        if (item.estimate !== null) {
+          item.task.estimate = item.estimate;
+        }
+        created.push(item.task);
+      }
+
+      // Write files and graph nodes, undoing everything if one fails
+      const written = [];
+      try {
+        for (const task of created) {
+          task.file_path = await this.files.createTaskFile(task);
+          written.push(task);
+          await this.sync.syncNewTask(task);
+        }
+      } catch (error) {
+        await this.rollbackBatch(written);
+        throw error;
+      }
+
+      for (const task of created) {
+        await this.journal.logTaskCreated(task);
+      }
+
+      log('info', `Created ${created.length} tasks in batch`);
+
+      return {
+        total: created.length,
+        tasks: items.map(item => ({
+          key: item.key,
+          id: item.task.id,
+          semantic_id: item.task.semantic_id,
+          title: item.task.title,
+          file_path: item.task.file_path,
+          dependencies: item.task.dependencies.map(dep => dep.id),
+          duplicates: item.duplicates,
+        })),
+      };
     } catch (error) {
-      log('error', `Failed to get task ${taskId}: ${error.message}`);
+      log('error', `Failed to create task batch: ${error.message}`);
       throw error;
     }
   }
 
   /**
-   * Update task status
+   * Topologically sort batch items by their "$key" dependencies.
+   * Returns the sorted item indexes and the indexes left in a cycle.
    */
-  async updateTaskStatus(taskId, newStatus) {
-    try {
-      // Validate status
-      const validStatuses = ['pending', 'in-progress', 'done', 'archive'];
-      if (!validStatuses.includes(newStatus)) {
-        throw new Error(`Invalid status: ${newStatus}`);
+  orderBatch(items) {
+    const remaining = new Map(items.map(item => [item.index, new Set(item.local)]));
+    const sorted = [];
+
+    let ready = [...remaining.keys()].filter(index => remaining.get(index).size === 0);
+    while (ready.length > 0) {
+      for (const index of ready) {
+        remaining.delete(index);
+        sorted.push(index);
+      }
+      for (const deps of remaining.values()) {
+        ready.forEach(index => deps.delete(index));
       }
+      ready = [...remaining.keys()].filter(index => remaining.get(index).size === 0);
+    }
 
-      // Get current status for journaling
-      const currentTask = await this.files.readTaskFile(taskId);
-      const oldStatus = currentTask?.status || 'unknown';
+    return { sorted, cycle: [...remaining.keys()] };
+  }
 
-      // Update in file system (moves file)
-      const newPath = await this.files.updateTaskStatus(taskId, newStatus);
+  /**
+   * Remove the files and graph nodes of tasks written by a failed batch
+   */
+  async rollbackBatch(tasks) {
+    for (const task of [...tasks].reverse()) {
+      try {
+        await this.files.deleteTaskFile(task.id);
+      } catch (error) {
+        log('warn', `Failed to remove file of batch task ${task.id}: ${error.message}`);
+      }
 
-      // Update in graph
-      // Immediate sync: update graph right away
-      await this.sync.syncTaskUpdate(taskId, {
-        status: newStatus,
-        file_path: newPath,
+      try {
+        await this.graph.deleteCriteria(task.id);
+        await this.graph.setTags(task.id, []);
+        await this.graph.execute('MATCH (t:Task {id: $id}) DETACH DELETE t', { id: task.id });
+      } catch (error) {
+        log('warn', `Failed to remove batch task ${task.id} from graph: ${error.message}`);
+      }
+
+      this.sync.recordMcpChange(task.id, 'deleted');
+    }
+
+    log('info', `Rolled back ${tasks.length} tasks from failed batch`);
+  }
+
+  /**
+   * Import a markdown plan or checklist (see plan-parser.js). Nested items
+   * become child tasks of the item above them, and "(deps: …)", "after X" and
+   * "depends on X" become dependencies on other items or existing tasks.
+   * Checked items and everything under them are skipped. With dry_run nothing
+   * is written and the tasks that would be created are returned.
+   */
+  async importPlan(markdown, { dry_run = false, priority = 'medium' } = {}) {
+    try {
+      const items = parsePlan(markdown);
+      if (items.length === 0) {
+        throw new Error('No list items found in plan');
+      }
+
+      // A checked item is done, and so is everything nested under it
+      items.forEach(item => {
+        item.skipped = item.checked || (item.parent !== null && items[item.parent].skipped);
       });
 
-      // Journal the status change
-      await this.journal.logTaskStatusUpdated(taskId, oldStatus, newStatus);
+      const unresolved = [];
+      const warnings = [];
 
-      log('info', `Updated task ${taskId} status to ${newStatus}`);
+      for (const [index, item] of items.entries()) {
+        if (item.skipped) {
+          continue;
+        }
 
-      return { id: taskId, status: newStatus, file_path: newPath };
+        item.dependencies = await this.resolvePlanReferences(items, index, item.dependencies);
+        unresolved.push(...item.dependencies.filter(dep => dep.missing).map(dep => dep.ref));
+
+        // Only treat "after X" as a dependency when X is something we know
+        if (item.inferred) {
+          const inferred = await this.resolvePlanReferences(
+            items,
+            index,
+            item.inferred.dependencies
+          );
+          if (inferred.every(dep => !dep.missing)) {
+            item.title = item.inferred.title;
+            item.dependencies.push(...inferred);
+          } else {
+            warnings.push(
+              `Line ${item.line}: kept "${item.title}" as the title, ` +
+                `no task matches ${inferred
+                  .filter(dep => dep.missing)
+                  .map(dep => `"${dep.ref}"`)
+                  .join(', ')}`
+            );
+          }
+        }
+      }
+
+      if (unresolved.length > 0) {
+        throw new InvalidDependencyError([...new Set(unresolved)]);
+      }
+
+      const order = this.orderPlan(items);
+      const planned = items.filter(item => !item.skipped);
+
+      if (!dry_run) {
+        for (const index of order) {
+          const item = items[index];
+          const parentId = item.parent !== null ? items[item.parent].id : undefined;
+
+          const result = await this.createTask({
+            title: item.title,
+            description: item.description,
+            priority,
+            dependencies: item.dependencies.map(dep =>
+              dep.index !== undefined ? items[dep.index].id : dep.id
+            ),
+            parent_id: parentId,
+            duplicate_policy: 'warn',
+          });
+          item.id = result.id;
+          item.semantic_id = result.semantic_id;
+          item.duplicates = result.duplicates;
+
+          if (parentId) {
+            await this.graph.createUnifiedParentChildRelationship(
+              parentId,
+              item.id,
+              'decomposition',
+              {
+                decomposition_type: 'import',
+              }
+            );
+          }
+        }
+
+        await this.journal.logOperation('plan.imported', {
+          task_count: planned.length,
+          skipped_count: items.length - planned.length,
+        });
+
+        log('info', `Imported ${planned.length} tasks from plan`);
+      }
+
+      return {
+        dry_run,
+        total: planned.length,
+        tasks: planned.map(item => ({
+          line: item.line,
+          depth: item.depth,
+          id: item.id || null,
+          semantic_id: item.semantic_id || null,
+          title: item.title,
+          description: item.description,
+          parent: item.parent !== null ? items[item.parent].title : null,
+          parent_id: item.parent !== null ? items[item.parent].id || null : null,
+          dependencies: item.dependencies.map(dep =>
+            dep.index !== undefined
+              ? { title: items[dep.index].title, id: items[dep.index].id || null }
+              : { title: dep.title, id: dep.id }
+          ),
+          duplicates: item.duplicates || [],
+        })),
+        skipped: items
+          .filter(item => item.skipped)
+          .map(item => ({ line: item.line, title: item.title })),
+        warnings,
+      };
     } catch (error) {
-      log('error', `Failed to update task status: ${error.message}`);
+      log('error', `Failed to import plan: ${error.message}`);
       throw error;
     }
   }
 
   /**
-   * Add a progress note to a task
+   * Resolve dependency references of plan item itemIndex: first against the
+   * titles of other items in the plan, then against existing tasks. Returns
+   * { index } for plan items, { id, title } for existing tasks and
+   * { ref, missing: true } for anything else. References to skipped items are
+   * dropped, as those are already done.
    */
-  async addNote(taskId, noteContent) {
+  async resolvePlanReferences(items, itemIndex, refs) {
+    const titleOf = item => (item.inferred ? item.inferred.title : item.title).toLowerCase();
+    const resolved = [];
+
+    for (const ref of refs) {
+      const lowerRef = ref.toLowerCase();
+      const others = items
+        .map((item, index) => ({ item, index }))
+        .filter(({ index }) => index !== itemIndex);
+
+      let matches = others.filter(
+        ({ item }) => item.title.toLowerCase() === lowerRef || titleOf(item) === lowerRef
+      );
+      if (matches.length === 0) {
+        matches = others.filter(({ item }) => titleOf(item).includes(lowerRef));
+      }
+      if (matches.length > 1) {
+        throw new Error(
+          `Dependency "${ref}" matches several plan items: ` +
+            matches.map(({ item }) => `line ${item.line}`).join(', ')
+        );
+      }
+
+      if (matches.length === 1) {
+        if (!matches[0].item.skipped) {
+          resolved.push({ index: matches[0].index });
+        }
+        continue;
+      }
+
+      const taskId = await this.resolveTaskId(ref);
+      if (taskId) {
+        const task = await this.files.readTaskFile(taskId);
+        resolved.push({ id: taskId, title: task?.title || ref });
+      } else {
+        resolved.push({ ref, missing: true });
+      }
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Order plan items so parents and dependencies come before the items that
+   * need them. Skipped items are left out.
+   */
+  orderPlan(items) {
+    const order = [];
+    const state = new Map(); // index -> 'visiting' | 'done'
+
+    const visit = (index, path) => {
+      if (state.get(index) === 'done') {
+        return;
+      }
+      if (state.get(index) === 'visiting') {
+        const cycle = [...path.slice(path.indexOf(index)), index].map(i => items[i].title);
+        throw new Error(`Dependency cycle in plan: ${cycle.join(' -> ')}`);
+      }
+
+      state.set(index, 'visiting');
+      const item = items[index];
+      const before = item.dependencies.filter(dep => dep.index !== undefined).map(dep => dep.index);
+      if (item.parent !== null) {
+        before.unshift(item.parent);
+      }
+      before.forEach(dep => visit(dep, [...path, index]));
+
+      state.set(index, 'done');
+      order.push(index);
+    };
+
+    items.forEach((item, index) => {
+      if (!item.skipped) {
+        visit(index, []);
+      }
+    });
+
+    return order;
+  }
+
+  /**
+   * Validate a duplicate policy: 'warn', 'reject' or 'merge-as-note'
+   */
+  normalizeDuplicatePolicy(policy) {
+    const validPolicies = ['warn', 'reject', 'merge-as-note'];
+    if (!validPolicies.includes(policy)) {
+      throw new Error(
+        `Invalid duplicate policy: ${policy}. Must be one of: ${validPolicies.join(', ')}`
+      );
+    }
+    return policy;
+  }
+
+  /**
+   * Find pending or in-progress tasks similar to a title and description,
+   * scored from 0 to 1, most similar first
+   */
+  async findDuplicates(title, description = '') {
+    await this.sync.smartSync('high');
+
+    const index = this.sync.searchIndex;
+    if (!index.built) {
+      await index.build();
+    }
+
+    return index.findSimilar(
+      { title, description: description || '' },
+      { threshold: this.duplicates.threshold }
+    );
+  }
+
+  /**
+   * Record a duplicate task request as a note on the most similar task
+   * instead of creating a new one
+   */
+  async mergeDuplicate(duplicates, { title, description }) {
+    const target = duplicates[0];
+    const note = description
+      ? `Merged duplicate task request "${title}":\n\n${description}`
+      : `Merged duplicate task request "${title}"`;
+
+    await this.addNote(target.id, note);
+    const task = await this.files.readTaskFile(target.id);
+
+    log('info', `Merged duplicate task "${title}" into ${target.id}`);
+
+    return {
+      id: target.id,
+      semantic_id: task.semantic_id,
+      title: task.title,
+      file_path: task.file_path,
+      duplicates,
+      merged: true,
+    };
+  }
+
+  /**
+   * Validate a list of acceptance criteria and return the trimmed texts
+   */
+  normalizeCriteria(criteria) {
+    if (!Array.isArray(criteria)) {
+      throw new Error('Acceptance criteria must be an array');
+    }
+
+    return criteria.map(text => {
+      if (typeof text !== 'string' || text.trim() === '') {
+        throw new Error('Acceptance criteria must be non-empty strings');
+      }
+      return text.trim();
+    });
+  }
+
+  /**
+   * Validate a list of tags and return them trimmed, lowercased and deduplicated
+   */
+  normalizeTags(tags) {
+    if (!Array.isArray(tags)) {
+      throw new Error('Tags must be an array');
+    }
+
+    const normalized = tags.map(tag => {
+      if (typeof tag !== 'string' || tag.trim() === '') {
+        throw new Error('Tags must be non-empty strings');
+      }
+      return tag.trim().toLowerCase();
+    });
+
+    return [...new Set(normalized)];
+  }
+
+  /**
+   * Validate tag filters (tags, tag_mode, exclude_tags) for list and next
+   */
+  normalizeTagFilters({ tags = [], tag_mode = 'any', exclude_tags = [] } = {}) {
+    const validModes = ['any', 'all'];
+    if (!validModes.includes(tag_mode)) {
+      throw new Error(`Invalid tag mode: ${tag_mode}. Must be one of: ${validModes.join(', ')}`);
+    }
+
+    return {
+      tags: this.normalizeTags(tags),
+      tag_mode,
+      exclude_tags: this.normalizeTags(exclude_tags),
+    };
+  }
+
+  /**
+   * Resolve a task reference to its internal ID. Accepts the internal ID,
+   * a semantic ID, a unique ID prefix or an unambiguous title match.
+   * Returns null when nothing matches.
+   */
+  async resolveTaskId(reference) {
+    if (typeof reference !== 'string' || reference.trim() === '') {
+      return null;
+    }
+
+    const ref = reference.trim();
+    const direct = await this.files.readTaskFile(ref);
+    if (direct) {
+      return direct.id;
+    }
+
+    const lowerRef = ref.toLowerCase();
+    const matchers = [
+      task => task.semantic_id?.toLowerCase() === lowerRef,
+      task => task.id?.startsWith(ref),
+      task => task.title?.toLowerCase() === lowerRef,
+      task => task.title?.toLowerCase().includes(lowerRef),
+    ];
+
+    // Most specific match wins; ambiguity at any level is an error
+    const tasks = await this.files.listAllTasks();
+    for (const matches of matchers) {
+      const candidates = tasks.filter(matches);
+      if (candidates.length === 1) {
+        return candidates[0].id;
+      }
+      if (candidates.length > 1) {
+        throw new AmbiguousTaskReferenceError(ref, candidates);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get a task by ID (or any reference accepted by resolveTaskId)
+   */
+  async getTask(taskRef) {
     try {
-      // Add to file
-      await this.files.addNote(taskId, noteContent);
+      // Medium priority sync: single task lookup
+      await this.sync.smartSync('medium');
 
-      // Immediate sync: update graph right away
-      await this.sync.syncTaskUpdate(taskId, {
-        updated_at: new Date().toISOString(),
-      });
+      const taskId = await this.resolveTaskId(taskRef);
+      if (!taskId) {
+        return null;
+      }
+
+      // Read from file (source of truth for content)
+      const fileTask = await this.files.readTaskFile(taskId);
+      if (!fileTask) {
+        return null;
+      }
+
+      // Get dependencies from graph
+      const dependencies = await this.graph.getDependencies(taskId);
+      fileTask.dependencies = dependencies;
+
+      return fileTask;
+    } catch (error) {
+      log('error', `Failed to get task ${taskRef}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Update editable task fields (title, description, priority, dependencies,
+   * acceptance criteria, tags)
+   * Regenerates the semantic ID and filename when the stream or phase changes
+   */
+  async updateTask(taskId, updates = {}) {
+    try {
+      const editableFields = [
+        'title',
+        'description',
+        'priority',
+        'dependencies',
+        'acceptance_criteria',
+        'tags',
+        'estimate',
+      ];
+      const unsupported = Object.keys(updates).filter(key => !editableFields.includes(key));
+      if (unsupported.length > 0) {
+        throw new Error(`Cannot update field(s): ${unsupported.join(', ')}`);
+      }
+
+      if (
+        updates.title !== undefined &&
+        (typeof updates.title !== 'string' || updates.title.trim() === '')
+      ) {
+        throw new Error('Title cannot be empty');
+      }
+
+      const validPriorities = ['high', 'medium', 'low'];
+      if (updates.priority !== undefined && !validPriorities.includes(updates.priority)) {
+        throw new Error(
+          `Invalid priority: ${updates.priority}. Must be one of: ${validPriorities.join(', ')}`
+        );
+      }
+
+      if (updates.dependencies !== undefined && !Array.isArray(updates.dependencies)) {
+        throw new Error('Dependencies must be an array');
+      }
+
+      if (updates.dependencies?.includes(taskId)) {
+        throw new Error(`Task ${taskId} cannot depend on itself`);
+      }
+
+      const criteria =
+        updates.acceptance_criteria !== undefined
+          ? this.normalizeCriteria(updates.acceptance_criteria)
+          : null;
+      const tags = updates.tags !== undefined ? this.normalizeTags(updates.tags) : null;
+      const estimate =
+        updates.estimate !== undefined ? this.normalizeEstimate(updates.estimate) : undefined;
+
+      const current = await this.files.readTaskFile(taskId);
+      if (!current) {
+        throw new Error(`Task ${taskId} not found`);
+      }
+
+      const fileUpdates = {};
+      const changes = {};
+
+      for (const field of ['title', 'description', 'priority']) {
+        if (updates[field] !== undefined && updates[field] !== current[field]) {
+          fileUpdates[field] = updates[field];
+          changes[field] = { from: current[field], to: updates[field] };
+        }
+      }
+
+      if (estimate !== undefined && estimate !== (current.estimate ?? null)) {
+        fileUpdates.estimate = estimate;
+        changes.estimate = { from: current.estimate ?? null, to: estimate };
+      }
+
+      const currentDepIds = current.dependencies.map(d => d.id);
+      const depIds = updates.dependencies ? [...new Set(updates.dependencies)] : currentDepIds;
+      const addedDeps = depIds.filter(id => !currentDepIds.includes(id));
+      const removedDeps = currentDepIds.filter(id => !depIds.includes(id));
+
+      for (const depId of addedDeps) {
+        await this.assertDependencyAllowed(taskId, depId);
+      }
+
+      if (addedDeps.length > 0 || removedDeps.length > 0) {
+        fileUpdates.dependencies = depIds.map(depId => ({ id: depId, status: 'unknown' }));
+        changes.dependencies = { from: currentDepIds, to: depIds };
+      }
+
+      const existingCriteria = current.acceptance_criteria || [];
+      const currentCriteria = existingCriteria.map(criterion => criterion.text);
+      if (criteria && JSON.stringify(criteria) !== JSON.stringify(currentCriteria)) {
+        // Items that keep their text keep their checked state
+        fileUpdates.acceptance_criteria = criteria.map(
+          text =>
+            existingCriteria.find(criterion => criterion.text === text) || {
+              text,
+              is_checked: false,
+            }
+        );
+        changes.acceptance_criteria = { from: currentCriteria, to: criteria };
+      }
+
+      const currentTags = current.tags || [];
+      if (tags && JSON.stringify(tags) !== JSON.stringify(currentTags)) {
+        fileUpdates.tags = tags;
+        changes.tags = { from: currentTags, to: tags };
+      }
+
+      if (Object.keys(changes).length === 0) {
+        return {
+          id: taskId,
+          semantic_id: current.semantic_id,
+          title: current.title,
+          file_path: current.file_path,
+          changed: [],
+        };
+      }
+
+      // Stream and phase may have moved, which changes the semantic ID
+      const semantic_id = await this.recalculateSemanticId(current, {
+        title: fileUpdates.title ?? current.title,
+        description: fileUpdates.description ?? current.description,
+        dependencies: depIds,
+        streamChanged: Boolean(changes.title || changes.description),
+        phaseChanged: Boolean(changes.dependencies),
+      });
+
+      if (semantic_id !== current.semantic_id) {
+        fileUpdates.semantic_id = semantic_id;
+        changes.semantic_id = { from: current.semantic_id, to: semantic_id };
+      }
+
+      // Rewrite file (renamed if semantic ID or title changed)
+      const filePath = await this.files.updateTaskFile(taskId, fileUpdates);
+
+      // Immediate sync: update graph node and re-link dependencies
+      const graphUpdates = { file_path: filePath };
+      for (const field of ['title', 'description', 'priority', 'estimate', 'semantic_id']) {
+        if (fileUpdates[field] !== undefined) {
+          graphUpdates[field] = fileUpdates[field];
+        }
+      }
+      await this.sync.syncTaskUpdate(taskId, graphUpdates);
+
+      for (const depId of removedDeps) {
+        await this.graph.removeDependency(taskId, depId);
+      }
+      for (const depId of addedDeps) {
+        await this.graph.addDependency(taskId, depId);
+      }
+      if (fileUpdates.acceptance_criteria) {
+        await this.graph.setCriteria(taskId, fileUpdates.acceptance_criteria);
+      }
+      if (fileUpdates.tags) {
+        await this.graph.setTags(taskId, fileUpdates.tags);
+      }
+
+      // Keep the dependents section of linked and unlinked tasks current
+      for (const depId of [...addedDeps, ...removedDeps]) {
+        if (await this.files.readTaskFile(depId)) {
+          await this.refreshDependents(depId);
+        }
+      }
+
+      // Journal the update
+      await this.journal.logTaskUpdated(taskId, changes);
+
+      log('info', `Updated task ${taskId}: ${Object.keys(changes).join(', ')}`);
+
+      return {
+        id: taskId,
+        semantic_id,
+        title: fileUpdates.title ?? current.title,
+        file_path: filePath,
+        changed: Object.keys(changes),
+      };
+    } catch (error) {
+      log('error', `Failed to update task: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Recalculate the semantic ID of an existing task after an edit
+   * Keeps the current ID unless the stream or phase actually changed
+   */
+  async recalculateSemanticId(
+    task,
+    { title, description, dependencies, streamChanged, phaseChanged }
+  ) {
+    const match = task.semantic_id?.match(/^([A-Z]+)-(\d+)\.\d+$/);
+    if (!match) {
+      return task.semantic_id;
+    }
+
+    const currentStream = match[1];
+    const currentPhase = parseInt(match[2]);
+
+    const stream = streamChanged ? this.detectStream(title, description) : currentStream;
+    const phase = phaseChanged ? await this.calculatePhase(dependencies) : currentPhase;
+
+    if (stream === currentStream && phase === currentPhase) {
+      return task.semantic_id;
+    }
+
+    const sequence = await this.getNextSequence(stream, phase);
+    return `${stream}-${phase}.${sequence}`;
+  }
+
+  /**
+   * Update task status. Moving a task to done requires all of its acceptance
+   * criteria to be checked unless force is set.
+   */
+  async updateTaskStatus(taskId, newStatus, { force = false } = {}) {
+    try {
+      // Validate status
+      const validStatuses = ['pending', 'in-progress', 'done', 'archive'];
+      if (!validStatuses.includes(newStatus)) {
+        throw new Error(`Invalid status: ${newStatus}`);
+      }
+
+      // Get current status for journaling
+      const currentTask = await this.files.readTaskFile(taskId);
+      const oldStatus = currentTask?.status || 'unknown';
+
+      if (newStatus === 'done' && currentTask) {
+        await this.assertCriteriaMet(currentTask, { force });
+      }
+
+      // Only the holder of a live lease may start a task
+      const lease = currentTask ? this.currentLease(currentTask) : null;
+      if (
+        newStatus === 'in-progress' &&
+        lease &&
+        !lease.expired &&
+        lease.assignee !== this.leases.assignee
+      ) {
+        throw new LeaseConflictError(taskId, lease.assignee, lease.lease_expires_at);
+      }
+
+      // Update in file system (moves file)
+      let newPath = await this.files.updateTaskStatus(taskId, newStatus);
+
+      // Update in graph
+      // Immediate sync: update graph right away
+      await this.sync.syncTaskUpdate(taskId, {
+        status: newStatus,
+        file_path: newPath,
+      });
+
+      // Journal the status change
+      await this.journal.logTaskStatusUpdated(taskId, oldStatus, newStatus);
+
+      // Starting a task claims it for this session, finishing it ends the claim
+      if (newStatus === 'in-progress' && (!lease || lease.expired)) {
+        newPath = (await this.claimTask(taskId)).file_path;
+      } else if (['done', 'archive'].includes(newStatus) && lease) {
+        newPath = (await this.releaseTask(taskId, { force: true })).file_path;
+      }
+
+      log('info', `Updated task ${taskId} status to ${newStatus}`);
+
+      return { id: taskId, status: newStatus, file_path: newPath };
+    } catch (error) {
+      log('error', `Failed to update task status: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Acceptance criteria of a task that are not checked yet, with 1-based positions
+   */
+  getUncheckedCriteria(task) {
+    return (task.acceptance_criteria || [])
+      .map((criterion, index) => ({ position: index + 1, ...criterion }))
+      .filter(criterion => !criterion.is_checked);
+  }
+
+  /**
+   * Refuse to complete a task with unchecked acceptance criteria.
+   * With force the check is skipped, but the bypass is journaled.
+   */
+  async assertCriteriaMet(task, { force = false } = {}) {
+    const unchecked = this.getUncheckedCriteria(task);
+    if (unchecked.length === 0) {
+      return;
+    }
+
+    if (!force) {
+      throw new UnmetCriteriaError(task.id, unchecked);
+    }
+
+    await this.journal.logOperation('criteria.bypassed', {
+      task_id: task.id,
+      unchecked: unchecked.map(criterion => criterion.text),
+    });
+    log('warn', `Completing task ${task.id} with ${unchecked.length} unchecked criteria`);
+  }
+
+  /**
+   * Check or uncheck acceptance criteria. Items are 1-based positions or
+   * criterion text (exact match first, then a unique partial match).
+   */
+  async checkCriteria(taskId, items, checked = true) {
+    try {
+      if (!Array.isArray(items) || items.length === 0) {
+        throw new Error('Items must be a non-empty array');
+      }
+
+      const task = await this.files.readTaskFile(taskId);
+      if (!task) {
+        throw new Error(`Task ${taskId} not found`);
+      }
+
+      const criteria = task.acceptance_criteria.map(criterion => ({ ...criterion }));
+      if (criteria.length === 0) {
+        throw new Error(`Task ${taskId} has no acceptance criteria`);
+      }
+
+      const indexes = [...new Set(items.map(item => this.findCriterionIndex(criteria, item)))];
+      for (const index of indexes) {
+        criteria[index].is_checked = checked;
+      }
+
+      await this.files.updateTaskFile(taskId, { acceptance_criteria: criteria });
+      await this.graph.setCriteria(taskId, criteria);
+      this.sync.recordMcpChange(taskId, 'updated');
+
+      // Journal the checked items
+      await this.journal.logCriteriaChecked(
+        taskId,
+        indexes.map(index => criteria[index]),
+        checked
+      );
+
+      log('info', `${checked ? 'Checked' : 'Unchecked'} ${indexes.length} criteria on ${taskId}`);
+
+      return {
+        task_id: taskId,
+        criteria: criteria.map((criterion, index) => ({
+          position: index + 1,
+          text: criterion.text,
+          is_checked: criterion.is_checked,
+        })),
+        remaining: criteria.filter(criterion => !criterion.is_checked).length,
+      };
+    } catch (error) {
+      log('error', `Failed to check acceptance criteria: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the index of the criterion an item refers to
+   */
+  findCriterionIndex(criteria, item) {
+    if (typeof item === 'number' || /^\d+$/.test(String(item).trim())) {
+      const position = Number(item);
+      if (!Number.isInteger(position) || position < 1 || position > criteria.length) {
+        throw new Error(
+          `Acceptance criterion ${item} does not exist (task has ${criteria.length})`
+        );
+      }
+      return position - 1;
+    }
+
+    const text = String(item).trim().toLowerCase();
+    const exact = criteria.findIndex(criterion => criterion.text.toLowerCase() === text);
+    if (exact !== -1) {
+      return exact;
+    }
+
+    const partial = criteria
+      .map((criterion, index) => (criterion.text.toLowerCase().includes(text) ? index : -1))
+      .filter(index => index !== -1);
+    if (partial.length === 1) {
+      return partial[0];
+    }
+
+    throw new Error(
+      partial.length > 1
+        ? `Acceptance criterion "${item}" is ambiguous, matches ${partial.length} items`
+        : `No acceptance criterion matches "${item}"`
+    );
+  }
+
+  /**
+   * Add a progress note to a task
+   */
+  async addNote(taskId, noteContent) {
+    try {
+      // Add to file
+      await this.files.addNote(taskId, noteContent);
+
+      // Immediate sync: update graph right away
+      await this.sync.syncTaskUpdate(taskId, {
+        updated_at: new Date().toISOString(),
+      });
+
+      // Journal the note addition
+      await this.journal.logNoteAdded(taskId, noteContent);
+
+      log('info', `Added note to task ${taskId}`);
+
+      return { id: taskId, note_added: true };
+    } catch (error) {
+      log('error', `Failed to add note: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate a lease length in minutes
+   */
+  normalizeLeaseMinutes(minutes) {
+    if (typeof minutes !== 'number' || !Number.isFinite(minutes) || minutes <= 0) {
+      throw new Error('Lease minutes must be a positive number');
+    }
+    return minutes;
+  }
+
+  /**
+   * The lease recorded in a task file, or null when nobody holds it.
+   * A lease without a valid expiry counts as expired.
+   */
+  currentLease(task, now = new Date()) {
+    if (!task.assignee) {
+      return null;
+    }
+    return {
+      assignee: task.assignee,
+      lease_expires_at: task.lease_expires_at || null,
+      expired: !(new Date(task.lease_expires_at) > now),
+    };
+  }
+
+  /**
+   * Record (or with a null assignee, clear) the lease in the task file and graph
+   */
+  async writeLease(taskId, assignee, leaseExpiresAt) {
+    const lease = { assignee, lease_expires_at: assignee ? leaseExpiresAt : null };
+    const filePath = await this.files.updateTaskFile(taskId, lease);
+    await this.sync.syncTaskUpdate(taskId, { ...lease, file_path: filePath });
+    return filePath;
+  }
+
+  /**
+   * Claim a task for an assignee (this session by default) for lease_minutes.
+   * Fails while another assignee holds a live lease; an expired one is
+   * taken over. Claiming a task again extends the lease.
+   */
+  async claimTask(taskId, { assignee = null, lease_minutes } = {}) {
+    try {
+      const owner = assignee || this.leases.assignee;
+      const minutes = this.normalizeLeaseMinutes(lease_minutes ?? this.leases.minutes);
+
+      // The file is read right before writing: another agent may have claimed
+      // the task since this session last synced
+      const task = await this.files.readTaskFile(taskId);
+      if (!task) {
+        throw new Error(`Task ${taskId} not found`);
+      }
+      if (['done', 'archive'].includes(task.status)) {
+        throw new Error(`Task ${taskId} is ${task.status} and cannot be claimed`);
+      }
+
+      const now = new Date();
+      const lease = this.currentLease(task, now);
+      if (lease && !lease.expired && lease.assignee !== owner) {
+        throw new LeaseConflictError(taskId, lease.assignee, lease.lease_expires_at);
+      }
+      if (lease?.expired && lease.assignee !== owner) {
+        await this.journal.logLeaseChanged('expired', taskId, {
+          assignee: lease.assignee,
+          lease_expires_at: lease.lease_expires_at,
+          reclaimed_by: owner,
+        });
+      }
+
+      const leaseExpiresAt = new Date(now.getTime() + minutes * 60 * 1000).toISOString();
+      const filePath = await this.writeLease(taskId, owner, leaseExpiresAt);
+
+      const renewed = lease?.assignee === owner;
+      await this.journal.logLeaseChanged(renewed ? 'renewed' : 'claimed', taskId, {
+        assignee: owner,
+        lease_expires_at: leaseExpiresAt,
+      });
+
+      log('info', `Task ${taskId} claimed by ${owner} until ${leaseExpiresAt}`);
+
+      return {
+        id: taskId,
+        assignee: owner,
+        lease_expires_at: leaseExpiresAt,
+        renewed,
+        reclaimed_from: lease && !renewed ? lease.assignee : null,
+        file_path: filePath,
+      };
+    } catch (error) {
+      log('error', `Failed to claim task: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Extend the lease an assignee (this session by default) holds on a task
+   */
+  async renewLease(taskId, { assignee = null, lease_minutes } = {}) {
+    try {
+      const owner = assignee || this.leases.assignee;
+      const task = await this.files.readTaskFile(taskId);
+      if (!task) {
+        throw new Error(`Task ${taskId} not found`);
+      }
+
+      const lease = this.currentLease(task);
+      if (!lease) {
+        throw new Error(`Task ${taskId} is not claimed`);
+      }
+      if (lease.assignee !== owner) {
+        throw new LeaseConflictError(taskId, lease.assignee, lease.lease_expires_at);
+      }
+
+      return await this.claimTask(taskId, { assignee: owner, lease_minutes });
+    } catch (error) {
+      log('error', `Failed to renew lease: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Give up the lease on a task. Only its holder may release a live lease
+   * unless force is set.
+   */
+  async releaseTask(taskId, { assignee = null, force = false } = {}) {
+    try {
+      const owner = assignee || this.leases.assignee;
+      const task = await this.files.readTaskFile(taskId);
+      if (!task) {
+        throw new Error(`Task ${taskId} not found`);
+      }
+
+      const lease = this.currentLease(task);
+      if (!lease) {
+        throw new Error(`Task ${taskId} is not claimed`);
+      }
+      if (lease.assignee !== owner && !lease.expired && !force) {
+        throw new LeaseConflictError(taskId, lease.assignee, lease.lease_expires_at);
+      }
+
+      const filePath = await this.writeLease(taskId, null, null);
+      await this.journal.logLeaseChanged('released', taskId, {
+        assignee: lease.assignee,
+        released_by: owner,
+      });
+
+      log('info', `Task ${taskId} released by ${owner}`);
+
+      return { id: taskId, assignee: lease.assignee, released_by: owner, file_path: filePath };
+    } catch (error) {
+      log('error', `Failed to release task: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Clear leases that ran out so other agents can pick the tasks up again.
+   * Tasks left in-progress by the expired holder go back to pending.
+   */
+  async reclaimExpiredLeases(now = new Date()) {
+    try {
+      const expired = await this.graph.findExpiredLeases(now.toISOString());
+      const reclaimed = [];
+
+      for (const { id } of expired) {
+        // The holder may have renewed in the file since the graph was synced
+        const task = await this.files.readTaskFile(id);
+        const lease = task ? this.currentLease(task, now) : null;
+        if (!lease?.expired) {
+          continue;
+        }
+
+        await this.writeLease(id, null, null);
+        await this.journal.logLeaseChanged('expired', id, {
+          assignee: lease.assignee,
+          lease_expires_at: lease.lease_expires_at,
+        });
+        if (task.status === 'in-progress') {
+          await this.updateTaskStatus(id, 'pending');
+        }
+
+        reclaimed.push({ id, assignee: lease.assignee, lease_expires_at: lease.lease_expires_at });
+      }
+
+      if (reclaimed.length > 0) {
+        log('info', `Reclaimed ${reclaimed.length} expired lease(s)`);
+      }
+      return reclaimed;
+    } catch (error) {
+      log('error', `Failed to reclaim expired leases: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the next actionable task, optionally restricted by tags
+   * (tags with tag_mode 'any' or 'all', exclude_tags). filters.strategy
+   * overrides the configured selection strategy. Tasks leased to anyone but
+   * filters.assignee (this session by default) are skipped.
+   */
+  async findNextTask(filters = {}) {
+    try {
+      const tagFilters = this.normalizeTagFilters(filters);
+      const strategy = normalizeStrategy(filters.strategy || this.nextTask.strategy);
+      const available = { ...tagFilters, available_to: filters.assignee || this.leases.assignee };
+
+      // High priority sync: finding next task needs accurate data
+      await this.sync.smartSync('high');
+      await this.reclaimExpiredLeases();
+
+      // Priority-FIFO is answered by a single query; other strategies rank all candidates
+      const nextTask =
+        strategy === 'priority-fifo'
+          ? await this.graph.findNextTask(available)
+          : (await this.rankActionableTasks(available, { strategy, weights: filters.weights }))
+              .candidates[0];
+
+      if (!nextTask) {
+        log('info', 'No actionable tasks found');
+        return null;
+      }
+
+      // Get full task details from file
+      const fullTask = await this.getTask(nextTask.id);
+
+      return fullTask;
+    } catch (error) {
+      log('error', `Failed to find next task: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * The best next tasks according to a strategy, with the score and the
+   * factors behind it, so callers can see why a task was chosen.
+   * With filters.claim the best task still free is claimed and listed first.
+   */
+  async rankNextTasks(filters = {}) {
+    try {
+      const tagFilters = this.normalizeTagFilters(filters);
+      const strategy = normalizeStrategy(filters.strategy || this.nextTask.strategy);
+      const assignee = filters.assignee || this.leases.assignee;
+      const limit = filters.limit ?? 3;
+      if (!Number.isInteger(limit) || limit < 1) {
+        throw new Error('Limit must be a positive integer');
+      }
+
+      // High priority sync: ranking needs accurate data
+      await this.sync.smartSync('high');
+      await this.reclaimExpiredLeases();
+
+      const ranking = await this.rankActionableTasks(
+        { ...tagFilters, available_to: assignee },
+        { strategy, weights: filters.weights }
+      );
+
+      let { candidates } = ranking;
+      let claimed = null;
+      if (filters.claim) {
+        for (const candidate of candidates) {
+          try {
+            claimed = await this.claimTask(candidate.id, {
+              assignee,
+              lease_minutes: filters.lease_minutes,
+            });
+          } catch (error) {
+            // Claimed by another agent since the last sync
+            if (error instanceof LeaseConflictError) {
+              continue;
+            }
+            throw error;
+          }
+          candidates = [candidate, ...candidates.filter(other => other !== candidate)];
+          break;
+        }
+        if (!claimed) {
+          candidates = [];
+        }
+      }
+
+      return { ...ranking, claimed, candidates: candidates.slice(0, limit) };
+    } catch (error) {
+      log('error', `Failed to rank next tasks: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Rank every actionable task with a strategy; weights are merged over the
+   * configured ones. filters are the tag and lease filters of findActionableTasks.
+   */
+  async rankActionableTasks(filters, { strategy, weights }) {
+    const merged = normalizeWeights({ ...this.nextTask.weights, ...(weights || {}) });
+    const candidates = await this.graph.findActionableTasks(filters);
+    const inputs = strategyInputs(strategy);
+
+    const schedule =
+      inputs.schedule && candidates.length > 0
+        ? computeSchedule(await this.graph.getGraphElements()).tasks
+        : [];
+    const lastStream = inputs.lastStream ? await this.lastCompletedStream() : null;
+
+    return {
+      strategy,
+      weights: strategy === 'weighted' ? merged : null,
+      last_stream: lastStream,
+      total: candidates.length,
+      candidates: rankCandidates(candidates, { strategy, weights: merged, schedule, lastStream }),
+    };
+  }
+
+  /**
+   * Stream of the most recently completed task, from the journal
+   */
+  async lastCompletedStream() {
+    const entries = await this.journal.query({
+      operation: 'task.status_updated',
+      limit: Infinity,
+    });
+    const completed = entries.find(entry => entry.details.new_status === 'done');
+    const task = completed ? await this.files.readTaskFile(completed.details.task_id) : null;
+    return task ? streamOf(task) : null;
+  }
+
+  /**
+   * List all tasks, filtered by status, priority and tags.
+   * A query, sort keys or pagination are handed to queryTasks.
+   */
+  async listTasks(filters = {}) {
+    if (['query', 'sort', 'limit', 'offset'].some(key => filters[key] !== undefined)) {
+      return (await this.queryTasks(filters)).tasks;
+    }
+
+    try {
+      // Get all tasks from files
+      const tasks = await this.files.listAllTasks();
+
+      // Apply filters
+      let filtered = tasks;
+
+      if (filters.status) {
+        filtered = filtered.filter(t => t.status === filters.status);
+      }
+
+      if (filters.priority) {
+        filtered = filtered.filter(t => t.priority === filters.priority);
+      }
+
+      // Tag filters are evaluated in the graph
+      const tagFilters = this.normalizeTagFilters(filters);
+      if (tagFilters.tags.length > 0 || tagFilters.exclude_tags.length > 0) {
+        await this.sync.smartSync('medium');
+        const ids = new Set(await this.graph.findTaskIdsByTags(tagFilters));
+        filtered = filtered.filter(t => ids.has(t.id));
+      }
+
+      // Sort by priority and creation date
+      const priorityOrder = { high: 1, medium: 2, low: 3 };
+      filtered.sort((a, b) => {
+        const priorityDiff = priorityOrder[a.priority] - priorityOrder[b.priority];
+        if (priorityDiff !== 0) return priorityDiff;
+
+        return new Date(a.created_at) - new Date(b.created_at);
+      });
+
+      return filtered;
+    } catch (error) {
+      log('error', `Failed to list tasks: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Find tasks with the query language (see task-query.js), evaluated in the
+   * graph together with the status, priority and tag filters of listTasks.
+   * Returns one page of tasks plus the total number of matches.
+   */
+  async queryTasks({
+    query,
+    sort,
+    limit = null,
+    offset = 0,
+    status,
+    priority,
+    tags,
+    tag_mode,
+    exclude_tags,
+  } = {}) {
+    try {
+      if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+        throw new Error('Limit must be a positive integer');
+      }
+      if (!Number.isInteger(offset) || offset < 0) {
+        throw new Error('Offset must be a non-negative integer');
+      }
+
+      const terms = [];
+      if (status) {
+        terms.push({ type: 'field', field: 'status', values: [status] });
+      }
+      if (priority) {
+        terms.push({ type: 'field', field: 'priority', values: [priority] });
+      }
+      const parsed = parseTaskQuery(query);
+      if (parsed) {
+        terms.push(await this.resolveQueryParents(parsed));
+      }
+
+      const tagFilters = this.normalizeTagFilters({ tags, tag_mode, exclude_tags });
+      const sortKeys = parseTaskSort(sort);
+
+      await this.sync.smartSync('medium');
 
-      // Journal the note addition
-      await this.journal.logNoteAdded(taskId, noteContent);
+      const { ids, total } = await this.graph.queryTasks({
+        where: terms.length === 0 ? null : terms.length === 1 ? terms[0] : { type: 'and', terms },
+        tagFilters,
+        sort: sortKeys,
+        limit,
+        offset,
+      });
 
-      log('info', `Added note to task ${taskId}`);
+      const byId = new Map((await this.files.listAllTasks()).map(task => [task.id, task]));
+      const tasks = ids.map(id => byId.get(id)).filter(Boolean);
 
-      return { id: taskId, note_added: true };
+      return { tasks, total, limit, offset };
     } catch (error) {
-      log('error', `Failed to add note: ${error.message}`);
+      log('error', `Failed to query tasks: ${error.message}`);
       throw error;
     }
   }
 
   /**
-   * Find the next actionable task
+   * Resolve the task references of parent: terms in a parsed query
    */
-  async findNextTask() {
-    try {
-      // High priority sync: finding next task needs accurate data
-      await this.sync.smartSync('high');
-
-      const nextTask = await this.graph.findNextTask();
-
-      if (!nextTask) {
-        log('info', 'No actionable tasks found');
-        return null;
+  async resolveQueryParents(node) {
+    if (node.type === 'and' || node.type === 'or') {
+      const terms = [];
+      for (const term of node.terms) {
+        terms.push(await this.resolveQueryParents(term));
       }
+      return { ...node, terms };
+    }
+    if (node.type === 'not') {
+      return { ...node, term: await this.resolveQueryParents(node.term) };
+    }
+    if (node.type !== 'field' || node.field !== 'parent') {
+      return node;
+    }
 
-      // Get full task details from file
-      const fullTask = await this.getTask(nextTask.id);
-
-      return fullTask;
-    } catch (error) {
-      log('error', `Failed to find next task: ${error.message}`);
-      throw error;
+    const values = [];
+    for (const reference of node.values) {
+      const id = await this.resolveTaskId(reference);
+      if (!id) {
+        throw new Error(`Unknown parent task in query: ${reference}`);
+      }
+      values.push(id);
     }
+    return { ...node, values };
   }
 
   /**
-   * List all tasks
+   * Full-text search over titles, descriptions, subtasks, files and notes.
+   * Returns the best matches with snippets and the total number of hits.
    */
-  async listTasks(filters = {}) {
+  async searchTasks(query, { limit = 10, status = null } = {}) {
     try {
-      // Get all tasks from files
-      const tasks = await this.files.listAllTasks();
-
-      // Apply filters
-      let filtered = tasks;
-
-      if (filters.status) {
-        filtered = filtered.filter(t => t.status === filters.status);
+      if (typeof query !== 'string' || query.trim() === '') {
+        throw new Error('Search query is required');
       }
-
-      if (filters.priority) {
-        filtered = filtered.filter(t => t.priority === filters.priority);
+      if (!Number.isInteger(limit) || limit < 1) {
+        throw new Error('Limit must be a positive integer');
       }
 
-      // Sort by priority and creation date
-      const priorityOrder = { high: 1, medium: 2, low: 3 };
-      filtered.sort((a, b) => {
-        const priorityDiff = priorityOrder[a.priority] - priorityOrder[b.priority];
-        if (priorityDiff !== 0) return priorityDiff;
+      // High priority sync: picks up external edits before searching
+      await this.sync.smartSync('high');
 
-        return new Date(a.created_at) - new Date(b.created_at);
-      });
+      const index = this.sync.searchIndex;
+      if (!index.built) {
+        await index.build();
+      }
 
-      return filtered;
+      const results = index.search(query, { status });
+      return { query, total: results.length, results: results.slice(0, limit) };
     } catch (error) {
-      log('error', `Failed to list tasks: ${error.message}`);
+      log('error', `Failed to search tasks: ${error.message}`);
       throw error;
     }
   }
 
   /**
-   * Check task dependencies
+   * Check task dependencies. With depth > 1 (or transitive) upstream
+   * dependencies are included too, each with its depth and path.
    */
-  async checkDependencies(taskId) {
+  async checkDependencies(taskId, options = {}) {
     try {
+      const depth = this.normalizeDependencyDepth(options);
+
       // High priority sync: dependency checks are critical
       await this.sync.smartSync('high');
 
-      // Get task dependencies
-      const dependencies = await this.graph.getDependencies(taskId);
+      // Get task dependencies, with depth and path when going past direct ones
+      const dependencies =
+        depth === 1
+          ? await this.graph.getDependencies(taskId)
+          : await this.graph.getTransitiveDependencies(taskId, depth);
 
       // Check for circular dependencies
       const circles = await this.graph.detectCircularDependencies();
@@ -372,10 +1904,12 @@ export class TaskManager {
 
       return {
         task_id: taskId,
+        depth,
         dependencies: dependencies,
         blocking: blocking,
         has_circular: hasCircular,
-        ready: blocking.length === 0,
+        // Only direct dependencies decide whether work can start
+        ready: !blocking.some(dep => (dep.depth ?? 1) === 1),
       };
     } catch (error) {
       log('error', `Failed to check dependencies: ${error.message}`);
@@ -384,14 +1918,21 @@ export class TaskManager {
   }
 
   /**
-   * Get tasks that depend on this task (bidirectional tracking)
+   * Get tasks that depend on this task (bidirectional tracking). With
+   * depth > 1 (or transitive) indirect dependents are included too.
    */
-  async getDependents(taskId) {
+  async getDependents(taskId, options = {}) {
     try {
+      const depth = this.normalizeDependencyDepth(options);
+
       // Medium priority sync: dependency queries
       await this.sync.smartSync('medium');
 
-      const dependents = await this.graph.getDependents(taskId);
+      // Past depth 1 this is everything affected if the task slips
+      const dependents =
+        depth === 1
+          ? await this.graph.getDependents(taskId)
+          : await this.graph.getTransitiveDependents(taskId, depth);
 
       // Check impact - which dependents would be blocked
       const impacted = dependents.filter(
@@ -400,6 +1941,7 @@ export class TaskManager {
 
       return {
         task_id: taskId,
+        depth,
         dependents: dependents,
         impacted: impacted,
         total_dependents: dependents.length,
@@ -411,6 +1953,20 @@ export class TaskManager {
     }
   }
 
+  /**
+   * Number of DEPENDS_ON hops to follow: depth if given, otherwise 1, or all
+   * of them (up to MAX_DEPENDENCY_DEPTH) with transitive
+   */
+  normalizeDependencyDepth({ depth, transitive = false } = {}) {
+    if (depth === undefined || depth === null) {
+      return transitive ? MAX_DEPENDENCY_DEPTH : 1;
+    }
+    if (!Number.isInteger(depth) || depth < 1 || depth > MAX_DEPENDENCY_DEPTH) {
+      throw new Error(`Depth must be an integer between 1 and ${MAX_DEPENDENCY_DEPTH}`);
+    }
+    return depth;
+  }
+
   /**
    * Get full dependency graph for a task (both directions)
    */
@@ -447,6 +2003,320 @@ export class TaskManager {
     }
   }
 
+  /**
+   * Render the whole task graph, or the part reachable from task_id through
+   * its dependencies and children, as Mermaid, DOT or JSON
+   */
+  async exportGraph({ task_id = null, format = 'mermaid' } = {}) {
+    try {
+      if (!EXPORT_FORMATS.includes(format)) {
+        throw new Error(`Invalid format: ${format}. Must be one of: ${EXPORT_FORMATS.join(', ')}`);
+      }
+
+      // High priority sync: the export should reflect every file
+      await this.sync.smartSync('high');
+
+      let { nodes, edges } = await this.graph.getGraphElements();
+      const known = new Set(nodes.map(node => node.id));
+      edges = edges.filter(edge => known.has(edge.from) && known.has(edge.to));
+
+      let root = null;
+      if (task_id) {
+        root = await this.resolveTaskId(task_id);
+        if (!root || !known.has(root)) {
+          throw new Error(`Task ${task_id} not found`);
+        }
+
+        // Walk outwards from the root: what it depends on and what it contains
+        const reached = new Set([root]);
+        const queue = [root];
+        while (queue.length > 0) {
+          const current = queue.shift();
+          for (const edge of edges) {
+            if (edge.from === current && !reached.has(edge.to)) {
+              reached.add(edge.to);
+              queue.push(edge.to);
+            }
+          }
+        }
+
+        nodes = nodes.filter(node => reached.has(node.id));
+        edges = edges.filter(edge => reached.has(edge.from) && reached.has(edge.to));
+      }
+
+      return {
+        format,
+        root,
+        node_count: nodes.length,
+        edge_count: edges.length,
+        content: renderGraph({ nodes, edges }, format),
+      };
+    } catch (error) {
+      log('error', `Failed to export graph: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Critical path schedule of the open work, or of only what gates goal.
+   * estimates maps task references to durations; other tasks use their own
+   * estimate, or default_estimate. Finished tasks count as already done.
+   */
+  async getSchedule({ goal = null, estimates = {}, default_estimate = 1 } = {}) {
+    try {
+      const invalid = value => typeof value !== 'number' || !Number.isFinite(value) || value < 0;
+      if (invalid(default_estimate)) {
+        throw new Error('Estimates must be non-negative numbers');
+      }
+
+      // High priority sync: the schedule should reflect every dependency
+      await this.sync.smartSync('high');
+
+      let graph = await this.graph.getGraphElements();
+      const known = new Set(graph.nodes.map(node => node.id));
+
+      const durations = {};
+      for (const [reference, value] of Object.entries(estimates || {})) {
+        if (invalid(value)) {
+          throw new Error(`Estimates must be non-negative numbers, got ${value} for ${reference}`);
+        }
+        const id = await this.resolveTaskId(reference);
+        if (!id || !known.has(id)) {
+          throw new Error(`Task ${reference} not found`);
+        }
+        durations[id] = value;
+      }
+
+      let goalId = null;
+      if (goal) {
+        goalId = await this.resolveTaskId(goal);
+        if (!goalId || !known.has(goalId)) {
+          throw new Error(`Task ${goal} not found`);
+        }
+        graph = goalSubgraph(graph, goalId);
+      }
+
+      const schedule = computeSchedule(graph, {
+        estimates: durations,
+        defaultEstimate: default_estimate,
+      });
+      const open = schedule.tasks.filter(task => !['done', 'archive'].includes(task.status));
+
+      return {
+        goal: goalId,
+        total_duration: schedule.total_duration,
+        critical_path: schedule.critical_path.map(id =>
+          schedule.tasks.find(task => task.id === id)
+        ),
+        tasks: open.sort(
+          (a, b) =>
+            a.earliest_start - b.earliest_start || a.slack - b.slack || b.unblocks - a.unblocks
+        ),
+      };
+    } catch (error) {
+      log('error', `Failed to compute schedule: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Compare estimates with the time actually spent, per task, per stream and
+   * per parent. Time spent comes from the status transitions in the journal.
+   */
+  async getTimeReport({ status } = {}) {
+    try {
+      const entries = await this.journal.query({
+        operation: 'task.status_updated',
+        limit: Infinity,
+      });
+      // query lists the most recent first; replay in journal order so transitions
+      // logged within the same millisecond keep their order
+      const tracked = trackTime(entries.reverse());
+
+      const tasks = await this.files.listAllTasks();
+      const byId = new Map(tasks.map(task => [task.id, task]));
+
+      const rows = tasks
+        .filter(task => !status || task.status === status)
+        .filter(task => task.estimate !== undefined || tracked.has(task.id))
+        .map(task => {
+          const time = tracked.get(task.id);
+          const estimate = task.estimate ?? null;
+          const actual = time?.worked_hours ?? 0;
+          return {
+            id: task.id,
+            semantic_id: task.semantic_id || null,
+            title: task.title,
+            status: task.status,
+            stream: streamOf(task),
+            parent_id: task.parent_id || null,
+            estimate,
+            actual_hours: actual,
+            paused_hours: time?.paused_hours ?? 0,
+            running: time?.running ?? false,
+            started_at: time?.started_at ?? null,
+            finished_at: time?.finished_at ?? null,
+            variance:
+              estimate !== null && time ? Math.round((actual - estimate) * 100) / 100 : null,
+          };
+        })
+        .sort((a, b) => b.actual_hours - a.actual_hours || a.id.localeCompare(b.id));
+
+      const groupBy = key => {
+        const groups = new Map();
+        for (const row of rows.filter(row => row[key])) {
+          groups.set(row[key], [...(groups.get(row[key]) || []), row]);
+        }
+        return [...groups.entries()].sort(([a], [b]) => a.localeCompare(b));
+      };
+
+      return {
+        totals: summarizeTime(rows),
+        tasks: rows,
+        by_stream: groupBy('stream').map(([stream, members]) => ({
+          stream,
+          ...summarizeTime(members),
+        })),
+        by_parent: groupBy('parent_id').map(([parentId, members]) => ({
+          parent_id: parentId,
+          semantic_id: byId.get(parentId)?.semantic_id || null,
+          title: byId.get(parentId)?.title || null,
+          ...summarizeTime(members),
+        })),
+      };
+    } catch (error) {
+      log('error', `Failed to build time report: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Make sure taskId may depend on dependencyId: the target must exist
+   * and the new edge must not close a cycle
+   */
+  async assertDependencyAllowed(taskId, dependencyId) {
+    if (taskId === dependencyId) {
+      throw new Error(`Task ${taskId} cannot depend on itself`);
+    }
+
+    const depTask = await this.files.readTaskFile(dependencyId);
+    if (!depTask) {
+      throw new Error(`Dependency task ${dependencyId} not found`);
+    }
+
+    // Check reachability before writing instead of detecting cycles afterwards
+    if (await this.graph.hasCircularDependency(taskId, dependencyId)) {
+      throw new Error(
+        `Cannot add dependency ${taskId} -> ${dependencyId}: ${dependencyId} already depends on ${taskId} (circular dependency)`
+      );
+    }
+
+    return depTask;
+  }
+
+  /**
+   * Link two existing tasks: taskId will depend on dependencyId
+   */
+  async addDependency(taskId, dependencyId) {
+    try {
+      // High priority sync: the cycle check must see edges added in the files
+      await this.sync.smartSync('high');
+
+      const task = await this.files.readTaskFile(taskId);
+      if (!task) {
+        throw new Error(`Task ${taskId} not found`);
+      }
+
+      if (task.dependencies.some(dep => dep.id === dependencyId)) {
+        return { task_id: taskId, depends_on: dependencyId, added: false };
+      }
+
+      await this.assertDependencyAllowed(taskId, dependencyId);
+
+      // Files are the source of truth: write the file first, then the graph
+      const current = task.dependencies.map(dep => ({ id: dep.id, status: dep.status }));
+      await this.files.updateTaskFile(taskId, {
+        dependencies: [...current, { id: dependencyId, status: 'unknown' }],
+      });
+
+      // Undo the file write if the edge can't be created, so both sides agree
+      try {
+        if (!(await this.graph.addDependency(taskId, dependencyId))) {
+          throw new Error(`Task ${taskId} or ${dependencyId} is missing from the graph`);
+        }
+      } catch (error) {
+        await this.files.updateTaskFile(taskId, { dependencies: current });
+        throw error;
+      }
+
+      await this.refreshDependents(dependencyId);
+
+      this.sync.recordMcpChange(taskId, 'updated');
+      this.sync.recordMcpChange(dependencyId, 'updated');
+
+      // Journal the new edge
+      await this.journal.logDependencyAdded(taskId, dependencyId);
+
+      log('info', `Added dependency ${taskId} -> ${dependencyId}`);
+
+      return { task_id: taskId, depends_on: dependencyId, added: true };
+    } catch (error) {
+      log('error', `Failed to add dependency: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Unlink two tasks: taskId will no longer depend on dependencyId
+   */
+  async removeDependency(taskId, dependencyId) {
+    try {
+      const task = await this.files.readTaskFile(taskId);
+      if (!task) {
+        throw new Error(`Task ${taskId} not found`);
+      }
+
+      if (!task.dependencies.some(dep => dep.id === dependencyId)) {
+        return { task_id: taskId, depends_on: dependencyId, removed: false };
+      }
+
+      await this.graph.removeDependency(taskId, dependencyId);
+
+      const dependencies = task.dependencies
+        .filter(dep => dep.id !== dependencyId)
+        .map(dep => ({ id: dep.id, status: dep.status }));
+      await this.files.updateTaskFile(taskId, { dependencies });
+
+      // The target may have been deleted out from under the edge
+      if (await this.files.readTaskFile(dependencyId)) {
+        await this.refreshDependents(dependencyId);
+      }
+
+      this.sync.recordMcpChange(taskId, 'updated');
+      this.sync.recordMcpChange(dependencyId, 'updated');
+
+      // Journal the removed edge
+      await this.journal.logDependencyRemoved(taskId, dependencyId);
+
+      log('info', `Removed dependency ${taskId} -> ${dependencyId}`);
+
+      return { task_id: taskId, depends_on: dependencyId, removed: true };
+    } catch (error) {
+      log('error', `Failed to remove dependency: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Rewrite the dependents section of a task file from the graph
+   */
+  async refreshDependents(taskId) {
+    const dependents = await this.graph.getDependents(taskId);
+    await this.files.updateTaskFile(taskId, {
+      dependents: dependents.map(dep => ({ id: dep.id, title: dep.title, status: dep.status })),
+    });
+  }
+
   /**
    * Break down a task into subtasks
    */
@@ -464,8 +2334,8 @@ export class TaskManager {
         is_complete: false,
       }));
 
-      // Update file
-      await this.files.createTaskFile(task);
+      // Update file in place (keeps any hand-written content)
+      await this.files.updateTaskFile(taskId, { subtasks: task.subtasks });
 
       // Create subtask relationships in graph immediately
       for (const subtask of task.subtasks) {
@@ -512,6 +2382,9 @@ export class TaskManager {
       // Delete from file system
       await this.files.deleteTaskFile(taskId);
 
+      await this.graph.deleteCriteria(taskId);
+      await this.graph.setTags(taskId, []);
+
       // Delete from graph immediately (relationships are automatically deleted)
       await this.graph.execute(
         `
@@ -562,6 +2435,10 @@ export class TaskManager {
           isAtomic: analysis.isAtomic,
         }
       );
+      this.sync.recordGraphChange(taskId, {
+        complexity_score: analysis.complexityScore,
+        is_atomic: analysis.isAtomic,
+      });
 
       log('info', `Analyzed complexity for task ${taskId}: ${analysis.complexityScore}`);
       return analysis;
@@ -705,10 +2582,153 @@ export class TaskManager {
     }
   }
 
+  /**
+   * Compare files and graph task by task, after syncing pending file changes
+   */
+  async getSyncStatus() {
+    try {
+      // High priority sync: conflicts are found while syncing
+      await this.sync.smartSync('high');
+
+      return await this.sync.verifySyncStatus();
+    } catch (error) {
+      log('error', `Failed to get sync status: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve a conflicting field of a task by keeping the file's value or the
+   * graph's. Once no conflicts are left, the task is synced from its file.
+   */
+  async resolveSyncConflict(taskId, field, keep) {
+    try {
+      if (!RESOLUTIONS.includes(keep)) {
+        throw new Error(`Invalid resolution: ${keep}. Must be one of: ${RESOLUTIONS.join(', ')}`);
+      }
+
+      const conflicts = await this.sync.getTaskConflicts(taskId);
+      const conflict = conflicts.find(candidate => candidate.field === field);
+      if (!conflict) {
+        throw new UnknownConflictError(taskId, field, conflicts);
+      }
+
+      const value = conflict[keep];
+      if (keep === 'file') {
+        await this.graph.updateTask(taskId, { [field]: value });
+      } else if (field === 'status') {
+        await this.files.updateTaskStatus(taskId, value);
+      } else {
+        await this.files.updateTaskFile(taskId, { [field]: value });
+      }
+
+      await this.journal.logConflict('resolved', taskId, { field, keep, value });
+
+      const remaining = conflicts.length - 1;
+      if (remaining === 0) {
+        await this.sync.syncTaskToGraph(taskId);
+      }
+
+      log('info', `Resolved ${field} conflict of task ${taskId} keeping the ${keep} value`);
+
+      return { task_id: taskId, field, kept: keep, value, remaining };
+    } catch (error) {
+      log('error', `Failed to resolve sync conflict: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Sync the task files into the graph: incrementally, skipping files
+   * unchanged since they were last synced, or by rebuilding the graph from
+   * all of them. A full rebuild also replaces a database that can't be
+   * opened or queried.
+   */
+  async syncGraph({ full = false } = {}) {
+    try {
+      let result;
+      if (full) {
+        this.sync.clearCache();
+        result = await this.sync.rebuildGraph();
+      } else {
+        result = await this.sync.syncFilesToGraph();
+      }
+
+      if (result.changes > 0) {
+        await this.journal.logSyncPerformed(result);
+      }
+
+      return result;
+    } catch (error) {
+      log('error', `Failed to sync graph: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Compare files and graph task by task without syncing first. A graph
+   * that can't be opened or queried is reported in graph_error.
+   */
+  async verifySync() {
+    try {
+      const graphError = await this.sync.checkGraph();
+      if (graphError) {
+        const fileTasks = await this.files.listAllTasks();
+        return {
+          in_sync: false,
+          graph_error: graphError,
+          file_count: fileTasks.length,
+          graph_count: null,
+          difference: null,
+          diff: [],
+        };
+      }
+
+      return { ...(await this.sync.verifySyncStatus()), graph_error: null };
+    } catch (error) {
+      log('error', `Failed to verify sync: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Plan the changes that bring the graph back in line with the task
+   * files, and carry them out when apply is set. Returns the plan, plus
+   * the sync result and what still differs afterwards once applied.
+   */
+  async repairSync({ apply = false } = {}) {
+    try {
+      const plan = await this.sync.planRepair();
+      if (!apply) {
+        return { ...plan, applied: false };
+      }
+
+      const result = await this.sync.applyRepair(plan);
+      this.sync.clearCache();
+      const status = await this.sync.verifySyncStatus();
+
+      if (plan.actions.length > 0) {
+        await this.journal.logOperation('sync.repaired', {
+          actions: plan.actions.map(({ action, task_id }) => ({ action, task_id })),
+          changes: result.changes,
+          backup_path: result.backup_path,
+        });
+      }
+
+      log('info', `Repaired graph: ${plan.actions.length} actions, ${result.changes} changes`);
+
+      return { ...plan, applied: true, result, remaining: status.diff };
+    } catch (error) {
+      log('error', `Failed to repair sync: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Close connections
    */
   async close() {
+    await this.sync.stopWatching();
     await this.graph.close();
     log('info', 'Task Manager closed');
   }
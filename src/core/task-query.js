@@ -0,0 +1,342 @@
+/**
+ * Query language for listing tasks.
+ *
+ * A query is a list of terms joined by AND (implicit) or OR, with NOT / "-"
+ * negation and parentheses:
+ *
+ *   status:pending,in-progress tag:backend -tag:blocked-external
+ *   (priority:high OR blocked:true) created>=2025-01-01 "login form"
+ *
+ * Terms are "field:value", "field=value" or a comparison ("created<2025-02-01",
+ * "phase>=2"). Comma-separated values match any of them, and "a..b" gives an
+ * inclusive range. Anything else is a text search on title and description.
+ * parseTaskQuery turns the text into a tree that GraphConnection compiles to
+ * Cypher.
+ */
+import { InvalidQueryError } from './errors.js';
+
+export const QUERY_FIELDS = [
+  'status',
+  'priority',
+  'stream',
+  'phase',
+  'tag',
+  'parent',
+  'has-deps',
+  'blocked',
+  'created',
+  'updated',
+  'text',
+];
+
+export const SORT_KEYS = ['priority', 'status', 'created', 'updated', 'title', 'id', 'semantic_id'];
+
+const STATUSES = ['pending', 'in-progress', 'done', 'archive'];
+const PRIORITIES = ['high', 'medium', 'low'];
+const COMPARABLE = ['phase', 'created', 'updated'];
+const BOOLEANS = { true: true, yes: true, false: false, no: false };
+const DATE = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+const TERM = /^([a-z][a-z-]*)(>=|<=|[:=<>])/i;
+
+/**
+ * Split query text into parenthesis, operator and term tokens
+ */
+function tokenize(text) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < text.length) {
+    const char = text[index];
+
+    if (/\s/.test(char)) {
+      index++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, position: index });
+      index++;
+    } else if (char === '-' && index + 1 < text.length && !/[\s)]/.test(text[index + 1])) {
+      tokens.push({ type: 'NOT', position: index });
+      index++;
+    } else {
+      const start = index;
+      let raw = '';
+      let quoted = false;
+
+      while (index < text.length && !/[\s()]/.test(text[index])) {
+        if (text[index] === '"' || text[index] === "'") {
+          const quote = text[index];
+          const end = text.indexOf(quote, index + 1);
+          if (end === -1) {
+            throw new InvalidQueryError(text, 'Unterminated quoted string', index);
+          }
+          raw += text.substring(index + 1, end);
+          quoted = true;
+          index = end + 1;
+        } else {
+          raw += text[index];
+          index++;
+        }
+      }
+
+      const keyword = !quoted && ['AND', 'OR', 'NOT'].includes(raw.toUpperCase());
+      // A term that opens with a quote is always text, even if it looks like field:value
+      const literal = text[start] === '"' || text[start] === "'";
+      tokens.push({ type: keyword ? raw.toUpperCase() : 'TERM', raw, literal, position: start });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Validate a date bound and return it as an ISO prefix for string comparison
+ */
+function parseDate(value, query, position) {
+  if (!DATE.test(value) || isNaN(new Date(value).getTime())) {
+    throw new InvalidQueryError(
+      query,
+      `Invalid date: ${value}. Use YYYY-MM-DD or ISO 8601`,
+      position
+    );
+  }
+  return value;
+}
+
+/**
+ * First instant after a YYYY-MM-DD day, so "<=" and ranges include the whole day
+ */
+function dayAfter(value) {
+  if (value.length !== 10) {
+    return null;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().substring(0, 10);
+}
+
+/**
+ * Normalize one value of a field term
+ */
+function parseFieldValue(field, value, query, position) {
+  const fail = message => {
+    throw new InvalidQueryError(query, message, position);
+  };
+
+  if (value === '') {
+    fail(`Missing value for ${field}`);
+  }
+
+  switch (field) {
+    case 'status':
+      if (!STATUSES.includes(value.toLowerCase())) {
+        fail(`Invalid status: ${value}. Must be one of: ${STATUSES.join(', ')}`);
+      }
+      return value.toLowerCase();
+    case 'priority':
+      if (!PRIORITIES.includes(value.toLowerCase())) {
+        fail(`Invalid priority: ${value}. Must be one of: ${PRIORITIES.join(', ')}`);
+      }
+      return value.toLowerCase();
+    case 'stream':
+      return value.toUpperCase();
+    case 'phase':
+      if (!/^\d+$/.test(value)) {
+        fail(`Invalid phase: ${value}. Must be a number`);
+      }
+      return parseInt(value, 10);
+    case 'has-deps':
+    case 'blocked':
+      if (!(value.toLowerCase() in BOOLEANS)) {
+        fail(`Invalid value for ${field}: ${value}. Must be true or false`);
+      }
+      return BOOLEANS[value.toLowerCase()];
+    case 'created':
+    case 'updated':
+      return parseDate(value, query, position);
+    case 'tag':
+    case 'text':
+      return value.toLowerCase();
+    default:
+      return value;
+  }
+}
+
+/**
+ * Expand a range bound comparison into conditions on a date or phase field
+ */
+function comparison(field, op, value) {
+  if (typeof value === 'string' && (op === '>' || op === '<=')) {
+    // Whole-day semantics for bare dates
+    const next = dayAfter(value);
+    if (next) {
+      return { type: 'compare', field, op: op === '>' ? '>=' : '<', value: next };
+    }
+  }
+  return { type: 'compare', field, op, value };
+}
+
+/**
+ * Turn a "field<op>value" or bare token into a query node
+ */
+function parseTerm(token, query) {
+  const match = token.literal ? null : token.raw.match(TERM);
+  if (!match) {
+    return { type: 'text', value: token.raw.toLowerCase() };
+  }
+
+  const field = match[1].toLowerCase();
+  const op = match[2] === '=' ? ':' : match[2];
+  const rest = token.raw.substring(match[0].length);
+
+  if (!QUERY_FIELDS.includes(field)) {
+    throw new InvalidQueryError(
+      query,
+      `Unknown query field: ${field}. Must be one of: ${QUERY_FIELDS.join(', ')}`,
+      token.position
+    );
+  }
+
+  if (op !== ':') {
+    if (!COMPARABLE.includes(field)) {
+      throw new InvalidQueryError(
+        query,
+        `Field ${field} does not support ${op}, only ${COMPARABLE.join(', ')} do`,
+        token.position
+      );
+    }
+    return comparison(field, op, parseFieldValue(field, rest, query, token.position));
+  }
+
+  if (COMPARABLE.includes(field) && rest.includes('..')) {
+    const [from, to] = rest.split('..');
+    const terms = [];
+    if (from) {
+      terms.push(comparison(field, '>=', parseFieldValue(field, from, query, token.position)));
+    }
+    if (to) {
+      terms.push(comparison(field, '<=', parseFieldValue(field, to, query, token.position)));
+    }
+    if (terms.length === 0) {
+      throw new InvalidQueryError(query, `Empty range for ${field}`, token.position);
+    }
+    return terms.length === 1 ? terms[0] : { type: 'and', terms };
+  }
+
+  if (field === 'created' || field === 'updated') {
+    // A bare date matches that whole day
+    const value = parseFieldValue(field, rest, query, token.position);
+    const next = dayAfter(value);
+    return next
+      ? { type: 'and', terms: [comparison(field, '>=', value), comparison(field, '<', next)] }
+      : { type: 'compare', field, op: '=', value };
+  }
+
+  if (field === 'text') {
+    return { type: 'text', value: parseFieldValue(field, rest, query, token.position) };
+  }
+
+  const values = rest
+    .split(',')
+    .map(value => parseFieldValue(field, value.trim(), query, token.position));
+  return { type: 'field', field, values };
+}
+
+/**
+ * Parse query text into a tree of and/or/not/field/compare/text nodes.
+ * Returns null for an empty query.
+ */
+export function parseTaskQuery(text) {
+  if (text === undefined || text === null || String(text).trim() === '') {
+    return null;
+  }
+
+  const query = String(text);
+  const tokens = tokenize(query);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const fail = (message, token = peek()) => {
+    throw new InvalidQueryError(query, message, token ? token.position : query.length);
+  };
+
+  const parseOr = () => {
+    const terms = [parseAnd()];
+    while (peek() && peek().type === 'OR') {
+      index++;
+      terms.push(parseAnd());
+    }
+    return terms.length === 1 ? terms[0] : { type: 'or', terms };
+  };
+
+  const parseAnd = () => {
+    const terms = [parseUnary()];
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      if (peek().type === 'AND') {
+        index++;
+      }
+      terms.push(parseUnary());
+    }
+    return terms.length === 1 ? terms[0] : { type: 'and', terms };
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+    if (!token) {
+      fail('Unexpected end of query');
+    }
+    if (token.type === 'NOT') {
+      index++;
+      return { type: 'not', term: parseUnary() };
+    }
+    if (token.type === '(') {
+      index++;
+      const node = parseOr();
+      if (!peek() || peek().type !== ')') {
+        fail('Missing closing parenthesis');
+      }
+      index++;
+      return node;
+    }
+    if (token.type !== 'TERM') {
+      fail(`Unexpected ${token.type === ')' ? '")"' : token.type}`);
+    }
+    index++;
+    return parseTerm(token, query);
+  };
+
+  const tree = parseOr();
+  if (index < tokens.length) {
+    fail(`Unexpected ${tokens[index].type === ')' ? '")"' : tokens[index].raw}`);
+  }
+  return tree;
+}
+
+/**
+ * Parse sort keys ("priority,-created" or ["updated:desc"]) into
+ * [{ key, direction }]
+ */
+export function parseTaskSort(sort) {
+  if (sort === undefined || sort === null || sort === '') {
+    return [];
+  }
+
+  const keys = Array.isArray(sort) ? sort : String(sort).split(',');
+  return keys.map(entry => {
+    let key = String(entry).trim();
+    let direction = 'asc';
+
+    if (key.startsWith('-')) {
+      key = key.substring(1);
+      direction = 'desc';
+    }
+    const suffix = key.match(/^(.+):(asc|desc)$/i);
+    if (suffix) {
+      key = suffix[1];
+      direction = suffix[2].toLowerCase();
+    }
+
+    if (!SORT_KEYS.includes(key)) {
+      throw new Error(`Invalid sort key: ${key}. Must be one of: ${SORT_KEYS.join(', ')}`);
+    }
+    return { key, direction };
+  });
+}
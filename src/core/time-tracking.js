@@ -0,0 +1,88 @@
+/**
+ * Time tracking derived from the status transitions in the journal.
+ *
+ * A task is being worked on while it is in-progress: every move to
+ * in-progress opens an interval and the next move away from it (done, or back
+ * to pending when the work is paused) closes it. Time between two intervals
+ * counts as paused. A task that is still in-progress is counted up to now.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const hours = ms => Math.round((ms / HOUR_MS) * 100) / 100;
+
+/**
+ * Work intervals per task from 'task.status_updated' journal entries:
+ * Map of task ID -> { intervals, worked_hours, paused_hours, running,
+ * started_at, finished_at }
+ */
+export function trackTime(entries, now = new Date()) {
+  const transitions = entries
+    .filter(entry => entry.operation === 'task.status_updated' && entry.details?.task_id)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  const tracked = new Map();
+  for (const { timestamp, details } of transitions) {
+    if (!tracked.has(details.task_id)) {
+      tracked.set(details.task_id, { intervals: [], open: null, finished_at: null });
+    }
+    const task = tracked.get(details.task_id);
+
+    if (details.new_status === 'in-progress') {
+      task.open = task.open ?? timestamp;
+      task.finished_at = null;
+    } else if (task.open) {
+      task.intervals.push({ start: task.open, end: timestamp });
+      task.open = null;
+    }
+    if (details.new_status === 'done') {
+      task.finished_at = timestamp;
+    }
+  }
+
+  const result = new Map();
+  for (const [taskId, { intervals, open, finished_at }] of tracked) {
+    const all = open ? [...intervals, { start: open, end: null }] : intervals;
+    if (all.length === 0) {
+      continue;
+    }
+
+    const end = interval => (interval.end ? new Date(interval.end) : now);
+    const worked = all.reduce(
+      (sum, interval) => sum + (end(interval) - new Date(interval.start)),
+      0
+    );
+    const paused = all
+      .slice(1)
+      .reduce((sum, interval, index) => sum + (new Date(interval.start) - end(all[index])), 0);
+
+    result.set(taskId, {
+      intervals: all,
+      worked_hours: hours(worked),
+      paused_hours: hours(paused),
+      running: Boolean(open),
+      started_at: all[0].start,
+      finished_at,
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Add up estimates and actual hours for a group of report rows. The ratio
+ * only counts tasks that have both an estimate and tracked time.
+ */
+export function summarizeTime(rows) {
+  const compared = rows.filter(row => row.estimate !== null && row.actual_hours > 0);
+  const estimated = compared.reduce((sum, row) => sum + row.estimate, 0);
+  const actual = compared.reduce((sum, row) => sum + row.actual_hours, 0);
+
+  return {
+    task_count: rows.length,
+    estimate: Math.round(rows.reduce((sum, row) => sum + (row.estimate ?? 0), 0) * 100) / 100,
+    actual_hours: hours(rows.reduce((sum, row) => sum + row.actual_hours, 0) * HOUR_MS),
+    paused_hours: hours(rows.reduce((sum, row) => sum + row.paused_hours, 0) * HOUR_MS),
+    ratio: estimated > 0 ? Math.round((actual / estimated) * 100) / 100 : null,
+  };
+}
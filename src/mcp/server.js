@@ -8,7 +8,6 @@ import { TaskManager } from '../core/task-manager.js';
 import { CodeVersionedTaskManager } from '../core/code-versioned-task-manager.js';
 import { FileStorage } from '../storage/file-storage.js';
 import { GraphConnection } from '../storage/graph-connection.js';
-import { SyncEngine } from '../core/sync-engine.js';
 import { registerTaskTools } from './tools/index.js';
 import { log } from '../utils/logger.js';
 
@@ -40,22 +39,54 @@ class TaskMasterMCPServer {
     this.gitEnabled = process.env.ENABLE_GIT === 'true' || process.env.ENABLE_GIT === '1';
 
     // Initialize storage systems (but don't connect yet)
-    this.fileStorage = new FileStorage(this.tasksDir);
+    this.fileStorage = new FileStorage(this.tasksDir, { format: process.env.TASK_FORMAT });
     this.graphConnection = new GraphConnection(this.tasksDir);
 
+    // Duplicate detection on create
+    const duplicates = {
+      policy: process.env.DUPLICATE_POLICY,
+      threshold: process.env.DUPLICATE_THRESHOLD
+        ? parseFloat(process.env.DUPLICATE_THRESHOLD)
+        : undefined,
+    };
+
+    // Next-task selection strategy and weights ("priority=3,unblocks=2")
+    const nextTask = {
+      strategy: process.env.NEXT_TASK_STRATEGY,
+      weights: process.env.NEXT_TASK_WEIGHTS,
+    };
+
+    // Who this server claims tasks as, and for how long, when agents share a tasks directory
+    const leases = {
+      assignee: process.env.TASKS_AGENT_ID,
+      minutes: process.env.LEASE_MINUTES ? parseFloat(process.env.LEASE_MINUTES) : undefined,
+    };
+
+    // Watch the tasks directory for edits: native (default), poll, or off
+    const watchMode = process.env.TASKS_WATCH || 'native';
+    const watch = watchMode === 'off' ? null : { mode: watchMode };
+
     // Use Git-enabled task manager if requested
     if (this.gitEnabled) {
       const codeDir = process.env.CODE_DIR || process.cwd();
       this.taskManager = new CodeVersionedTaskManager(this.fileStorage, this.graphConnection, {
         codeDir: codeDir,
         autoCommit: process.env.AUTO_COMMIT !== 'false',
+        duplicates,
+        nextTask,
+        leases,
+        watch,
       });
       log('info', `Git integration enabled for directory: ${codeDir}`);
     } else {
-      this.taskManager = new TaskManager(this.fileStorage, this.graphConnection);
+      this.taskManager = new TaskManager(this.fileStorage, this.graphConnection, {
+        duplicates,
+        nextTask,
+        leases,
+        watch,
+      });
     }
 
-    this.syncEngine = new SyncEngine(this.fileStorage, this.graphConnection);
     this.initialized = false;
   }
 
@@ -65,7 +96,7 @@ class TaskMasterMCPServer {
   async initialize() {
     try {
       // Only register MCP tools - no heavy initialization
-      registerTaskTools(this.server, this.taskManager, this.syncEngine, this);
+      registerTaskTools(this.server, this.taskManager, this.taskManager.sync, this);
 
       // Handle errors
       this.server.onerror = error => {
@@ -90,11 +121,12 @@ class TaskMasterMCPServer {
         // Initialize storage systems
         await this.taskManager.initialize();
 
-        // Initial sync from files to graph (if files exist)
-        const syncStatus = await this.syncEngine.verifySyncStatus();
+        // Initial sync from files to graph (if files exist), through the task
+        // manager's engine so its manifest and journal stay the only ones
+        const syncStatus = await this.taskManager.sync.verifySyncStatus();
         if (!syncStatus.in_sync) {
           log('info', 'Performing initial sync from files to graph');
-          await this.syncEngine.syncFilesToGraph();
+          await this.taskManager.sync.syncFilesToGraph();
         }
 
         this.initialized = true;
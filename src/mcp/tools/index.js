@@ -1,4 +1,6 @@
 // import { z } from 'zod';
+import { promises as fs } from 'fs';
+import path from 'path';
 import { log } from '../../utils/logger.js';
 import {
   ListToolsRequestSchema,
@@ -7,6 +9,54 @@ import {
   McpError,
 } from '@modelcontextprotocol/sdk/types.js';
 
+// Tag filters shared by mcp__tasks__list and mcp__tasks__next
+const tagFilterProperties = {
+  tags: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Only include tasks with these tags',
+  },
+  tag_mode: {
+    type: 'string',
+    enum: ['any', 'all'],
+    default: 'any',
+    description: 'Require any one of the tags or all of them',
+  },
+  exclude_tags: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Skip tasks with any of these tags',
+  },
+};
+
+// Claim settings shared by mcp__tasks__next, mcp__tasks__claim and mcp__tasks__renew
+const leaseProperties = {
+  assignee: {
+    type: 'string',
+    description: 'Who claims the task. Defaults to the agent ID of this server',
+  },
+  lease_minutes: {
+    type: 'number',
+    exclusiveMinimum: 0,
+    description: 'How long the claim lasts. Defaults to the server setting',
+  },
+};
+
+// Depth control shared by mcp__tasks__deps and mcp__tasks__dependents
+const dependencyDepthProperties = {
+  depth: {
+    type: 'integer',
+    minimum: 1,
+    maximum: 30,
+    description: 'How many dependency levels to follow (default: 1, direct only)',
+  },
+  transitive: {
+    type: 'boolean',
+    default: false,
+    description: 'Follow dependencies all the way when no depth is given',
+  },
+};
+
 // Define tool schemas
 const tools = [
   {
@@ -28,17 +78,228 @@ const tools = [
           items: { type: 'string' },
           description: 'Task IDs this task depends on',
         },
+        resolve_semantic_ids: {
+          type: 'boolean',
+          default: false,
+          description: 'Also accept semantic IDs (e.g. API-1.02) in dependencies',
+        },
+        acceptance_criteria: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Checklist items that must all be checked before the task can be done',
+        },
+        tags: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Free-form labels, e.g. backend or blocked-external',
+        },
+        estimate: {
+          type: 'number',
+          minimum: 0,
+          description: 'Estimated effort, in points or hours',
+        },
+        duplicate_policy: {
+          type: 'string',
+          enum: ['warn', 'reject', 'merge-as-note'],
+          description:
+            'What to do when open tasks look like the same work: create anyway and list them (warn), ' +
+            'refuse (reject), or add this request as a note to the closest one (merge-as-note). ' +
+            'Defaults to the server setting',
+        },
       },
       required: ['title'],
     },
   },
 
+  {
+    name: 'mcp__tasks__create_batch',
+    description:
+      'Create several tasks at once. Tasks can depend on each other through "$key" references; ' +
+      'nothing is created if any task is invalid',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tasks: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            properties: {
+              key: {
+                type: 'string',
+                description: 'Local name other tasks in the batch use to depend on this one',
+              },
+              title: { type: 'string', description: 'Task title' },
+              description: { type: 'string', description: 'Task description' },
+              priority: {
+                type: 'string',
+                enum: ['high', 'medium', 'low'],
+                default: 'medium',
+                description: 'Task priority',
+              },
+              deps: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Dependencies: "$key" of a task in this batch, or an existing task ID',
+              },
+              acceptance_criteria: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Checklist items that must all be checked before the task can be done',
+              },
+              tags: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Free-form labels',
+              },
+              estimate: {
+                type: 'number',
+                minimum: 0,
+                description: 'Estimated effort, in points or hours',
+              },
+            },
+            required: ['title'],
+          },
+          description: 'Task specs, in any order',
+        },
+        resolve_semantic_ids: {
+          type: 'boolean',
+          default: false,
+          description: 'Also accept semantic IDs (e.g. API-1.02) for existing tasks in deps',
+        },
+        duplicate_policy: {
+          type: 'string',
+          enum: ['warn', 'reject'],
+          description:
+            'Whether tasks resembling open tasks are listed (warn) or fail the batch (reject). ' +
+            'Defaults to the server setting',
+        },
+      },
+      required: ['tasks'],
+    },
+  },
+
+  {
+    name: 'mcp__tasks__import',
+    description:
+      'Import tasks from a markdown plan or checklist (e.g. TODO.md). Nested items become ' +
+      'subtasks, and "after X", "depends on X" or "(deps: X, Y)" become dependencies',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        content: { type: 'string', description: 'Markdown text of the plan' },
+        path: {
+          type: 'string',
+          description:
+            'Markdown file to read instead of content, relative to the working directory',
+        },
+        dry_run: {
+          type: 'boolean',
+          default: false,
+          description: 'Only show the tasks that would be created',
+        },
+        priority: {
+          type: 'string',
+          enum: ['high', 'medium', 'low'],
+          default: 'medium',
+          description: 'Priority for the imported tasks',
+        },
+      },
+    },
+  },
+
+  {
+    name: 'mcp__tasks__update',
+    description:
+      'Edit the title, description, priority, dependencies, acceptance criteria, tags or estimate of an existing task',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: { type: 'string', description: 'Task ID to update' },
+        title: { type: 'string', description: 'New task title' },
+        description: { type: 'string', description: 'New task description' },
+        priority: {
+          type: 'string',
+          enum: ['high', 'medium', 'low'],
+          description: 'New task priority',
+        },
+        dependencies: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Replacement list of task IDs this task depends on',
+        },
+        acceptance_criteria: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Replacement list of acceptance criteria (unchanged items stay checked)',
+        },
+        tags: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Replacement list of tags',
+        },
+        estimate: {
+          type: ['number', 'null'],
+          minimum: 0,
+          description: 'New estimate in points or hours, null to remove it',
+        },
+      },
+      required: ['task_id'],
+    },
+  },
+
   {
     name: 'mcp__tasks__next',
-    description: 'Find the next actionable task with no incomplete dependencies',
+    description:
+      'Find the next actionable task with no incomplete dependencies, chosen by a strategy. ' +
+      'Lists the top candidates with the score breakdown behind the choice. ' +
+      'Tasks claimed by other agents are skipped',
     inputSchema: {
       type: 'object',
-      properties: {},
+      properties: {
+        ...tagFilterProperties,
+        strategy: {
+          type: 'string',
+          enum: [
+            'priority-fifo',
+            'unblocks-most-dependents',
+            'critical-path-first',
+            'shortest-estimate-first',
+            'same-stream-as-last-completed',
+            'weighted',
+            'unblocks-most',
+            'critical-path',
+            'shortest-estimate',
+            'same-stream',
+          ],
+          description:
+            'How to choose: by priority then age (priority-fifo), most open work unblocked ' +
+            '(unblocks-most-dependents), least slack (critical-path-first), smallest estimate ' +
+            '(shortest-estimate-first), stream of the last completed task ' +
+            '(same-stream-as-last-completed) or a weighted score of all of these. The names ' +
+            'without their last words (unblocks-most, critical-path, ...) are accepted as aliases. ' +
+            'Defaults to the server setting',
+        },
+        limit: {
+          type: 'number',
+          minimum: 1,
+          default: 3,
+          description: 'Number of candidates to list',
+        },
+        weights: {
+          type: 'object',
+          additionalProperties: { type: 'number', minimum: 0 },
+          description:
+            'Weights for the weighted strategy: priority, active_parent, unblocks, critical, ' +
+            'shortness, same_stream, age',
+        },
+        claim: {
+          type: 'boolean',
+          default: false,
+          description: 'Claim the chosen task so other agents skip it',
+        },
+        ...leaseProperties,
+      },
     },
   },
 
@@ -54,11 +315,87 @@ const tools = [
           enum: ['pending', 'in-progress', 'done', 'archive'],
           description: 'New status for the task',
         },
+        force: {
+          type: 'boolean',
+          default: false,
+          description: 'Mark as done even if acceptance criteria are unchecked',
+        },
       },
       required: ['task_id', 'status'],
     },
   },
 
+  {
+    name: 'mcp__tasks__claim',
+    description:
+      'Claim a task for a limited time so other agents skip it. ' +
+      'An expired claim of another agent is taken over',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: { type: 'string', description: 'Task ID to claim' },
+        ...leaseProperties,
+      },
+      required: ['task_id'],
+    },
+  },
+
+  {
+    name: 'mcp__tasks__renew',
+    description: 'Extend the claim on a task before it expires',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: { type: 'string', description: 'Task ID whose claim to extend' },
+        ...leaseProperties,
+      },
+      required: ['task_id'],
+    },
+  },
+
+  {
+    name: 'mcp__tasks__release',
+    description: 'Give up the claim on a task so other agents can pick it up',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: { type: 'string', description: 'Task ID to release' },
+        assignee: {
+          type: 'string',
+          description: 'Who releases the claim. Defaults to the agent ID of this server',
+        },
+        force: {
+          type: 'boolean',
+          default: false,
+          description: "Release another agent's claim that has not expired yet",
+        },
+      },
+      required: ['task_id'],
+    },
+  },
+
+  {
+    name: 'mcp__tasks__check_criteria',
+    description: 'Check off (or uncheck) acceptance criteria of a task',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: { type: 'string', description: 'Task ID whose criteria to update' },
+        items: {
+          type: 'array',
+          items: { type: ['integer', 'string'] },
+          description: 'Criteria to update, by 1-based position or by text',
+        },
+        checked: {
+          type: 'boolean',
+          default: true,
+          description: 'Set to false to uncheck the items instead',
+        },
+      },
+      required: ['task_id', 'items'],
+    },
+  },
+
   {
     name: 'mcp__tasks__note',
     description: 'Add a progress note to a task',
@@ -79,6 +416,7 @@ const tools = [
       type: 'object',
       properties: {
         task_id: { type: 'string', description: 'Task ID to check dependencies for' },
+        ...dependencyDepthProperties,
       },
       required: ['task_id'],
     },
@@ -91,11 +429,39 @@ const tools = [
       type: 'object',
       properties: {
         task_id: { type: 'string', description: 'Task ID to check dependents for' },
+        ...dependencyDepthProperties,
       },
       required: ['task_id'],
     },
   },
 
+  {
+    name: 'mcp__tasks__add_dependency',
+    description:
+      'Make a task depend on another existing task (rejects missing tasks and circular dependencies)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: { type: 'string', description: 'Task ID that gets the new dependency' },
+        depends_on: { type: 'string', description: 'Task ID it should depend on' },
+      },
+      required: ['task_id', 'depends_on'],
+    },
+  },
+
+  {
+    name: 'mcp__tasks__remove_dependency',
+    description: 'Remove a dependency between two tasks',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: { type: 'string', description: 'Task ID to remove the dependency from' },
+        depends_on: { type: 'string', description: 'Task ID it should no longer depend on' },
+      },
+      required: ['task_id', 'depends_on'],
+    },
+  },
+
   {
     name: 'mcp__tasks__graph',
     description: 'Get full dependency graph for a task (both dependencies and dependents)',
@@ -108,9 +474,85 @@ const tools = [
     },
   },
 
+  {
+    name: 'mcp__tasks__export_graph',
+    description:
+      'Render the task graph, or the part reachable from one task, as a Mermaid flowchart, ' +
+      'Graphviz DOT or JSON',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        format: {
+          type: 'string',
+          enum: ['mermaid', 'dot', 'json'],
+          default: 'mermaid',
+          description: 'Output format',
+        },
+        task_id: {
+          type: 'string',
+          description: 'Only export this task with its dependencies and children, recursively',
+        },
+      },
+    },
+  },
+
+  {
+    name: 'mcp__tasks__schedule',
+    description:
+      'Critical path schedule over task dependencies: earliest/latest start, slack and how much ' +
+      'open work each task unblocks. With a goal, only the tasks gating that goal and the longest ' +
+      'chain blocking it',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        goal: {
+          type: 'string',
+          description: 'Goal task (ID, semantic ID or title); only schedule what it depends on',
+        },
+        estimates: {
+          type: 'object',
+          additionalProperties: { type: 'number', minimum: 0 },
+          description: 'Duration per task, keyed by task ID or semantic ID (e.g. {"API-1.01": 3})',
+        },
+        default_estimate: {
+          type: 'number',
+          minimum: 0,
+          default: 1,
+          description: 'Duration of tasks without an estimate',
+        },
+      },
+    },
+  },
+
+  {
+    name: 'mcp__tasks__time_report',
+    description:
+      'Compare estimates with the time actually spent per task, per stream and per parent. ' +
+      'Time spent is the time tasks were in-progress, taken from their status changes',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        status: {
+          type: 'string',
+          enum: ['pending', 'in-progress', 'done', 'archive'],
+          description: 'Only report tasks with this status',
+        },
+        group_by: {
+          type: 'string',
+          enum: ['task', 'stream', 'parent'],
+          description: 'Only show this breakdown (default: all)',
+        },
+      },
+    },
+  },
+
   {
     name: 'mcp__tasks__list',
-    description: 'List all tasks with optional filtering',
+    description:
+      'List tasks with optional filtering. `query` takes terms such as ' +
+      '`status:pending,in-progress priority:high stream:API phase:1 tag:backend parent:API-1.01 ' +
+      'has-deps:true blocked:false created>=2025-01-01 updated:2025-01-01..2025-01-31 "login form"`, ' +
+      'joined by AND (implicit) or OR, negated with NOT or -, grouped with parentheses',
     inputSchema: {
       type: 'object',
       properties: {
@@ -124,7 +566,52 @@ const tools = [
           enum: ['high', 'medium', 'low'],
           description: 'Filter by priority',
         },
+        ...tagFilterProperties,
+        query: {
+          type: 'string',
+          description: 'Query expression, evaluated in the task graph',
+        },
+        sort: {
+          type: 'string',
+          description:
+            'Comma-separated sort keys (priority, status, created, updated, title, id, semantic_id); ' +
+            'prefix with - for descending. Default: priority,created',
+        },
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          description: 'Maximum number of tasks to return',
+        },
+        offset: {
+          type: 'integer',
+          minimum: 0,
+          description: 'Number of matching tasks to skip',
+        },
+      },
+    },
+  },
+
+  {
+    name: 'mcp__tasks__search',
+    description:
+      'Full-text search across task titles, descriptions, subtasks, files and notes. ' +
+      'Use it to check whether a task already exists before creating one',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Words to search for' },
+        status: {
+          type: 'string',
+          enum: ['pending', 'in-progress', 'done', 'archive'],
+          description: 'Only search tasks with this status',
+        },
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          description: 'Maximum number of results (default: 10)',
+        },
       },
+      required: ['query'],
     },
   },
 
@@ -163,6 +650,11 @@ const tools = [
       properties: {
         task_id: { type: 'string', description: 'Task ID to complete' },
         message: { type: 'string', description: 'Final commit message' },
+        force: {
+          type: 'boolean',
+          default: false,
+          description: 'Complete even if acceptance criteria are unchecked',
+        },
       },
       required: ['task_id'],
     },
@@ -239,8 +731,100 @@ const tools = [
       required: ['task_id'],
     },
   },
+
+  {
+    name: 'mcp__tasks__sync_status',
+    description:
+      'Compare task files with the graph task by task. Lists conflicts, fields changed in both ' +
+      'a file and the graph since the last sync, with the value on each side; resolve them ' +
+      'field by field by keeping the file or the graph value',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        resolve: {
+          type: 'array',
+          description: 'Conflicts to resolve before reporting',
+          items: {
+            type: 'object',
+            properties: {
+              task_id: { type: 'string', description: 'Task ID' },
+              field: {
+                type: 'string',
+                enum: [
+                  'title',
+                  'description',
+                  'status',
+                  'priority',
+                  'estimate',
+                  'assignee',
+                  'lease_expires_at',
+                ],
+                description: 'Conflicting field',
+              },
+              keep: {
+                type: 'string',
+                enum: ['file', 'graph'],
+                description: 'Keep the value in the file or the value in the graph',
+              },
+            },
+            required: ['task_id', 'field', 'keep'],
+          },
+        },
+      },
+    },
+  },
+
+  {
+    name: 'mcp__tasks__sync',
+    description:
+      'Sync the task files into the graph. Incremental by default; full rebuilds the graph from ' +
+      'all files, replacing a database that can no longer be opened',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        full: {
+          type: 'boolean',
+          default: false,
+          description: 'Rebuild the graph from all task files instead of syncing changed ones',
+        },
+      },
+    },
+  },
+
+  {
+    name: 'mcp__tasks__verify',
+    description:
+      'Report every difference between the task files and the graph, without syncing first: ' +
+      'missing tasks, differing fields, conflicts and dependency edges, or a graph database ' +
+      'that cannot be opened',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+  },
+
+  {
+    name: 'mcp__tasks__repair',
+    description:
+      'Plan how to bring the graph back in line with the task files (rebuild, create, update, ' +
+      'delete, relink) and, with apply, carry the plan out. Shows the plan only by default',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        apply: {
+          type: 'boolean',
+          default: false,
+          description: 'Carry out the plan instead of only showing it',
+        },
+      },
+    },
+  },
 ];
 
+// Tools that still run when storage fails to initialize, so that a
+// broken graph database can be inspected and repaired
+const RECOVERY_TOOLS = ['mcp__tasks__sync', 'mcp__tasks__verify', 'mcp__tasks__repair'];
+
 /**
  * Register all Task Master Lite MCP tools
  */
@@ -260,24 +844,59 @@ export function registerTaskTools(server, taskManager, syncEngine, serverInstanc
     server.setRequestHandler(CallToolRequestSchema, async request => {
       log('debug', 'Handling tools/call request', request);
 
+      const { name, arguments: args } = request.params;
+
       // Ensure storage is initialized before any tool operations
       if (serverInstance && serverInstance.ensureInitialized) {
-        await serverInstance.ensureInitialized();
+        try {
+          await serverInstance.ensureInitialized();
+        } catch (error) {
+          if (!RECOVERY_TOOLS.includes(name)) {
+            throw error;
+          }
+          log('warn', `Running ${name} without initialized storage: ${error.message}`);
+        }
       }
 
-      const { name, arguments: args } = request.params;
-
       try {
+        // Accept semantic IDs, ID prefixes and titles wherever a task is referenced
+        for (const key of ['task_id', 'depends_on']) {
+          if (args?.[key]) {
+            args[key] = (await taskManager.resolveTaskId(args[key])) || args[key];
+          }
+        }
+
         switch (name) {
           case 'mcp__tasks__create':
             return await handleCreateTask(args, taskManager);
 
+          case 'mcp__tasks__create_batch':
+            return await handleCreateBatch(args, taskManager);
+
+          case 'mcp__tasks__import':
+            return await handleImportPlan(args, taskManager);
+
+          case 'mcp__tasks__update':
+            return await handleUpdateTask(args, taskManager);
+
           case 'mcp__tasks__next':
             return await handleNextTask(args, taskManager);
 
           case 'mcp__tasks__status':
             return await handleTaskStatus(args, taskManager);
 
+          case 'mcp__tasks__claim':
+            return await handleClaimTask(args, taskManager);
+
+          case 'mcp__tasks__renew':
+            return await handleRenewLease(args, taskManager);
+
+          case 'mcp__tasks__release':
+            return await handleReleaseTask(args, taskManager);
+
+          case 'mcp__tasks__check_criteria':
+            return await handleCheckCriteria(args, taskManager);
+
           case 'mcp__tasks__note':
             return await handleAddNote(args, taskManager);
 
@@ -287,12 +906,30 @@ export function registerTaskTools(server, taskManager, syncEngine, serverInstanc
           case 'mcp__tasks__dependents':
             return await handleGetDependents(args, taskManager);
 
+          case 'mcp__tasks__add_dependency':
+            return await handleAddDependency(args, taskManager);
+
+          case 'mcp__tasks__remove_dependency':
+            return await handleRemoveDependency(args, taskManager);
+
           case 'mcp__tasks__graph':
             return await handleGetDependencyGraph(args, taskManager);
 
+          case 'mcp__tasks__export_graph':
+            return await handleExportGraph(args, taskManager);
+
+          case 'mcp__tasks__schedule':
+            return await handleSchedule(args, taskManager);
+
+          case 'mcp__tasks__time_report':
+            return await handleTimeReport(args, taskManager);
+
           case 'mcp__tasks__list':
             return await handleListTasks(args, taskManager);
 
+          case 'mcp__tasks__search':
+            return await handleSearchTasks(args, taskManager);
+
           // Git workflow tools
           case 'mcp__tasks__start':
             return await handleStartTask(args, taskManager);
@@ -318,16 +955,35 @@ export function registerTaskTools(server, taskManager, syncEngine, serverInstanc
           case 'mcp__tasks__hierarchy':
             return await handleGetHierarchy(args, taskManager);
 
+          case 'mcp__tasks__sync_status':
+            return await handleSyncStatus(args, taskManager);
+
+          case 'mcp__tasks__sync':
+            return await handleSync(args, taskManager);
+
+          case 'mcp__tasks__verify':
+            return await handleVerify(args, taskManager);
+
+          case 'mcp__tasks__repair':
+            return await handleRepair(args, taskManager);
+
           default:
             throw new McpError(ErrorCode.InvalidParams, `Tool ${name} not found`);
         }
       } catch (error) {
         log('error', `Tool execution failed: ${error.message}`);
+
+        // Structured errors carry machine-readable details for the caller
+        let text = `Error: ${error.message}`;
+        if (error.details) {
+          text += `\n${JSON.stringify({ code: error.code, ...error.details }, null, 2)}`;
+        }
+
         return {
           content: [
             {
               type: 'text',
-              text: `Error: ${error.message}`,
+              text,
             },
           ],
           isError: true,
@@ -350,13 +1006,175 @@ async function handleCreateTask(params, taskManager) {
       description: params.description,
       priority: params.priority || 'medium',
       dependencies: params.dependencies || [],
+      resolve_semantic_ids: params.resolve_semantic_ids || false,
+      acceptance_criteria: params.acceptance_criteria || [],
+      tags: params.tags || [],
+      estimate: params.estimate,
+      duplicate_policy: params.duplicate_policy,
+    });
+
+    const similar = result.duplicates
+      .map(
+        task =>
+          `- ${task.semantic_id || task.id} (${task.id}) - ${task.title} [${task.status}, similarity ${task.score}]`
+      )
+      .join('\n');
+
+    let text;
+    if (result.merged) {
+      text =
+        `No task created: merged into similar task ${result.id} - ${result.title} as a note\n` +
+        `File: ${result.file_path}\n\nSimilar tasks:\n${similar}`;
+    } else {
+      text = `Created task: ${result.id} - ${result.title}\nFile: ${result.file_path}`;
+      if (result.duplicates.length > 0) {
+        text += `\n\nWarning: possible duplicates:\n${similar}`;
+      }
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text,
+        },
+      ],
+    };
+  } catch (error) {
+    throw error;
+  }
+}
+
+async function handleCreateBatch(params, taskManager) {
+  try {
+    const result = await taskManager.createTaskBatch(params.tasks, {
+      resolve_semantic_ids: params.resolve_semantic_ids || false,
+      duplicate_policy: params.duplicate_policy,
     });
 
+    let text = `Created ${result.total} task(s):\n`;
+    for (const task of result.tasks) {
+      const key = task.key ? `$${task.key} -> ` : '';
+      text += `\n${key}${task.semantic_id} (${task.id}) - ${task.title}`;
+      if (task.dependencies.length > 0) {
+        text += `\n  Depends on: ${task.dependencies.join(', ')}`;
+      }
+      if (task.duplicates.length > 0) {
+        const similar = task.duplicates.map(dup => `${dup.id} (${dup.score})`).join(', ');
+        text += `\n  Warning: possible duplicates: ${similar}`;
+      }
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text,
+        },
+      ],
+    };
+  } catch (error) {
+    throw error;
+  }
+}
+
+async function handleImportPlan(params, taskManager) {
+  try {
+    if (!params.content && !params.path) {
+      throw new Error('Either content or path is required');
+    }
+    const markdown = params.path
+      ? await fs.readFile(path.resolve(params.path), 'utf8')
+      : params.content;
+
+    const result = await taskManager.importPlan(markdown, {
+      dry_run: params.dry_run || false,
+      priority: params.priority || 'medium',
+    });
+
+    let text = result.dry_run
+      ? `Dry run: would create ${result.total} task(s), nothing was written:\n`
+      : `Imported ${result.total} task(s):\n`;
+    for (const task of result.tasks) {
+      const indent = '  '.repeat(task.depth);
+      const id = task.id ? `${task.semantic_id} (${task.id}) - ` : '';
+      text += `\n${indent}- ${id}${task.title}`;
+      if (task.dependencies.length > 0) {
+        const deps = task.dependencies.map(dep =>
+          dep.id ? `${dep.title} [${dep.id}]` : dep.title
+        );
+        text += `\n${indent}  Depends on: ${deps.join(', ')}`;
+      }
+      if (task.duplicates.length > 0) {
+        const similar = task.duplicates.map(dup => `${dup.id} (${dup.score})`).join(', ');
+        text += `\n${indent}  Warning: possible duplicates: ${similar}`;
+      }
+    }
+
+    if (result.skipped.length > 0) {
+      text += `\n\nSkipped ${result.skipped.length} checked item(s):`;
+      result.skipped.forEach(item => (text += `\n- Line ${item.line}: ${item.title}`));
+    }
+    if (result.warnings.length > 0) {
+      text += `\n\nWarnings:`;
+      result.warnings.forEach(warning => (text += `\n- ${warning}`));
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text,
+        },
+      ],
+    };
+  } catch (error) {
+    throw error;
+  }
+}
+
+async function handleUpdateTask(params, taskManager) {
+  try {
+    const updates = {};
+    for (const field of [
+      'title',
+      'description',
+      'priority',
+      'dependencies',
+      'acceptance_criteria',
+      'tags',
+      'estimate',
+    ]) {
+      if (params[field] !== undefined) {
+        updates[field] = params[field];
+      }
+    }
+
+    const result = await taskManager.updateTask(params.task_id, updates);
+
+    if (result.changed.length === 0) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `No changes for task ${result.id} - ${result.title}`,
+          },
+        ],
+      };
+    }
+
+    let response = `Updated task: ${result.id} - ${result.title}\n`;
+    response += `Changed: ${result.changed.join(', ')}\n`;
+    if (result.semantic_id) {
+      response += `Semantic ID: ${result.semantic_id}\n`;
+    }
+    response += `File: ${result.file_path}`;
+
     return {
       content: [
         {
           type: 'text',
-          text: `Created task: ${result.id} - ${result.title}\nFile: ${result.file_path}`,
+          text: response,
         },
       ],
     };
@@ -367,11 +1185,27 @@ async function handleCreateTask(params, taskManager) {
 
 async function handleNextTask(params, taskManager) {
   try {
-    const nextTask = await taskManager.findNextTask();
+    const tagFilters = {
+      tags: params.tags,
+      tag_mode: params.tag_mode,
+      exclude_tags: params.exclude_tags,
+    };
+    const filtered = Boolean(params.tags?.length || params.exclude_tags?.length);
+    const ranking = await taskManager.rankNextTasks({
+      ...tagFilters,
+      strategy: params.strategy,
+      weights: params.weights,
+      limit: params.limit ?? 3,
+      claim: params.claim || false,
+      assignee: params.assignee,
+      lease_minutes: params.lease_minutes,
+    });
+    const [best, ...others] = ranking.candidates;
+    const nextTask = best ? await taskManager.getTask(best.id) : null;
 
     if (!nextTask) {
       // Check if there are blocked tasks
-      const allTasks = await taskManager.listTasks({ status: 'pending' });
+      const allTasks = await taskManager.listTasks({ status: 'pending', ...tagFilters });
       const blockedCount = allTasks.length;
 
       if (blockedCount > 0) {
@@ -379,7 +1213,18 @@ async function handleNextTask(params, taskManager) {
           content: [
             {
               type: 'text',
-              text: `No actionable tasks available. ${blockedCount} tasks are blocked by dependencies.`,
+              text:
+                `No actionable tasks available. ${blockedCount} tasks are blocked by ` +
+                'dependencies or claimed by other agents.',
+            },
+          ],
+        };
+      } else if (filtered) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: 'No pending tasks match the tag filters.',
             },
           ],
         };
@@ -398,6 +1243,15 @@ async function handleNextTask(params, taskManager) {
     let taskInfo = `Next task: ${nextTask.id} - ${nextTask.title}\n`;
     taskInfo += `Status: ${nextTask.status}\n`;
     taskInfo += `Priority: ${nextTask.priority}\n`;
+    if (nextTask.estimate !== undefined) {
+      taskInfo += `Estimate: ${nextTask.estimate}\n`;
+    }
+    if (nextTask.tags && nextTask.tags.length > 0) {
+      taskInfo += `Tags: ${nextTask.tags.join(', ')}\n`;
+    }
+    if (nextTask.assignee) {
+      taskInfo += `Claimed by: ${nextTask.assignee} until ${nextTask.lease_expires_at}\n`;
+    }
 
     if (nextTask.description) {
       taskInfo += `\nDescription:\n${nextTask.description}\n`;
@@ -411,11 +1265,122 @@ async function handleNextTask(params, taskManager) {
       }
     }
 
+    if (nextTask.acceptance_criteria && nextTask.acceptance_criteria.length > 0) {
+      taskInfo += '\nAcceptance criteria:\n';
+      for (const criterion of nextTask.acceptance_criteria) {
+        const checkbox = criterion.is_checked ? '[x]' : '[ ]';
+        taskInfo += `- ${checkbox} ${criterion.text}\n`;
+      }
+    }
+
+    const factors = candidate =>
+      Object.entries(candidate.factors)
+        .map(([factor, value]) => `${factor} ${value}`)
+        .join(', ');
+    taskInfo += `\nChosen by ${ranking.strategy}: score ${best.score} (${factors(best)})\n`;
+    if (ranking.last_stream) {
+      taskInfo += `Last completed stream: ${ranking.last_stream}\n`;
+    }
+    if (others.length > 0) {
+      taskInfo += `\nOther candidates (${ranking.total} actionable):\n`;
+      others.forEach((candidate, index) => {
+        taskInfo +=
+          `${index + 2}. ${candidate.semantic_id || candidate.id} - ${candidate.title}: ` +
+          `score ${candidate.score} (${factors(candidate)})\n`;
+      });
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: taskInfo,
+        },
+      ],
+    };
+  } catch (error) {
+    throw error;
+  }
+}
+
+async function handleTaskStatus(params, taskManager) {
+  try {
+    const result = await taskManager.updateTaskStatus(params.task_id, params.status, {
+      force: params.force || false,
+    });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Updated task ${result.id} status to: ${result.status}\nFile moved to: ${result.file_path}`,
+        },
+      ],
+    };
+  } catch (error) {
+    throw error;
+  }
+}
+
+async function handleClaimTask(params, taskManager) {
+  try {
+    const result = await taskManager.claimTask(params.task_id, {
+      assignee: params.assignee,
+      lease_minutes: params.lease_minutes,
+    });
+
+    let text = `Claimed task ${result.id} for ${result.assignee} until ${result.lease_expires_at}`;
+    if (result.renewed) {
+      text += '\nThe claim was already held and has been extended.';
+    } else if (result.reclaimed_from) {
+      text += `\nTook over the expired claim of ${result.reclaimed_from}.`;
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text,
+        },
+      ],
+    };
+  } catch (error) {
+    throw error;
+  }
+}
+
+async function handleRenewLease(params, taskManager) {
+  try {
+    const result = await taskManager.renewLease(params.task_id, {
+      assignee: params.assignee,
+      lease_minutes: params.lease_minutes,
+    });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Renewed claim on task ${result.id} for ${result.assignee} until ${result.lease_expires_at}`,
+        },
+      ],
+    };
+  } catch (error) {
+    throw error;
+  }
+}
+
+async function handleReleaseTask(params, taskManager) {
+  try {
+    const result = await taskManager.releaseTask(params.task_id, {
+      assignee: params.assignee,
+      force: params.force || false,
+    });
+
     return {
       content: [
         {
           type: 'text',
-          text: taskInfo,
+          text: `Released task ${result.id} (claimed by ${result.assignee})`,
         },
       ],
     };
@@ -424,15 +1389,29 @@ async function handleNextTask(params, taskManager) {
   }
 }
 
-async function handleTaskStatus(params, taskManager) {
+async function handleCheckCriteria(params, taskManager) {
   try {
-    const result = await taskManager.updateTaskStatus(params.task_id, params.status);
+    const result = await taskManager.checkCriteria(
+      params.task_id,
+      params.items,
+      params.checked !== false
+    );
+
+    let response = `Acceptance criteria for ${result.task_id}:\n`;
+    for (const criterion of result.criteria) {
+      const checkbox = criterion.is_checked ? '[x]' : '[ ]';
+      response += `${criterion.position}. ${checkbox} ${criterion.text}\n`;
+    }
+    response +=
+      result.remaining === 0
+        ? '\nAll acceptance criteria met ✅'
+        : `\n${result.remaining} remaining before the task can be completed`;
 
     return {
       content: [
         {
           type: 'text',
-          text: `Updated task ${result.id} status to: ${result.status}\nFile moved to: ${result.file_path}`,
+          text: response,
         },
       ],
     };
@@ -458,9 +1437,30 @@ async function handleAddNote(params, taskManager) {
   }
 }
 
+/**
+ * One line per dependency; transitive results also get their depth and the
+ * chain of tasks leading to them
+ */
+function formatDependencyLine(dep, related) {
+  if (dep.depth === undefined) {
+    return `- ${dep.id}: ${dep.title} [${dep.status}]\n`;
+  }
+
+  let line = `- ${dep.id}: ${dep.title} [${dep.status}] (depth ${dep.depth})\n`;
+  if (dep.depth > 1) {
+    const titles = new Map(related.map(task => [task.id, task.title]));
+    const via = dep.path.slice(1, -1).map(id => titles.get(id) || id);
+    line += `    via: ${via.join(' -> ')}\n`;
+  }
+  return line;
+}
+
 async function handleCheckDependencies(params, taskManager) {
   try {
-    const deps = await taskManager.checkDependencies(params.task_id);
+    const deps = await taskManager.checkDependencies(params.task_id, {
+      depth: params.depth,
+      transitive: params.transitive || false,
+    });
 
     let response = `Task ${deps.task_id} dependencies:\n`;
 
@@ -469,13 +1469,13 @@ async function handleCheckDependencies(params, taskManager) {
     } else {
       response += '\nAll dependencies:\n';
       for (const dep of deps.dependencies) {
-        response += `- ${dep.id}: ${dep.title} [${dep.status}]\n`;
+        response += formatDependencyLine(dep, deps.dependencies);
       }
 
       if (deps.blocking.length > 0) {
         response += '\nBlocking dependencies (not done):\n';
         for (const block of deps.blocking) {
-          response += `- ${block.id}: ${block.title} [${block.status}]\n`;
+          response += formatDependencyLine(block, deps.dependencies);
         }
       }
     }
@@ -501,7 +1501,10 @@ async function handleCheckDependencies(params, taskManager) {
 
 async function handleGetDependents(params, taskManager) {
   try {
-    const result = await taskManager.getDependents(params.task_id);
+    const result = await taskManager.getDependents(params.task_id, {
+      depth: params.depth,
+      transitive: params.transitive || false,
+    });
 
     let response = `Tasks that depend on ${params.task_id}:\n`;
 
@@ -510,13 +1513,13 @@ async function handleGetDependents(params, taskManager) {
     } else {
       response += '\nAll dependents:\n';
       for (const dep of result.dependents) {
-        response += `- ${dep.id}: ${dep.title} [${dep.status}]\n`;
+        response += formatDependencyLine(dep, result.dependents);
       }
 
       if (result.impacted.length > 0) {
         response += '\nImpacted tasks (would be blocked):\n';
         for (const imp of result.impacted) {
-          response += `- ${imp.id}: ${imp.title} [${imp.status}]\n`;
+          response += formatDependencyLine(imp, result.dependents);
         }
       }
     }
@@ -537,6 +1540,48 @@ async function handleGetDependents(params, taskManager) {
   }
 }
 
+async function handleAddDependency(params, taskManager) {
+  try {
+    const result = await taskManager.addDependency(params.task_id, params.depends_on);
+
+    const text = result.added
+      ? `Added dependency: ${result.task_id} now depends on ${result.depends_on}`
+      : `Task ${result.task_id} already depends on ${result.depends_on}`;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text,
+        },
+      ],
+    };
+  } catch (error) {
+    throw error;
+  }
+}
+
+async function handleRemoveDependency(params, taskManager) {
+  try {
+    const result = await taskManager.removeDependency(params.task_id, params.depends_on);
+
+    const text = result.removed
+      ? `Removed dependency: ${result.task_id} no longer depends on ${result.depends_on}`
+      : `Task ${result.task_id} does not depend on ${result.depends_on}`;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text,
+        },
+      ],
+    };
+  } catch (error) {
+    throw error;
+  }
+}
+
 async function handleGetDependencyGraph(params, taskManager) {
   try {
     const graph = await taskManager.getFullDependencyGraph(params.task_id);
@@ -584,28 +1629,62 @@ async function handleGetDependencyGraph(params, taskManager) {
 
 async function handleListTasks(params, taskManager) {
   try {
-    const tasks = await taskManager.listTasks({
+    const filters = {
       status: params.status,
       priority: params.priority,
-    });
+      tags: params.tags,
+      tag_mode: params.tag_mode,
+      exclude_tags: params.exclude_tags,
+    };
+    const paged = ['query', 'sort', 'limit', 'offset'].some(key => params[key] !== undefined);
+
+    let tasks;
+    let total;
+    let offset = 0;
+    if (paged) {
+      ({ tasks, total, offset } = await taskManager.queryTasks({
+        ...filters,
+        query: params.query,
+        sort: params.sort,
+        limit: params.limit,
+        offset: params.offset,
+      }));
+    } else {
+      tasks = await taskManager.listTasks(filters);
+      total = tasks.length;
+    }
 
     if (tasks.length === 0) {
       return {
         content: [
           {
             type: 'text',
-            text: 'No tasks found matching the criteria.',
+            text:
+              total > 0
+                ? `No tasks at offset ${offset}; ${total} task(s) match.`
+                : 'No tasks found matching the criteria.',
           },
         ],
       };
     }
 
-    let response = `Found ${tasks.length} task(s):\n\n`;
+    let response =
+      tasks.length < total
+        ? `Found ${total} task(s), showing ${offset + 1}-${offset + tasks.length}:\n\n`
+        : `Found ${total} task(s):\n\n`;
 
     for (const task of tasks) {
       response += `${task.id} - ${task.title}\n`;
       response += `  Status: ${task.status} | Priority: ${task.priority}`;
 
+      if (task.tags && task.tags.length > 0) {
+        response += ` | Tags: ${task.tags.join(', ')}`;
+      }
+
+      if (task.assignee) {
+        response += ` | Claimed by: ${task.assignee} until ${task.lease_expires_at}`;
+      }
+
       response += '\n';
 
       if (task.subtasks && task.subtasks.length > 0) {
@@ -616,6 +1695,179 @@ async function handleListTasks(params, taskManager) {
       response += '\n';
     }
 
+    if (offset + tasks.length < total) {
+      response += `More results: use offset ${offset + tasks.length}.\n`;
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: response,
+        },
+      ],
+    };
+  } catch (error) {
+    throw error;
+  }
+}
+
+async function handleExportGraph(params, taskManager) {
+  try {
+    const result = await taskManager.exportGraph({
+      task_id: params.task_id,
+      format: params.format || 'mermaid',
+    });
+
+    const scope = result.root ? `Subgraph of ${result.root}` : 'Task graph';
+    return {
+      content: [
+        {
+          type: 'text',
+          text:
+            `${scope}: ${result.node_count} task(s), ${result.edge_count} edge(s)\n\n` +
+            `\`\`\`${result.format}\n${result.content}\`\`\``,
+        },
+      ],
+    };
+  } catch (error) {
+    throw error;
+  }
+}
+
+async function handleSchedule(params, taskManager) {
+  try {
+    const result = await taskManager.getSchedule({
+      goal: params.goal,
+      estimates: params.estimates,
+      default_estimate: params.default_estimate ?? 1,
+    });
+
+    const label = task => `${task.semantic_id || task.id} - ${task.title}`;
+    let response = result.goal
+      ? `Schedule for goal ${result.goal}: ${result.total_duration} to finish\n`
+      : `Schedule: ${result.total_duration} to finish all open tasks\n`;
+
+    if (result.critical_path.length > 0) {
+      response += `\n${result.goal ? 'Longest blocking chain' : 'Critical path'}:\n`;
+      result.critical_path.forEach(task => {
+        response += `- ${label(task)} (${task.earliest_start} → ${task.earliest_finish})\n`;
+      });
+    }
+
+    if (result.tasks.length > 0) {
+      response += `\nTasks (${result.tasks.length}):\n`;
+      result.tasks.forEach(task => {
+        response +=
+          `- ${label(task)}: start ${task.earliest_start}-${task.latest_start}, ` +
+          `slack ${task.slack}, unblocks ${task.unblocks}${task.critical ? ' [critical]' : ''}\n`;
+      });
+    } else {
+      response += '\nNo open tasks to schedule\n';
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: response,
+        },
+      ],
+    };
+  } catch (error) {
+    throw error;
+  }
+}
+
+async function handleTimeReport(params, taskManager) {
+  try {
+    const report = await taskManager.getTimeReport({ status: params.status });
+
+    const summary = row => {
+      const estimate = row.estimate !== null ? ` / estimate ${row.estimate}` : '';
+      const ratio = row.ratio !== undefined && row.ratio !== null ? ` (ratio ${row.ratio})` : '';
+      return `${row.actual_hours}h spent${estimate}${ratio}`;
+    };
+
+    let response =
+      `Time report: ${report.totals.task_count} task(s), ${summary(report.totals)}, ` +
+      `${report.totals.paused_hours}h paused\n`;
+
+    if (!params.group_by || params.group_by === 'task') {
+      response += '\nBy task:\n';
+      report.tasks.forEach(task => {
+        const running = task.running ? ' [running]' : '';
+        const variance =
+          task.variance !== null ? ` (${task.variance >= 0 ? '+' : ''}${task.variance})` : '';
+        response += `- ${task.semantic_id || task.id} - ${task.title} [${task.status}]: ${summary(task)}${variance}${running}\n`;
+      });
+    }
+
+    if (!params.group_by || params.group_by === 'stream') {
+      response += '\nBy stream:\n';
+      report.by_stream.forEach(group => {
+        response += `- ${group.stream} (${group.task_count}): ${summary(group)}\n`;
+      });
+    }
+
+    if (!params.group_by || params.group_by === 'parent') {
+      response += '\nBy parent:\n';
+      report.by_parent.forEach(group => {
+        const parent = group.title
+          ? `${group.semantic_id || group.parent_id} - ${group.title}`
+          : group.parent_id;
+        response += `- ${parent} (${group.task_count}): ${summary(group)}\n`;
+      });
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: response,
+        },
+      ],
+    };
+  } catch (error) {
+    throw error;
+  }
+}
+
+async function handleSearchTasks(params, taskManager) {
+  try {
+    const { total, results } = await taskManager.searchTasks(params.query, {
+      limit: params.limit,
+      status: params.status,
+    });
+
+    if (results.length === 0) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `No tasks match "${params.query}".`,
+          },
+        ],
+      };
+    }
+
+    let response =
+      results.length < total
+        ? `Found ${total} matching task(s), showing the top ${results.length}:\n\n`
+        : `Found ${total} matching task(s):\n\n`;
+
+    for (const result of results) {
+      const label = result.semantic_id
+        ? `${result.semantic_id} (${result.task_id})`
+        : result.task_id;
+      response += `${label} - ${result.title}\n`;
+      response += `  Status: ${result.status} | Score: ${result.score}\n`;
+      for (const match of result.matches) {
+        response += `  ${match.section}: ${match.snippet}\n`;
+      }
+      response += '\n';
+    }
+
     return {
       content: [
         {
@@ -688,7 +1940,9 @@ async function handleCompleteTask(params, taskManager) {
       throw new Error('Git operations not supported. Initialize with CodeVersionedTaskManager.');
     }
 
-    const result = await taskManager.completeTask(params.task_id, params.message);
+    const result = await taskManager.completeTask(params.task_id, params.message, {
+      force: params.force || false,
+    });
 
     return {
       content: [
@@ -899,4 +2153,226 @@ async function handleGetHierarchy(params, taskManager) {
   }
 }
 
+async function handleSyncStatus(params, taskManager) {
+  try {
+    const resolved = [];
+    for (const resolution of params.resolve || []) {
+      const taskId = (await taskManager.resolveTaskId(resolution.task_id)) || resolution.task_id;
+      resolved.push(
+        await taskManager.resolveSyncConflict(taskId, resolution.field, resolution.keep)
+      );
+    }
+
+    const status = await taskManager.getSyncStatus();
+    const format = value => JSON.stringify(value);
+
+    let response = '';
+    resolved.forEach(result => {
+      response += `Resolved ${result.field} of ${result.task_id}: kept the ${result.kept} value ${format(result.value)}\n`;
+    });
+    if (resolved.length > 0) {
+      response += '\n';
+    }
+
+    if (status.in_sync) {
+      response += `Files and graph are in sync (${status.file_count} tasks)\n`;
+    } else {
+      response += `${status.diff.length} difference(s) between ${status.file_count} task file(s) and ${status.graph_count} graph task(s)\n`;
+    }
+
+    const conflicts = status.diff.filter(entry => entry.issue === 'conflict');
+    if (conflicts.length > 0) {
+      response += '\nConflicts (changed in both the file and the graph since the last sync):\n';
+      conflicts.forEach(entry => {
+        response += `- ${entry.task_id} (${entry.file_path})\n`;
+        entry.conflicts.forEach(conflict => {
+          response += `  - ${conflict.field}: file ${format(conflict.file)}, graph ${format(conflict.graph)} (was ${format(conflict.base)}); keep "file" or "graph"\n`;
+        });
+      });
+    }
+
+    const others = status.diff.filter(entry => entry.issue !== 'conflict');
+    if (others.length > 0) {
+      response += '\nOther differences:\n';
+      others.forEach(entry => {
+        const fields = entry.fields ? `: ${entry.fields.join(', ')}` : '';
+        response += `- ${entry.task_id} ${entry.issue}${fields} (${entry.file_path})\n`;
+      });
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: response,
+        },
+      ],
+    };
+  } catch (error) {
+    throw error;
+  }
+}
+
+async function handleSync(params, taskManager) {
+  try {
+    const result = await taskManager.syncGraph({ full: params?.full || false });
+    const details = result.details;
+
+    let response = params?.full ? 'Rebuilt the graph from the task files\n' : 'Synced task files\n';
+    if (result.backup_path) {
+      response += `Unusable database moved aside to ${result.backup_path}\n`;
+    }
+    response += `Created: ${details.created}, updated: ${details.updated}, deleted: ${details.deleted}, unchanged: ${details.unchanged}, dependency changes: ${details.dependencies}\n`;
+    if (details.conflicts > 0) {
+      response += `${details.conflicts} task(s) with conflicts left alone; see mcp__tasks__sync_status\n`;
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: response,
+        },
+      ],
+    };
+  } catch (error) {
+    throw error;
+  }
+}
+
+// One line per difference found by mcp__tasks__verify
+function describeSyncDifference(entry) {
+  const format = value => JSON.stringify(value);
+
+  switch (entry.issue) {
+    case 'missing_in_graph':
+      return `${entry.task_id}: not in the graph (${entry.file_path})`;
+    case 'missing_file':
+      return `${entry.task_id}: in the graph but has no task file`;
+    case 'fields_differ':
+      return `${entry.task_id}: fields differ: ${entry.fields.join(', ')} (${entry.file_path})`;
+    case 'not_synced':
+      return `${entry.task_id}: file changed since the last sync (${entry.file_path})`;
+    case 'conflict':
+      return `${entry.task_id}: conflicts: ${entry.conflicts
+        .map(
+          conflict =>
+            `${conflict.field} (file ${format(conflict.file)}, graph ${format(conflict.graph)})`
+        )
+        .join(', ')}`;
+    case 'dependencies_differ': {
+      const parts = [];
+      if (entry.missing.length > 0) {
+        parts.push(`missing in graph: ${entry.missing.join(', ')}`);
+      }
+      if (entry.extra.length > 0) {
+        parts.push(`not in file: ${entry.extra.join(', ')}`);
+      }
+      return `${entry.task_id}: dependencies differ, ${parts.join('; ')}`;
+    }
+    default:
+      return `${entry.task_id}: ${entry.issue}`;
+  }
+}
+
+async function handleVerify(params, taskManager) {
+  try {
+    const status = await taskManager.verifySync();
+
+    let response;
+    if (status.graph_error) {
+      response = `Graph database cannot be used: ${status.graph_error}\n`;
+      response += `${status.file_count} task file(s) to rebuild it from; run mcp__tasks__repair\n`;
+    } else if (status.in_sync) {
+      response = `Files and graph are in sync (${status.file_count} tasks)\n`;
+    } else {
+      response = `${status.diff.length} difference(s) between ${status.file_count} task file(s) and ${status.graph_count} graph task(s)\n\n`;
+      status.diff.forEach(entry => {
+        response += `- ${describeSyncDifference(entry)}\n`;
+      });
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: response,
+        },
+      ],
+    };
+  } catch (error) {
+    throw error;
+  }
+}
+
+async function handleRepair(params, taskManager) {
+  try {
+    const apply = params?.apply || false;
+    const repair = await taskManager.repairSync({ apply });
+
+    let response = '';
+    if (repair.graph_error) {
+      response += `Graph database cannot be used: ${repair.graph_error}\n`;
+    }
+
+    if (repair.actions.length === 0) {
+      response += 'Nothing to repair\n';
+    } else {
+      response += apply
+        ? 'Applied repair plan:\n'
+        : 'Repair plan (run with apply to carry it out):\n';
+      repair.actions.forEach(action => {
+        if (action.action === 'rebuild') {
+          response += `- rebuild the graph from ${action.task_count} task file(s)\n`;
+        } else if (action.action === 'relink') {
+          const changes = [
+            ...action.add.map(id => `+${id}`),
+            ...action.remove.map(id => `-${id}`),
+          ].join(', ');
+          response += `- relink ${action.task_id} dependencies: ${changes}\n`;
+        } else {
+          const fields = action.fields ? ` (${action.fields.join(', ')})` : '';
+          response += `- ${action.action} ${action.task_id}${fields}\n`;
+        }
+      });
+    }
+
+    if (repair.skipped.length > 0) {
+      response += '\nNot repaired (conflicts):\n';
+      repair.skipped.forEach(entry => {
+        response += `- ${entry.task_id}: conflicting ${entry.fields.join(', ')}; resolve with mcp__tasks__sync_status\n`;
+      });
+    }
+
+    if (repair.applied && repair.actions.length > 0) {
+      response += `\n${repair.result.changes} change(s) made`;
+      if (repair.result.backup_path) {
+        response += `; unusable database moved aside to ${repair.result.backup_path}`;
+      }
+      response +=
+        repair.remaining.length === 0
+          ? '. Files and graph are in sync\n'
+          : `. ${repair.remaining.length} difference(s) remain; see mcp__tasks__verify\n`;
+
+      const cycles = (repair.result.dependencies?.details || []).filter(
+        issue => issue.type === 'circular_dependency'
+      );
+      cycles.forEach(issue => {
+        response += `- ${issue.task_id} is in a dependency cycle; remove a dependency from its task file\n`;
+      });
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: response,
+        },
+      ],
+    };
+  } catch (error) {
+    throw error;
+  }
+}
+
 export default { registerTaskTools };
@@ -0,0 +1,201 @@
+import { promises as fs } from 'fs';
+import crypto from 'crypto';
+import os from 'os';
+import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import { log } from '../utils/logger.js';
+
+// Temporary files of atomic writes: ".<filename>.<pid>.<random>.tmp" next to the target
+const TEMP_FILE = /^\..+\.\d+\.[0-9a-f]+\.tmp$/;
+
+/**
+ * Whether a filename is a temporary file left by writeFileAtomic
+ */
+export function isTempFile(filename) {
+  return TEMP_FILE.test(filename);
+}
+
+/**
+ * Write a file so readers see either the old or the new content, never a
+ * partial one: the content goes to a temporary file in the same directory,
+ * is flushed to disk and then renamed over the target.
+ */
+export async function writeFileAtomic(filepath, content) {
+  const random = crypto.randomBytes(4).toString('hex');
+  const temp = path.join(
+    path.dirname(filepath),
+    `.${path.basename(filepath)}.${process.pid}.${random}.tmp`
+  );
+
+  try {
+    const handle = await fs.open(temp, 'w');
+    try {
+      await handle.writeFile(content, 'utf8');
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(temp, filepath);
+  } catch (error) {
+    await fs.rm(temp, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Check whether a process on this host is still running
+ */
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Advisory lock on a directory shared by several processes, held in a
+ * ".lock" file created exclusively. The file names the holder and the
+ * operation in progress, so a lock left behind by a crashed process can be
+ * broken and its operation finished by the next holder.
+ */
+export class DirectoryLock {
+  constructor(dir, { timeout = 10000, staleAfter = 30000, retryDelay = 20 } = {}) {
+    this.lockPath = path.join(dir, '.lock');
+    this.timeout = timeout;
+    this.staleAfter = staleAfter;
+    this.retryDelay = retryDelay;
+    this.held = null;
+  }
+
+  /**
+   * Wait for the lock and take it. operation is recorded in the lock file.
+   * Returns the holder of a stale lock that had to be broken, or null.
+   */
+  async acquire(operation = {}) {
+    const started = Date.now();
+    let broken = null;
+
+    for (;;) {
+      const content = JSON.stringify({
+        pid: process.pid,
+        hostname: os.hostname(),
+        acquired_at: new Date().toISOString(),
+        ...operation,
+      });
+
+      try {
+        await fs.writeFile(this.lockPath, content, { flag: 'wx' });
+        this.held = content;
+        return broken;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      const holder = await this.readHolder();
+      if (holder && this.isStale(holder)) {
+        // Only remove the lock file if it still is the one judged stale
+        const current = await this.readHolder();
+        if (current?.raw === holder.raw) {
+          await fs.rm(this.lockPath, { force: true });
+          broken = holder.info;
+          log(
+            'warn',
+            `Broke stale lock ${this.lockPath} of process ${holder.info?.pid ?? 'unknown'}`
+          );
+        }
+        continue;
+      }
+
+      if (Date.now() - started >= this.timeout) {
+        const owner = holder?.info
+          ? `process ${holder.info.pid} on ${holder.info.hostname}`
+          : 'another process';
+        throw new Error(`Timed out waiting for lock ${this.lockPath} held by ${owner}`);
+      }
+      await sleep(this.retryDelay);
+    }
+  }
+
+  /**
+   * Record a new operation in the held lock, e.g. the paths of a move about
+   * to start, so whoever breaks the lock after a crash knows what to finish
+   */
+  async update(operation) {
+    if (!this.held) {
+      throw new Error(`Lock ${this.lockPath} is not held`);
+    }
+
+    const content = JSON.stringify({ ...JSON.parse(this.held), ...operation });
+    await writeFileAtomic(this.lockPath, content);
+    this.held = content;
+  }
+
+  /**
+   * Release the lock if this process still holds it
+   */
+  async release() {
+    if (!this.held) {
+      return;
+    }
+
+    const holder = await this.readHolder();
+    if (holder?.raw === this.held) {
+      await fs.rm(this.lockPath, { force: true });
+    }
+    this.held = null;
+  }
+
+  /**
+   * Run fn while holding the lock; fn receives the holder of a broken stale lock
+   */
+  async withLock(operation, fn) {
+    const broken = await this.acquire(operation);
+    try {
+      return await fn(broken);
+    } finally {
+      await this.release();
+    }
+  }
+
+  /**
+   * The current lock file: { raw, info, modified }, or null if there is none
+   */
+  async readHolder() {
+    try {
+      const [raw, stats] = await Promise.all([
+        fs.readFile(this.lockPath, 'utf8'),
+        fs.stat(this.lockPath),
+      ]);
+      let info = null;
+      try {
+        info = JSON.parse(raw);
+      } catch {
+        // Empty while its holder is still writing it, or damaged
+      }
+      return { raw, info, modified: stats.mtimeMs };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * A lock is stale when its holder on this host has exited, however long
+   * it has been held. Holders on other hosts cannot be checked, so their
+   * locks are stale once older than staleAfter.
+   */
+  isStale({ info, modified }) {
+    if (info?.hostname === os.hostname() && Number.isInteger(info.pid)) {
+      return processAlive(info.pid) === false;
+    }
+    const since = info ? Date.parse(info.acquired_at) : modified;
+    return !(Date.now() - since < this.staleAfter);
+  }
+}
@@ -1,14 +1,101 @@
 import { promises as fs } from 'fs';
+import crypto from 'crypto';
 import path from 'path';
 import { log } from '../utils/logger.js';
+import {
+  formatFrontMatter,
+  parseFrontMatter,
+  parseFrontMatterData,
+  serializeFrontMatter,
+  splitFrontMatterBlocks,
+} from './front-matter.js';
+import { joinSections, mergePreamble, mergeSections, splitSections } from './task-document.js';
+import { DirectoryLock, isTempFile, writeFileAtomic } from './file-lock.js';
+
+// Status emoji used in dependency links, mapped back to status names
+const STATUS_FROM_EMOJI = {
+  '✅': 'done',
+  '🚧': 'in-progress',
+  '⏳': 'pending',
+  '📦': 'archive',
+  '❓': 'unknown',
+};
+
+// Supported task file formats: bold metadata lines or YAML front-matter
+export const TASK_FORMATS = ['markdown', 'yaml'];
+
+// Written in place of an empty description, and read back as one
+export const EMPTY_DESCRIPTION = 'No description provided.';
+
+/**
+ * Hash of a task file's content, used to tell this process's writes from external edits
+ */
+export function hashContent(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+// Metadata lines of the markdown format ("**Field:** value")
+const METADATA_FIELDS = [
+  'ID',
+  'Semantic',
+  'Status',
+  'Priority',
+  'Estimate',
+  'Assignee',
+  'Lease Expires',
+  'Created',
+  'Updated',
+  'Parent',
+  'Tags',
+];
+
+// Front-matter keys of the YAML format
+const FRONT_MATTER_KEYS = [
+  'id',
+  'semantic_id',
+  'status',
+  'priority',
+  'estimate',
+  'assignee',
+  'lease_expires_at',
+  'parent_id',
+  'parent',
+  'created_at',
+  'updated_at',
+  'tags',
+  'dependencies',
+];
+
+// Parsed tasks remember the file they came from so rewrites can keep
+// anything the parser does not model
+const TASK_SOURCE = Symbol('taskSource');
+
+// Semantic ID prefix at the start of a filename, e.g. "SYNC-1.01-"
+const SEMANTIC_PREFIX = /^[A-Z][A-Z0-9]*-\d+\.\d+-/;
 
 /**
  * File storage manager for human-readable task files
  */
 export class FileStorage {
-  constructor(tasksDir) {
+  constructor(tasksDir, options = {}) {
     this.tasksDir = tasksDir;
     this.statusDirs = ['pending', 'in-progress', 'done', 'archive'];
+    this.format = options.format || 'markdown';
+    if (!TASK_FORMATS.includes(this.format)) {
+      throw new Error(
+        `Invalid task format: ${this.format}. Must be one of: ${TASK_FORMATS.join(', ')}`
+      );
+    }
+    // Task ID -> file path, so lookups don't rescan every directory
+    this.pathIndex = new Map();
+    // Serializes writes with other processes sharing the tasks directory
+    this.lock = new DirectoryLock(tasksDir, options.lock);
+    // What the startup recovery repaired, see recover()
+    this.recovery = null;
+    // File path -> hash of the content this process last wrote there
+    this.writtenHashes = new Map();
+    // Paths this process removed a task file from (deleted, or moved away)
+    this.removedPaths = new Set();
   }
 
   /**
@@ -24,6 +111,9 @@ export class FileStorage {
         await fs.mkdir(path.join(this.tasksDir, dir), { recursive: true });
       }
 
+      // Clean up after writes a crash interrupted
+      this.recovery = await this.recover();
+
       log('info', 'File storage initialized');
       return true;
     } catch (error) {
@@ -51,9 +141,119 @@ export class FileStorage {
   }
 
   /**
-   * Generate task markdown content
+   * Generate task content. Tasks read from disk keep the format of their
+   * file and are merged into it, so unknown sections, extra metadata,
+   * ordering and whitespace are preserved. New tasks use the configured format.
+   */
+  async generateTaskContent(task, format) {
+    const source = task[TASK_SOURCE];
+    const targetFormat = format || (source ? this.detectFormat(source.content) : this.format);
+    const fresh = await this.renderTaskContent(task, targetFormat);
+
+    if (!source) {
+      return fresh;
+    }
+
+    const base = await this.renderTaskContent(source.snapshot, targetFormat);
+    return this.mergeTaskContent(source.content, base, fresh);
+  }
+
+  /**
+   * Merge freshly rendered content into the file content it replaces
    */
-  async generateTaskContent(task) {
+  mergeTaskContent(raw, base, fresh) {
+    const rawFrontMatter = parseFrontMatter(raw);
+    const freshFrontMatter = parseFrontMatter(fresh);
+    const body = content => parseFrontMatter(content)?.body ?? content;
+
+    const rawDoc = splitSections(body(raw));
+    const baseDoc = splitSections(body(base));
+    const freshDoc = splitSections(body(fresh));
+
+    let merged = joinSections({
+      preamble: mergePreamble(rawDoc.preamble, freshDoc.preamble, METADATA_FIELDS),
+      sections: mergeSections(rawDoc.sections, baseDoc.sections, freshDoc.sections),
+    });
+
+    if (!freshFrontMatter) {
+      // Converting from YAML drops the blank line that followed the front-matter
+      return rawFrontMatter ? merged.replace(/^\n+/, '') : merged;
+    }
+
+    if (!rawFrontMatter) {
+      merged = `\n${merged.replace(/^\n+/, '')}`;
+    }
+
+    const yaml = rawFrontMatter
+      ? this.mergeFrontMatter(rawFrontMatter.yaml, freshFrontMatter.data)
+      : freshFrontMatter.yaml;
+
+    return `---\n${yaml}\n---\n${merged}`;
+  }
+
+  /**
+   * Merge new front-matter values into existing YAML, keeping unknown keys,
+   * comments, key order and the formatting of unchanged values
+   */
+  mergeFrontMatter(rawYaml, data) {
+    const normalize = values => {
+      const task = {};
+      this.applyFrontMatter(task, values);
+      return task;
+    };
+    const field = key => (key === 'parent' ? 'parent_id' : key);
+    const before = normalize(parseFrontMatterData(rawYaml));
+    const after = normalize(data);
+
+    const { blocks, trailing } = splitFrontMatterBlocks(rawYaml);
+    const lines = [];
+    const emitted = new Set();
+
+    for (const block of blocks) {
+      const key = field(block.key);
+      if (!FRONT_MATTER_KEYS.includes(block.key)) {
+        lines.push(...block.lines);
+        continue;
+      }
+      if (data[key] === undefined || emitted.has(key)) {
+        continue;
+      }
+
+      emitted.add(key);
+      if (JSON.stringify(before[key]) === JSON.stringify(after[key])) {
+        lines.push(...block.lines);
+      } else {
+        const comments = block.lines.slice(
+          0,
+          block.lines.findIndex(line => line.startsWith(block.key))
+        );
+        lines.push(
+          ...comments,
+          ...serializeFrontMatter({ [key]: data[key] })
+            .trimEnd()
+            .split('\n')
+        );
+      }
+    }
+
+    const added = Object.fromEntries(
+      Object.entries(data).filter(([key, value]) => value !== undefined && !emitted.has(key))
+    );
+    if (Object.keys(added).length > 0) {
+      lines.push(...serializeFrontMatter(added).trimEnd().split('\n'));
+    }
+
+    return [...lines, ...trailing].join('\n');
+  }
+
+  /**
+   * Render task content from scratch in the given format
+   */
+  async renderTaskContent(task, format) {
+    if (format === 'yaml') {
+      return this.generateYamlContent(task);
+    }
+
     let content = `# ${task.title}\n\n`;
 
     // Metadata section
@@ -63,17 +263,74 @@ export class FileStorage {
     }
     content += `**Status:** ${task.status}\n`;
     content += `**Priority:** ${task.priority}\n`;
+    if (task.estimate !== undefined && task.estimate !== null) {
+      content += `**Estimate:** ${task.estimate}\n`;
+    }
+    if (task.assignee) {
+      content += `**Assignee:** ${task.assignee}\n`;
+      content += `**Lease Expires:** ${task.lease_expires_at}\n`;
+    }
     content += `**Created:** ${task.created_at || new Date().toISOString()}\n`;
 
+    if (task.updated_at) {
+      content += `**Updated:** ${task.updated_at}\n`;
+    }
+
     if (task.parent_id) {
       content += `**Parent:** ${task.parent_id}\n`;
     }
 
+    if (task.tags && task.tags.length > 0) {
+      content += `**Tags:** ${task.tags.join(', ')}\n`;
+    }
+
     content += '\n';
 
+    return content + (await this.generateTaskBody(task, { includeDependencies: true }));
+  }
+
+  /**
+   * Generate task content with all metadata in YAML front-matter
+   */
+  async generateYamlContent(task) {
+    const body =
+      `# ${task.title}\n\n` + (await this.generateTaskBody(task, { includeDependencies: false }));
+
+    return formatFrontMatter(this.frontMatterData(task), body);
+  }
+
+  /**
+   * Front-matter metadata for a task
+   */
+  frontMatterData(task) {
+    return {
+      id: task.id,
+      semantic_id: task.semantic_id || undefined,
+      status: task.status,
+      priority: task.priority,
+      estimate: task.estimate ?? undefined,
+      assignee: task.assignee || undefined,
+      lease_expires_at: task.assignee ? task.lease_expires_at : undefined,
+      parent_id: task.parent_id || undefined,
+      created_at: task.created_at || new Date().toISOString(),
+      updated_at: task.updated_at || undefined,
+      tags: task.tags || [],
+      dependencies: (task.dependencies || []).map(dep => ({
+        id: dep.id,
+        status: dep.status || 'unknown',
+      })),
+    };
+  }
+
+  /**
+   * Generate the markdown sections shared by both formats
+   */
+  async generateTaskBody(task, { includeDependencies }) {
+    let content = '';
+
     // Description
     content += '## Description\n';
-    content += `${task.description || 'No description provided.'}\n\n`;
+    content += `${task.description || EMPTY_DESCRIPTION}\n\n`;
 
     // Subtasks/Checklist
     if (task.subtasks && task.subtasks.length > 0) {
@@ -85,8 +342,21 @@ export class FileStorage {
       content += '\n';
     }
 
+    // Acceptance criteria gate completion
+    if (task.acceptance_criteria && task.acceptance_criteria.length > 0) {
+      content += '## Acceptance Criteria\n';
+      for (const criterion of task.acceptance_criteria) {
+        const checkbox = criterion.is_checked ? '[x]' : '[ ]';
+        content += `- ${checkbox} ${criterion.text}\n`;
+        if (criterion.details) {
+          content += `${criterion.details}\n`;
+        }
+      }
+      content += '\n';
+    }
+
     // Dependencies with clickable links
-    if (task.dependencies && task.dependencies.length > 0) {
+    if (includeDependencies && task.dependencies && task.dependencies.length > 0) {
       content += '## Dependencies\n';
 
       for (const dep of task.dependencies) {
@@ -183,13 +453,23 @@ export class FileStorage {
   }
 
   /**
-   * Parse task content from markdown
+   * Detect which format a task file is written in
+   */
+  detectFormat(content) {
+    return parseFrontMatter(content) ? 'yaml' : 'markdown';
+  }
+
+  /**
+   * Parse task content from markdown (either format)
    */
   parseTaskContent(content, _filename) {
-    const lines = content.split('\n');
+    const frontMatter = parseFrontMatter(content);
+    const lines = (frontMatter ? frontMatter.body : content).split('\n');
     const task = {
       subtasks: [],
+      acceptance_criteria: [],
       dependencies: [],
+      dependents: [],
       files: [],
       notes: [],
     };
@@ -214,10 +494,24 @@ export class FileStorage {
         task.status = line.substring(12).trim();
       } else if (line.startsWith('**Priority:** ')) {
         task.priority = line.substring(14).trim();
+      } else if (line.startsWith('**Estimate:** ')) {
+        task.estimate = this.parseEstimate(line.substring(14));
+      } else if (line.startsWith('**Assignee:** ')) {
+        task.assignee = line.substring(14).trim();
+      } else if (line.startsWith('**Lease Expires:** ')) {
+        task.lease_expires_at = line.substring(19).trim();
       } else if (line.startsWith('**Created:** ')) {
         task.created_at = line.substring(13).trim();
+      } else if (line.startsWith('**Updated:** ')) {
+        task.updated_at = line.substring(13).trim();
       } else if (line.startsWith('**Parent:** ')) {
         task.parent_id = line.substring(12).trim();
+      } else if (line.startsWith('**Tags:** ')) {
+        task.tags = line
+          .substring(10)
+          .split(',')
+          .map(tag => tag.trim())
+          .filter(Boolean);
       }
 
       // Section headers
@@ -226,12 +520,19 @@ export class FileStorage {
         task.description = '';
       } else if (line === '## Tasks') {
         currentSection = 'subtasks';
+      } else if (line === '## Acceptance Criteria') {
+        currentSection = 'criteria';
       } else if (line === '## Dependencies') {
         currentSection = 'dependencies';
       } else if (line === '## Files') {
         currentSection = 'files';
+      } else if (line === '## Dependents') {
+        currentSection = 'dependents';
       } else if (line === '## Notes') {
         currentSection = 'notes';
+      } else if (line.startsWith('## ')) {
+        // Unknown section, kept verbatim on rewrite
+        currentSection = null;
       } else if (line.startsWith('### ') && currentSection === 'notes') {
         // Save previous note if exists
         if (noteTimestamp) {
@@ -252,6 +553,17 @@ export class FileStorage {
             title: match[2],
           });
         }
+      } else if (currentSection === 'criteria' && line.startsWith('- ')) {
+        const match = line.match(/^- \[([ xX])\] (.+)/);
+        if (match) {
+          task.acceptance_criteria.push({ text: match[2].trim(), is_checked: match[1] !== ' ' });
+        }
+      } else if (currentSection === 'criteria' && /^\s+\S/.test(line)) {
+        // Indented lines (nested items, wrapped text) belong to the item above
+        const criterion = task.acceptance_criteria[task.acceptance_criteria.length - 1];
+        if (criterion) {
+          criterion.details = criterion.details ? `${criterion.details}\n${line}` : line;
+        }
       } else if (currentSection === 'dependencies' && line.startsWith('- ')) {
         // Handle both old and new formats
         // New format: - [id - title](path) emoji
@@ -260,17 +572,10 @@ export class FileStorage {
         // Try new format first
         const newMatch = line.match(/- \[([^\s]+) - ([^\]]+)\]\([^)]+\)\s*(.+)/);
         if (newMatch) {
-          const statusMap = {
-            '✅': 'done',
-            '🚧': 'in-progress',
-            '⏳': 'pending',
-            '📦': 'archive',
-            '❓': 'unknown',
-          };
           const emoji = newMatch[3].trim();
           task.dependencies.push({
             id: newMatch[1],
-            status: statusMap[emoji] || 'unknown',
+            status: STATUS_FROM_EMOJI[emoji] || 'unknown',
           });
         } else {
           // Try old format
@@ -282,6 +587,20 @@ export class FileStorage {
             });
           }
         }
+      } else if (currentSection === 'dependents' && line.startsWith('- ')) {
+        // Link format: - [id - title](path) emoji
+        // Fallback format: - id - title [status]
+        const linkMatch = line.match(/- \[([^\s]+) - ([^\]]+)\]\([^)]+\)\s*(.*)/);
+        const plainMatch = line.match(/- ([^\s]+) - (.+?)\s*\[([^\]]+)\]$/);
+        if (linkMatch) {
+          task.dependents.push({
+            id: linkMatch[1],
+            title: linkMatch[2],
+            status: STATUS_FROM_EMOJI[linkMatch[3].trim()] || 'unknown',
+          });
+        } else if (plainMatch) {
+          task.dependents.push({ id: plainMatch[1], title: plainMatch[2], status: plainMatch[3] });
+        }
       } else if (currentSection === 'files' && line.startsWith('- ')) {
         task.files.push(line.substring(2).trim());
       } else if (currentSection === 'notes' && noteTimestamp && !line.startsWith('###')) {
@@ -302,9 +621,74 @@ export class FileStorage {
       task.description = task.description.trim();
     }
 
+    if (frontMatter) {
+      this.applyFrontMatter(task, frontMatter.data);
+    }
+
+    Object.defineProperty(task, TASK_SOURCE, {
+      value: { content, snapshot: JSON.parse(JSON.stringify(task)) },
+      writable: true,
+    });
+
     return task;
   }
 
+  /**
+   * Estimate value from a task file, undefined unless it is a non-negative number
+   */
+  parseEstimate(value) {
+    const estimate = Number(String(value).trim());
+    return String(value).trim() !== '' && Number.isFinite(estimate) && estimate >= 0
+      ? estimate
+      : undefined;
+  }
+
+  /**
+   * Copy front-matter metadata onto a parsed task
+   */
+  applyFrontMatter(task, data) {
+    const fields = [
+      'id',
+      'semantic_id',
+      'status',
+      'priority',
+      'assignee',
+      'lease_expires_at',
+      'created_at',
+      'updated_at',
+    ];
+    for (const field of fields) {
+      if (data[field] !== undefined && data[field] !== null) {
+        task[field] = String(data[field]);
+      }
+    }
+
+    if (data.estimate !== undefined && data.estimate !== null) {
+      task.estimate = this.parseEstimate(data.estimate);
+    }
+
+    const parent = data.parent_id ?? data.parent;
+    if (parent) {
+      task.parent_id = String(parent);
+    }
+
+    if (data.tags !== undefined && data.tags !== null) {
+      const tags = Array.isArray(data.tags) ? data.tags : String(data.tags).split(',');
+      task.tags = tags.map(tag => String(tag).trim()).filter(Boolean);
+    }
+
+    // Dependencies may be plain IDs or {id, status} maps
+    if (Array.isArray(data.dependencies)) {
+      task.dependencies = data.dependencies
+        .map(dep =>
+          dep !== null && typeof dep === 'object'
+            ? { id: String(dep.id), status: dep.status ? String(dep.status) : 'unknown' }
+            : { id: String(dep), status: 'unknown' }
+        )
+        .filter(dep => dep.id && dep.id !== 'undefined');
+    }
+  }
+
   /**
    * Create a new task file
    */
@@ -313,29 +697,78 @@ export class FileStorage {
     const filepath = path.join(this.tasksDir, task.status || 'pending', filename);
     const content = await this.generateTaskContent(task);
 
-    await fs.writeFile(filepath, content, 'utf8');
+    await this.locked({ operation: 'write', task_id: task.id }, () =>
+      this.writeTaskContent(filepath, content)
+    );
+    this.pathIndex.set(task.id, filepath);
     log('info', `Created task file: ${filename}`);
 
     return filepath;
   }
 
+  /**
+   * Check whether a filename belongs to the given task ID exactly.
+   * Filenames are "<semantic_id or id>-<id>-<title>.md".
+   */
+  filenameMatchesId(filename, taskId) {
+    let rest = null;
+    if (SEMANTIC_PREFIX.test(filename)) {
+      rest = filename.replace(SEMANTIC_PREFIX, '');
+    } else if (filename.startsWith(`${taskId}-`)) {
+      rest = filename.substring(taskId.length + 1);
+    }
+
+    return rest !== null && rest.startsWith(`${taskId}-`);
+  }
+
+  /**
+   * Read and parse a task file, taking status from its directory
+   */
+  async loadTaskFile(filepath) {
+    const content = await fs.readFile(filepath, 'utf8');
+    const task = this.parseTaskContent(content, path.basename(filepath));
+    task.file_path = filepath;
+    task.status = path.basename(path.dirname(filepath)); // Status from directory
+    Object.assign(task[TASK_SOURCE].snapshot, { file_path: task.file_path, status: task.status });
+
+    // Whoever put the file here, this is where the task lives now
+    if (task.id) {
+      this.pathIndex.set(task.id, filepath);
+    }
+    this.removedPaths.delete(filepath);
+    return task;
+  }
+
   /**
    * Read a task file
    */
   async readTaskFile(taskId) {
+    const indexed = this.pathIndex.get(taskId);
+    if (indexed) {
+      try {
+        const task = await this.loadTaskFile(indexed);
+        if (task.id === taskId) {
+          return task;
+        }
+      } catch (error) {
+        // Moved or deleted outside of FileStorage, fall back to a scan
+        log('debug', `Stale path for task ${taskId}: ${error.message}`);
+      }
+      this.pathIndex.delete(taskId);
+    }
+
     // Search for task file in all status directories
     for (const dir of this.statusDirs) {
       const files = await fs.readdir(path.join(this.tasksDir, dir));
-      // Look for files that contain the task ID (could have semantic prefix)
-      const taskFile = files.find(f => f.includes(`-${taskId}-`));
-
-      if (taskFile) {
-        const filepath = path.join(this.tasksDir, dir, taskFile);
-        const content = await fs.readFile(filepath, 'utf8');
-        const task = this.parseTaskContent(content, taskFile);
-        task.file_path = filepath;
-        task.status = dir; // Status from directory
-        return task;
+      const candidates = files.filter(f => f.endsWith('.md') && this.filenameMatchesId(f, taskId));
+
+      // IDs may contain dashes, so confirm against the ID stored in the file
+      for (const taskFile of candidates) {
+        const task = await this.loadTaskFile(path.join(this.tasksDir, dir, taskFile));
+        if (!task.id || task.id === taskId) {
+          this.pathIndex.set(taskId, task.file_path);
+          return task;
+        }
       }
     }
 
@@ -346,48 +779,145 @@ export class FileStorage {
    * Update task status by moving file between directories
    */
   async updateTaskStatus(taskId, newStatus) {
-    const task = await this.readTaskFile(taskId);
-    if (!task) {
-      throw new Error(`Task ${taskId} not found`);
+    return this.locked({ operation: 'move', task_id: taskId }, async () => {
+      const task = await this.readTaskFile(taskId);
+      if (!task) {
+        throw new Error(`Task ${taskId} not found`);
+      }
+
+      const oldPath = task.file_path;
+      const oldStatus = task.status;
+      const newPath = path.join(this.tasksDir, newStatus, path.basename(oldPath));
+
+      // Update status in content
+      task.status = newStatus;
+      const content = await this.generateTaskContent(task);
+
+      await this.moveTaskFile(taskId, oldPath, newPath, content);
+
+      log('info', `Moved task ${taskId} from ${oldStatus} to ${newStatus}`);
+
+      return newPath;
+    });
+  }
+
+  /**
+   * Write a task file atomically and remember what was written, so that the
+   * sync engine can recognize the change as its own (see isOwnWrite)
+   */
+  async writeTaskContent(filepath, content) {
+    await writeFileAtomic(filepath, content);
+    this.writtenHashes.set(filepath, hashContent(content));
+    this.removedPaths.delete(filepath);
+  }
+
+  /**
+   * Remove a task file and remember doing so (see isOwnRemoval)
+   */
+  async removeTaskFile(filepath) {
+    await fs.unlink(filepath);
+    this.writtenHashes.delete(filepath);
+    this.removedPaths.add(filepath);
+  }
+
+  /**
+   * Whether the content with this hash is what this process last wrote to filepath
+   */
+  isOwnWrite(filepath, hash) {
+    return this.writtenHashes.get(filepath) === hash;
+  }
+
+  /**
+   * The file and content hash this process last wrote for a task, or null
+   */
+  ownWriteOf(taskId) {
+    const filepath = this.pathIndex.get(taskId);
+    const hash = filepath && this.writtenHashes.get(filepath);
+    return hash ? { file_path: filepath, hash } : null;
+  }
+
+  /**
+   * Hash of the file content a task was parsed from, or null for tasks
+   * that were not read from a file
+   */
+  contentHashOf(task) {
+    const source = task[TASK_SOURCE];
+    return source ? hashContent(source.content) : null;
+  }
+
+  /**
+   * Whether this process removed the task file that was at filepath
+   */
+  isOwnRemoval(filepath) {
+    return this.removedPaths.has(filepath);
+  }
+
+  /**
+   * Write a task's content to newPath and remove oldPath. Called with the
+   * lock held; the lock file records both paths so that a crash between
+   * the two steps can be finished by the next holder (see finishInterrupted).
+   */
+  async moveTaskFile(taskId, oldPath, newPath, content) {
+    if (newPath !== oldPath) {
+      await this.lock.update({ operation: 'move', task_id: taskId, from: oldPath, to: newPath });
     }
 
-    const oldPath = task.file_path;
-    const filename = path.basename(oldPath);
-    const newPath = path.join(this.tasksDir, newStatus, filename);
+    await this.writeTaskContent(newPath, content);
 
-    // Update status in content
-    task.status = newStatus;
-    const content = await this.generateTaskContent(task);
+    if (newPath !== oldPath) {
+      await this.removeTaskFile(oldPath);
+    }
+    this.pathIndex.set(taskId, newPath);
+  }
+
+  /**
+   * Update task fields and rewrite the file, renaming it if the filename changes
+   */
+  async updateTaskFile(taskId, updates) {
+    return this.locked({ operation: 'write', task_id: taskId }, async () => {
+      const task = await this.readTaskFile(taskId);
+      if (!task) {
+        throw new Error(`Task ${taskId} not found`);
+      }
 
-    // Write to new location
-    await fs.writeFile(newPath, content, 'utf8');
+      const oldPath = task.file_path;
+      Object.assign(task, updates);
 
-    // Remove from old location
-    await fs.unlink(oldPath);
+      // Semantic ID and title are part of the filename
+      const newPath = path.join(path.dirname(oldPath), this.generateFilename(task));
+      const content = await this.generateTaskContent(task);
 
-    log('info', `Moved task ${taskId} from ${task.status} to ${newStatus}`);
+      await this.moveTaskFile(taskId, oldPath, newPath, content);
 
-    return newPath;
+      if (newPath !== oldPath) {
+        log('info', `Renamed task file ${path.basename(oldPath)} to ${path.basename(newPath)}`);
+      }
+      log('info', `Updated task file for ${taskId}`);
+
+      return newPath;
+    });
   }
 
   /**
    * Add a note to a task
    */
   async addNote(taskId, noteContent) {
-    const task = await this.readTaskFile(taskId);
-    if (!task) {
-      throw new Error(`Task ${taskId} not found`);
-    }
+    await this.locked({ operation: 'write', task_id: taskId }, async () => {
+      const task = await this.readTaskFile(taskId);
+      if (!task) {
+        throw new Error(`Task ${taskId} not found`);
+      }
 
-    // Add new note
-    task.notes.push({
-      timestamp: new Date().toISOString(),
-      content: noteContent,
-    });
+      // Add new note
+      task.notes.push({
+        timestamp: new Date().toISOString(),
+        content: noteContent,
+      });
 
-    // Rewrite file
-    const content = await this.generateTaskContent(task);
-    await fs.writeFile(task.file_path, content, 'utf8');
+      // Rewrite file
+      const content = await this.generateTaskContent(task);
+      await this.writeTaskContent(task.file_path, content);
+    });
 
     log('info', `Added note to task ${taskId}`);
   }
@@ -405,11 +935,10 @@ export class FileStorage {
 
         for (const file of files) {
           if (file.endsWith('.md')) {
-            const filepath = path.join(dir, file);
-            const content = await fs.readFile(filepath, 'utf8');
-            const task = this.parseTaskContent(content, file);
-            task.file_path = filepath;
-            task.status = status;
+            const task = await this.loadTaskFile(path.join(dir, file));
+            if (task.id) {
+              this.pathIndex.set(task.id, task.file_path);
+            }
             tasks.push(task);
           }
         }
@@ -422,18 +951,255 @@ export class FileStorage {
     return tasks;
   }
 
+  /**
+   * Rewrite every task file in the given format. Files the parser cannot
+   * round-trip exactly are left untouched and reported as failed.
+   */
+  async migrateFormat(targetFormat, { dryRun = false } = {}) {
+    if (!TASK_FORMATS.includes(targetFormat)) {
+      throw new Error(
+        `Invalid task format: ${targetFormat}. Must be one of: ${TASK_FORMATS.join(', ')}`
+      );
+    }
+
+    const result = { migrated: [], skipped: [], failed: [] };
+
+    for (const status of this.statusDirs) {
+      const dir = path.join(this.tasksDir, status);
+      let files;
+      try {
+        files = await fs.readdir(dir);
+      } catch (error) {
+        log('debug', `Skipping ${status} directory: ${error.message}`);
+        continue;
+      }
+
+      for (const file of files.filter(f => f.endsWith('.md'))) {
+        const filepath = path.join(dir, file);
+        try {
+          const content = await fs.readFile(filepath, 'utf8');
+          if (this.detectFormat(content) === targetFormat) {
+            result.skipped.push(filepath);
+            continue;
+          }
+
+          // Unknown front-matter keys have nowhere to go in the markdown format
+          const unknown = this.findUnknownFrontMatterKeys(content);
+          if (targetFormat === 'markdown' && unknown.length > 0) {
+            throw new Error(`Unrecognized front-matter key(s): ${unknown.join(', ')}`);
+          }
+
+          const task = await this.loadTaskFile(filepath);
+          const migrated = await this.generateTaskContent(task, targetFormat);
+
+          // Only write if nothing would be lost
+          const reparsed = this.parseTaskContent(migrated, file);
+          reparsed.file_path = filepath;
+          reparsed.status = status;
+          if (!this.sameTaskData(task, reparsed)) {
+            throw new Error('Content does not round-trip');
+          }
+
+          if (!dryRun) {
+            await this.locked({ operation: 'write', task_id: task.id }, () =>
+              this.writeTaskContent(filepath, migrated)
+            );
+          }
+          result.migrated.push(filepath);
+        } catch (error) {
+          log('warn', `Could not migrate ${file}: ${error.message}`);
+          result.failed.push({ file: filepath, error: error.message });
+        }
+      }
+    }
+
+    log(
+      'info',
+      `Format migration to ${targetFormat}${dryRun ? ' (dry run)' : ''}: ` +
+        `${result.migrated.length} migrated, ${result.skipped.length} already converted, ` +
+        `${result.failed.length} failed`
+    );
+
+    return result;
+  }
+
+  /**
+   * List front-matter keys the parser does not understand
+   */
+  findUnknownFrontMatterKeys(content) {
+    const frontMatter = parseFrontMatter(content);
+    return frontMatter
+      ? Object.keys(frontMatter.data).filter(key => !FRONT_MATTER_KEYS.includes(key))
+      : [];
+  }
+
+  /**
+   * Check that everything stored in the original task survived a rewrite.
+   * Dependency and dependent statuses are re-rendered from the linked
+   * files, so only their IDs count.
+   */
+  sameTaskData(original, rewritten) {
+    const ids = list => (list || []).map(item => item.id);
+    const stored = {
+      id: task => task.id,
+      semantic_id: task => task.semantic_id,
+      title: task => task.title,
+      description: task => task.description,
+      priority: task => task.priority,
+      estimate: task => task.estimate,
+      assignee: task => task.assignee,
+      lease_expires_at: task => task.lease_expires_at,
+      created_at: task => task.created_at,
+      updated_at: task => task.updated_at,
+      parent_id: task => task.parent_id,
+      tags: task => (task.tags?.length ? task.tags : undefined),
+      subtasks: task => task.subtasks,
+      acceptance_criteria: task => task.acceptance_criteria,
+      files: task => task.files,
+      notes: task => task.notes,
+      dependencies: task => ids(task.dependencies),
+      dependents: task => ids(task.dependents),
+    };
+
+    return Object.values(stored).every(
+      get =>
+        get(original) === undefined ||
+        JSON.stringify(get(original)) === JSON.stringify(get(rewritten))
+    );
+  }
+
   /**
    * Delete a task file
    */
   async deleteTaskFile(taskId) {
-    const task = await this.readTaskFile(taskId);
-    if (!task) {
-      throw new Error(`Task ${taskId} not found`);
-    }
+    await this.locked({ operation: 'delete', task_id: taskId }, async () => {
+      const task = await this.readTaskFile(taskId);
+      if (!task) {
+        throw new Error(`Task ${taskId} not found`);
+      }
 
-    await fs.unlink(task.file_path);
+      await this.removeTaskFile(task.file_path);
+      this.pathIndex.delete(taskId);
+    });
     log('info', `Deleted task ${taskId}`);
   }
+
+  /**
+   * Run a write under the directory lock. If a crashed process left the lock
+   * behind, the move it was in the middle of is finished first; fn receives
+   * what that repaired, if anything.
+   */
+  async locked(operation, fn) {
+    return this.lock.withLock(operation, async broken => {
+      const interrupted = broken ? await this.finishInterrupted(broken) : null;
+      return fn(interrupted);
+    });
+  }
+
+  /**
+   * Finish a move recorded in a broken lock. The new file is renamed into
+   * place complete, so if it exists the old one only needs to be removed.
+   */
+  async finishInterrupted({ operation, task_id, from, to }) {
+    if (operation !== 'move' || !from || !to) {
+      return null;
+    }
+
+    const exists = file =>
+      fs.access(file).then(
+        () => true,
+        () => false
+      );
+    if (!(await exists(to)) || !(await exists(from))) {
+      return null;
+    }
+
+    await this.removeTaskFile(from);
+    this.pathIndex.set(task_id, to);
+    log('warn', `Finished interrupted move of task ${task_id}: removed ${from}`);
+
+    return { task_id, kept: to, removed: from };
+  }
+
+  /**
+   * Repair what interrupted writes leave behind: temporary files, and tasks
+   * with more than one file (a move or rename that wrote the new file but
+   * never removed the old one, or a copy made by hand). The most recently
+   * modified file is kept and the others are moved to .recovered/.
+   */
+  async recover() {
+    return this.locked({ operation: 'recover' }, async interrupted => {
+      const result = { interrupted, temp_files: [], duplicates: [] };
+      const copies = new Map();
+
+      for (const status of this.statusDirs) {
+        const dir = path.join(this.tasksDir, status);
+        let files;
+        try {
+          files = await fs.readdir(dir);
+        } catch (error) {
+          log('debug', `Skipping ${status} directory: ${error.message}`);
+          continue;
+        }
+
+        for (const file of files) {
+          const filepath = path.join(dir, file);
+
+          // Every writer holds the lock, so temporary files seen now are orphaned
+          if (isTempFile(file)) {
+            await fs.rm(filepath, { force: true });
+            result.temp_files.push(filepath);
+            continue;
+          }
+          if (!file.endsWith('.md')) {
+            continue;
+          }
+
+          let task;
+          try {
+            task = await this.loadTaskFile(filepath);
+          } catch (error) {
+            log('warn', `Could not read ${filepath} during recovery: ${error.message}`);
+            continue;
+          }
+          if (task.id) {
+            const { mtimeMs } = await fs.stat(filepath);
+            const copy = { filepath, status, mtimeMs, updated_at: task.updated_at || '' };
+            copies.set(task.id, [...(copies.get(task.id) || []), copy]);
+          }
+        }
+      }
+
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      for (const [taskId, files] of copies) {
+        if (files.length < 2) {
+          continue;
+        }
+
+        const [kept, ...others] = files.sort(
+          (a, b) => b.mtimeMs - a.mtimeMs || b.updated_at.localeCompare(a.updated_at)
+        );
+        const recoveredDir = path.join(this.tasksDir, '.recovered');
+        await fs.mkdir(recoveredDir, { recursive: true });
+
+        const moved = [];
+        for (const other of others) {
+          const target = path.join(
+            recoveredDir,
+            `${stamp}-${other.status}-${path.basename(other.filepath)}`
+          );
+          await fs.rename(other.filepath, target);
+          moved.push(target);
+        }
+        this.pathIndex.set(taskId, kept.filepath);
+
+        log('warn', `Task ${taskId} had ${files.length} files, kept ${kept.filepath}`);
+        result.duplicates.push({ task_id: taskId, kept: kept.filepath, moved });
+      }
+
+      return result;
+    });
+  }
 }
 
 export default FileStorage;
@@ -0,0 +1,262 @@
+/**
+ * Minimal YAML front-matter support for task files.
+ *
+ * Covers the subset task files need: scalars, lists of scalars and lists of
+ * flat maps, in block or flow style, with comments. Anything else is kept as
+ * a plain string rather than rejected.
+ */
+
+const DELIMITER = '---';
+
+// Plain (unquoted) scalars that read back as the same string
+const PLAIN_SAFE = /^[A-Za-z0-9_][A-Za-z0-9_./-]*$/;
+const RESERVED = /^(true|false|null|yes|no|on|off|~)$/i;
+const NUMERIC = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+/**
+ * Format a scalar value for output
+ */
+function formatScalar(value) {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+
+  const str = String(value);
+  if (PLAIN_SAFE.test(str) && !RESERVED.test(str) && !NUMERIC.test(str)) {
+    return str;
+  }
+  // JSON strings are valid YAML double-quoted scalars
+  return JSON.stringify(str);
+}
+
+/**
+ * Serialize a flat object into front-matter (without delimiters)
+ */
+export function serializeFrontMatter(data) {
+  let yaml = '';
+
+  for (const [key, value] of Object.entries(data)) {
+    if (value === undefined) {
+      continue;
+    }
+
+    if (!Array.isArray(value)) {
+      yaml += `${key}: ${formatScalar(value)}\n`;
+    } else if (value.length === 0) {
+      yaml += `${key}: []\n`;
+    } else {
+      yaml += `${key}:\n`;
+      for (const item of value) {
+        if (item !== null && typeof item === 'object') {
+          const entries = Object.entries(item).filter(([, v]) => v !== undefined);
+          entries.forEach(([k, v], index) => {
+            yaml += `${index === 0 ? '  - ' : '    '}${k}: ${formatScalar(v)}\n`;
+          });
+        } else {
+          yaml += `  - ${formatScalar(item)}\n`;
+        }
+      }
+    }
+  }
+
+  return yaml;
+}
+
+/**
+ * Drop a trailing comment from an unquoted value
+ */
+function stripComment(text) {
+  const index = text.search(/(^|\s)#/);
+  return index === -1 ? text : text.substring(0, index);
+}
+
+/**
+ * Split a flow list body ("a, 'b, c', d") on top-level commas
+ */
+function splitFlow(text) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+      current += char;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      current += char;
+    } else if (char === ',') {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+
+  return parts.map(part => part.trim()).filter(part => part !== '');
+}
+
+/**
+ * Parse a scalar or flow-list value
+ */
+function parseValue(raw) {
+  const text = raw.trim();
+
+  if (text.startsWith('"')) {
+    try {
+      return JSON.parse(text.substring(0, text.lastIndexOf('"') + 1));
+    } catch (error) {
+      return text.replace(/^"|"$/g, '');
+    }
+  }
+  if (text.startsWith("'")) {
+    return text.substring(1, text.lastIndexOf("'")).replace(/''/g, "'");
+  }
+
+  const value = stripComment(text).trim();
+  if (value.startsWith('[') && value.endsWith(']')) {
+    return splitFlow(value.slice(1, -1)).map(parseValue);
+  }
+  if (value === '' || value === '~' || value === 'null') {
+    return null;
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  if (NUMERIC.test(value)) {
+    return Number(value);
+  }
+  return value;
+}
+
+/**
+ * Split "key: value" into its parts, or null if the line isn't a mapping
+ */
+function splitKeyValue(text) {
+  const match = text.match(/^([A-Za-z0-9_-]+)\s*:(?:\s+(.*))?$/);
+  return match ? { key: match[1], value: match[2] ?? '' } : null;
+}
+
+/**
+ * Parse front-matter text (without delimiters) into an object
+ */
+export function parseFrontMatterData(yaml) {
+  const data = {};
+  let listKey = null;
+  let currentItem = null;
+
+  for (const rawLine of yaml.split('\n')) {
+    if (rawLine.trim() === '' || rawLine.trim().startsWith('#')) {
+      continue;
+    }
+
+    const indented = /^\s/.test(rawLine);
+    const line = rawLine.trim();
+
+    if (!indented && !line.startsWith('- ')) {
+      const pair = splitKeyValue(line);
+      if (!pair) {
+        continue;
+      }
+      currentItem = null;
+      if (stripComment(pair.value).trim() === '') {
+        // Block list (or empty value) follows
+        listKey = pair.key;
+        data[pair.key] = null;
+      } else {
+        listKey = null;
+        data[pair.key] = parseValue(pair.value);
+      }
+      continue;
+    }
+
+    if (!listKey) {
+      continue;
+    }
+
+    if (line.startsWith('- ') || line === '-') {
+      if (!Array.isArray(data[listKey])) {
+        data[listKey] = [];
+      }
+      const itemText = line.substring(1).trim();
+      const pair = splitKeyValue(itemText);
+      if (pair && !itemText.startsWith('"') && !itemText.startsWith("'")) {
+        currentItem = { [pair.key]: parseValue(pair.value) };
+        data[listKey].push(currentItem);
+      } else {
+        currentItem = null;
+        data[listKey].push(parseValue(itemText));
+      }
+    } else if (currentItem) {
+      // Continuation of a map item
+      const pair = splitKeyValue(line);
+      if (pair) {
+        currentItem[pair.key] = parseValue(pair.value);
+      }
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Split file content into front-matter data and body.
+ * Returns null when the content has no front-matter block.
+ */
+export function parseFrontMatter(content) {
+  const normalized = content.replace(/^\uFEFF/, '');
+  const lines = normalized.split('\n');
+  if (lines[0].trim() !== DELIMITER) {
+    return null;
+  }
+
+  const end = lines.findIndex((line, index) => index > 0 && line.trim() === DELIMITER);
+  if (end === -1) {
+    return null;
+  }
+
+  const yaml = lines.slice(1, end).join('\n');
+  return {
+    data: parseFrontMatterData(yaml),
+    yaml,
+    body: lines.slice(end + 1).join('\n'),
+  };
+}
+
+/**
+ * Split front-matter text into top-level key blocks. Comments and blank
+ * lines travel with the key that follows them; any left at the end are
+ * returned as trailing lines.
+ */
+export function splitFrontMatterBlocks(yaml) {
+  const blocks = [];
+  let pending = [];
+  let current = null;
+
+  for (const line of yaml.split('\n')) {
+    const keyMatch = line.match(/^([A-Za-z0-9_-]+)\s*:/);
+    if (keyMatch) {
+      current = { key: keyMatch[1], lines: [...pending, line] };
+      pending = [];
+      blocks.push(current);
+    } else if (line.trim() === '' || line.trim().startsWith('#') || !current) {
+      pending.push(line);
+    } else {
+      current.lines.push(...pending, line);
+      pending = [];
+    }
+  }
+
+  return { blocks, trailing: pending };
+}
+
+/**
+ * Wrap front-matter data and a body into file content
+ */
+export function formatFrontMatter(data, body) {
+  return `${DELIMITER}\n${serializeFrontMatter(data)}${DELIMITER}\n\n${body}`;
+}
@@ -15,9 +15,14 @@ export class GraphConnection {
   }
 
   /**
-   * Initialize database connection and create schema
+   * Initialize database connection and create schema. Does nothing when
+   * already connected, e.g. after rebuild().
    */
   async initialize() {
+    if (this.connection) {
+      return true;
+    }
+
     try {
       // Ensure tasks directory exists
       await fs.mkdir(this.tasksDir, { recursive: true });
@@ -32,11 +37,44 @@ export class GraphConnection {
       log('info', 'KuzuDB connection established');
       return true;
     } catch (error) {
+      // Not connected, so the next call tries again
+      this.db = null;
+      this.connection = null;
       log('error', `Failed to initialize KuzuDB: ${error.message}`);
       throw error;
     }
   }
 
+  /**
+   * Replace the database with an empty one, for a database that can no
+   * longer be opened or queried. The old one is moved aside to
+   * .graph.db.corrupt-<timestamp> rather than deleted.
+   */
+  async rebuild() {
+    try {
+      // Dropped rather than closed natively, like in close()
+      this.db = null;
+      this.connection = null;
+
+      let backupPath = `${this.dbPath}.corrupt-${Date.now()}`;
+      try {
+        await fs.rename(this.dbPath, backupPath);
+        log('warn', `Moved graph database aside to ${backupPath}`);
+      } catch (error) {
+        backupPath = null;
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+
+      await this.initialize();
+      return { backup_path: backupPath };
+    } catch (error) {
+      log('error', `Failed to rebuild KuzuDB: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Create database schema for tasks and relationships
    */
@@ -50,6 +88,10 @@ export class GraphConnection {
         description STRING,
         status STRING,
         priority STRING,
+        estimate DOUBLE,
+        assignee STRING,
+        lease_expires_at STRING,
+        sync_version INT64,
         created_at STRING,
         updated_at STRING,
         file_path STRING,
@@ -75,6 +117,30 @@ export class GraphConnection {
         decomposed_at STRING,
         decomposition_type STRING
       )`,
+
+      // Acceptance criteria, one node per checklist item
+      `CREATE NODE TABLE Criterion (
+        id STRING,
+        task_id STRING,
+        position INT64,
+        text STRING,
+        is_checked BOOLEAN,
+        PRIMARY KEY(id)
+      )`,
+
+      `CREATE REL TABLE HAS_CRITERION (
+        FROM Task TO Criterion
+      )`,
+
+      // Free-form labels shared between tasks
+      `CREATE NODE TABLE Tag (
+        name STRING,
+        PRIMARY KEY(name)
+      )`,
+
+      `CREATE REL TABLE HAS_TAG (
+        FROM Task TO Tag
+      )`,
     ];
 
     for (const schema of schemas) {
@@ -92,6 +158,17 @@ export class GraphConnection {
       }
     }
 
+    // Columns added after the first release, for databases created before them
+    const migrations = [
+      'ALTER TABLE Task ADD IF NOT EXISTS estimate DOUBLE',
+      'ALTER TABLE Task ADD IF NOT EXISTS assignee STRING',
+      'ALTER TABLE Task ADD IF NOT EXISTS lease_expires_at STRING',
+      'ALTER TABLE Task ADD IF NOT EXISTS sync_version INT64',
+    ];
+    for (const migration of migrations) {
+      await this.execute(migration);
+    }
+
     log('debug', 'Database schema created/verified');
   }
 
@@ -110,7 +187,13 @@ export class GraphConnection {
       const preparedStatement = await this.connection.prepare(query);
       // Execute with parameters
       const result = await this.connection.execute(preparedStatement, params);
-      return result.getAll();
+      try {
+        return await result.getAll();
+      } finally {
+        // Freed now rather than whenever it is garbage collected, which
+        // crashes once its connection is gone
+        result.close?.();
+      }
     } catch (error) {
       log('error', `Query failed: ${error.message}`);
       throw error;
@@ -130,6 +213,9 @@ export class GraphConnection {
         description: $description,
         status: $status,
         priority: $priority,
+        estimate: $estimate,
+        assignee: $assignee,
+        lease_expires_at: $lease_expires_at,
         created_at: $created_at,
         updated_at: $updated_at,
         file_path: $file_path,
@@ -146,6 +232,9 @@ export class GraphConnection {
       description: task.description || '',
       status: task.status || 'pending',
       priority: task.priority || 'medium',
+      estimate: task.estimate ?? null,
+      assignee: task.assignee || null,
+      lease_expires_at: task.assignee ? task.lease_expires_at : null,
       created_at: task.created_at || now,
       updated_at: now,
       file_path: task.file_path,
@@ -186,12 +275,27 @@ export class GraphConnection {
   }
 
   /**
-   * Add a dependency between tasks
+   * Add a dependency between tasks. Returns whether the edge was created,
+   * which it is not when either task has no node.
    */
   async addDependency(fromId, toId) {
     const query = `
       MATCH (t1:Task {id: $fromId}), (t2:Task {id: $toId})
       CREATE (t1)-[:DEPENDS_ON]->(t2)
+      RETURN count(*) AS created
+    `;
+
+    const result = await this.execute(query, { fromId, toId });
+    return Number(result[0]?.created ?? 0) > 0;
+  }
+
+  /**
+   * Remove a dependency between tasks
+   */
+  async removeDependency(fromId, toId) {
+    const query = `
+      MATCH (t1:Task {id: $fromId})-[d:DEPENDS_ON]->(t2:Task {id: $toId})
+      DELETE d
     `;
 
     return this.execute(query, { fromId, toId });
@@ -224,17 +328,420 @@ export class GraphConnection {
   }
 
   /**
-   * Find next actionable task
+   * Tasks reachable over DEPENDS_ON within maxDepth hops, each with its
+   * distance and the shortest path to it. 'dependencies' follows edges out
+   * of the task (what it waits on), 'dependents' follows them in (what waits
+   * on it). Paths are task IDs starting at taskId.
+   */
+  async getDependencyPaths(taskId, direction, maxDepth) {
+    // Kuzu does not take the bound as a parameter, so it is inlined
+    if (!Number.isInteger(maxDepth) || maxDepth < 1) {
+      throw new Error(`Invalid dependency depth: ${maxDepth}`);
+    }
+
+    const pattern =
+      direction === 'dependents'
+        ? `(other:Task)-[:DEPENDS_ON* SHORTEST 1..${maxDepth}]->(t:Task {id: $id})`
+        : `(t:Task {id: $id})-[:DEPENDS_ON* SHORTEST 1..${maxDepth}]->(other:Task)`;
+
+    const rows = await this.execute(
+      `
+      MATCH p = ${pattern}
+      RETURN other.id AS id, other.title AS title, other.status AS status,
+             length(p) AS depth, properties(nodes(p), 'id') AS path
+      ORDER BY depth, id
+    `,
+      { id: taskId }
+    );
+
+    return rows.map(row => ({
+      ...row,
+      depth: Number(row.depth),
+      path: direction === 'dependents' ? [...row.path].reverse() : row.path,
+    }));
+  }
+
+  /**
+   * Everything a task depends on, directly or through other tasks
+   */
+  async getTransitiveDependencies(taskId, maxDepth) {
+    return this.getDependencyPaths(taskId, 'dependencies', maxDepth);
+  }
+
+  /**
+   * Everything that depends on a task, directly or through other tasks
+   */
+  async getTransitiveDependents(taskId, maxDepth) {
+    return this.getDependencyPaths(taskId, 'dependents', maxDepth);
+  }
+
+  /**
+   * Every task and every DEPENDS_ON / PARENT_CHILD edge between them, for
+   * exporting the graph. Checklist subtasks are left out, as in queryTasks.
+   */
+  async getGraphElements() {
+    const nodes = await this.execute(`
+      MATCH (t:Task)
+      WHERE NOT EXISTS { MATCH (:Task)-[r:PARENT_CHILD]->(t) WHERE r.relationship_type = 'subtask' }
+      RETURN t.id AS id, t.semantic_id AS semantic_id, t.title AS title,
+             t.status AS status, t.priority AS priority, t.estimate AS estimate
+      ORDER BY t.id
+    `);
+
+    const dependencies = await this.execute(`
+      MATCH (a:Task)-[:DEPENDS_ON]->(b:Task)
+      RETURN a.id AS source, b.id AS target
+      ORDER BY a.id, b.id
+    `);
+
+    const children = await this.execute(`
+      MATCH (parent:Task)-[r:PARENT_CHILD]->(child:Task)
+      WHERE r.relationship_type <> 'subtask'
+      RETURN parent.id AS source, child.id AS target, r.relationship_type AS relationship_type
+      ORDER BY parent.id, child.id
+    `);
+
+    return {
+      nodes,
+      edges: [
+        ...dependencies.map(row => ({ from: row.source, to: row.target, type: 'DEPENDS_ON' })),
+        ...children.map(row => ({
+          from: row.source,
+          to: row.target,
+          type: 'PARENT_CHILD',
+          relationship_type: row.relationship_type,
+        })),
+      ],
+    };
+  }
+
+  /**
+   * Replace the acceptance criteria of a task
+   */
+  async setCriteria(taskId, criteria) {
+    await this.deleteCriteria(taskId);
+
+    const query = `
+      MATCH (t:Task {id: $taskId})
+      CREATE (t)-[:HAS_CRITERION]->(c:Criterion {
+        id: $id,
+        task_id: $taskId,
+        position: $position,
+        text: $text,
+        is_checked: $is_checked
+      })
+    `;
+
+    for (const [index, criterion] of criteria.entries()) {
+      await this.execute(query, {
+        taskId,
+        id: `${taskId}#${index + 1}`,
+        position: index + 1,
+        text: criterion.text,
+        is_checked: Boolean(criterion.is_checked),
+      });
+    }
+  }
+
+  /**
+   * Get the acceptance criteria of a task in checklist order
+   */
+  async getCriteria(taskId) {
+    const query = `
+      MATCH (t:Task {id: $taskId})-[:HAS_CRITERION]->(c:Criterion)
+      RETURN c.position as position, c.text as text, c.is_checked as is_checked
+      ORDER BY c.position
+    `;
+
+    return this.execute(query, { taskId });
+  }
+
+  /**
+   * Remove all acceptance criteria of a task
+   */
+  async deleteCriteria(taskId) {
+    const query = `
+      MATCH (c:Criterion {task_id: $taskId})
+      DETACH DELETE c
+    `;
+
+    return this.execute(query, { taskId });
+  }
+
+  /**
+   * Replace the tags of a task
+   */
+  async setTags(taskId, tags) {
+    await this.execute(
+      `
+      MATCH (t:Task {id: $taskId})-[r:HAS_TAG]->(:Tag)
+      DELETE r
+    `,
+      { taskId }
+    );
+
+    const names = [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+    for (const name of names) {
+      await this.execute(
+        `
+        MATCH (t:Task {id: $taskId})
+        MERGE (g:Tag {name: $name})
+        CREATE (t)-[:HAS_TAG]->(g)
+      `,
+        { taskId, name }
+      );
+    }
+  }
+
+  /**
+   * Get the tags of a task
+   */
+  async getTags(taskId) {
+    const query = `
+      MATCH (t:Task {id: $taskId})-[:HAS_TAG]->(g:Tag)
+      RETURN g.name as name
+      ORDER BY g.name
+    `;
+
+    const result = await this.execute(query, { taskId });
+    return result.map(row => row.name);
+  }
+
+  /**
+   * Build WHERE conditions restricting a task variable by tags.
+   * tag_mode 'any' needs one of tags, 'all' needs every tag; tasks with
+   * any of exclude_tags are dropped. Empty lists add no condition.
+   */
+  tagConditions(variable, { tags = [], tag_mode = 'any', exclude_tags = [] } = {}) {
+    const conditions = [];
+    const params = {};
+
+    if (tags.length > 0 && tag_mode === 'all') {
+      tags.forEach((tag, index) => {
+        conditions.push(`EXISTS { MATCH (${variable})-[:HAS_TAG]->(:Tag {name: $tag${index}}) }`);
+        params[`tag${index}`] = tag;
+      });
+    } else if (tags.length > 0) {
+      conditions.push(
+        `EXISTS { MATCH (${variable})-[:HAS_TAG]->(g:Tag) WHERE g.name IN $includeTags }`
+      );
+      params.includeTags = tags;
+    }
+
+    if (exclude_tags.length > 0) {
+      conditions.push(
+        `NOT EXISTS { MATCH (${variable})-[:HAS_TAG]->(x:Tag) WHERE x.name IN $excludeTags }`
+      );
+      params.excludeTags = exclude_tags;
+    }
+
+    return { conditions, params };
+  }
+
+  /**
+   * WHERE condition leaving out tasks leased to someone other than
+   * available_to (no condition when available_to is not set). Kuzu does not
+   * resolve the tag parameters inside EXISTS subqueries once the outer WHERE
+   * uses a parameter too, so the condition uses the availableTo variable,
+   * which the query binds with the returned WITH bindings.
+   */
+  leaseConditions(variable, { available_to = null } = {}) {
+    if (!available_to) {
+      return { conditions: [], params: {}, bindings: [] };
+    }
+    return {
+      conditions: [`(${variable}.assignee IS NULL OR ${variable}.assignee = availableTo)`],
+      params: { availableTo: available_to },
+      bindings: ['$availableTo AS availableTo'],
+    };
+  }
+
+  /**
+   * Tasks whose lease ran out before now
+   */
+  async findExpiredLeases(now) {
+    return this.execute(
+      `
+      MATCH (t:Task)
+      WHERE t.assignee IS NOT NULL AND t.lease_expires_at < $now
+      RETURN t.id AS id, t.assignee AS assignee, t.lease_expires_at AS lease_expires_at
+    `,
+      { now }
+    );
+  }
+
+  /**
+   * Get the IDs of tasks matching tag filters
+   */
+  async findTaskIdsByTags(filters) {
+    const { conditions, params } = this.tagConditions('t', filters);
+    const query = `
+      MATCH (t:Task)
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      RETURN t.id as id
+    `;
+
+    const result = await this.execute(query, params);
+    return result.map(row => row.id);
+  }
+
+  /**
+   * Compile a parsed task query (see core/task-query.js) into a WHERE
+   * condition on t. Values are collected in params as scalar variables
+   * q0, q1, ... which queryTasks binds with WITH.
+   */
+  queryCondition(node, params) {
+    const bind = value => {
+      const name = `q${Object.keys(params).length}`;
+      params[name] = value;
+      return name;
+    };
+    const any = conditions =>
+      conditions.length === 1 ? conditions[0] : `(${conditions.join(' OR ')})`;
+    const equals = (expression, values) =>
+      any(values.map(value => `${expression} = ${bind(value)}`));
+    const phase = `CAST(coalesce(nullif(regexp_extract(coalesce(t.semantic_id, ''), '^[^-]+-([0-9]+)\\\\.', 1), ''), '0') AS INT64)`;
+    const dates = { created: 't.created_at', updated: 't.updated_at' };
+
+    switch (node.type) {
+      case 'and':
+      case 'or':
+        return `(${node.terms.map(term => this.queryCondition(term, params)).join(` ${node.type.toUpperCase()} `)})`;
+      case 'not':
+        return `(NOT ${this.queryCondition(node.term, params)})`;
+      case 'text': {
+        const value = bind(node.value);
+        return `(lower(t.title) CONTAINS ${value} OR lower(coalesce(t.description, '')) CONTAINS ${value})`;
+      }
+      case 'compare': {
+        const field = node.field === 'phase' ? phase : `coalesce(${dates[node.field]}, '')`;
+        return `${field} ${node.op} ${bind(node.value)}`;
+      }
+      case 'field':
+        break;
+      default:
+        throw new Error(`Unknown query node: ${node.type}`);
+    }
+
+    switch (node.field) {
+      case 'status':
+      case 'priority':
+        return equals(`t.${node.field}`, node.values);
+      case 'stream':
+        return any(
+          node.values.map(value => `coalesce(t.semantic_id, '') STARTS WITH ${bind(`${value}-`)}`)
+        );
+      case 'phase':
+        return equals(phase, node.values);
+      case 'tag':
+        return `EXISTS { MATCH (t)-[:HAS_TAG]->(g:Tag) WHERE ${equals('g.name', node.values)} }`;
+      case 'parent':
+        return `EXISTS { MATCH (p:Task)-[:PARENT_CHILD]->(t) WHERE ${equals('p.id', node.values)} }`;
+      case 'has-deps':
+        return any(
+          node.values.map(
+            value => `${value ? '' : 'NOT '}EXISTS { MATCH (t)-[:DEPENDS_ON]->(:Task) }`
+          )
+        );
+      case 'blocked':
+        return any(
+          node.values.map(
+            value =>
+              `${value ? '' : 'NOT '}EXISTS { MATCH (t)-[:DEPENDS_ON]->(d:Task) WHERE d.status <> 'done' }`
+          )
+        );
+      default:
+        throw new Error(`Unknown query field: ${node.field}`);
+    }
+  }
+
+  /**
+   * Find tasks matching a parsed query and tag filters, sorted and paginated.
+   * Checklist subtasks (which have no file of their own) are left out.
+   * Returns the IDs of the requested page and the total number of matches.
+   */
+  async queryTasks({ where = null, tagFilters = {}, sort = [], limit = null, offset = 0 } = {}) {
+    const { tags = [], tag_mode = 'any', exclude_tags = [] } = tagFilters;
+    const terms = where ? [where] : [];
+    if (tags.length > 0 && tag_mode === 'all') {
+      terms.push(...tags.map(tag => ({ type: 'field', field: 'tag', values: [tag] })));
+    } else if (tags.length > 0) {
+      terms.push({ type: 'field', field: 'tag', values: tags });
+    }
+    if (exclude_tags.length > 0) {
+      terms.push({ type: 'not', term: { type: 'field', field: 'tag', values: exclude_tags } });
+    }
+
+    const params = {};
+    const conditions = [
+      `NOT EXISTS { MATCH (:Task)-[r:PARENT_CHILD]->(t) WHERE r.relationship_type = 'subtask' }`,
+      ...terms.map(term => this.queryCondition(term, params)),
+    ];
+
+    // Kuzu does not resolve parameters inside EXISTS subqueries once the outer
+    // WHERE uses parameters too, and list parameters bound with WITH crash it,
+    // so every value is a scalar bound as a variable up front
+    const bindings = Object.keys(params).map(name => `$${name} AS ${name}`);
+    const match = `
+      MATCH (t:Task)
+      ${bindings.length > 0 ? `WITH t, ${bindings.join(', ')}` : ''}
+      WHERE ${conditions.join('\n      AND ')}
+    `;
+
+    const orderBy = {
+      priority: `CASE t.priority WHEN 'high' THEN 1 WHEN 'medium' THEN 2 ELSE 3 END`,
+      status: `CASE t.status WHEN 'pending' THEN 1 WHEN 'in-progress' THEN 2 WHEN 'done' THEN 3 ELSE 4 END`,
+      created: 't.created_at',
+      updated: 't.updated_at',
+      title: 'lower(t.title)',
+      id: 't.id',
+      semantic_id: 't.semantic_id',
+    };
+    const keys = sort.length > 0 ? sort : [{ key: 'priority' }, { key: 'created' }];
+    const order = keys
+      .map(({ key, direction = 'asc' }) => `${orderBy[key]} ${direction.toUpperCase()}`)
+      .concat('t.id');
+
+    const pageParams = { ...params, offset };
+    let page = 'SKIP $offset';
+    if (limit !== null) {
+      page += ' LIMIT $limit';
+      pageParams.limit = limit;
+    }
+
+    const rows = await this.execute(
+      `${match} RETURN t.id as id ORDER BY ${order.join(', ')} ${page}`,
+      pageParams
+    );
+    const count = await this.execute(`${match} RETURN count(t) as total`, params);
+
+    return { ids: rows.map(row => row.id), total: Number(count[0]?.total ?? 0) };
+  }
+
+  /**
+   * Find next actionable task, optionally restricted by tags
+   * (subtasks are matched on their parent's tags) and to tasks not leased
+   * to anyone but filters.available_to
    */
-  async findNextTask() {
+  async findNextTask(filters = {}) {
+    const parentTags = this.tagConditions('parent', filters);
+    const taskTags = this.tagConditions('t', filters);
+    const subtaskLeases = this.leaseConditions('st', filters);
+    const taskLeases = this.leaseConditions('t', filters);
+    const and = conditions => conditions.map(condition => `AND ${condition}`).join('\n      ');
+    const bind = (variables, bindings) =>
+      bindings.length > 0 ? `WITH ${[...variables, ...bindings].join(', ')}` : '';
+
     // First check subtasks of in-progress tasks
     const subtaskQuery = `
       MATCH (parent:Task {status: 'in-progress'})-[rel:PARENT_CHILD]->(st:Task)
+      ${bind(['parent', 'rel', 'st'], subtaskLeases.bindings)}
       WHERE st.status = 'pending'
       AND NOT EXISTS {
         MATCH (st)-[:DEPENDS_ON]->(dep:Task)
         WHERE dep.status <> 'done'
       }
+      ${and([...parentTags.conditions, ...subtaskLeases.conditions])}
       RETURN st
       ORDER BY parent.priority DESC, 
                CASE WHEN rel.position IS NOT NULL THEN rel.position ELSE 999 END,
@@ -242,7 +749,10 @@ export class GraphConnection {
       LIMIT 1
     `;
 
-    let result = await this.execute(subtaskQuery);
+    let result = await this.execute(subtaskQuery, {
+      ...parentTags.params,
+      ...subtaskLeases.params,
+    });
     if (result.length > 0) {
       return result[0].st;
     }
@@ -250,6 +760,7 @@ export class GraphConnection {
     // Then check top-level tasks
     const taskQuery = `
       MATCH (t:Task)
+      ${bind(['t'], taskLeases.bindings)}
       WHERE t.status = 'pending'
       AND NOT EXISTS {
         MATCH (t)-[:DEPENDS_ON]->(dep:Task)
@@ -258,6 +769,7 @@ export class GraphConnection {
       AND NOT EXISTS {
         MATCH (parent:Task)-[:PARENT_CHILD]->(t)
       }
+      ${and([...taskTags.conditions, ...taskLeases.conditions])}
       RETURN t
       ORDER BY 
         CASE t.priority 
@@ -269,10 +781,90 @@ export class GraphConnection {
       LIMIT 1
     `;
 
-    result = await this.execute(taskQuery);
+    result = await this.execute(taskQuery, { ...taskTags.params, ...taskLeases.params });
     return result.length > 0 ? result[0].t : null;
   }
 
+  /**
+   * Every task findNextTask could pick, for ranking by a strategy: pending
+   * subtasks of in-progress tasks (active_parent) and pending top-level tasks,
+   * all with their dependencies done and not leased to anyone but
+   * filters.available_to
+   */
+  async findActionableTasks(filters = {}) {
+    const parentTags = this.tagConditions('parent', filters);
+    const taskTags = this.tagConditions('t', filters);
+    const leases = this.leaseConditions('t', filters);
+    const and = conditions => conditions.map(condition => `AND ${condition}`).join('\n      ');
+    const bind = variables =>
+      leases.bindings.length > 0 ? `WITH ${[...variables, ...leases.bindings].join(', ')}` : '';
+    const fields = `t.id AS id, t.semantic_id AS semantic_id, t.title AS title,
+             t.priority AS priority, t.estimate AS estimate, t.created_at AS created_at`;
+
+    const subtasks = await this.execute(
+      `
+      MATCH (parent:Task {status: 'in-progress'})-[rel:PARENT_CHILD]->(t:Task)
+      ${bind(['parent', 'rel', 't'])}
+      WHERE t.status = 'pending'
+      AND NOT EXISTS {
+        MATCH (t)-[:DEPENDS_ON]->(dep:Task)
+        WHERE dep.status <> 'done'
+      }
+      ${and([...parentTags.conditions, ...leases.conditions])}
+      RETURN ${fields}, parent.id AS parent_id, parent.priority AS parent_priority,
+             rel.position AS position
+    `,
+      { ...parentTags.params, ...leases.params }
+    );
+
+    const topLevel = await this.execute(
+      `
+      MATCH (t:Task)
+      ${bind(['t'])}
+      WHERE t.status = 'pending'
+      AND NOT EXISTS {
+        MATCH (t)-[:DEPENDS_ON]->(dep:Task)
+        WHERE dep.status <> 'done'
+      }
+      AND NOT EXISTS {
+        MATCH (parent:Task)-[:PARENT_CHILD]->(t)
+      }
+      ${and([...taskTags.conditions, ...leases.conditions])}
+      RETURN ${fields}
+    `,
+      { ...taskTags.params, ...leases.params }
+    );
+
+    return [
+      ...subtasks.map(row => ({
+        ...row,
+        position: row.position === null ? null : Number(row.position),
+        active_parent: true,
+      })),
+      ...topLevel.map(row => ({ ...row, parent_id: null, active_parent: false })),
+    ];
+  }
+
+  /**
+   * Check whether adding taskId -> dependencyId would close a cycle,
+   * i.e. whether dependencyId already reaches taskId through DEPENDS_ON
+   */
+  async hasCircularDependency(taskId, dependencyId) {
+    if (taskId === dependencyId) {
+      return true;
+    }
+
+    // Kuzu caps variable-length paths at 30 hops by default
+    const query = `
+      MATCH (dep:Task {id: $dependencyId})-[:DEPENDS_ON*1..30]->(t:Task {id: $taskId})
+      RETURN dep.id as id
+      LIMIT 1
+    `;
+
+    const result = await this.execute(query, { taskId, dependencyId });
+    return result.length > 0;
+  }
+
   /**
    * Detect circular dependencies
    */
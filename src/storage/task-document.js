@@ -0,0 +1,179 @@
+/**
+ * Round-trip helpers for task files.
+ *
+ * A task file body is split into a preamble (title, metadata lines, free text)
+ * and "## " sections. When a task is rewritten, the freshly rendered content is
+ * merged into the file on disk so that anything the parser does not model -
+ * custom sections, extra metadata lines, ordering, whitespace - survives.
+ */
+
+const TITLE_KEY = 'title';
+
+/**
+ * Split a markdown body into its preamble and "## " sections.
+ * Joining preamble and section texts gives back the input exactly.
+ */
+export function splitSections(body) {
+  const parts = body.split(/^(?=## )/m);
+  const preamble = parts[0].startsWith('## ') ? '' : parts.shift();
+
+  return {
+    preamble,
+    sections: parts.map(text => ({ heading: text.split('\n')[0].substring(3).trim(), text })),
+  };
+}
+
+/**
+ * Join a split document back into text
+ */
+export function joinSections({ preamble, sections }) {
+  return preamble + sections.map(section => section.text).join('');
+}
+
+/**
+ * Key of a preamble line: "title" for the H1, the field name for "**Field:** value"
+ */
+function lineKey(line) {
+  if (line.startsWith('# ')) {
+    return TITLE_KEY;
+  }
+  const match = line.match(/^\*\*([^*]+):\*\*/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Value part of a keyed preamble line, ignoring surrounding whitespace
+ */
+function lineValue(line) {
+  return line.replace(/^# |^\*\*[^*]+:\*\*/, '').trim();
+}
+
+/**
+ * Merge a freshly rendered preamble into the one on disk. Known metadata
+ * lines are updated in place (kept verbatim if their value is unchanged),
+ * unknown lines stay where they are, and new fields go after the last
+ * metadata line.
+ */
+export function mergePreamble(raw, next, knownFields) {
+  const isKnown = key => key === TITLE_KEY || knownFields.includes(key);
+
+  const nextLines = new Map();
+  for (const line of next.split('\n')) {
+    const key = lineKey(line);
+    if (key && isKnown(key)) {
+      nextLines.set(key, line);
+    }
+  }
+
+  const output = [];
+  const emitted = new Set();
+  let insertAt = 0;
+  let skipBlank = false;
+
+  for (const line of raw.split('\n')) {
+    const key = lineKey(line);
+    if (!key || !isKnown(key)) {
+      // Don't leave a double blank line where a field was removed
+      if (!(skipBlank && line.trim() === '')) {
+        output.push(line);
+      }
+      skipBlank = false;
+      continue;
+    }
+    if (!nextLines.has(key) || emitted.has(key)) {
+      // Field removed (or duplicated)
+      skipBlank = output.length === 0 || output[output.length - 1].trim() === '';
+      continue;
+    }
+
+    const nextLine = nextLines.get(key);
+    output.push(lineValue(line) === lineValue(nextLine) ? line : nextLine);
+    emitted.add(key);
+    insertAt = output.length;
+    skipBlank = false;
+  }
+
+  const missing = [...nextLines.entries()].filter(([key]) => !emitted.has(key));
+  const title = missing.find(([key]) => key === TITLE_KEY);
+  const fields = missing.filter(([key]) => key !== TITLE_KEY).map(([, line]) => line);
+
+  if (fields.length > 0) {
+    // Keep a blank line between the title and the first metadata field
+    const afterTitle = insertAt > 0 && lineKey(output[insertAt - 1]) === TITLE_KEY;
+    output.splice(insertAt, 0, ...(afterTitle ? ['', ...fields] : fields));
+  }
+  if (title) {
+    output.unshift(title[1], '');
+  }
+
+  return output.join('\n');
+}
+
+/**
+ * Three-way merge of "## " sections.
+ *
+ * raw is the file on disk, base is what the parsed file renders to and next
+ * is what the updated task renders to. A known section is kept verbatim when
+ * base and next agree, extended in place when next only appends to it, and
+ * replaced otherwise. Unknown sections are always kept.
+ */
+export function mergeSections(raw, base, next) {
+  const find = (sections, heading) => sections.find(section => section.heading === heading);
+  const merged = new Set();
+  const output = [];
+
+  for (const section of raw) {
+    const baseSection = find(base, section.heading);
+    const nextSection = find(next, section.heading);
+
+    if (merged.has(section.heading) || (!baseSection && !nextSection)) {
+      output.push(section);
+      continue;
+    }
+
+    merged.add(section.heading);
+    if (!nextSection) {
+      continue; // Section no longer rendered, e.g. last dependency removed
+    }
+
+    const before = baseSection ? baseSection.text.trimEnd() : null;
+    const after = nextSection.text;
+
+    if (before !== null && before === after.trimEnd()) {
+      output.push(section);
+    } else if (before !== null && after.startsWith(`${before}\n`)) {
+      // Only appended to (new note, new subtask): keep the existing text
+      output.push({
+        heading: section.heading,
+        text: section.text.trimEnd() + after.slice(before.length),
+      });
+    } else {
+      output.push(nextSection);
+    }
+  }
+
+  // Insert sections that are new in this rewrite after their rendered predecessor
+  next.forEach((section, index) => {
+    if (merged.has(section.heading) || find(raw, section.heading)) {
+      return;
+    }
+
+    let position = 0;
+    for (let i = index - 1; i >= 0; i--) {
+      const previous = output.findIndex(s => s.heading === next[i].heading);
+      if (previous !== -1) {
+        position = previous + 1;
+        break;
+      }
+    }
+
+    if (position > 0 && !output[position - 1].text.endsWith('\n\n')) {
+      const previous = output[position - 1];
+      output[position - 1] = { ...previous, text: previous.text.trimEnd() + '\n\n' };
+    }
+    output.splice(position, 0, section);
+    merged.add(section.heading);
+  });
+
+  return output;
+}
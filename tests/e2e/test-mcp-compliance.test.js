@@ -70,12 +70,67 @@ describe('MCP Protocol Compliance E2E Tests', () => {
           description: p.description,
           priority: p.priority || 'medium',
           dependencies: p.dependencies || [],
+          acceptance_criteria: p.acceptance_criteria || [],
+          tags: p.tags || [],
+          estimate: p.estimate,
+          duplicate_policy: p.duplicate_policy,
         });
+        const similar = result.duplicates.map(task => `${task.id} (${task.score})`).join(', ');
         return {
           content: [
             {
               type: 'text',
-              text: `Created task ${result.id} - ${result.title}`,
+              text: result.merged
+                ? `Merged into ${result.id} - ${result.title}`
+                : `Created task ${result.id} - ${result.title}` +
+                  (similar ? `\nPossible duplicates: ${similar}` : ''),
+            },
+          ],
+        };
+      },
+
+      'mcp__perun-flow__mcp__tasks__create_batch': async p => {
+        const result = await taskManager.createTaskBatch(p.tasks, {
+          duplicate_policy: p.duplicate_policy,
+        });
+        const lines = result.tasks.map(
+          task => `$${task.key} -> ${task.semantic_id} (${task.id}) - ${task.title}`
+        );
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Created ${result.total} task(s):\n${lines.join('\n')}`,
+            },
+          ],
+        };
+      },
+
+      'mcp__perun-flow__mcp__tasks__import': async p => {
+        const result = await taskManager.importPlan(p.content, { dry_run: p.dry_run || false });
+        const lines = result.tasks.map(
+          task => `${'  '.repeat(task.depth)}- ${task.id ? `${task.id} ` : ''}${task.title}`
+        );
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `${result.dry_run ? 'Would create' : 'Imported'} ${result.total} task(s):\n${lines.join('\n')}`,
+            },
+          ],
+        };
+      },
+
+      'mcp__perun-flow__mcp__tasks__export_graph': async p => {
+        const result = await taskManager.exportGraph({
+          task_id: p.task_id,
+          format: p.format || 'mermaid',
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `${result.node_count} task(s), ${result.edge_count} edge(s)\n${result.content}`,
             },
           ],
         };
@@ -85,6 +140,9 @@ describe('MCP Protocol Compliance E2E Tests', () => {
         const tasks = await taskManager.listTasks({
           status: p.status,
           priority: p.priority,
+          tags: p.tags,
+          tag_mode: p.tag_mode,
+          exclude_tags: p.exclude_tags,
         });
 
         if (tasks.length === 0) {
@@ -114,8 +172,42 @@ describe('MCP Protocol Compliance E2E Tests', () => {
         };
       },
 
+      'mcp__perun-flow__mcp__tasks__search': async p => {
+        const { total, results } = await taskManager.searchTasks(p.query, { limit: p.limit });
+
+        if (results.length === 0) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `No tasks match "${p.query}".`,
+              },
+            ],
+          };
+        }
+
+        let response = `Found ${total} matching task(s):\n\n`;
+        for (const result of results) {
+          response += `${result.task_id} - ${result.title}\n`;
+          for (const match of result.matches) {
+            response += `  ${match.section}: ${match.snippet}\n`;
+          }
+        }
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: response,
+            },
+          ],
+        };
+      },
+
       'mcp__perun-flow__mcp__tasks__status': async p => {
-        const result = await taskManager.updateTaskStatus(p.task_id, p.status);
+        const result = await taskManager.updateTaskStatus(p.task_id, p.status, {
+          force: p.force || false,
+        });
         return {
           content: [
             {
@@ -126,8 +218,15 @@ describe('MCP Protocol Compliance E2E Tests', () => {
         };
       },
 
-      'mcp__perun-flow__mcp__tasks__next': async () => {
-        const nextTask = await taskManager.findNextTask();
+      'mcp__perun-flow__mcp__tasks__next': async p => {
+        const filters = { tags: p.tags, tag_mode: p.tag_mode, exclude_tags: p.exclude_tags };
+        let nextTask;
+        if (p.claim) {
+          const { candidates } = await taskManager.rankNextTasks({ ...filters, claim: true });
+          nextTask = candidates[0] ? await taskManager.getTask(candidates[0].id) : null;
+        } else {
+          nextTask = await taskManager.findNextTask(filters);
+        }
 
         if (!nextTask) {
           return {
@@ -144,7 +243,54 @@ describe('MCP Protocol Compliance E2E Tests', () => {
           content: [
             {
               type: 'text',
-              text: `Next task: ${nextTask.id} - ${nextTask.title}`,
+              text:
+                `Next task: ${nextTask.id} - ${nextTask.title}` +
+                (nextTask.assignee ? `\nClaimed by: ${nextTask.assignee}` : ''),
+            },
+          ],
+        };
+      },
+
+      'mcp__perun-flow__mcp__tasks__claim': async p => {
+        const result = await taskManager.claimTask(p.task_id, {
+          assignee: p.assignee,
+          lease_minutes: p.lease_minutes,
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Claimed task ${result.id} for ${result.assignee} until ${result.lease_expires_at}`,
+            },
+          ],
+        };
+      },
+
+      'mcp__perun-flow__mcp__tasks__renew': async p => {
+        const result = await taskManager.renewLease(p.task_id, {
+          assignee: p.assignee,
+          lease_minutes: p.lease_minutes,
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Renewed claim on task ${result.id} for ${result.assignee} until ${result.lease_expires_at}`,
+            },
+          ],
+        };
+      },
+
+      'mcp__perun-flow__mcp__tasks__release': async p => {
+        const result = await taskManager.releaseTask(p.task_id, {
+          assignee: p.assignee,
+          force: p.force || false,
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Released task ${result.id} (claimed by ${result.assignee})`,
             },
           ],
         };
@@ -228,6 +374,18 @@ describe('MCP Protocol Compliance E2E Tests', () => {
           ],
         };
       },
+
+      'mcp__perun-flow__mcp__tasks__check_criteria': async p => {
+        const result = await taskManager.checkCriteria(p.task_id, p.items, p.checked !== false);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `${result.remaining} acceptance criteria remaining for ${result.task_id}`,
+            },
+          ],
+        };
+      },
     };
 
     const handler = toolMap[toolName];
@@ -247,11 +405,16 @@ describe('MCP Protocol Compliance E2E Tests', () => {
     // Validate required parameters based on tool
     const requiredParams = {
       'mcp__perun-flow__mcp__tasks__create': ['title'],
+      'mcp__perun-flow__mcp__tasks__create_batch': ['tasks'],
       'mcp__perun-flow__mcp__tasks__status': ['task_id', 'status'],
       'mcp__perun-flow__mcp__tasks__note': ['task_id', 'note'],
+      'mcp__perun-flow__mcp__tasks__claim': ['task_id'],
+      'mcp__perun-flow__mcp__tasks__renew': ['task_id'],
+      'mcp__perun-flow__mcp__tasks__release': ['task_id'],
       'mcp__perun-flow__mcp__tasks__deps': ['task_id'],
       'mcp__perun-flow__mcp__tasks__dependents': ['task_id'],
       'mcp__perun-flow__mcp__tasks__graph': ['task_id'],
+      'mcp__perun-flow__mcp__tasks__check_criteria': ['task_id', 'items'],
     };
 
     const required = requiredParams[toolName] || [];
@@ -330,11 +493,17 @@ describe('MCP Protocol Compliance E2E Tests', () => {
 
   describe('Tool Testing - Valid Inputs', () => {
     test('should create task with all fields', async () => {
+      const dep1 = await callTool('mcp__perun-flow__mcp__tasks__create', { title: 'Dep One' });
+      const dep2 = await callTool('mcp__perun-flow__mcp__tasks__create', { title: 'Dep Two' });
+      const depId1 = dep1.content[0].text.match(/Created task (\S+)/)[1];
+      const depId2 = dep2.content[0].text.match(/Created task (\S+)/)[1];
+      tasksCreated.push(depId1, depId2);
+
       const response = await callTool('mcp__perun-flow__mcp__tasks__create', {
         title: 'Full Task Example',
         description: 'A task with all fields populated',
         priority: 'high',
-        dependencies: ['task-1', 'task-2'],
+        dependencies: [depId1, depId2],
       });
 
       expect(response.content[0].text).toContain('Created task');
@@ -479,6 +648,15 @@ describe('MCP Protocol Compliance E2E Tests', () => {
       ).rejects.toThrow(/not found/i);
     });
 
+    test('should reject dependencies on non-existent tasks', async () => {
+      await expect(
+        callTool('mcp__perun-flow__mcp__tasks__create', {
+          title: 'Dangling Dependency',
+          dependencies: ['task-1', 'task-2'],
+        })
+      ).rejects.toThrow(/Unknown dependency task ID\(s\): task-1, task-2/);
+    });
+
     test('should reject empty task titles', async () => {
       await expect(
         callTool('mcp__perun-flow__mcp__tasks__create', {
@@ -600,6 +778,470 @@ describe('MCP Protocol Compliance E2E Tests', () => {
     });
   });
 
+  describe('Transitive Dependencies', () => {
+    test('should report upstream blockers and downstream impact with depth', async () => {
+      const batch = await callTool('mcp__perun-flow__mcp__tasks__create_batch', {
+        tasks: [
+          { key: 'db', title: 'Provision database' },
+          { key: 'api', title: 'Build orders service', deps: ['$db'] },
+          { key: 'ui', title: 'Orders screen', deps: ['$api'] },
+        ],
+      });
+      const ids = Object.fromEntries(
+        [...batch.content[0].text.matchAll(/\$(\w+) -> \S+ \((\S+)\)/g)].map(([, key, id]) => [
+          key,
+          id,
+        ])
+      );
+      tasksCreated.push(...Object.values(ids));
+
+      const direct = await taskManager.checkDependencies(ids.ui);
+      expect(direct.dependencies.map(dep => dep.id)).toEqual([ids.api]);
+
+      const upstream = await taskManager.checkDependencies(ids.ui, { transitive: true });
+      expect(upstream.blocking.map(dep => [dep.id, dep.depth])).toEqual([
+        [ids.api, 1],
+        [ids.db, 2],
+      ]);
+      expect(upstream.blocking[1].path).toEqual([ids.ui, ids.api, ids.db]);
+
+      const impact = await taskManager.getDependents(ids.db, { depth: 1 });
+      expect(impact.dependents.map(dep => dep.id)).toEqual([ids.api]);
+      const fullImpact = await taskManager.getDependents(ids.db, { transitive: true });
+      expect(fullImpact.blocked_count).toBe(2);
+    });
+  });
+
+  describe('Scheduling', () => {
+    test('should find the longest chain blocking a goal', async () => {
+      const batch = await callTool('mcp__perun-flow__mcp__tasks__create_batch', {
+        tasks: [
+          { key: 'db', title: 'Provision database' },
+          { key: 'api', title: 'Build orders service', deps: ['$db'] },
+          { key: 'copy', title: 'Write launch copy' },
+          { key: 'launch', title: 'Launch orders', deps: ['$api', '$copy'] },
+        ],
+      });
+      const ids = Object.fromEntries(
+        [...batch.content[0].text.matchAll(/\$(\w+) -> \S+ \((\S+)\)/g)].map(([, key, id]) => [
+          key,
+          id,
+        ])
+      );
+      tasksCreated.push(...Object.values(ids));
+
+      const schedule = await taskManager.getSchedule({
+        goal: ids.launch,
+        estimates: { [ids.db]: 2, [ids.api]: 3, [ids.copy]: 1 },
+      });
+
+      expect(schedule.total_duration).toBe(6);
+      expect(schedule.critical_path.map(task => task.id)).toEqual([ids.db, ids.api, ids.launch]);
+      const copy = schedule.tasks.find(task => task.id === ids.copy);
+      expect(copy).toMatchObject({ slack: 4, critical: false, unblocks: 1 });
+    });
+  });
+
+  describe('Time Tracking', () => {
+    test('should compare estimates with time spent in progress', async () => {
+      const task = await callTool('mcp__perun-flow__mcp__tasks__create', {
+        title: 'Tune query planner',
+        estimate: 2,
+      });
+      const taskId = task.content[0].text.match(/Created task (\S+)/)[1];
+      tasksCreated.push(taskId);
+
+      await callTool('mcp__perun-flow__mcp__tasks__status', {
+        task_id: taskId,
+        status: 'in-progress',
+      });
+      await callTool('mcp__perun-flow__mcp__tasks__status', { task_id: taskId, status: 'pending' });
+      await callTool('mcp__perun-flow__mcp__tasks__status', {
+        task_id: taskId,
+        status: 'in-progress',
+      });
+      await callTool('mcp__perun-flow__mcp__tasks__status', { task_id: taskId, status: 'done' });
+
+      const report = await taskManager.getTimeReport();
+      const row = report.tasks.find(entry => entry.id === taskId);
+      expect(row).toMatchObject({ estimate: 2, status: 'done', running: false });
+      expect(row.finished_at).not.toBeNull();
+      expect(report.by_stream.find(group => group.stream === row.stream).estimate).toBe(2);
+
+      const graphTask = await taskManager.graph.getTask(taskId);
+      expect(graphTask.estimate).toBe(2);
+    });
+  });
+
+  describe('Next Task Strategies', () => {
+    test('should explain which task each strategy picks', async () => {
+      const batch = await callTool('mcp__perun-flow__mcp__tasks__create_batch', {
+        tasks: [
+          { key: 'db', title: 'Provision warehouse', priority: 'low', estimate: 8 },
+          { key: 'etl', title: 'Nightly import job', deps: ['$db'] },
+          { key: 'copy', title: 'Polish onboarding copy', priority: 'high', estimate: 1 },
+        ],
+      });
+      const ids = Object.fromEntries(
+        [...batch.content[0].text.matchAll(/\$(\w+) -> \S+ \((\S+)\)/g)].map(([, key, id]) => [
+          key,
+          id,
+        ])
+      );
+      tasksCreated.push(...Object.values(ids));
+
+      const unblocking = await taskManager.rankNextTasks({
+        strategy: 'unblocks-most-dependents',
+        limit: 5,
+      });
+      const position = id => unblocking.candidates.findIndex(candidate => candidate.id === id);
+      expect(position(ids.db)).toBeLessThan(position(ids.copy));
+      expect(unblocking.candidates[position(ids.db)].factors).toEqual({ unblocks: 1 });
+      expect(position(ids.etl)).toBe(-1);
+
+      const shortest = await taskManager.rankNextTasks({
+        strategy: 'shortest-estimate-first',
+        limit: 5,
+      });
+      expect(shortest.candidates.findIndex(candidate => candidate.id === ids.copy)).toBeLessThan(
+        shortest.candidates.findIndex(candidate => candidate.id === ids.db)
+      );
+
+      const weighted = await taskManager.rankNextTasks({ strategy: 'weighted', limit: 1 });
+      expect(Object.keys(weighted.candidates[0].factors)).toEqual([
+        'priority',
+        'active_parent',
+        'unblocks',
+        'critical',
+        'shortness',
+        'same_stream',
+        'age',
+      ]);
+    });
+  });
+
+  describe('Task Claims', () => {
+    test('should keep agents off tasks claimed by others', async () => {
+      const create = async (title, priority) => {
+        const result = await callTool('mcp__perun-flow__mcp__tasks__create', {
+          title,
+          priority,
+          tags: ['claims'],
+        });
+        const taskId = result.content[0].text.match(/Created task (\S+)/)[1];
+        tasksCreated.push(taskId);
+        return taskId;
+      };
+      const shared = await create('Claimed elsewhere', 'high');
+      const mine = await create('Left for this agent', 'low');
+
+      const claim = await callTool('mcp__perun-flow__mcp__tasks__claim', {
+        task_id: shared,
+        assignee: 'agent-b',
+        lease_minutes: 10,
+      });
+      expect(claim.content[0].text).toContain(`Claimed task ${shared} for agent-b until`);
+
+      await expect(
+        callTool('mcp__perun-flow__mcp__tasks__status', { task_id: shared, status: 'in-progress' })
+      ).rejects.toThrow(/claimed by agent-b/);
+
+      const next = await callTool('mcp__perun-flow__mcp__tasks__next', {
+        tags: ['claims'],
+        claim: true,
+      });
+      expect(next.content[0].text).toContain(`Next task: ${mine}`);
+      expect(next.content[0].text).toContain(`Claimed by: ${taskManager.leases.assignee}`);
+
+      const renewed = await callTool('mcp__perun-flow__mcp__tasks__renew', {
+        task_id: shared,
+        assignee: 'agent-b',
+      });
+      expect(renewed.content[0].text).toContain(`Renewed claim on task ${shared}`);
+
+      await expect(
+        callTool('mcp__perun-flow__mcp__tasks__release', { task_id: shared })
+      ).rejects.toThrow(/claimed by agent-b/);
+      const released = await callTool('mcp__perun-flow__mcp__tasks__release', {
+        task_id: shared,
+        force: true,
+      });
+      expect(released.content[0].text).toContain(`Released task ${shared} (claimed by agent-b)`);
+
+      const leases = await taskManager.journal.query({ taskId: shared, limit: Infinity });
+      expect(
+        leases
+          .filter(entry => entry.operation.startsWith('lease.'))
+          .map(entry => entry.operation)
+          .reverse()
+      ).toEqual(['lease.claimed', 'lease.renewed', 'lease.released']);
+    });
+  });
+
+  describe('Acceptance Criteria', () => {
+    test('should gate completion until all criteria are checked', async () => {
+      const task = await callTool('mcp__perun-flow__mcp__tasks__create', {
+        title: 'Gated Task',
+        acceptance_criteria: ['Returns 200', 'Rejects bad passwords'],
+      });
+      const taskId = task.content[0].text.match(/Created task (\S+)/)[1];
+      tasksCreated.push(taskId);
+
+      await expect(
+        callTool('mcp__perun-flow__mcp__tasks__status', { task_id: taskId, status: 'done' })
+      ).rejects.toThrow(/2 unchecked acceptance criteria/);
+
+      const checked = await callTool('mcp__perun-flow__mcp__tasks__check_criteria', {
+        task_id: taskId,
+        items: [1, 'bad passwords'],
+      });
+      expect(checked.content[0].text).toContain('0 acceptance criteria remaining');
+      expect(await graphConnection.getCriteria(taskId)).toEqual([
+        { position: 1, text: 'Returns 200', is_checked: true },
+        { position: 2, text: 'Rejects bad passwords', is_checked: true },
+      ]);
+
+      const done = await callTool('mcp__perun-flow__mcp__tasks__status', {
+        task_id: taskId,
+        status: 'done',
+      });
+      expect(done.content[0].text).toContain('status to: done');
+    });
+
+    test('should complete with unchecked criteria when forced', async () => {
+      const task = await callTool('mcp__perun-flow__mcp__tasks__create', {
+        title: 'Forced Task',
+        acceptance_criteria: ['Documented'],
+      });
+      const taskId = task.content[0].text.match(/Created task (\S+)/)[1];
+      tasksCreated.push(taskId);
+
+      const done = await callTool('mcp__perun-flow__mcp__tasks__status', {
+        task_id: taskId,
+        status: 'done',
+        force: true,
+      });
+      expect(done.content[0].text).toContain('status to: done');
+    });
+  });
+
+  describe('Tags', () => {
+    test('should filter list and next by tags', async () => {
+      const ids = {};
+      for (const [title, tags] of [
+        ['Backend API', ['backend', 'api']],
+        ['Backend Vendor Sync', ['backend', 'blocked-external']],
+        ['Frontend Form', ['frontend']],
+      ]) {
+        const task = await callTool('mcp__perun-flow__mcp__tasks__create', { title, tags });
+        ids[title] = task.content[0].text.match(/Created task (\S+)/)[1];
+        tasksCreated.push(ids[title]);
+      }
+
+      const any = await callTool('mcp__perun-flow__mcp__tasks__list', {
+        tags: ['frontend', 'api'],
+      });
+      expect(any.content[0].text).toContain('Found 2 task(s)');
+
+      const all = await callTool('mcp__perun-flow__mcp__tasks__list', {
+        tags: ['backend', 'api'],
+        tag_mode: 'all',
+      });
+      expect(all.content[0].text).toContain('Found 1 task(s)');
+      expect(all.content[0].text).toContain('Backend API');
+
+      const next = await callTool('mcp__perun-flow__mcp__tasks__next', {
+        tags: ['backend'],
+        exclude_tags: ['blocked-external'],
+      });
+      expect(next.content[0].text).toContain(ids['Backend API']);
+
+      const none = await callTool('mcp__perun-flow__mcp__tasks__next', {
+        tags: ['backend'],
+        exclude_tags: ['blocked-external', 'api'],
+      });
+      expect(none.content[0].text).toContain('No actionable tasks available.');
+    });
+  });
+
+  describe('Search', () => {
+    test('should find existing tasks by content before creating duplicates', async () => {
+      const task = await callTool('mcp__perun-flow__mcp__tasks__create', {
+        title: 'Rate limit the public API',
+        description: 'Throttle requests per API key',
+      });
+      const taskId = task.content[0].text.match(/Created task (\S+)/)[1];
+      tasksCreated.push(taskId);
+
+      const before = await callTool('mcp__perun-flow__mcp__tasks__search', {
+        query: 'sliding window',
+      });
+      expect(before.content[0].text).toBe('No tasks match "sliding window".');
+
+      await callTool('mcp__perun-flow__mcp__tasks__note', {
+        task_id: taskId,
+        note: 'Use a sliding window counter in Redis',
+      });
+
+      const after = await callTool('mcp__perun-flow__mcp__tasks__search', {
+        query: 'sliding window',
+      });
+      expect(after.content[0].text).toContain(taskId);
+      expect(after.content[0].text).toContain('Notes: Use a sliding window counter in Redis');
+
+      const byTitle = await callTool('mcp__perun-flow__mcp__tasks__search', {
+        query: 'throttling api key',
+      });
+      expect(byTitle.content[0].text).toContain('Description: Throttle requests per API key');
+    });
+  });
+
+  describe('Batch Creation', () => {
+    test('should create dependent tasks in one call and roll back invalid batches', async () => {
+      const result = await callTool('mcp__perun-flow__mcp__tasks__create_batch', {
+        tasks: [
+          { key: 'endpoint', title: 'Expose orders endpoint', deps: ['$schema'] },
+          { key: 'schema', title: 'Design orders schema' },
+          { key: 'docs', title: 'Document orders endpoint', deps: ['$endpoint'] },
+        ],
+      });
+      const text = result.content[0].text;
+      expect(text).toContain('Created 3 task(s)');
+      expect(text).toContain('$schema -> DATA-1.01');
+      expect(text).toContain('$endpoint -> API-2.01');
+      expect(text).toContain('$docs -> DOC-3.01');
+
+      const ids = Object.fromEntries(
+        [...text.matchAll(/\$(\w+) -> \S+ \((\S+)\)/g)].map(([, key, id]) => [key, id])
+      );
+      tasksCreated.push(...Object.values(ids));
+
+      const deps = await callTool('mcp__perun-flow__mcp__tasks__deps', { task_id: ids.endpoint });
+      expect(deps.content[0].text).toContain(`- ${ids.schema}: Design orders schema`);
+
+      // One bad reference and nothing from the batch is written
+      await expect(
+        callTool('mcp__perun-flow__mcp__tasks__create_batch', {
+          tasks: [
+            { key: 'cache', title: 'Cache order totals' },
+            { key: 'purge', title: 'Purge order cache', deps: ['$cache', '$typo'] },
+          ],
+        })
+      ).rejects.toThrow('Unknown batch key: $typo');
+
+      const list = await callTool('mcp__perun-flow__mcp__tasks__list');
+      expect(list.content[0].text).not.toContain('Cache order totals');
+    });
+  });
+
+  describe('Plan Import', () => {
+    test('should import a nested checklist with dependencies', async () => {
+      const plan = [
+        '## Checkout',
+        '- [ ] Checkout flow',
+        '  - [ ] Cart summary page',
+        '  - [ ] Payment form after Cart summary page',
+        '- [x] Pick a payment provider',
+        '- [ ] Checkout analytics (deps: Payment form)',
+      ].join('\n');
+
+      const dryRun = await callTool('mcp__perun-flow__mcp__tasks__import', {
+        content: plan,
+        dry_run: true,
+      });
+      expect(dryRun.content[0].text).toContain('Would create 4 task(s)');
+      expect((await taskManager.listTasks()).length).toBe(0);
+
+      const result = await callTool('mcp__perun-flow__mcp__tasks__import', { content: plan });
+      const ids = Object.fromEntries(
+        [...result.content[0].text.matchAll(/- (\S+) (.+)$/gm)].map(([, id, title]) => [title, id])
+      );
+      tasksCreated.push(...Object.values(ids));
+      expect(Object.keys(ids)).toEqual([
+        'Checkout flow',
+        'Cart summary page',
+        'Payment form',
+        'Checkout analytics',
+      ]);
+
+      const children = await taskManager.getTaskChildren(ids['Checkout flow']);
+      expect(children.map(child => child.title).sort()).toEqual([
+        'Cart summary page',
+        'Payment form',
+      ]);
+
+      const deps = await callTool('mcp__perun-flow__mcp__tasks__deps', {
+        task_id: ids['Checkout analytics'],
+      });
+      expect(deps.content[0].text).toContain(`- ${ids['Payment form']}: Payment form`);
+    });
+  });
+
+  describe('Graph Export', () => {
+    test('should export dependencies and subtasks as Mermaid and DOT', async () => {
+      const result = await callTool('mcp__perun-flow__mcp__tasks__import', {
+        content: '- Billing epic\n  - Invoice schema\n  - Invoice endpoint after Invoice schema',
+      });
+      const ids = [...result.content[0].text.matchAll(/- (\S+) /g)].map(([, id]) => id);
+      tasksCreated.push(...ids);
+      const unrelated = await callTool('mcp__perun-flow__mcp__tasks__create', {
+        title: 'Unrelated cleanup',
+      });
+      tasksCreated.push(unrelated.content[0].text.match(/Created task (\S+)/)[1]);
+
+      const mermaid = await callTool('mcp__perun-flow__mcp__tasks__export_graph', {});
+      const text = mermaid.content[0].text;
+      expect(text).toContain('4 task(s), 3 edge(s)');
+      expect(text).toContain('flowchart LR');
+      expect(text).toMatch(/t\d -\.-> t\d/);
+      expect(text).toMatch(/t\d --> t\d/);
+
+      const dot = await callTool('mcp__perun-flow__mcp__tasks__export_graph', {
+        task_id: ids[0],
+        format: 'dot',
+      });
+      expect(dot.content[0].text).toContain('3 task(s), 3 edge(s)');
+      expect(dot.content[0].text).not.toContain('Unrelated cleanup');
+      expect(dot.content[0].text).toContain(`"${ids[2]}" -> "${ids[1]}";`);
+    });
+  });
+
+  describe('Duplicate Detection', () => {
+    test('should warn about, reject or merge near-duplicate tasks', async () => {
+      const task = await callTool('mcp__perun-flow__mcp__tasks__create', {
+        title: 'Implement password reset email',
+      });
+      const taskId = task.content[0].text.match(/Created task (\S+)/)[1];
+      tasksCreated.push(taskId);
+
+      const warned = await callTool('mcp__perun-flow__mcp__tasks__create', {
+        title: 'Add password reset emails',
+      });
+      tasksCreated.push(warned.content[0].text.match(/Created task (\S+)/)[1]);
+      expect(warned.content[0].text).toContain(`Possible duplicates: ${taskId} (1)`);
+
+      await expect(
+        callTool('mcp__perun-flow__mcp__tasks__create', {
+          title: 'Send password reset email',
+          duplicate_policy: 'reject',
+        })
+      ).rejects.toThrow('looks like a duplicate');
+
+      const merged = await callTool('mcp__perun-flow__mcp__tasks__create', {
+        title: 'Password reset email',
+        description: 'Link expires after one hour',
+        duplicate_policy: 'merge-as-note',
+      });
+      expect(merged.content[0].text).toMatch(/^Merged into \S+ - /);
+
+      const mergedId = merged.content[0].text.match(/Merged into (\S+)/)[1];
+      const target = await taskManager.getTask(mergedId);
+      expect(target.notes.map(note => note.content).join('\n')).toContain(
+        'Link expires after one hour'
+      );
+    });
+  });
+
   describe('Concurrent Operations', () => {
     test('should handle concurrent task creation', async () => {
       // Create multiple tasks simultaneously
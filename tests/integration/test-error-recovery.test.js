@@ -86,14 +86,19 @@ describe('Error Recovery Integration Tests', () => {
           fileStorage.updateTaskStatus('concurrent-test', i % 2 === 0 ? 'in-progress' : 'pending')
         );
 
-      // The current implementation doesn't handle concurrent updates well
-      // Multiple updates can cause race conditions
-      await expect(Promise.all(updates)).rejects.toThrow(/ENOENT/);
+      // The directory lock serializes the moves, so every update succeeds
+      await expect(Promise.all(updates)).resolves.toHaveLength(5);
 
-      // Final state should be consistent
+      // Final state should be consistent, with exactly one file for the task
       const finalTask = await fileStorage.readTaskFile('concurrent-test');
       expect(finalTask).toBeTruthy();
       expect(['pending', 'in-progress']).toContain(finalTask.status);
+
+      const files = [
+        ...(await fs.readdir(path.join(testDir, 'pending'))),
+        ...(await fs.readdir(path.join(testDir, 'in-progress'))),
+      ];
+      expect(files.filter(file => file.includes('concurrent-test'))).toHaveLength(1);
     });
 
     test('should handle file permission issues gracefully', async () => {
@@ -0,0 +1,171 @@
+import {
+  jest,
+  describe,
+  beforeAll,
+  afterAll,
+  beforeEach,
+  afterEach,
+  test,
+  expect,
+} from '@jest/globals';
+import { GraphConnection } from '../../src/storage/graph-connection.js';
+import { FileStorage } from '../../src/storage/file-storage.js';
+import { SyncEngine } from '../../src/core/sync-engine.js';
+import { TaskManager } from '../../src/core/task-manager.js';
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+
+// Mock logger to avoid console output
+jest.mock('../../src/utils/logger.js');
+
+// Runs against a real KuzuDB database: the mocked one in the unit tests
+// accepts queries Kuzu itself rejects
+describe('GraphConnection with KuzuDB', () => {
+  let testDir;
+  let graph;
+
+  beforeAll(async () => {
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'graph-kuzu-'));
+    graph = new GraphConnection(testDir);
+    await graph.initialize();
+  });
+
+  afterAll(async () => {
+    await graph.close();
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  describe('Dependencies', () => {
+    test('should only report edges it could create', async () => {
+      await graph.createTask({ id: 'dep-from', title: 'From' });
+
+      expect(await graph.addDependency('dep-from', 'dep-to')).toBe(false);
+
+      await graph.createTask({ id: 'dep-to', title: 'To' });
+      expect(await graph.addDependency('dep-from', 'dep-to')).toBe(true);
+      expect((await graph.getDependencies('dep-from')).map(dep => dep.id)).toEqual(['dep-to']);
+    });
+  });
+
+  describe('Tag and lease filters', () => {
+    const ids = tasks => tasks.map(task => task.id).sort();
+
+    beforeAll(async () => {
+      await graph.createTask({ id: 'api', title: 'API', status: 'pending', priority: 'high' });
+      await graph.createTask({ id: 'ui', title: 'UI', status: 'pending', priority: 'medium' });
+      await graph.createTask({ id: 'leased', title: 'Leased', status: 'pending' });
+      await graph.updateTask('leased', { assignee: 'agent-b' });
+      await graph.setTags('api', ['api']);
+      await graph.setTags('ui', ['api', 'ui']);
+      await graph.setTags('leased', ['api']);
+
+      // A subtask of an in-progress task, matched on its parent's tags
+      await graph.createTask({ id: 'epic', title: 'Epic', status: 'in-progress' });
+      await graph.createTask({ id: 'epic-1', title: 'Step', status: 'pending' });
+      await graph.createUnifiedParentChildRelationship('epic', 'epic-1', 'subtask', {
+        position: 0,
+      });
+      await graph.setTags('epic', ['ui']);
+    });
+
+    test('should combine tag filters with the lease filter', async () => {
+      const filters = { tags: ['api'], exclude_tags: ['ui'], available_to: 'agent-a' };
+
+      expect((await graph.findNextTask(filters)).id).toBe('api');
+      expect(ids(await graph.findActionableTasks(filters))).toEqual(['api']);
+
+      const others = { tags: ['api'], available_to: 'agent-b' };
+      expect(ids(await graph.findActionableTasks(others))).toEqual(['api', 'leased', 'ui']);
+    });
+
+    test('should combine all-tags mode with the lease filter', async () => {
+      const filters = { tags: ['api', 'ui'], tag_mode: 'all', available_to: 'agent-a' };
+
+      expect(ids(await graph.findActionableTasks(filters))).toEqual(['ui']);
+    });
+
+    test('should match subtasks on their parent tags with the lease filter', async () => {
+      const filters = { tags: ['ui'], available_to: 'agent-a' };
+
+      expect((await graph.findNextTask(filters)).id).toBe('epic-1');
+      expect(ids(await graph.findActionableTasks(filters))).toEqual(['epic-1', 'ui']);
+    });
+  });
+});
+
+describe('SyncEngine with KuzuDB', () => {
+  let testDir;
+  let files;
+  let graph;
+  let sync;
+
+  beforeEach(async () => {
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sync-kuzu-'));
+    files = new FileStorage(testDir);
+    await files.initialize();
+
+    const task = (id, semantic_id, dependencies = []) => ({
+      id,
+      semantic_id,
+      title: `Task ${id}`,
+      description: `Work on ${id}`,
+      status: 'pending',
+      priority: 'medium',
+      dependencies: dependencies.map(dep => ({ id: dep })),
+    });
+    await files.createTaskFile(task('data', 'DATA-1.01'));
+    await files.createTaskFile(task('api', 'API-2.01', ['data']));
+    await files.createTaskFile(task('ui', 'UI-3.01', ['api', 'data']));
+
+    // Each task listed before the tasks it depends on
+    const order = ['ui', 'api', 'data'];
+    const listAllTasks = files.listAllTasks.bind(files);
+    files.listAllTasks = async () =>
+      (await listAllTasks()).sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id));
+
+    graph = new GraphConnection(testDir);
+    sync = new SyncEngine(files, graph);
+  });
+
+  afterEach(async () => {
+    await graph.close();
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  const dependencyIds = async taskId =>
+    (await graph.getDependencies(taskId)).map(dep => dep.id).sort();
+
+  test('should rebuild dependencies on tasks listed later', async () => {
+    await graph.initialize();
+
+    const result = await sync.rebuildGraph();
+
+    expect(result.details).toMatchObject({ created: 3, dependencies: 3 });
+    expect(await dependencyIds('api')).toEqual(['data']);
+    expect(await dependencyIds('ui')).toEqual(['api', 'data']);
+    expect((await sync.verifySyncStatus()).in_sync).toBe(true);
+  });
+
+  test('should rebuild an unusable database with its dependencies', async () => {
+    await fs.writeFile(graph.dbPath, 'not a database');
+
+    const result = await sync.rebuildGraph();
+
+    expect(result.backup_path).toMatch(/\.graph\.db\.corrupt-\d+$/);
+    expect(await dependencyIds('ui')).toEqual(['api', 'data']);
+    expect((await sync.verifySyncStatus()).in_sync).toBe(true);
+  });
+
+  test('should keep a task without a description in sync', async () => {
+    const taskManager = new TaskManager(files, graph);
+    await taskManager.initialize();
+
+    const task = await taskManager.createTask({ title: 'No details yet' });
+
+    const status = await taskManager.sync.verifySyncStatus();
+    expect(status.diff.filter(entry => entry.task_id === task.id)).toEqual([]);
+    expect(status.in_sync).toBe(true);
+    expect((await taskManager.sync.planRepair()).actions).toEqual([]);
+  });
+});
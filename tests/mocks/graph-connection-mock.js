@@ -6,6 +6,9 @@ export class GraphConnection {
     this.initialized = false;
     this.tasks = new Map();
     this.dependencies = new Map();
+    this.criteria = new Map();
+    this.tags = new Map();
+    this.children = new Map();
   }
 
   async initialize() {
@@ -24,11 +27,14 @@ export class GraphConnection {
   async createTask(task) {
     const taskData = {
       id: task.id,
+      semantic_id: task.semantic_id || null,
       title: task.title,
       description: task.description || '',
       status: task.status || 'pending',
       priority: task.priority || 'medium',
-      estimated_hours: task.estimated_hours || 0,
+      estimate: task.estimate ?? null,
+      assignee: task.assignee || null,
+      lease_expires_at: task.assignee ? task.lease_expires_at : null,
       notes: JSON.stringify(task.notes || []),
       subtasks: JSON.stringify(task.subtasks || []),
       created_at: new Date().toISOString(),
@@ -130,11 +136,15 @@ export class GraphConnection {
   }
 
   async addDependency(taskId, dependencyId) {
+    if (!this.tasks.has(taskId) || !this.tasks.has(dependencyId)) {
+      return false;
+    }
     const deps = this.dependencies.get(taskId) || [];
     if (!deps.includes(dependencyId)) {
       deps.push(dependencyId);
       this.dependencies.set(taskId, deps);
     }
+    return true;
   }
 
   async removeDependency(taskId, dependencyId) {
@@ -166,15 +176,183 @@ export class GraphConnection {
     return checkDeps(dependencyId);
   }
 
+  async setCriteria(taskId, criteria) {
+    this.criteria.set(
+      taskId,
+      criteria.map((criterion, index) => ({
+        position: index + 1,
+        text: criterion.text,
+        is_checked: Boolean(criterion.is_checked),
+      }))
+    );
+  }
+
+  async getCriteria(taskId) {
+    return this.criteria.get(taskId) || [];
+  }
+
+  async deleteCriteria(taskId) {
+    this.criteria.delete(taskId);
+  }
+
+  async setTags(taskId, tags) {
+    this.tags.set(taskId, [...new Set(tags.map(tag => tag.toLowerCase()))].sort());
+  }
+
+  async getTags(taskId) {
+    return this.tags.get(taskId) || [];
+  }
+
+  isAvailable(taskId, { available_to = null } = {}) {
+    const assignee = this.tasks.get(taskId)?.assignee;
+    return !available_to || !assignee || assignee === available_to;
+  }
+
+  async findExpiredLeases(now) {
+    return Array.from(this.tasks.values())
+      .filter(task => task.assignee && task.lease_expires_at < now)
+      .map(task => ({
+        id: task.id,
+        assignee: task.assignee,
+        lease_expires_at: task.lease_expires_at,
+      }));
+  }
+
+  matchesTags(taskId, { tags = [], tag_mode = 'any', exclude_tags = [] } = {}) {
+    const taskTags = this.tags.get(taskId) || [];
+    const included =
+      tags.length === 0 ||
+      (tag_mode === 'all'
+        ? tags.every(tag => taskTags.includes(tag))
+        : tags.some(tag => taskTags.includes(tag)));
+    return included && !exclude_tags.some(tag => taskTags.includes(tag));
+  }
+
+  async findTaskIdsByTags(filters) {
+    return Array.from(this.tasks.keys()).filter(id => this.matchesTags(id, filters));
+  }
+
+  async createUnifiedParentChildRelationship(parentId, childId, type, metadata = {}) {
+    if (!this.children.has(parentId)) {
+      this.children.set(parentId, []);
+    }
+    this.children.get(parentId).push({
+      childId,
+      relationship_type: type,
+      decomposition_type: metadata.decomposition_type || null,
+      position: metadata.position || null,
+    });
+  }
+
+  async getChildren(parentId) {
+    return (this.children.get(parentId) || [])
+      .filter(link => this.tasks.has(link.childId))
+      .map(link => ({
+        child: this.tasks.get(link.childId),
+        decomposed_at: null,
+        decomposition_type: link.decomposition_type,
+        relationship_type: link.relationship_type,
+        position: link.position,
+        is_complete: null,
+      }));
+  }
+
+  // Breadth-first walk standing in for Kuzu's DEPENDS_ON* SHORTEST paths
+  async getDependencyPaths(taskId, direction, maxDepth) {
+    const neighbours = id => {
+      const deps = (this.dependencies.get(id) || []).map(dep =>
+        typeof dep === 'string' ? dep : dep.id
+      );
+      if (direction === 'dependencies') {
+        return deps;
+      }
+      return Array.from(this.dependencies.keys()).filter(other =>
+        (this.dependencies.get(other) || []).some(
+          dep => (typeof dep === 'string' ? dep : dep.id) === id
+        )
+      );
+    };
+
+    const results = [];
+    const seen = new Set([taskId]);
+    let frontier = [[taskId]];
+    for (let depth = 1; depth <= maxDepth && frontier.length > 0; depth++) {
+      const next = [];
+      for (const path of frontier) {
+        for (const id of neighbours(path[path.length - 1])) {
+          const task = this.tasks.get(id);
+          if (!seen.has(id) && task) {
+            seen.add(id);
+            next.push([...path, id]);
+            results.push({
+              id,
+              title: task.title,
+              status: task.status,
+              depth,
+              path: [...path, id],
+            });
+          }
+        }
+      }
+      frontier = next;
+    }
+    return results;
+  }
+
+  async getTransitiveDependencies(taskId, maxDepth) {
+    return this.getDependencyPaths(taskId, 'dependencies', maxDepth);
+  }
+
+  async getTransitiveDependents(taskId, maxDepth) {
+    return this.getDependencyPaths(taskId, 'dependents', maxDepth);
+  }
+
+  async getGraphElements() {
+    const nodes = Array.from(this.tasks.values()).map(task => ({
+      id: task.id,
+      semantic_id: task.semantic_id,
+      title: task.title,
+      status: task.status,
+      priority: task.priority,
+      estimate: task.estimate ?? null,
+    }));
+
+    const edges = [];
+    for (const [taskId, deps] of this.dependencies) {
+      const depIds = new Set(deps.map(dep => (typeof dep === 'string' ? dep : dep.id)));
+      depIds.forEach(depId => edges.push({ from: taskId, to: depId, type: 'DEPENDS_ON' }));
+    }
+    for (const [parentId, links] of this.children) {
+      links.forEach(link =>
+        edges.push({
+          from: parentId,
+          to: link.childId,
+          type: 'PARENT_CHILD',
+          relationship_type: link.relationship_type,
+        })
+      );
+    }
+
+    return { nodes, edges };
+  }
+
   async clearDatabase() {
     this.tasks.clear();
     this.dependencies.clear();
+    this.criteria.clear();
+    this.tags.clear();
+    this.children.clear();
   }
 
-  async findNextTask() {
+  async findNextTask(filters = {}) {
     // Find tasks with no incomplete dependencies
     const allTasks = Array.from(this.tasks.values());
-    const pendingTasks = allTasks.filter(task => task.status === 'pending');
+    const pendingTasks = allTasks.filter(
+      task =>
+        task.status === 'pending' &&
+        this.matchesTags(task.id, filters) &&
+        this.isAvailable(task.id, filters)
+    );
 
     for (const task of pendingTasks) {
       const deps = this.dependencies.get(task.id) || [];
@@ -200,6 +378,47 @@ export class GraphConnection {
     return null;
   }
 
+  async findActionableTasks(filters = {}) {
+    const ready = task =>
+      task.status === 'pending' &&
+      (this.dependencies.get(task.id) || []).every(dep => {
+        const depTask = this.tasks.get(typeof dep === 'string' ? dep : dep.id);
+        return !depTask || depTask.status === 'done';
+      });
+    const parentOf = new Map();
+    for (const [parentId, links] of this.children) {
+      links.forEach(link => parentOf.set(link.childId, { parentId, position: link.position }));
+    }
+    const fields = task => ({
+      id: task.id,
+      semantic_id: task.semantic_id,
+      title: task.title,
+      priority: task.priority,
+      estimate: task.estimate ?? null,
+      created_at: task.created_at,
+    });
+
+    const candidates = [];
+    for (const task of this.tasks.values()) {
+      const link = parentOf.get(task.id);
+      const parent = link && this.tasks.get(link.parentId);
+      if (!ready(task) || !this.isAvailable(task.id, filters)) continue;
+
+      if (!link && this.matchesTags(task.id, filters)) {
+        candidates.push({ ...fields(task), parent_id: null, active_parent: false });
+      } else if (parent?.status === 'in-progress' && this.matchesTags(parent.id, filters)) {
+        candidates.push({
+          ...fields(task),
+          parent_id: parent.id,
+          parent_priority: parent.priority,
+          position: link.position,
+          active_parent: true,
+        });
+      }
+    }
+    return candidates;
+  }
+
   async detectCircularDependencies(taskId) {
     const circles = [];
     const visited = new Set();
@@ -0,0 +1,131 @@
+import { describe, beforeEach, afterEach, test, expect } from '@jest/globals';
+import { DirectoryLock, isTempFile, writeFileAtomic } from '../../src/storage/file-lock.js';
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+
+describe('File locking', () => {
+  let testDir;
+
+  beforeEach(async () => {
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'file-lock-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  describe('writeFileAtomic', () => {
+    test('should replace the file without leaving temporary files', async () => {
+      const filepath = path.join(testDir, 'task.md');
+      await fs.writeFile(filepath, 'old');
+
+      await writeFileAtomic(filepath, 'new');
+
+      expect(await fs.readFile(filepath, 'utf8')).toBe('new');
+      expect(await fs.readdir(testDir)).toEqual(['task.md']);
+    });
+
+    test('should clean up and rethrow when the directory is missing', async () => {
+      const filepath = path.join(testDir, 'missing', 'task.md');
+
+      await expect(writeFileAtomic(filepath, 'content')).rejects.toThrow(/ENOENT/);
+      expect(await fs.readdir(testDir)).toEqual([]);
+    });
+
+    test('should recognize its temporary files', () => {
+      expect(isTempFile('.task.md.1234.0a1b2c3d.tmp')).toBe(true);
+      expect(isTempFile('task.md')).toBe(false);
+      expect(isTempFile('notes.tmp')).toBe(false);
+    });
+  });
+
+  describe('DirectoryLock', () => {
+    test('should serialize holders', async () => {
+      const lock = new DirectoryLock(testDir);
+      const order = [];
+
+      await Promise.all(
+        [1, 2, 3].map(n =>
+          lock.withLock({ operation: 'write' }, async () => {
+            order.push(`start ${n}`);
+            await new Promise(resolve => setTimeout(resolve, 10));
+            order.push(`end ${n}`);
+          })
+        )
+      );
+
+      for (let i = 0; i < order.length; i += 2) {
+        expect(order[i + 1]).toBe(order[i].replace('start', 'end'));
+      }
+      await expect(fs.access(lock.lockPath)).rejects.toThrow(/ENOENT/);
+    });
+
+    test('should record the operation and its updates in the lock file', async () => {
+      const lock = new DirectoryLock(testDir);
+
+      await lock.withLock({ operation: 'move', task_id: 'task-1' }, async () => {
+        await lock.update({ from: 'a.md', to: 'b.md' });
+        const holder = await lock.readHolder();
+        expect(holder.info).toMatchObject({
+          pid: process.pid,
+          operation: 'move',
+          task_id: 'task-1',
+          from: 'a.md',
+          to: 'b.md',
+        });
+      });
+    });
+
+    test('should break the lock of an exited process and return its operation', async () => {
+      const lock = new DirectoryLock(testDir);
+      const stale = {
+        pid: 999999999,
+        hostname: os.hostname(),
+        acquired_at: new Date().toISOString(),
+        operation: 'move',
+      };
+      await fs.writeFile(lock.lockPath, JSON.stringify(stale));
+
+      const broken = await lock.acquire({ operation: 'write' });
+      await lock.release();
+
+      expect(broken).toEqual(stale);
+    });
+
+    test('should time out while a live process holds the lock', async () => {
+      const holder = new DirectoryLock(testDir);
+      const waiter = new DirectoryLock(testDir, { timeout: 50 });
+
+      await holder.acquire();
+      await expect(waiter.acquire()).rejects.toThrow(
+        `held by process ${process.pid} on ${os.hostname()}`
+      );
+      await holder.release();
+    });
+
+    test('should not break an old lock held by a live process on this host', async () => {
+      const lock = new DirectoryLock(testDir, { staleAfter: 1000, timeout: 50 });
+      const old = new Date(Date.now() - 5000).toISOString();
+      const info = { pid: process.pid, hostname: os.hostname(), acquired_at: old };
+
+      expect(lock.isStale({ info })).toBe(false);
+
+      await fs.writeFile(lock.lockPath, JSON.stringify(info));
+      await expect(lock.acquire()).rejects.toThrow(`held by process ${process.pid}`);
+      expect(JSON.parse(await fs.readFile(lock.lockPath, 'utf8'))).toEqual(info);
+    });
+
+    test('should treat old locks from other hosts as stale', () => {
+      const lock = new DirectoryLock(testDir, { staleAfter: 1000 });
+      const info = { pid: 1, hostname: 'elsewhere' };
+
+      expect(lock.isStale({ info: { ...info, acquired_at: new Date().toISOString() } })).toBe(
+        false
+      );
+      expect(
+        lock.isStale({ info: { ...info, acquired_at: new Date(Date.now() - 5000).toISOString() } })
+      ).toBe(true);
+    });
+  });
+});
@@ -1,5 +1,5 @@
 import { describe, beforeEach, afterEach, test, expect } from '@jest/globals';
-import { FileStorage } from '../../src/storage/file-storage.js';
+import { FileStorage, hashContent } from '../../src/storage/file-storage.js';
 import { promises as fs } from 'fs';
 import path from 'path';
 import os from 'os';
@@ -195,6 +195,392 @@ describe('FileStorage Functional Tests', () => {
     });
   });
 
+  describe('Task Updates', () => {
+    test('should rewrite fields and keep notes and subtasks', async () => {
+      await fileStorage.createTaskFile({
+        id: 'update-test',
+        semantic_id: 'API-1.01',
+        title: 'Original Title',
+        description: 'Original description',
+        status: 'pending',
+        priority: 'low',
+        subtasks: [{ title: 'Keep me', is_complete: true }],
+        notes: [{ timestamp: '2025-06-11T10:00:00Z', content: 'Existing note' }],
+      });
+
+      await fileStorage.updateTaskFile('update-test', {
+        description: 'Fixed description',
+        priority: 'high',
+      });
+
+      const retrieved = await fileStorage.readTaskFile('update-test');
+      expect(retrieved.description).toBe('Fixed description');
+      expect(retrieved.priority).toBe('high');
+      expect(retrieved.title).toBe('Original Title');
+      expect(retrieved.subtasks).toEqual([{ title: 'Keep me', is_complete: true }]);
+      expect(retrieved.notes).toEqual([
+        { timestamp: '2025-06-11T10:00:00Z', content: 'Existing note' },
+      ]);
+    });
+
+    test('should rename the file when title or semantic ID changes', async () => {
+      const oldPath = await fileStorage.createTaskFile({
+        id: 'rename-test',
+        semantic_id: 'API-1.01',
+        title: 'Typo Titel',
+        status: 'in-progress',
+      });
+
+      const newPath = await fileStorage.updateTaskFile('rename-test', {
+        title: 'Fixed Title',
+        semantic_id: 'TASK-1.01',
+      });
+
+      expect(path.basename(newPath)).toBe('TASK-1.01-rename-test-fixed-title.md');
+      expect(newPath).toContain('/in-progress/');
+      await expect(fs.access(oldPath)).rejects.toThrow();
+
+      const retrieved = await fileStorage.readTaskFile('rename-test');
+      expect(retrieved.semantic_id).toBe('TASK-1.01');
+      expect(retrieved.file_path).toBe(newPath);
+    });
+
+    test('should keep the dependents section across rewrites', async () => {
+      await fileStorage.createTaskFile({
+        id: 'dependents-test',
+        title: 'Database schema',
+        status: 'done',
+        dependents: [{ id: 'api-task', title: 'Build API', status: 'pending' }],
+      });
+
+      await fileStorage.updateTaskFile('dependents-test', { priority: 'high' });
+
+      const retrieved = await fileStorage.readTaskFile('dependents-test');
+      expect(retrieved.dependents).toEqual([
+        { id: 'api-task', title: 'Build API', status: 'pending' },
+      ]);
+    });
+
+    test('should reject updates to non-existent tasks', async () => {
+      await expect(fileStorage.updateTaskFile('missing', { title: 'X' })).rejects.toThrow(
+        'Task missing not found'
+      );
+    });
+  });
+
+  describe('Task Lookup', () => {
+    test('should only match the exact task ID in filenames', async () => {
+      await fileStorage.createTaskFile({ id: 'abc-123456', semantic_id: 'API-1.01', title: 'One' });
+      await fileStorage.createTaskFile({ id: '123456', title: 'Mentions abc 123456' });
+
+      expect((await fileStorage.readTaskFile('123456')).title).toBe('Mentions abc 123456');
+      expect((await fileStorage.readTaskFile('abc-123456')).title).toBe('One');
+      expect(await fileStorage.readTaskFile('abc')).toBeNull();
+    });
+
+    test('should find tasks moved outside of FileStorage', async () => {
+      const oldPath = await fileStorage.createTaskFile({
+        id: 'moved-task',
+        semantic_id: 'API-1.01',
+        title: 'Moved',
+        status: 'pending',
+      });
+      const newPath = path.join(testDir, 'done', path.basename(oldPath));
+      await fs.rename(oldPath, newPath);
+
+      const task = await fileStorage.readTaskFile('moved-task');
+      expect(task.file_path).toBe(newPath);
+      expect(task.status).toBe('done');
+    });
+  });
+
+  describe('Task File Formats', () => {
+    const task = {
+      id: 'format-test',
+      semantic_id: 'API-1.01',
+      title: 'Format Test',
+      description: 'Keeps everything',
+      status: 'pending',
+      priority: 'high',
+      estimate: 2.5,
+      created_at: '2025-06-11T10:00:00Z',
+      parent_id: 'parent-task',
+      tags: ['backend'],
+      dependencies: [{ id: 'dep-1', status: 'done' }],
+      subtasks: [{ title: 'Step one', is_complete: false }],
+      notes: [{ timestamp: '2025-06-11T11:00:00Z', content: 'First note' }],
+    };
+
+    test('should write and read YAML front-matter', async () => {
+      const yamlStorage = new FileStorage(testDir, { format: 'yaml' });
+      const filepath = await yamlStorage.createTaskFile(task);
+
+      const content = await fs.readFile(filepath, 'utf8');
+      expect(content.startsWith('---\nid: format-test\n')).toBe(true);
+      expect(content).not.toContain('**ID:**');
+
+      const retrieved = await yamlStorage.readTaskFile('format-test');
+      expect(retrieved).toMatchObject({
+        semantic_id: 'API-1.01',
+        priority: 'high',
+        estimate: 2.5,
+        parent_id: 'parent-task',
+        tags: ['backend'],
+        dependencies: [{ id: 'dep-1', status: 'done' }],
+        subtasks: [{ title: 'Step one', is_complete: false }],
+        notes: [{ timestamp: '2025-06-11T11:00:00Z', content: 'First note' }],
+      });
+    });
+
+    test('should keep reading the legacy format', async () => {
+      await fileStorage.createTaskFile(task);
+
+      const yamlStorage = new FileStorage(testDir, { format: 'yaml' });
+      const retrieved = await yamlStorage.readTaskFile('format-test');
+      expect(retrieved.parent_id).toBe('parent-task');
+      expect(retrieved.tags).toEqual(['backend']);
+      expect(retrieved.estimate).toBe(2.5);
+    });
+
+    test('should update and remove the estimate line', async () => {
+      const filepath = await fileStorage.createTaskFile(task);
+      expect(await fs.readFile(filepath, 'utf8')).toContain(
+        '**Priority:** high\n**Estimate:** 2.5\n'
+      );
+
+      await fileStorage.updateTaskFile('format-test', { estimate: 4 });
+      expect((await fileStorage.readTaskFile('format-test')).estimate).toBe(4);
+
+      await fileStorage.updateTaskFile('format-test', { estimate: null });
+      expect(await fs.readFile(filepath, 'utf8')).not.toContain('**Estimate:**');
+      expect((await fileStorage.readTaskFile('format-test')).estimate).toBeUndefined();
+    });
+
+    test('should record and clear the lease in both formats', async () => {
+      const lease = { assignee: 'agent-a', lease_expires_at: '2025-01-01T00:30:00.000Z' };
+      const filepath = await fileStorage.createTaskFile(task);
+
+      for (const format of ['markdown', 'yaml']) {
+        await fileStorage.migrateFormat(format);
+        expect(fileStorage.detectFormat(await fs.readFile(filepath, 'utf8'))).toBe(format);
+
+        await fileStorage.updateTaskFile('format-test', lease);
+        expect(await fileStorage.readTaskFile('format-test')).toMatchObject(lease);
+
+        await fileStorage.updateTaskFile('format-test', { assignee: null, lease_expires_at: null });
+        const content = await fs.readFile(filepath, 'utf8');
+        expect(content).not.toMatch(/assignee|Assignee/);
+        expect(content).not.toMatch(/lease_expires_at|Lease Expires/);
+      }
+    });
+
+    test('should migrate existing files losslessly', async () => {
+      const filepath = await fileStorage.createTaskFile(task);
+      const before = await fileStorage.readTaskFile('format-test');
+
+      const dryRun = await fileStorage.migrateFormat('yaml', { dryRun: true });
+      expect(dryRun.migrated).toEqual([filepath]);
+      expect(fileStorage.detectFormat(await fs.readFile(filepath, 'utf8'))).toBe('markdown');
+
+      const result = await fileStorage.migrateFormat('yaml');
+      expect(result.migrated).toEqual([filepath]);
+      expect(fileStorage.detectFormat(await fs.readFile(filepath, 'utf8'))).toBe('yaml');
+      expect(await fileStorage.readTaskFile('format-test')).toEqual(before);
+
+      const again = await fileStorage.migrateFormat('yaml');
+      expect(again.skipped).toEqual([filepath]);
+    });
+
+    test('should carry unknown sections over when migrating', async () => {
+      const filepath = await fileStorage.createTaskFile(task);
+      await fs.appendFile(filepath, '\n## Design\nHand-written notes\n');
+
+      const result = await fileStorage.migrateFormat('yaml');
+
+      expect(result.migrated).toEqual([filepath]);
+      const content = await fs.readFile(filepath, 'utf8');
+      expect(content.startsWith('---\n')).toBe(true);
+      expect(content).toContain('## Design\nHand-written notes\n');
+    });
+
+    test('should not migrate front-matter keys the markdown format cannot hold', async () => {
+      const yamlStorage = new FileStorage(testDir, { format: 'yaml' });
+      const filepath = await yamlStorage.createTaskFile(task);
+      const content = await fs.readFile(filepath, 'utf8');
+      await fs.writeFile(
+        filepath,
+        content.replace('priority: high\n', 'priority: high\nowner: alice\n')
+      );
+
+      const result = await fileStorage.migrateFormat('markdown');
+
+      expect(result.failed).toEqual([
+        { file: filepath, error: 'Unrecognized front-matter key(s): owner' },
+      ]);
+    });
+
+    test('should reject unknown formats', () => {
+      expect(() => new FileStorage(testDir, { format: 'toml' })).toThrow('Invalid task format');
+    });
+  });
+
+  describe('Acceptance Criteria', () => {
+    const task = {
+      id: 'criteria-task',
+      title: 'Login endpoint',
+      status: 'pending',
+      priority: 'medium',
+      acceptance_criteria: [
+        { text: 'Returns 200', is_checked: true },
+        { text: 'Rejects bad passwords', is_checked: false },
+      ],
+    };
+
+    test('should write criteria as a checklist section', async () => {
+      const filepath = await fileStorage.createTaskFile(task);
+
+      const content = await fs.readFile(filepath, 'utf8');
+      expect(content).toContain(
+        '## Acceptance Criteria\n- [x] Returns 200\n- [ ] Rejects bad passwords\n'
+      );
+      expect((await fileStorage.readTaskFile('criteria-task')).acceptance_criteria).toEqual(
+        task.acceptance_criteria
+      );
+    });
+
+    test('should keep criteria in the YAML format', async () => {
+      const yamlStorage = new FileStorage(testDir, { format: 'yaml' });
+      await yamlStorage.createTaskFile(task);
+
+      const loaded = await yamlStorage.readTaskFile('criteria-task');
+      expect(loaded.acceptance_criteria).toEqual(task.acceptance_criteria);
+    });
+
+    test('should default to no criteria', async () => {
+      await fileStorage.createTaskFile({ ...task, acceptance_criteria: undefined });
+
+      const loaded = await fileStorage.readTaskFile('criteria-task');
+      expect(loaded.acceptance_criteria).toEqual([]);
+    });
+  });
+
+  describe('Round-trip Safety', () => {
+    const handEdited = [
+      '# Hand Edited',
+      '',
+      '**ID:** hand-edited',
+      '**Status:** pending  ',
+      '**Priority:** low',
+      '**Owner:** alice',
+      '**Created:** 2025-06-11T10:00:00Z',
+      '',
+      'Context paragraph typed by a human.',
+      '',
+      '## Description',
+      'Original description',
+      '',
+      '',
+      '## Acceptance Criteria',
+      '- [ ] Returns 200',
+      '  - [ ] nested detail',
+      '',
+      '## Notes',
+      '### 2025-06-11T11:00:00Z',
+      'Existing note',
+      '',
+    ].join('\n');
+
+    let filepath;
+
+    beforeEach(async () => {
+      filepath = path.join(testDir, 'pending', 'hand-edited-hand-edited-hand-edited.md');
+      await fs.writeFile(filepath, handEdited, 'utf8');
+    });
+
+    test('should keep unknown sections, metadata and whitespace when adding a note', async () => {
+      await fileStorage.addNote('hand-edited', 'New note');
+
+      const content = await fs.readFile(filepath, 'utf8');
+      expect(content.startsWith(handEdited.trimEnd())).toBe(true);
+      expect(content).toMatch(/### .+\nNew note\n/);
+    });
+
+    test('should only touch changed fields on update', async () => {
+      await fileStorage.updateTaskFile('hand-edited', {
+        priority: 'high',
+        subtasks: [{ title: 'First step', is_complete: false }],
+      });
+
+      const content = await fs.readFile(filepath, 'utf8');
+      expect(content).toContain('**Status:** pending  \n**Priority:** high\n**Owner:** alice\n');
+      expect(content).toContain('Context paragraph typed by a human.');
+      expect(content).toContain('Original description\n\n\n## Tasks\n- [ ] First step\n');
+      expect(content).toContain(
+        '## Acceptance Criteria\n- [ ] Returns 200\n  - [ ] nested detail\n'
+      );
+    });
+
+    test('should keep custom content across status moves', async () => {
+      const newPath = await fileStorage.updateTaskStatus('hand-edited', 'done');
+
+      const content = await fs.readFile(newPath, 'utf8');
+      expect(content).toBe(handEdited.replace('**Status:** pending  ', '**Status:** done'));
+    });
+
+    test('should keep nested lines when checking off a criterion', async () => {
+      const task = await fileStorage.readTaskFile('hand-edited');
+      expect(task.acceptance_criteria).toEqual([
+        { text: 'Returns 200', is_checked: false, details: '  - [ ] nested detail' },
+      ]);
+
+      await fileStorage.updateTaskFile('hand-edited', {
+        acceptance_criteria: [{ ...task.acceptance_criteria[0], is_checked: true }],
+      });
+
+      const content = await fs.readFile(filepath, 'utf8');
+      expect(content).toContain(
+        '## Acceptance Criteria\n- [x] Returns 200\n  - [ ] nested detail\n\n## Notes'
+      );
+    });
+
+    test('should not fold unknown sections into the description', async () => {
+      const task = await fileStorage.readTaskFile('hand-edited');
+
+      expect(task.description).toBe('Original description');
+    });
+
+    test('should keep unknown front-matter keys and comments', async () => {
+      const yamlPath = path.join(testDir, 'pending', 'yaml-edited-yaml-edited-yaml.md');
+      await fs.writeFile(
+        yamlPath,
+        [
+          '---',
+          '# owned by the platform team',
+          'id: yaml-edited',
+          'priority: low',
+          'owner: alice',
+          'dependencies: []',
+          '---',
+          '',
+          '# Yaml',
+          '',
+          '## Description',
+          'Text',
+          '',
+        ].join('\n'),
+        'utf8'
+      );
+
+      await fileStorage.updateTaskFile('yaml-edited', { priority: 'high' });
+
+      const content = await fs.readFile(yamlPath, 'utf8');
+      expect(content).toContain(
+        '# owned by the platform team\nid: yaml-edited\npriority: high\nowner: alice\n'
+      );
+      expect(content).toContain('## Description\nText\n');
+    });
+  });
+
   describe('Task Collection Operations', () => {
     test('should list all tasks across directories', async () => {
       // Create tasks in different status directories
@@ -384,4 +770,110 @@ describe('FileStorage Functional Tests', () => {
       expect(retrieved.notes).toEqual([]);
     });
   });
+
+  describe('Crash Recovery', () => {
+    test('should not leave temporary files after writes', async () => {
+      await fileStorage.createTaskFile({ id: 'atomic-1', title: 'Atomic', status: 'pending' });
+      await fileStorage.addNote('atomic-1', 'A note');
+      await fileStorage.updateTaskStatus('atomic-1', 'in-progress');
+
+      const entries = [
+        ...(await fs.readdir(path.join(testDir, 'pending'))),
+        ...(await fs.readdir(path.join(testDir, 'in-progress'))),
+      ];
+      expect(entries.filter(name => name.endsWith('.tmp'))).toEqual([]);
+      expect(entries.filter(name => name.includes('atomic-1'))).toHaveLength(1);
+      await expect(fs.access(path.join(testDir, '.lock'))).rejects.toThrow(/ENOENT/);
+    });
+
+    test('should keep the newest copy of a half-moved task on startup', async () => {
+      const oldPath = await fileStorage.createTaskFile({
+        id: 'moved-1',
+        title: 'Moved',
+        status: 'pending',
+      });
+      // A move that wrote the new file but crashed before removing the old one
+      const newPath = path.join(testDir, 'in-progress', path.basename(oldPath));
+      const content = await fs.readFile(oldPath, 'utf8');
+      await fs.writeFile(newPath, content.replace('pending', 'in-progress'));
+      const past = new Date(Date.now() - 60000);
+      await fs.utimes(oldPath, past, past);
+      await fs.writeFile(path.join(testDir, 'pending', '.moved.md.123.abcd.tmp'), 'partial');
+
+      const restarted = new FileStorage(testDir);
+      await restarted.initialize();
+
+      expect(restarted.recovery.temp_files).toHaveLength(1);
+      expect(restarted.recovery.duplicates).toEqual([
+        { task_id: 'moved-1', kept: newPath, moved: [expect.any(String)] },
+      ]);
+      await expect(fs.access(oldPath)).rejects.toThrow(/ENOENT/);
+      const [recovered] = await fs.readdir(path.join(testDir, '.recovered'));
+      expect(recovered).toMatch(/pending-moved-1/);
+      expect((await restarted.readTaskFile('moved-1')).file_path).toBe(newPath);
+    });
+
+    test('should finish a move recorded in a stale lock', async () => {
+      const oldPath = await fileStorage.createTaskFile({
+        id: 'locked-1',
+        title: 'Locked',
+        status: 'pending',
+      });
+      const newPath = path.join(testDir, 'done', path.basename(oldPath));
+      await fs.copyFile(oldPath, newPath);
+      await fs.writeFile(
+        path.join(testDir, '.lock'),
+        JSON.stringify({
+          pid: 999999999,
+          hostname: os.hostname(),
+          acquired_at: new Date().toISOString(),
+          operation: 'move',
+          task_id: 'locked-1',
+          from: oldPath,
+          to: newPath,
+        })
+      );
+
+      const restarted = new FileStorage(testDir);
+      await restarted.initialize();
+
+      expect(restarted.recovery.interrupted).toEqual({
+        task_id: 'locked-1',
+        kept: newPath,
+        removed: oldPath,
+      });
+      expect(restarted.recovery.duplicates).toEqual([]);
+      await expect(fs.access(oldPath)).rejects.toThrow(/ENOENT/);
+    });
+  });
+
+  describe('Write Tracking', () => {
+    test('should recognize its own writes and removals', async () => {
+      const oldPath = await fileStorage.createTaskFile({
+        id: 'own-1',
+        title: 'Own',
+        status: 'pending',
+      });
+      const newPath = await fileStorage.updateTaskStatus('own-1', 'done');
+      const content = await fs.readFile(newPath, 'utf8');
+
+      expect(fileStorage.isOwnWrite(newPath, hashContent(content))).toBe(true);
+      expect(fileStorage.isOwnWrite(newPath, hashContent(`${content}\nEdited by hand`))).toBe(
+        false
+      );
+      expect(fileStorage.contentHashOf(await fileStorage.readTaskFile('own-1'))).toBe(
+        hashContent(content)
+      );
+      expect(fileStorage.isOwnRemoval(oldPath)).toBe(true);
+      expect(fileStorage.ownWriteOf('own-1')).toEqual({
+        file_path: newPath,
+        hash: hashContent(content),
+      });
+
+      // A file put back at the old path by someone else is no longer ours
+      await fs.writeFile(oldPath, content);
+      await fileStorage.loadTaskFile(oldPath);
+      expect(fileStorage.isOwnRemoval(oldPath)).toBe(false);
+    });
+  });
 });
@@ -0,0 +1,116 @@
+import { describe, beforeEach, afterEach, test, expect } from '@jest/globals';
+import { FileWatcher } from '../../src/core/file-watcher.js';
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { clearTimeout, setTimeout } from 'timers';
+
+/**
+ * Start a watcher and collect the batches it reports
+ */
+async function startCollecting(watcher) {
+  const batches = [];
+  let notify = null;
+  await watcher.start(paths => {
+    batches.push(paths);
+    notify?.();
+  });
+
+  // Resolve once a batch has arrived, or after a timeout
+  const next = (timeout = 3000) =>
+    new Promise(resolve => {
+      const timer = setTimeout(resolve, timeout);
+      notify = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+
+  return { batches, next };
+}
+
+describe('FileWatcher', () => {
+  let testDir;
+  let watcher;
+
+  beforeEach(async () => {
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'file-watcher-test-'));
+    await fs.mkdir(path.join(testDir, 'pending'));
+    await fs.mkdir(path.join(testDir, 'done'));
+  });
+
+  afterEach(async () => {
+    watcher?.stop();
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  test('should reject unknown modes', () => {
+    expect(() => new FileWatcher([testDir], { mode: 'inotify' })).toThrow(
+      'Unknown watch mode "inotify"'
+    );
+  });
+
+  test('should report changed task files in one debounced batch', async () => {
+    watcher = new FileWatcher([path.join(testDir, 'pending'), path.join(testDir, 'done')], {
+      debounce: 300,
+    });
+    const { batches, next } = await startCollecting(watcher);
+    expect(watcher.mode).toBe('native');
+
+    const arrived = next();
+    await fs.writeFile(path.join(testDir, 'pending', 'a.md'), '# A');
+    await fs.writeFile(path.join(testDir, 'done', 'b.md'), '# B');
+    await fs.writeFile(path.join(testDir, 'pending', 'notes.txt'), 'ignored');
+    await fs.writeFile(path.join(testDir, 'pending', '.a.md.1.ab12.tmp'), 'ignored');
+    await arrived;
+
+    expect(batches).toHaveLength(1);
+    expect(batches[0].sort()).toEqual([
+      path.join(testDir, 'done', 'b.md'),
+      path.join(testDir, 'pending', 'a.md'),
+    ]);
+  });
+
+  test('should report pending changes immediately on flush', async () => {
+    watcher = new FileWatcher([path.join(testDir, 'pending')], { debounce: 60000 });
+    const { batches } = await startCollecting(watcher);
+
+    watcher.queue(path.join(testDir, 'pending', 'a.md'));
+    watcher.flush();
+
+    expect(batches).toEqual([[path.join(testDir, 'pending', 'a.md')]]);
+  });
+
+  test('should fall back to polling when a directory cannot be watched', async () => {
+    watcher = new FileWatcher([path.join(testDir, 'missing')]);
+    await startCollecting(watcher);
+
+    expect(watcher.mode).toBe('poll');
+  });
+
+  test('should detect added, modified and removed files by polling', async () => {
+    const existing = path.join(testDir, 'pending', 'a.md');
+    const removed = path.join(testDir, 'pending', 'b.md');
+    await fs.writeFile(existing, '# A');
+    await fs.writeFile(removed, '# B');
+
+    watcher = new FileWatcher([path.join(testDir, 'pending')], {
+      mode: 'poll',
+      pollInterval: 60000,
+    });
+    const { batches } = await startCollecting(watcher);
+
+    const later = new Date(Date.now() + 5000);
+    await fs.utimes(existing, later, later);
+    await fs.rm(removed);
+    await fs.writeFile(path.join(testDir, 'pending', 'c.md'), '# C');
+    await watcher.poll(true);
+    watcher.flush();
+
+    expect(batches.flat().sort()).toEqual([
+      existing,
+      removed,
+      path.join(testDir, 'pending', 'c.md'),
+    ]);
+  });
+});
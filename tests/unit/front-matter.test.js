@@ -0,0 +1,63 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  formatFrontMatter,
+  parseFrontMatter,
+  serializeFrontMatter,
+} from '../../src/storage/front-matter.js';
+
+describe('Front-matter', () => {
+  test('should round-trip task metadata', () => {
+    const data = {
+      id: 'mbs123-a1b2c3',
+      semantic_id: 'API-1.01',
+      priority: 'high',
+      created_at: '2025-06-11T10:00:00Z',
+      tags: ['backend', 'needs review'],
+      dependencies: [
+        { id: 'dep-1', status: 'done' },
+        { id: 'dep-2', status: 'pending' },
+      ],
+    };
+
+    const parsed = parseFrontMatter(formatFrontMatter(data, '# Title\n'));
+
+    expect(parsed.data).toEqual(data);
+    expect(parsed.body).toBe('\n# Title\n');
+  });
+
+  test('should quote values that would not read back as strings', () => {
+    const yaml = serializeFrontMatter({ a: 'true', b: '1.10', c: 'x: y', d: 'plain-value' });
+
+    expect(yaml).toBe('a: "true"\nb: "1.10"\nc: "x: y"\nd: plain-value\n');
+  });
+
+  test('should read hand-edited YAML', () => {
+    const content = [
+      '---',
+      '# edited by hand',
+      'id:   abc-123   # trailing comment',
+      "semantic_id: 'API-1.01'",
+      'tags: [backend, "a, b"]',
+      'dependencies:',
+      '- dep-1',
+      '-   id: dep-2',
+      '    status: done',
+      'empty:',
+      '---',
+      'Body',
+    ].join('\n');
+
+    expect(parseFrontMatter(content).data).toEqual({
+      id: 'abc-123',
+      semantic_id: 'API-1.01',
+      tags: ['backend', 'a, b'],
+      dependencies: ['dep-1', { id: 'dep-2', status: 'done' }],
+      empty: null,
+    });
+  });
+
+  test('should return null without a front-matter block', () => {
+    expect(parseFrontMatter('# Title\n\n**ID:** abc\n')).toBeNull();
+    expect(parseFrontMatter('---\nid: abc\n')).toBeNull();
+  });
+});
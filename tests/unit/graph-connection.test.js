@@ -1,4 +1,7 @@
 import { jest, describe, beforeEach, afterEach, test, expect } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
 
 // Mock logger to avoid console output
 jest.mock('../../src/utils/logger.js');
@@ -8,6 +11,8 @@ class MockKuzuDatabase {
   constructor() {
     this.tasks = new Map();
     this.dependencies = new Map(); // taskId -> Set of dependent task IDs
+    this.criteria = []; // Criterion nodes
+    this.tags = new Map(); // taskId -> Set of tag names
   }
 
   // Mock the Kuzu database interface
@@ -35,6 +40,46 @@ class MockKuzuDatabase {
       return Promise.resolve({ getAll: () => [] });
     }
 
+    // Mock acceptance criteria
+    if (query.includes('DETACH DELETE c')) {
+      this.criteria = this.criteria.filter(c => c.task_id !== params.taskId);
+      return Promise.resolve({ getAll: () => [] });
+    }
+
+    if (query.includes('CREATE (t)-[:HAS_CRITERION]->')) {
+      if (this.tasks.has(params.taskId)) {
+        this.criteria.push({ ...params, task_id: params.taskId });
+      }
+      return Promise.resolve({ getAll: () => [] });
+    }
+
+    if (query.includes('-[:HAS_CRITERION]->(c:Criterion)')) {
+      const rows = this.criteria
+        .filter(c => c.task_id === params.taskId)
+        .sort((a, b) => a.position - b.position)
+        .map(({ position, text, is_checked }) => ({ position, text, is_checked }));
+      return Promise.resolve({ getAll: () => rows });
+    }
+
+    // Mock tags
+    if (query.includes('-[r:HAS_TAG]->(:Tag)') && query.includes('DELETE r')) {
+      this.tags.delete(params.taskId);
+      return Promise.resolve({ getAll: () => [] });
+    }
+
+    if (query.includes('CREATE (t)-[:HAS_TAG]->(g)')) {
+      if (!this.tags.has(params.taskId)) {
+        this.tags.set(params.taskId, new Set());
+      }
+      this.tags.get(params.taskId).add(params.name);
+      return Promise.resolve({ getAll: () => [] });
+    }
+
+    if (query.includes('-[:HAS_TAG]->(g:Tag)') && query.includes('RETURN g.name')) {
+      const names = [...(this.tags.get(params.taskId) || [])].sort();
+      return Promise.resolve({ getAll: () => names.map(name => ({ name })) });
+    }
+
     // Mock MATCH single task
     if (query.includes('MATCH (t:Task {id: $id})') && query.includes('RETURN t')) {
       const task = this.tasks.get(params.id);
@@ -55,10 +100,38 @@ class MockKuzuDatabase {
 
     // Mock CREATE dependency
     if (query.includes('CREATE (t1)-[:DEPENDS_ON]->(t2)')) {
+      if (!this.tasks.has(params.fromId) || !this.tasks.has(params.toId)) {
+        return Promise.resolve({ getAll: () => [{ created: 0 }] });
+      }
       if (!this.dependencies.has(params.fromId)) {
         this.dependencies.set(params.fromId, new Set());
       }
       this.dependencies.get(params.fromId).add(params.toId);
+      return Promise.resolve({ getAll: () => [{ created: 1 }] });
+    }
+
+    // Mock DELETE dependency
+    if (query.includes('DELETE d')) {
+      this.dependencies.get(params.fromId)?.delete(params.toId);
+      return Promise.resolve({ getAll: () => [] });
+    }
+
+    // Mock reachability check
+    if (query.includes('[:DEPENDS_ON*1..30]->(t:Task {id: $taskId})')) {
+      const seen = new Set();
+      const stack = [params.dependencyId];
+      while (stack.length > 0) {
+        const current = stack.pop();
+        for (const next of this.dependencies.get(current) || []) {
+          if (next === params.taskId) {
+            return Promise.resolve({ getAll: () => [{ id: params.dependencyId }] });
+          }
+          if (!seen.has(next)) {
+            seen.add(next);
+            stack.push(next);
+          }
+        }
+      }
       return Promise.resolve({ getAll: () => [] });
     }
 
@@ -434,6 +507,19 @@ describe('GraphConnection Functional Tests (with Mock)', () => {
       expect(involvedTasks).toContain('task-x');
     });
 
+    test('should report edges that would close a cycle', async () => {
+      // Chain: x → y → z
+      await graphConnection.addDependency('task-x', 'task-y');
+      await graphConnection.addDependency('task-y', 'task-z');
+
+      expect(await graphConnection.hasCircularDependency('task-z', 'task-x')).toBe(true);
+      expect(await graphConnection.hasCircularDependency('task-x', 'task-x')).toBe(true);
+      expect(await graphConnection.hasCircularDependency('task-x', 'task-z')).toBe(false);
+
+      await graphConnection.removeDependency('task-y', 'task-z');
+      expect(await graphConnection.hasCircularDependency('task-z', 'task-x')).toBe(false);
+    });
+
     test('should return empty when no cycles exist', async () => {
       // Create linear chain: x → y → z
       await graphConnection.addDependency('task-x', 'task-y');
@@ -444,6 +530,179 @@ describe('GraphConnection Functional Tests (with Mock)', () => {
     });
   });
 
+  describe('Acceptance Criteria', () => {
+    test('should replace criteria and return them in order', async () => {
+      await graphConnection.createTask({ id: 'task-1', title: 'Login endpoint' });
+
+      await graphConnection.setCriteria('task-1', [
+        { text: 'Returns 200', is_checked: true },
+        { text: 'Rejects bad passwords' },
+      ]);
+      await graphConnection.setCriteria('task-1', [
+        { text: 'Returns 200', is_checked: true },
+        { text: 'Rejects bad passwords', is_checked: true },
+        { text: 'Logs attempts', is_checked: false },
+      ]);
+
+      const criteria = await graphConnection.getCriteria('task-1');
+      expect(criteria).toEqual([
+        { position: 1, text: 'Returns 200', is_checked: true },
+        { position: 2, text: 'Rejects bad passwords', is_checked: true },
+        { position: 3, text: 'Logs attempts', is_checked: false },
+      ]);
+
+      await graphConnection.deleteCriteria('task-1');
+      expect(await graphConnection.getCriteria('task-1')).toEqual([]);
+    });
+  });
+
+  describe('Tags', () => {
+    test('should replace tags with normalized names', async () => {
+      await graphConnection.createTask({ id: 'task-1', title: 'Login endpoint' });
+
+      await graphConnection.setTags('task-1', ['obsolete']);
+      await graphConnection.setTags('task-1', ['Backend', 'api', 'backend']);
+
+      expect(await graphConnection.getTags('task-1')).toEqual(['api', 'backend']);
+    });
+
+    test('should build tag conditions for any, all and exclude filters', () => {
+      expect(graphConnection.tagConditions('t', {})).toEqual({ conditions: [], params: {} });
+
+      const any = graphConnection.tagConditions('t', {
+        tags: ['backend', 'api'],
+        exclude_tags: ['blocked-external'],
+      });
+      expect(any.conditions).toHaveLength(2);
+      expect(any.conditions[1]).toContain('NOT EXISTS');
+      expect(any.params).toEqual({
+        includeTags: ['backend', 'api'],
+        excludeTags: ['blocked-external'],
+      });
+
+      const all = graphConnection.tagConditions('parent', {
+        tags: ['backend', 'api'],
+        tag_mode: 'all',
+      });
+      expect(all.conditions).toEqual([
+        'EXISTS { MATCH (parent)-[:HAS_TAG]->(:Tag {name: $tag0}) }',
+        'EXISTS { MATCH (parent)-[:HAS_TAG]->(:Tag {name: $tag1}) }',
+      ]);
+      expect(all.params).toEqual({ tag0: 'backend', tag1: 'api' });
+    });
+  });
+
+  describe('Query compilation', () => {
+    test('should compile query nodes to conditions with scalar variables', () => {
+      const params = {};
+      const condition = graphConnection.queryCondition(
+        {
+          type: 'or',
+          terms: [
+            { type: 'field', field: 'status', values: ['pending', 'in-progress'] },
+            { type: 'not', term: { type: 'field', field: 'tag', values: ['wip'] } },
+            { type: 'compare', field: 'created', op: '>=', value: '2025-01-01' },
+          ],
+        },
+        params
+      );
+
+      expect(condition).toBe(
+        '((t.status = q0 OR t.status = q1) OR ' +
+          '(NOT EXISTS { MATCH (t)-[:HAS_TAG]->(g:Tag) WHERE g.name = q2 }) OR ' +
+          "coalesce(t.created_at, '') >= q3)"
+      );
+      expect(params).toEqual({ q0: 'pending', q1: 'in-progress', q2: 'wip', q3: '2025-01-01' });
+    });
+
+    test('should match text in title and description', () => {
+      const params = {};
+      expect(graphConnection.queryCondition({ type: 'text', value: 'login' }, params)).toBe(
+        "(lower(t.title) CONTAINS q0 OR lower(coalesce(t.description, '')) CONTAINS q0)"
+      );
+      expect(params).toEqual({ q0: 'login' });
+    });
+  });
+
+  describe('Transitive dependencies', () => {
+    test('should follow shortest DEPENDS_ON paths up to the given depth', async () => {
+      const execute = jest
+        .spyOn(graphConnection, 'execute')
+        .mockResolvedValue([
+          { id: 'task-c', title: 'C', status: 'pending', depth: 2, path: ['task-c', 'b', 'a'] },
+        ]);
+
+      const dependents = await graphConnection.getTransitiveDependents('a', 3);
+
+      expect(execute.mock.calls[0][0]).toContain(
+        '(other:Task)-[:DEPENDS_ON* SHORTEST 1..3]->(t:Task {id: $id})'
+      );
+      // Paths always start at the task that was asked about
+      expect(dependents[0].path).toEqual(['a', 'b', 'task-c']);
+
+      await graphConnection.getTransitiveDependencies('a', 2);
+      expect(execute.mock.calls[1][0]).toContain(
+        '(t:Task {id: $id})-[:DEPENDS_ON* SHORTEST 1..2]->(other:Task)'
+      );
+    });
+
+    test('should refuse depths that are not positive integers', async () => {
+      await expect(graphConnection.getTransitiveDependencies('a', '2; DROP')).rejects.toThrow(
+        'Invalid dependency depth'
+      );
+    });
+  });
+
+  describe('Actionable tasks', () => {
+    test('should list subtasks of in-progress tasks and unblocked top-level tasks', async () => {
+      const execute = jest
+        .spyOn(graphConnection, 'execute')
+        .mockResolvedValueOnce([
+          { id: 'sub', title: 'Sub', priority: 'low', parent_id: 'epic', position: 2 },
+        ])
+        .mockResolvedValueOnce([{ id: 'top', title: 'Top', priority: 'high' }]);
+
+      const candidates = await graphConnection.findActionableTasks({
+        tags: ['backend'],
+        tag_mode: 'any',
+        exclude_tags: [],
+      });
+
+      expect(candidates).toEqual([
+        expect.objectContaining({ id: 'sub', parent_id: 'epic', position: 2, active_parent: true }),
+        expect.objectContaining({ id: 'top', parent_id: null, active_parent: false }),
+      ]);
+      // Subtasks are matched on their parent's tags, top-level tasks on their own
+      expect(execute.mock.calls[0][0]).toContain("(parent:Task {status: 'in-progress'})");
+      expect(execute.mock.calls[0][0]).toContain('EXISTS { MATCH (parent)-[:HAS_TAG]->');
+      expect(execute.mock.calls[1][0]).toContain('EXISTS { MATCH (t)-[:HAS_TAG]->');
+      expect(execute.mock.calls[1][1]).toEqual({ includeTags: ['backend'] });
+    });
+
+    test('should skip tasks leased to someone else and find expired leases', async () => {
+      const execute = jest.spyOn(graphConnection, 'execute').mockResolvedValue([]);
+
+      await graphConnection.findActionableTasks({ available_to: 'agent-a' });
+      await graphConnection.findNextTask({ available_to: 'agent-a' });
+
+      // Bound as a variable, which keeps tag parameters resolvable in EXISTS
+      expect(execute.mock.calls[0][0]).toContain(
+        'WITH parent, rel, t, $availableTo AS availableTo'
+      );
+      expect(execute.mock.calls[0][0]).toContain(
+        '(t.assignee IS NULL OR t.assignee = availableTo)'
+      );
+      expect(execute.mock.calls[0][1]).toEqual({ availableTo: 'agent-a' });
+      expect(execute.mock.calls[2][0]).toContain(
+        '(st.assignee IS NULL OR st.assignee = availableTo)'
+      );
+
+      await graphConnection.findExpiredLeases('2025-01-01T00:00:00.000Z');
+      expect(execute.mock.calls[4][0]).toContain('t.lease_expires_at < $now');
+      expect(execute.mock.calls[4][1]).toEqual({ now: '2025-01-01T00:00:00.000Z' });
+    });
+  });
+
   describe('Data Integrity and Consistency', () => {
     test('should maintain consistency across multiple operations', async () => {
       // Create and modify task through multiple operations
@@ -503,4 +762,35 @@ describe('GraphConnection Functional Tests (with Mock)', () => {
       expect(dependents).toEqual([]);
     });
   });
+
+  describe('Rebuild', () => {
+    let brokenDir;
+
+    beforeEach(async () => {
+      brokenDir = await fs.mkdtemp(path.join(os.tmpdir(), 'graph-rebuild-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(brokenDir, { recursive: true, force: true });
+    });
+
+    test('should move an unusable database aside and start an empty one', async () => {
+      const broken = new GraphConnection(brokenDir);
+      await fs.writeFile(broken.dbPath, 'not a database');
+      mockKuzu.Database.mockImplementationOnce(() => {
+        throw new Error('IO exception: Cannot open file .graph.db/.lock: Not a directory');
+      });
+
+      await expect(broken.initialize()).rejects.toThrow('Not a directory');
+      expect(broken.connection).toBeNull();
+
+      const { backup_path } = await broken.rebuild();
+
+      expect(backup_path).toMatch(/\.graph\.db\.corrupt-\d+$/);
+      expect(await fs.readFile(backup_path, 'utf8')).toBe('not a database');
+      await broken.createTask({ id: 'rebuilt', title: 'Rebuilt Task' });
+      expect(await broken.getTask('rebuilt')).toMatchObject({ title: 'Rebuilt Task' });
+      await broken.close();
+    });
+  });
 });
@@ -0,0 +1,61 @@
+import { describe, test, expect } from '@jest/globals';
+import { renderGraph, streamOf, toDot, toJson, toMermaid } from '../../src/core/graph-export.js';
+
+describe('graph export', () => {
+  const graph = {
+    nodes: [
+      { id: 'a-1', semantic_id: 'API-2.01', title: 'Orders "v2" endpoint', status: 'in-progress' },
+      { id: 'b-2', semantic_id: 'DATA-1.01', title: 'Orders schema', status: 'done' },
+      { id: 'c-3', semantic_id: null, title: 'Orders epic', status: 'pending' },
+    ],
+    edges: [
+      { from: 'a-1', to: 'b-2', type: 'DEPENDS_ON' },
+      { from: 'c-3', to: 'a-1', type: 'PARENT_CHILD', relationship_type: 'decomposition' },
+    ],
+  };
+
+  test('should take the stream from the semantic ID', () => {
+    expect(streamOf({ semantic_id: 'API-2.01' })).toBe('API');
+    expect(streamOf({ semantic_id: null })).toBe('UNASSIGNED');
+  });
+
+  test('should render a Mermaid flowchart clustered by stream', () => {
+    const mermaid = toMermaid(graph);
+
+    expect(mermaid.split('\n').slice(0, 4)).toEqual([
+      'flowchart LR',
+      '  subgraph API["API"]',
+      '    t0["API-2.01: Orders #quot;v2#quot; endpoint"]',
+      '  end',
+    ]);
+    expect(mermaid).toContain('  t0 --> t1\n');
+    expect(mermaid).toContain('  t2 -.-> t0\n');
+    expect(mermaid).toContain('  classDef in_progress fill:#fef3c7,stroke:#d97706\n');
+    expect(mermaid).toContain('  class t1 done\n');
+  });
+
+  test('should render Graphviz DOT with clusters and dashed parent edges', () => {
+    const dot = toDot(graph);
+
+    expect(dot).toMatch(/^digraph tasks \{\n {2}rankdir=LR;/);
+    expect(dot).toContain('subgraph "cluster_DATA" {\n    label="DATA";');
+    expect(dot).toContain('"a-1" [label="API-2.01\\nOrders \\"v2\\" endpoint"');
+    expect(dot).toContain('fillcolor="#d1fae5"');
+    expect(dot).toContain('"a-1" -> "b-2";');
+    expect(dot).toContain('"c-3" -> "a-1" [style=dashed, arrowhead=empty];');
+  });
+
+  test('should render JSON nodes and edges', () => {
+    const json = JSON.parse(toJson(graph));
+
+    expect(json.nodes[0]).toMatchObject({ id: 'a-1', stream: 'API' });
+    expect(json.edges).toEqual(graph.edges);
+  });
+
+  test('should reject unknown formats', () => {
+    expect(renderGraph(graph, 'json')).toBe(toJson(graph));
+    expect(() => renderGraph(graph, 'svg')).toThrow(
+      'Invalid format: svg. Must be one of: mermaid, dot, json'
+    );
+  });
+});
@@ -240,6 +240,29 @@ describe('Journal Unit Tests', () => {
       expect(entries[0].operation).toBe('sync.performed');
       expect(entries[0].details).toEqual(syncResult);
     });
+
+    test('should log lease transitions', async () => {
+      await journal.logLeaseChanged('claimed', 'task-123', {
+        assignee: 'agent-a',
+        lease_expires_at: '2025-01-01T00:30:00.000Z',
+      });
+
+      const entries = await journal.getRecentEntries(1);
+      expect(entries[0].operation).toBe('lease.claimed');
+      expect(entries[0].details).toEqual({
+        task_id: 'task-123',
+        assignee: 'agent-a',
+        lease_expires_at: '2025-01-01T00:30:00.000Z',
+      });
+    });
+
+    test('should log external file changes', async () => {
+      await journal.logExternalChange('deleted', 'task-123', { file_path: '/tasks/pending/a.md' });
+
+      const entries = await journal.getRecentEntries(1);
+      expect(entries[0].operation).toBe('external.deleted');
+      expect(entries[0].details).toEqual({ task_id: 'task-123', file_path: '/tasks/pending/a.md' });
+    });
   });
 
   describe('getRecentEntries', () => {
@@ -0,0 +1,317 @@
+import { jest, describe, beforeEach, test, expect } from '@jest/globals';
+import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { registerTaskTools } from '../../src/mcp/tools/index.js';
+
+// Mock logger to avoid console output
+jest.mock('../../src/utils/logger.js');
+
+// Drives the registered tools/call handler with a stub task manager
+describe('MCP sync tools', () => {
+  let handlers;
+  let taskManager;
+  let serverInstance;
+
+  const register = () => {
+    handlers = new Map();
+    const server = { setRequestHandler: (schema, handler) => handlers.set(schema, handler) };
+    registerTaskTools(server, taskManager, null, serverInstance);
+  };
+
+  const call = async (name, args = {}) => {
+    const result = await handlers.get(CallToolRequestSchema)({
+      params: { name, arguments: args },
+    });
+    expect(result.content).toEqual([{ type: 'text', text: expect.any(String) }]);
+    return result;
+  };
+
+  const details = {
+    created: 2,
+    updated: 1,
+    deleted: 0,
+    unchanged: 4,
+    dependencies: 3,
+    conflicts: 0,
+  };
+
+  beforeEach(() => {
+    taskManager = {
+      resolveTaskId: jest.fn(async id => (id === 'API-1.01' ? 'task-1' : null)),
+      syncGraph: jest.fn().mockResolvedValue({ status: 'synced', details, backup_path: null }),
+      verifySync: jest.fn(),
+      repairSync: jest.fn(),
+      getSyncStatus: jest.fn(),
+      resolveSyncConflict: jest.fn(),
+    };
+    serverInstance = { ensureInitialized: jest.fn().mockResolvedValue() };
+    register();
+  });
+
+  test('should list the sync tools with their arguments', async () => {
+    const { tools } = await handlers.get(ListToolsRequestSchema)();
+    const schema = name => tools.find(tool => tool.name === name)?.inputSchema.properties;
+
+    expect(schema('mcp__tasks__sync')).toMatchObject({ full: { type: 'boolean' } });
+    expect(schema('mcp__tasks__verify')).toEqual({});
+    expect(schema('mcp__tasks__repair')).toMatchObject({ apply: { type: 'boolean' } });
+    expect(schema('mcp__tasks__sync_status')).toMatchObject({ resolve: { type: 'array' } });
+  });
+
+  describe('mcp__tasks__sync', () => {
+    test('should sync incrementally by default', async () => {
+      const result = await call('mcp__tasks__sync');
+
+      expect(taskManager.syncGraph).toHaveBeenCalledWith({ full: false });
+      expect(result.isError).toBeUndefined();
+      expect(result.content[0].text).toBe(
+        'Synced task files\n' +
+          'Created: 2, updated: 1, deleted: 0, unchanged: 4, dependency changes: 3\n'
+      );
+    });
+
+    test('should report a full rebuild, the backup and conflicts', async () => {
+      taskManager.syncGraph.mockResolvedValueOnce({
+        status: 'rebuilt',
+        details: { ...details, conflicts: 1 },
+        backup_path: '/tasks/.graph.db.corrupt-1',
+      });
+
+      const { content } = await call('mcp__tasks__sync', { full: true });
+
+      expect(taskManager.syncGraph).toHaveBeenCalledWith({ full: true });
+      expect(content[0].text).toContain('Rebuilt the graph from the task files\n');
+      expect(content[0].text).toContain(
+        'Unusable database moved aside to /tasks/.graph.db.corrupt-1\n'
+      );
+      expect(content[0].text).toContain('1 task(s) with conflicts left alone');
+    });
+
+    test('should run when storage failed to initialize', async () => {
+      serverInstance.ensureInitialized.mockRejectedValue(new Error('Database is corrupted'));
+
+      await call('mcp__tasks__sync');
+      expect(taskManager.syncGraph).toHaveBeenCalled();
+
+      await expect(call('mcp__tasks__sync_status')).rejects.toThrow('Database is corrupted');
+      expect(taskManager.getSyncStatus).not.toHaveBeenCalled();
+    });
+
+    test('should return errors as tool errors', async () => {
+      taskManager.syncGraph.mockRejectedValueOnce(new Error('Lock held'));
+
+      const result = await call('mcp__tasks__sync');
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toBe('Error: Lock held');
+    });
+  });
+
+  describe('mcp__tasks__verify', () => {
+    test('should report files and graph in sync', async () => {
+      taskManager.verifySync.mockResolvedValueOnce({
+        in_sync: true,
+        file_count: 3,
+        graph_count: 3,
+        diff: [],
+        graph_error: null,
+      });
+
+      const { content } = await call('mcp__tasks__verify');
+
+      expect(taskManager.verifySync).toHaveBeenCalledWith();
+      expect(content[0].text).toBe('Files and graph are in sync (3 tasks)\n');
+    });
+
+    test('should describe each difference', async () => {
+      taskManager.verifySync.mockResolvedValueOnce({
+        in_sync: false,
+        file_count: 3,
+        graph_count: 2,
+        graph_error: null,
+        diff: [
+          { task_id: 'a', issue: 'missing_in_graph', file_path: 'pending/a.md' },
+          { task_id: 'b', issue: 'fields_differ', fields: ['title'], file_path: 'pending/b.md' },
+          {
+            task_id: 'c',
+            issue: 'conflict',
+            file_path: 'pending/c.md',
+            conflicts: [{ field: 'status', base: 'pending', file: 'done', graph: 'in-progress' }],
+          },
+          { task_id: 'd', issue: 'dependencies_differ', missing: ['a'], extra: ['b'] },
+        ],
+      });
+
+      const { content } = await call('mcp__tasks__verify');
+
+      expect(content[0].text).toBe(
+        '4 difference(s) between 3 task file(s) and 2 graph task(s)\n\n' +
+          '- a: not in the graph (pending/a.md)\n' +
+          '- b: fields differ: title (pending/b.md)\n' +
+          '- c: conflicts: status (file "done", graph "in-progress")\n' +
+          '- d: dependencies differ, missing in graph: a; not in file: b\n'
+      );
+    });
+
+    test('should report a graph database that cannot be used', async () => {
+      taskManager.verifySync.mockResolvedValueOnce({
+        in_sync: false,
+        file_count: 5,
+        graph_count: 0,
+        diff: [],
+        graph_error: 'Database is corrupted',
+      });
+
+      const { content } = await call('mcp__tasks__verify');
+
+      expect(content[0].text).toBe(
+        'Graph database cannot be used: Database is corrupted\n' +
+          '5 task file(s) to rebuild it from; run mcp__tasks__repair\n'
+      );
+    });
+  });
+
+  describe('mcp__tasks__repair', () => {
+    const actions = [
+      { action: 'create', task_id: 'a' },
+      { action: 'update', task_id: 'b', fields: ['title', 'status'] },
+      { action: 'relink', task_id: 'c', add: ['a'], remove: ['d'] },
+    ];
+    const skipped = [{ task_id: 'e', fields: ['priority'] }];
+
+    test('should only show the plan by default', async () => {
+      taskManager.repairSync.mockResolvedValueOnce({
+        graph_error: null,
+        actions,
+        skipped,
+        applied: false,
+      });
+
+      const { content } = await call('mcp__tasks__repair');
+
+      expect(taskManager.repairSync).toHaveBeenCalledWith({ apply: false });
+      expect(content[0].text).toBe(
+        'Repair plan (run with apply to carry it out):\n' +
+          '- create a\n' +
+          '- update b (title, status)\n' +
+          '- relink c dependencies: +a, -d\n' +
+          '\nNot repaired (conflicts):\n' +
+          '- e: conflicting priority; resolve with mcp__tasks__sync_status\n'
+      );
+    });
+
+    test('should apply the plan and report what remains', async () => {
+      taskManager.repairSync.mockResolvedValueOnce({
+        graph_error: null,
+        actions,
+        skipped: [],
+        applied: true,
+        result: {
+          changes: 4,
+          backup_path: null,
+          dependencies: { details: [{ type: 'circular_dependency', task_id: 'c' }] },
+        },
+        remaining: [{ task_id: 'c', issue: 'dependencies_differ' }],
+      });
+
+      const { content } = await call('mcp__tasks__repair', { apply: true });
+
+      expect(taskManager.repairSync).toHaveBeenCalledWith({ apply: true });
+      expect(content[0].text).toContain('Applied repair plan:\n');
+      expect(content[0].text).toContain(
+        '\n4 change(s) made. 1 difference(s) remain; see mcp__tasks__verify\n' +
+          '- c is in a dependency cycle; remove a dependency from its task file\n'
+      );
+    });
+
+    test('should rebuild a graph database that cannot be used', async () => {
+      serverInstance.ensureInitialized.mockRejectedValue(new Error('Database is corrupted'));
+      taskManager.repairSync.mockResolvedValueOnce({
+        graph_error: 'Database is corrupted',
+        actions: [{ action: 'rebuild', reason: 'Database is corrupted', task_count: 5 }],
+        skipped: [],
+        applied: true,
+        result: { changes: 5, backup_path: '/tasks/.graph.db.corrupt-1', dependencies: null },
+        remaining: [],
+      });
+
+      const { content } = await call('mcp__tasks__repair', { apply: true });
+
+      expect(content[0].text).toBe(
+        'Graph database cannot be used: Database is corrupted\n' +
+          'Applied repair plan:\n' +
+          '- rebuild the graph from 5 task file(s)\n' +
+          '\n5 change(s) made; unusable database moved aside to /tasks/.graph.db.corrupt-1' +
+          '. Files and graph are in sync\n'
+      );
+    });
+
+    test('should report nothing to repair', async () => {
+      taskManager.repairSync.mockResolvedValueOnce({
+        graph_error: null,
+        actions: [],
+        skipped: [],
+        applied: true,
+        result: { changes: 0 },
+        remaining: [],
+      });
+
+      const { content } = await call('mcp__tasks__repair', { apply: true });
+
+      expect(content[0].text).toBe('Nothing to repair\n');
+    });
+  });
+
+  describe('mcp__tasks__sync_status', () => {
+    test('should resolve conflicts by task reference before reporting', async () => {
+      taskManager.resolveSyncConflict.mockResolvedValueOnce({
+        task_id: 'task-1',
+        field: 'status',
+        kept: 'file',
+        value: 'done',
+      });
+      taskManager.getSyncStatus.mockResolvedValueOnce({
+        in_sync: false,
+        file_count: 2,
+        graph_count: 2,
+        diff: [
+          {
+            task_id: 'task-2',
+            issue: 'conflict',
+            file_path: 'pending/task-2.md',
+            conflicts: [{ field: 'title', base: 'Old', file: 'File', graph: 'Graph' }],
+          },
+          { task_id: 'task-3', issue: 'fields_differ', fields: ['priority'], file_path: 'x.md' },
+        ],
+      });
+
+      const { content } = await call('mcp__tasks__sync_status', {
+        resolve: [{ task_id: 'API-1.01', field: 'status', keep: 'file' }],
+      });
+
+      expect(taskManager.resolveSyncConflict).toHaveBeenCalledWith('task-1', 'status', 'file');
+      expect(content[0].text).toBe(
+        'Resolved status of task-1: kept the file value "done"\n\n' +
+          '2 difference(s) between 2 task file(s) and 2 graph task(s)\n' +
+          '\nConflicts (changed in both the file and the graph since the last sync):\n' +
+          '- task-2 (pending/task-2.md)\n' +
+          '  - title: file "File", graph "Graph" (was "Old"); keep "file" or "graph"\n' +
+          '\nOther differences:\n' +
+          '- task-3 fields_differ: priority (x.md)\n'
+      );
+    });
+
+    test('should report files and graph in sync', async () => {
+      taskManager.getSyncStatus.mockResolvedValueOnce({
+        in_sync: true,
+        file_count: 2,
+        graph_count: 2,
+        diff: [],
+      });
+
+      const { content } = await call('mcp__tasks__sync_status');
+
+      expect(taskManager.resolveSyncConflict).not.toHaveBeenCalled();
+      expect(content[0].text).toBe('Files and graph are in sync (2 tasks)\n');
+    });
+  });
+});
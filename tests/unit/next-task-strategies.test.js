@@ -0,0 +1,117 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  fifoOrder,
+  normalizeStrategy,
+  normalizeWeights,
+  rankCandidates,
+  strategyInputs,
+} from '../../src/core/next-task-strategies.js';
+
+describe('next task strategies', () => {
+  const candidates = [
+    {
+      id: 'docs',
+      semantic_id: 'DOC-1.01',
+      title: 'Docs',
+      priority: 'high',
+      estimate: 1,
+      created_at: '2025-01-02T00:00:00.000Z',
+      active_parent: false,
+    },
+    {
+      id: 'db',
+      semantic_id: 'DATA-1.01',
+      title: 'Database',
+      priority: 'low',
+      estimate: 5,
+      created_at: '2025-01-01T00:00:00.000Z',
+      active_parent: false,
+    },
+    {
+      id: 'step',
+      semantic_id: 'API-2.01',
+      title: 'Step',
+      priority: 'medium',
+      estimate: null,
+      created_at: '2025-01-03T00:00:00.000Z',
+      parent_id: 'epic',
+      parent_priority: 'low',
+      position: 1,
+      active_parent: true,
+    },
+  ];
+  const schedule = [
+    { id: 'docs', unblocks: 0, slack: 6 },
+    { id: 'db', unblocks: 2, slack: 0 },
+    { id: 'step', unblocks: 1, slack: 4 },
+  ];
+  const ids = ranked => ranked.map(candidate => candidate.id);
+
+  test('should keep the priority-FIFO order: active subtasks, priority, age', () => {
+    expect(ids(fifoOrder(candidates))).toEqual(['step', 'docs', 'db']);
+
+    const ranked = rankCandidates(candidates, { strategy: 'priority-fifo' });
+    expect(ids(ranked)).toEqual(['step', 'docs', 'db']);
+    expect(ranked[0]).toMatchObject({ score: 12, factors: { active_parent: 1, priority: 2 } });
+  });
+
+  test('should rank by unblocked work, slack and estimate', () => {
+    expect(
+      ids(rankCandidates(candidates, { strategy: 'unblocks-most-dependents', schedule }))
+    ).toEqual(['db', 'step', 'docs']);
+
+    const critical = rankCandidates(candidates, { strategy: 'critical-path-first', schedule });
+    expect(ids(critical)).toEqual(['db', 'step', 'docs']);
+    expect(critical[0].factors).toEqual({ slack: 0, critical: 1 });
+
+    // Unestimated tasks count as the default estimate
+    const shortest = rankCandidates(candidates, { strategy: 'shortest-estimate-first' });
+    expect(shortest.map(candidate => [candidate.id, candidate.factors.estimate])).toEqual([
+      ['step', 1],
+      ['docs', 1],
+      ['db', 5],
+    ]);
+  });
+
+  test('should prefer the stream of the last completed task', () => {
+    const ranked = rankCandidates(candidates, {
+      strategy: 'same-stream-as-last-completed',
+      lastStream: 'DATA',
+    });
+
+    expect(ids(ranked)).toEqual(['db', 'step', 'docs']);
+    expect(ranked[0].factors).toEqual({ same_stream: 1 });
+  });
+
+  test('should add up weighted factors and report each contribution', () => {
+    const ranked = rankCandidates(candidates, {
+      strategy: 'weighted',
+      schedule,
+      weights: { priority: 0, active_parent: 0, age: 0, shortness: 0, same_stream: 0 },
+    });
+
+    expect(ids(ranked)).toEqual(['db', 'step', 'docs']);
+    expect(ranked[0]).toMatchObject({
+      score: 4,
+      factors: { unblocks: 2, critical: 2, priority: 0 },
+    });
+    expect(ranked[1].factors).toMatchObject({ unblocks: 1, critical: 0.67 });
+  });
+
+  test('should validate strategies and weights', () => {
+    expect(strategyInputs('weighted')).toEqual({ schedule: true, lastStream: true });
+    expect(strategyInputs('priority-fifo')).toEqual({ schedule: false, lastStream: false });
+    expect(normalizeStrategy('critical-path-first')).toBe('critical-path-first');
+    expect(normalizeStrategy('critical-path')).toBe('critical-path-first');
+    expect(normalizeStrategy('same-stream')).toBe('same-stream-as-last-completed');
+    expect(() => normalizeStrategy('random')).toThrow('Invalid strategy: random');
+
+    expect(normalizeWeights('priority=5, age=0')).toMatchObject({
+      priority: 5,
+      age: 0,
+      unblocks: 2,
+    });
+    expect(() => normalizeWeights({ speed: 1 })).toThrow('Unknown weight: speed');
+    expect(() => normalizeWeights('priority=high')).toThrow('Weight priority must be');
+  });
+});
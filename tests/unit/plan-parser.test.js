@@ -0,0 +1,66 @@
+import { describe, test, expect } from '@jest/globals';
+import { parseItemText, parsePlan, splitReferences } from '../../src/core/plan-parser.js';
+
+describe('plan parser', () => {
+  test('should turn nested list items into parents and children', () => {
+    const items = parsePlan(
+      [
+        '# Orders',
+        '',
+        '- Orders API',
+        '  - Design schema',
+        '    Tables for orders and line items',
+        '    and their indexes',
+        '  * Expose endpoint',
+        '1. Write docs',
+      ].join('\n')
+    );
+
+    expect(items.map(item => [item.line, item.depth, item.parent, item.title])).toEqual([
+      [3, 0, null, 'Orders API'],
+      [4, 1, 0, 'Design schema'],
+      [7, 1, 0, 'Expose endpoint'],
+      [8, 0, null, 'Write docs'],
+    ]);
+    expect(items[1].description).toBe('Tables for orders and line items\nand their indexes');
+  });
+
+  test('should read checkboxes and ignore code blocks', () => {
+    const items = parsePlan(
+      ['- [x] Spike on pagination', '- [ ] Add cursors', '```', '- not a task', '```'].join('\n')
+    );
+
+    expect(items.map(item => [item.title, item.checked])).toEqual([
+      ['Spike on pagination', true],
+      ['Add cursors', false],
+    ]);
+  });
+
+  test('should start a new list after a heading', () => {
+    const items = parsePlan(['- Backend', '  - Auth', '## Frontend', '  - Login form'].join('\n'));
+
+    expect(items[2]).toMatchObject({ title: 'Login form', parent: null, depth: 0 });
+  });
+
+  test('should take explicit dependencies out of the title', () => {
+    expect(parseItemText('Add webhooks (deps: Expose endpoint, API-1.01)')).toEqual({
+      title: 'Add webhooks',
+      dependencies: ['Expose endpoint', 'API-1.01'],
+      inferred: null,
+    });
+  });
+
+  test('should infer dependencies from "after" and "depends on" phrases', () => {
+    expect(parseItemText('Expose endpoint after Design schema').inferred).toEqual({
+      title: 'Expose endpoint',
+      dependencies: ['Design schema'],
+    });
+    expect(parseItemText('Write docs - depends on API and "Design schema".').inferred).toEqual({
+      title: 'Write docs',
+      dependencies: ['API', 'Design schema'],
+    });
+    expect(parseItemText('Deploy (after CI)').inferred.dependencies).toEqual(['CI']);
+    expect(parseItemText('After lunch').inferred).toBeNull();
+    expect(splitReferences('a, b; c and d')).toEqual(['a', 'b', 'c', 'd']);
+  });
+});
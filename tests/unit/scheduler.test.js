@@ -0,0 +1,112 @@
+import { describe, test, expect } from '@jest/globals';
+import { computeSchedule, goalSubgraph } from '../../src/core/scheduler.js';
+
+describe('scheduler', () => {
+  // schema -> api -> ui -> release, docs -> release, done setup -> schema
+  const graph = {
+    nodes: [
+      { id: 'setup', semantic_id: 'TASK-1.01', title: 'Setup', status: 'done' },
+      { id: 'schema', semantic_id: 'DATA-2.01', title: 'Schema', status: 'pending' },
+      { id: 'api', semantic_id: 'API-3.01', title: 'API', status: 'in-progress' },
+      { id: 'ui', semantic_id: 'UI-4.01', title: 'UI', status: 'pending' },
+      { id: 'docs', semantic_id: 'DOC-1.01', title: 'Docs', status: 'pending' },
+      { id: 'release', semantic_id: 'DEPLOY-5.01', title: 'Release', status: 'pending' },
+      { id: 'spike', semantic_id: 'TASK-1.02', title: 'Spike', status: 'pending' },
+    ],
+    edges: [
+      { from: 'schema', to: 'setup', type: 'DEPENDS_ON' },
+      { from: 'api', to: 'schema', type: 'DEPENDS_ON' },
+      { from: 'ui', to: 'api', type: 'DEPENDS_ON' },
+      { from: 'release', to: 'ui', type: 'DEPENDS_ON' },
+      { from: 'release', to: 'docs', type: 'DEPENDS_ON' },
+      { from: 'release', to: 'spike', type: 'PARENT_CHILD' },
+    ],
+  };
+  const estimates = { schema: 2, api: 3, ui: 2, docs: 1, release: 1 };
+  const byId = schedule => Object.fromEntries(schedule.tasks.map(task => [task.id, task]));
+
+  test('should compute earliest and latest start, finish and slack', () => {
+    const schedule = computeSchedule(graph, { estimates });
+    const tasks = byId(schedule);
+
+    expect(schedule.total_duration).toBe(8);
+    expect(tasks.setup).toMatchObject({ estimate: 0, earliest_finish: 0, critical: false });
+    expect(tasks.api).toMatchObject({
+      earliest_start: 2,
+      earliest_finish: 5,
+      latest_start: 2,
+      latest_finish: 5,
+      slack: 0,
+      critical: true,
+    });
+    expect(tasks.docs).toMatchObject({ earliest_start: 0, latest_start: 6, slack: 6 });
+    // Unestimated tasks take the default, parent/child edges are not dependencies
+    expect(tasks.spike).toMatchObject({ estimate: 1, latest_start: 7, slack: 7 });
+  });
+
+  test('should return the critical path in execution order', () => {
+    const schedule = computeSchedule(graph, { estimates });
+
+    expect(schedule.critical_path).toEqual(['schema', 'api', 'ui', 'release']);
+  });
+
+  test('should find the critical path with fractional estimates', () => {
+    // 0.1 + 0.2 is not exactly 0.3 in floating point
+    const hours = {
+      nodes: [
+        { id: 'a', title: 'A', status: 'pending', estimate: 0.1 },
+        { id: 'b', title: 'B', status: 'pending', estimate: 0.2 },
+      ],
+      edges: [{ from: 'b', to: 'a', type: 'DEPENDS_ON' }],
+    };
+    const schedule = computeSchedule(hours);
+
+    expect(schedule.total_duration).toBe(0.3);
+    expect(schedule.tasks.every(task => task.critical)).toBe(true);
+    expect(schedule.critical_path).toEqual(['a', 'b']);
+  });
+
+  test('should count the open work each task unblocks', () => {
+    const tasks = byId(computeSchedule(graph, { estimates }));
+
+    expect(tasks.schema.unblocks).toBe(3);
+    expect(tasks.docs.unblocks).toBe(1);
+    expect(tasks.release.unblocks).toBe(0);
+  });
+
+  test('should restrict to what a goal depends on', () => {
+    const subgraph = goalSubgraph(graph, 'ui');
+
+    expect(subgraph.nodes.map(node => node.id)).toEqual(['setup', 'schema', 'api', 'ui']);
+    expect(computeSchedule(subgraph, { estimates }).critical_path).toEqual(['schema', 'api', 'ui']);
+  });
+
+  test("should use the tasks' own estimates unless overridden", () => {
+    const estimated = {
+      nodes: [
+        { id: 'a', title: 'A', status: 'pending', estimate: 5 },
+        { id: 'b', title: 'B', status: 'pending', estimate: 2 },
+        { id: 'c', title: 'C', status: 'pending', estimate: null },
+      ],
+      edges: [],
+    };
+    const tasks = byId(computeSchedule(estimated, { estimates: { b: 3 }, defaultEstimate: 4 }));
+
+    expect([tasks.a.estimate, tasks.b.estimate, tasks.c.estimate]).toEqual([5, 3, 4]);
+  });
+
+  test('should reject dependency cycles', () => {
+    const cyclic = {
+      nodes: [
+        { id: 'a', title: 'A', status: 'pending' },
+        { id: 'b', title: 'B', status: 'pending' },
+      ],
+      edges: [
+        { from: 'a', to: 'b', type: 'DEPENDS_ON' },
+        { from: 'b', to: 'a', type: 'DEPENDS_ON' },
+      ],
+    };
+
+    expect(() => computeSchedule(cyclic)).toThrow('dependency cycle between: a, b');
+  });
+});
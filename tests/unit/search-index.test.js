@@ -0,0 +1,136 @@
+import { jest, describe, beforeEach, test, expect } from '@jest/globals';
+import { SearchIndex, taskSimilarity, tokenize } from '../../src/core/search-index.js';
+
+jest.mock('../../src/utils/logger.js');
+
+describe('SearchIndex', () => {
+  let index;
+  let mockFileStorage;
+
+  const tasks = [
+    {
+      id: 'task-auth',
+      semantic_id: 'API-1.01',
+      title: 'Implement JWT authentication',
+      description: 'Issue and verify tokens for the REST API',
+      status: 'pending',
+      subtasks: [{ title: 'Rotate refresh tokens', is_complete: false }],
+      files: ['src/auth/jwt.js'],
+      notes: [],
+    },
+    {
+      id: 'task-login',
+      semantic_id: 'UI-1.01',
+      title: 'Login form component',
+      description: 'Form posting credentials to the auth endpoint',
+      status: 'done',
+      subtasks: [],
+      files: [],
+      notes: [{ timestamp: '2025-06-11T10:00:00Z', content: 'Uses the JWT from the API' }],
+    },
+  ];
+
+  beforeEach(async () => {
+    mockFileStorage = {
+      listAllTasks: jest.fn().mockResolvedValue(tasks),
+      readTaskFile: jest.fn().mockResolvedValue(null),
+    };
+    index = new SearchIndex(mockFileStorage);
+    await index.build();
+  });
+
+  test('should tokenize text into lowercase terms without stop words', () => {
+    expect(tokenize('The Login-Form of the API, v2')).toEqual(['login', 'form', 'api', 'v2']);
+    expect(tokenize(undefined)).toEqual([]);
+  });
+
+  test('should rank title matches above matches in notes', () => {
+    const results = index.search('jwt');
+
+    expect(results.map(result => result.task_id)).toEqual(['task-auth', 'task-login']);
+    expect(results[0].matches[0]).toEqual({
+      section: 'Title',
+      snippet: 'Implement JWT authentication',
+    });
+    expect(results[1].matches[0]).toEqual({
+      section: 'Notes',
+      snippet: 'Uses the JWT from the API',
+      timestamp: '2025-06-11T10:00:00Z',
+    });
+  });
+
+  test('should match term prefixes, subtasks and files', () => {
+    expect(index.search('authent').map(result => result.task_id)).toEqual(['task-auth']);
+    expect(index.search('refresh')[0].matches[0].section).toBe('Tasks');
+    expect(index.search('jwt.js')[0].matches.map(match => match.section)).toContain('Files');
+  });
+
+  test('should prefer tasks matching every query term', () => {
+    const results = index.search('login credentials api');
+
+    expect(results[0].task_id).toBe('task-login');
+    expect(results[0].matched_terms).toEqual(['login', 'credentials', 'api']);
+  });
+
+  test('should filter by status and return nothing for empty queries', () => {
+    expect(index.search('api', { status: 'done' }).map(result => result.task_id)).toEqual([
+      'task-login',
+    ]);
+    expect(index.search('the')).toEqual([]);
+  });
+
+  test('should cut long sections into a snippet around the match', () => {
+    index.addTask({
+      id: 'task-long',
+      title: 'Long description',
+      description: `${'lorem ipsum '.repeat(20)}webhook retries ${'dolor sit '.repeat(20)}`,
+      status: 'pending',
+    });
+
+    const [result] = index.search('webhook');
+    expect(result.matches[0].snippet).toMatch(/^\.\.\..*webhook retries.*\.\.\.$/);
+    expect(result.matches[0].snippet.length).toBeLessThan(140);
+  });
+
+  test('should refresh changed tasks and drop deleted ones', async () => {
+    mockFileStorage.readTaskFile.mockImplementation(async taskId =>
+      taskId === 'task-login' ? { ...tasks[1], title: 'Signup form component' } : null
+    );
+
+    await index.refresh(['task-login', 'task-auth']);
+
+    expect(index.search('signup').map(result => result.task_id)).toEqual(['task-login']);
+    expect(index.search('login')).toEqual([]);
+    expect(index.search('authentication')).toEqual([]);
+    expect(index.postings.has('authentication')).toBe(false);
+  });
+
+  test('should score tasks describing the same work as similar', () => {
+    expect(
+      taskSimilarity({ title: 'Add login endpoint' }, { title: 'Implement login API endpoint' })
+    ).toBe(0.8);
+    expect(
+      taskSimilarity({ title: 'Add login endpoint' }, { title: 'Login form component' })
+    ).toBeLessThan(0.6);
+    expect(taskSimilarity({ title: 'the' }, { title: 'Login form' })).toBe(0);
+  });
+
+  test('should find similar open tasks above the threshold', () => {
+    const similar = index.findSimilar({ title: 'Add JWT authentication' });
+    expect(similar).toEqual([
+      {
+        id: 'task-auth',
+        semantic_id: 'API-1.01',
+        title: 'Implement JWT authentication',
+        status: 'pending',
+        score: 1,
+      },
+    ]);
+
+    // Done tasks are not considered duplicates
+    expect(index.findSimilar({ title: 'Login form component' })).toEqual([]);
+    expect(
+      index.findSimilar({ title: 'Login form component' }, { statuses: ['done'] })
+    ).toHaveLength(1);
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  fileOwnedValues,
+  findConflicts,
+  preservedGraphValues,
+} from '../../src/core/sync-conflicts.js';
+
+describe('Sync Conflicts', () => {
+  const base = fileOwnedValues({ title: 'Fix login', status: 'pending', priority: 'low' });
+
+  test('should normalize file-owned values for comparison', () => {
+    expect(fileOwnedValues({ title: 'Fix login', status: 'pending', priority: 'low' })).toEqual({
+      title: 'Fix login',
+      description: '',
+      status: 'pending',
+      priority: 'low',
+      estimate: null,
+      assignee: null,
+      lease_expires_at: null,
+    });
+  });
+
+  test('should read the empty-description placeholder as no description', () => {
+    expect(fileOwnedValues({ description: 'No description provided.' }).description).toBe('');
+  });
+
+  test('should report fields changed on both sides to different values', () => {
+    const file = { ...base, title: 'Fix login (file)', priority: 'high' };
+    const graph = { ...base, title: 'Fix login (graph)', status: 'done', priority: 'high' };
+
+    expect(findConflicts(base, file, graph)).toEqual([
+      { field: 'title', base: 'Fix login', file: 'Fix login (file)', graph: 'Fix login (graph)' },
+    ]);
+  });
+
+  test('should not report changes made on one side only', () => {
+    expect(findConflicts(base, { ...base, title: 'Edited' }, base)).toEqual([]);
+    expect(findConflicts(base, base, { ...base, status: 'done' })).toEqual([]);
+  });
+
+  test('should not report anything without a base', () => {
+    expect(findConflicts(undefined, { ...base, title: 'A' }, { ...base, title: 'B' })).toEqual([]);
+  });
+
+  test('should keep only the graph-owned values that are set', () => {
+    expect(
+      preservedGraphValues({ title: 'Fix login', complexity_score: 0.4, is_atomic: null })
+    ).toEqual({ complexity_score: 0.4 });
+  });
+});
@@ -1,7 +1,9 @@
 import { jest, describe, beforeEach, afterEach, test, expect } from '@jest/globals';
 import { SyncEngine } from '../../src/core/sync-engine.js';
-// import { promises as fs } from 'fs';
-// import path from 'path';
+import { hashContent } from '../../src/storage/file-storage.js';
+import { promises as realFs } from 'fs';
+import path from 'path';
+import os from 'os';
 
 // Mock logger
 jest.mock('../../src/utils/logger.js');
@@ -18,18 +20,28 @@ describe('SyncEngine Unit Tests', () => {
   let syncEngine;
   let mockFileStorage;
   let mockGraphConnection;
+  let tasksDir;
+
+  beforeEach(async () => {
+    // The sync manifest is written to the tasks directory
+    tasksDir = await realFs.mkdtemp(path.join(os.tmpdir(), 'sync-engine-'));
 
-  beforeEach(() => {
     // Create mock file storage
     mockFileStorage = {
-      tasksDir: '/test/tasks',
+      tasksDir,
       statusDirs: ['pending', 'in-progress', 'done', 'archive'],
       listAllTasks: jest.fn().mockResolvedValue([]),
       readTaskFile: jest.fn().mockResolvedValue(null),
+      contentHashOf: task => (task.content === undefined ? null : hashContent(task.content)),
+      isOwnWrite: jest.fn().mockReturnValue(false),
+      isOwnRemoval: jest.fn().mockReturnValue(false),
+      ownWriteOf: jest.fn().mockReturnValue(null),
     };
 
     // Create mock graph connection
     mockGraphConnection = {
+      initialize: jest.fn().mockResolvedValue(true),
+      rebuild: jest.fn().mockResolvedValue({ backup_path: null }),
       execute: jest.fn().mockResolvedValue([]),
       createTask: jest.fn().mockResolvedValue(true),
       updateTask: jest.fn().mockResolvedValue(true),
@@ -37,14 +49,20 @@ describe('SyncEngine Unit Tests', () => {
       getDependencies: jest.fn().mockResolvedValue([]),
       getTask: jest.fn().mockResolvedValue(null),
       detectCircularDependencies: jest.fn().mockResolvedValue([]),
+      getCriteria: jest.fn().mockResolvedValue([]),
+      setCriteria: jest.fn().mockResolvedValue(true),
+      deleteCriteria: jest.fn().mockResolvedValue([]),
+      getTags: jest.fn().mockResolvedValue([]),
+      setTags: jest.fn().mockResolvedValue(true),
     };
 
     // Create SyncEngine instance
     syncEngine = new SyncEngine(mockFileStorage, mockGraphConnection);
   });
 
-  afterEach(() => {
+  afterEach(async () => {
     jest.clearAllMocks();
+    await realFs.rm(tasksDir, { recursive: true, force: true });
   });
 
   describe('ensureSynced', () => {
@@ -96,15 +114,20 @@ describe('SyncEngine Unit Tests', () => {
   });
 
   describe('verifySyncStatus', () => {
+    const task = (id, fields = {}) => ({
+      id,
+      title: `Task ${id}`,
+      status: 'pending',
+      priority: 'medium',
+      file_path: `${tasksDir}/pending/${id}.md`,
+      ...fields,
+    });
+
     test('should detect when in sync', async () => {
-      const fileTasks = [
-        { id: 'task-1', updated_at: '2025-06-11T12:00:00Z' },
-        { id: 'task-2', updated_at: '2025-06-11T13:00:00Z' },
-      ];
+      const fileTasks = [task('task-1'), task('task-2')];
 
       mockFileStorage.listAllTasks.mockResolvedValueOnce(fileTasks);
-      // The query returns a count result
-      mockGraphConnection.execute.mockResolvedValueOnce([{ count: 2 }]);
+      mockGraphConnection.execute.mockResolvedValueOnce(fileTasks.map(t => ({ t: { ...t } })));
 
       const status = await syncEngine.verifySyncStatus();
 
@@ -112,17 +135,15 @@ describe('SyncEngine Unit Tests', () => {
       expect(status.file_count).toBe(2);
       expect(status.graph_count).toBe(2);
       expect(status.difference).toBe(0);
+      expect(status.diff).toEqual([]);
     });
 
     test('should detect out of sync', async () => {
-      const fileTasks = [
-        { id: 'task-1', updated_at: '2025-06-11T12:00:00Z' },
-        { id: 'task-2', updated_at: '2025-06-11T13:00:00Z' },
-      ];
+      const fileTasks = [task('task-1'), task('task-2')];
 
       mockFileStorage.listAllTasks.mockResolvedValueOnce(fileTasks);
       // Only 1 task in graph
-      mockGraphConnection.execute.mockResolvedValueOnce([{ count: 1 }]);
+      mockGraphConnection.execute.mockResolvedValueOnce([{ t: task('task-1') }]);
 
       const status = await syncEngine.verifySyncStatus();
 
@@ -130,13 +151,15 @@ describe('SyncEngine Unit Tests', () => {
       expect(status.file_count).toBe(2);
       expect(status.graph_count).toBe(1);
       expect(status.difference).toBe(1);
+      expect(status.diff).toEqual([
+        { task_id: 'task-2', issue: 'missing_in_graph', file_path: fileTasks[1].file_path },
+      ]);
     });
 
     test('should handle empty graph', async () => {
-      const fileTasks = [{ id: 'task-1', updated_at: '2025-06-11T12:00:00Z' }];
+      const fileTasks = [task('task-1')];
 
       mockFileStorage.listAllTasks.mockResolvedValueOnce(fileTasks);
-      // No count result means 0
       mockGraphConnection.execute.mockResolvedValueOnce([]);
 
       const status = await syncEngine.verifySyncStatus();
@@ -146,6 +169,41 @@ describe('SyncEngine Unit Tests', () => {
       expect(status.graph_count).toBe(0);
       expect(status.difference).toBe(1);
     });
+
+    test('should report differences task by task when the counts match', async () => {
+      const fileTasks = [
+        task('task-1', { status: 'done' }),
+        task('task-2', { content: '# Edited' }),
+        task('task-3'),
+      ];
+      syncEngine.manifest.set(fileTasks[1].file_path, {
+        task_id: 'task-2',
+        hash: hashContent('# Synced'),
+      });
+
+      mockFileStorage.listAllTasks.mockResolvedValueOnce(fileTasks);
+      mockGraphConnection.execute.mockResolvedValueOnce([
+        { t: task('task-1') },
+        { t: task('task-2') },
+        { t: task('task-4') },
+      ]);
+
+      const status = await syncEngine.verifySyncStatus();
+
+      expect(status.in_sync).toBe(false);
+      expect(status.difference).toBe(0);
+      expect(status.diff).toEqual([
+        {
+          task_id: 'task-1',
+          issue: 'fields_differ',
+          file_path: fileTasks[0].file_path,
+          fields: ['status'],
+        },
+        { task_id: 'task-2', issue: 'not_synced', file_path: fileTasks[1].file_path },
+        { task_id: 'task-3', issue: 'missing_in_graph', file_path: fileTasks[2].file_path },
+        { task_id: 'task-4', issue: 'missing_file', file_path: `${tasksDir}/pending/task-4.md` },
+      ]);
+    });
   });
 
   describe('syncFilesToGraph', () => {
@@ -227,6 +285,25 @@ describe('SyncEngine Unit Tests', () => {
       expect(result.details.deleted).toBe(1);
     });
 
+    test('should delete tasks with dashed IDs but keep subtasks', async () => {
+      const fileTask = { id: 'task-1', title: 'Parent', dependencies: [] };
+      const graphTasks = [
+        { ...fileTask },
+        { id: 'task-1-1', title: 'Subtask' },
+        { id: 'task-2', title: 'Deleted file' },
+      ];
+
+      mockFileStorage.listAllTasks.mockResolvedValue([fileTask]);
+      jest.spyOn(syncEngine, 'getAllGraphTasks').mockResolvedValue(graphTasks);
+      const deleteSpy = jest.spyOn(syncEngine, 'deleteTaskFromGraph').mockResolvedValue();
+
+      const result = await syncEngine.syncFilesToGraph();
+
+      expect(deleteSpy).toHaveBeenCalledTimes(1);
+      expect(deleteSpy).toHaveBeenCalledWith('task-2');
+      expect(result.details.deleted).toBe(1);
+    });
+
     test('should sync task dependencies', async () => {
       const fileTask = {
         id: 'task-1',
@@ -270,6 +347,403 @@ describe('SyncEngine Unit Tests', () => {
     });
   });
 
+  describe('dependencies', () => {
+    const task = (id, dependencies = []) => ({
+      id,
+      title: `Task ${id}`,
+      status: 'pending',
+      priority: 'medium',
+      dependencies: dependencies.map(dep => ({ id: dep })),
+      file_path: path.join(tasksDir, 'pending', `${id}.md`),
+      content: `# Task ${id}`,
+    });
+
+    beforeEach(() => {
+      // Like Kuzu, an edge is only created once both nodes exist
+      const nodes = new Set();
+      mockGraphConnection.createTask.mockImplementation(async created => {
+        nodes.add(created.id);
+        return true;
+      });
+      mockGraphConnection.addDependency.mockImplementation(
+        async (fromId, toId) => nodes.has(fromId) && nodes.has(toId)
+      );
+    });
+
+    test('should link dependencies on tasks listed later', async () => {
+      mockFileStorage.listAllTasks.mockResolvedValue([
+        task('api', ['data']),
+        task('data'),
+        task('ui', ['api', 'data']),
+      ]);
+
+      const result = await syncEngine.syncFilesToGraph();
+
+      expect(result.details).toMatchObject({ created: 3, dependencies: 3 });
+      const linked = mockGraphConnection.addDependency.mock.results.map(call => call.value);
+      expect(await Promise.all(linked)).toEqual([true, true, true]);
+      expect(syncEngine.manifest.taskIds().sort()).toEqual(['api', 'data', 'ui']);
+    });
+
+    test('should not record a task as synced until its edges exist', async () => {
+      mockFileStorage.listAllTasks.mockResolvedValue([task('api', ['data']), task('data')]);
+      mockGraphConnection.addDependency.mockResolvedValueOnce(false);
+
+      const result = await syncEngine.syncFilesToGraph();
+
+      expect(result.details.dependencies).toBe(0);
+      expect(syncEngine.manifest.taskIds()).toEqual(['data']);
+
+      // Retried on the next sync
+      jest.spyOn(syncEngine, 'getAllGraphTasks').mockResolvedValue([
+        { ...task('api'), sync_version: null },
+        { ...task('data'), sync_version: 1 },
+      ]);
+      const again = await syncEngine.syncFilesToGraph();
+
+      expect(again.details).toMatchObject({ unchanged: 1, dependencies: 1 });
+      expect(syncEngine.manifest.taskIds().sort()).toEqual(['api', 'data']);
+    });
+
+    test('should ignore dependencies on tasks that have no file', async () => {
+      mockFileStorage.listAllTasks.mockResolvedValue([task('api', ['gone'])]);
+
+      const result = await syncEngine.syncFilesToGraph();
+
+      expect(result.details.dependencies).toBe(0);
+      expect(syncEngine.manifest.taskIds()).toEqual(['api']);
+    });
+  });
+
+  describe('sync manifest', () => {
+    const fileTask = {
+      id: 'task-1',
+      title: 'Test Task',
+      status: 'pending',
+      priority: 'medium',
+      dependencies: [],
+      content: '# Test Task',
+    };
+
+    beforeEach(() => {
+      fileTask.file_path = path.join(tasksDir, 'pending', 'task-1.md');
+      mockFileStorage.listAllTasks.mockResolvedValue([fileTask]);
+    });
+
+    test('should record synced content and graph version', async () => {
+      await syncEngine.syncFilesToGraph();
+
+      expect(mockGraphConnection.updateTask).toHaveBeenCalledWith('task-1', { sync_version: 1 });
+      const saved = JSON.parse(
+        await realFs.readFile(path.join(tasksDir, '.sync-manifest.json'), 'utf8')
+      );
+      expect(saved.files['pending/task-1.md']).toEqual({
+        task_id: 'task-1',
+        hash: hashContent('# Test Task'),
+        graph_version: 1,
+        fields: {
+          title: 'Test Task',
+          description: '',
+          status: 'pending',
+          priority: 'medium',
+          estimate: null,
+          assignee: null,
+          lease_expires_at: null,
+        },
+      });
+    });
+
+    test('should skip unchanged files after a restart', async () => {
+      await syncEngine.syncFilesToGraph();
+
+      // A new engine over the same directory, and a graph at the recorded version
+      const restarted = new SyncEngine(mockFileStorage, mockGraphConnection);
+      jest
+        .spyOn(restarted, 'getAllGraphTasks')
+        .mockResolvedValue([{ ...fileTask, sync_version: 1 }]);
+      jest.clearAllMocks();
+
+      const result = await restarted.syncFilesToGraph();
+
+      expect(result.changes).toBe(0);
+      expect(result.details.unchanged).toBe(1);
+      expect(mockGraphConnection.updateTask).not.toHaveBeenCalled();
+      expect(mockGraphConnection.setTags).not.toHaveBeenCalled();
+    });
+
+    test('should resync when the graph is not at the recorded version', async () => {
+      await syncEngine.syncFilesToGraph();
+
+      // e.g. the database was replaced by an older copy
+      jest
+        .spyOn(syncEngine, 'getAllGraphTasks')
+        .mockResolvedValue([{ ...fileTask, title: 'Old title', sync_version: null }]);
+
+      const result = await syncEngine.syncFilesToGraph();
+
+      expect(result.details.updated).toBe(1);
+      expect(mockGraphConnection.updateTask).toHaveBeenLastCalledWith('task-1', {
+        sync_version: 2,
+      });
+    });
+
+    test('should record content written through MCP as synced', async () => {
+      await syncEngine.syncFilesToGraph();
+      mockFileStorage.ownWriteOf.mockReturnValue({
+        file_path: fileTask.file_path,
+        hash: hashContent('# Written by MCP'),
+      });
+
+      syncEngine.recordMcpChange('task-1', 'updated');
+
+      expect(syncEngine.manifest.get(fileTask.file_path)).toMatchObject({
+        task_id: 'task-1',
+        hash: hashContent('# Written by MCP'),
+        graph_version: 1,
+      });
+
+      syncEngine.recordMcpChange('task-1', 'deleted');
+      expect(syncEngine.manifest.pathOf('task-1')).toBeUndefined();
+    });
+
+    test('should not count a touched file with the same content as a change', async () => {
+      await syncEngine.syncFilesToGraph();
+      syncEngine.lastFullScan = 0;
+
+      expect(await syncEngine.detectExternalChanges()).toEqual([]);
+
+      fileTask.content = '# Test Task, edited';
+      syncEngine.lastFullScan = 0;
+      expect(await syncEngine.detectExternalChanges()).toEqual([
+        { taskId: 'task-1', filePath: fileTask.file_path, type: 'modified' },
+      ]);
+      fileTask.content = '# Test Task';
+    });
+  });
+
+  describe('conflicts', () => {
+    let journal;
+    let fileTask;
+
+    beforeEach(async () => {
+      journal = { logConflict: jest.fn().mockResolvedValue() };
+      syncEngine = new SyncEngine(mockFileStorage, mockGraphConnection, { journal });
+
+      fileTask = {
+        id: 'task-1',
+        title: 'Fix login',
+        status: 'pending',
+        priority: 'low',
+        dependencies: [],
+        file_path: path.join(tasksDir, 'pending', 'task-1.md'),
+        content: '# Fix login',
+      };
+      mockFileStorage.listAllTasks.mockResolvedValue([fileTask]);
+      await syncEngine.syncFilesToGraph();
+      jest.clearAllMocks();
+    });
+
+    test('should leave a task changed in both file and graph unsynced', async () => {
+      fileTask.title = 'Fix login (file)';
+      fileTask.content = '# Fix login (file)';
+      const graphTask = { ...fileTask, title: 'Fix login (graph)', sync_version: 1 };
+      jest.spyOn(syncEngine, 'getAllGraphTasks').mockResolvedValue([graphTask]);
+
+      const result = await syncEngine.syncFilesToGraph();
+
+      expect(result.details.conflicts).toBe(1);
+      expect(mockGraphConnection.updateTask).not.toHaveBeenCalled();
+      const conflicts = [
+        { field: 'title', base: 'Fix login', file: 'Fix login (file)', graph: 'Fix login (graph)' },
+      ];
+      expect(journal.logConflict).toHaveBeenCalledWith('detected', 'task-1', { conflicts });
+
+      // Reported once, and the file is not picked up as a change again
+      const again = await syncEngine.syncFilesToGraph();
+      expect(again.details.unchanged).toBe(1);
+      expect(journal.logConflict).toHaveBeenCalledTimes(1);
+
+      mockFileStorage.listAllTasks.mockResolvedValueOnce([fileTask]);
+      mockGraphConnection.execute.mockResolvedValueOnce([{ t: graphTask }]);
+      const status = await syncEngine.verifySyncStatus();
+      expect(status.diff).toEqual([
+        { task_id: 'task-1', issue: 'conflict', file_path: fileTask.file_path, conflicts },
+      ]);
+    });
+
+    test('should apply file changes when the graph kept the synced values', async () => {
+      fileTask.title = 'Fix login (file)';
+      fileTask.content = '# Fix login (file)';
+      jest
+        .spyOn(syncEngine, 'getAllGraphTasks')
+        .mockResolvedValue([{ ...fileTask, title: 'Fix login', sync_version: 1 }]);
+
+      const result = await syncEngine.syncFilesToGraph();
+
+      expect(result.details).toMatchObject({ updated: 1, conflicts: 0 });
+      expect(journal.logConflict).not.toHaveBeenCalled();
+    });
+
+    test('should keep graph-owned fields for a recreated node', async () => {
+      syncEngine.recordGraphChange('task-1', { complexity_score: 0.4, is_atomic: true });
+      jest.spyOn(syncEngine, 'getAllGraphTasks').mockResolvedValue([]);
+      syncEngine.manifest.set(fileTask.file_path, { task_id: 'task-1', hash: 'stale' });
+
+      await syncEngine.syncFilesToGraph();
+
+      expect(mockGraphConnection.createTask).toHaveBeenCalled();
+      expect(mockGraphConnection.updateTask).toHaveBeenCalledWith('task-1', {
+        complexity_score: 0.4,
+        is_atomic: true,
+      });
+    });
+  });
+
+  describe('repair', () => {
+    const task = (id, fields = {}) => ({
+      id,
+      title: `Task ${id}`,
+      status: 'pending',
+      priority: 'medium',
+      dependencies: [],
+      file_path: `${tasksDir}/pending/${id}.md`,
+      ...fields,
+    });
+
+    test('should report dependency edges that differ from the file', async () => {
+      const fileTasks = [task('task-1', { dependencies: [{ id: 'task-2' }, { id: 'gone' }] })];
+      fileTasks.push(task('task-2'), task('task-3'));
+
+      mockFileStorage.listAllTasks.mockResolvedValueOnce(fileTasks);
+      mockGraphConnection.execute
+        .mockResolvedValueOnce(fileTasks.map(t => ({ t: { ...t } })))
+        .mockResolvedValueOnce([{ from_id: 'task-1', to_id: 'task-3' }]);
+
+      const status = await syncEngine.verifySyncStatus();
+
+      // 'gone' is not a task anywhere, so it can't be linked
+      expect(status.diff).toEqual([
+        {
+          task_id: 'task-1',
+          issue: 'dependencies_differ',
+          file_path: fileTasks[0].file_path,
+          missing: ['task-2'],
+          extra: ['task-3'],
+        },
+      ]);
+    });
+
+    test('should plan actions for each difference and skip conflicts', async () => {
+      const conflicts = [{ field: 'title', base: 'A', file: 'B', graph: 'C' }];
+      jest.spyOn(syncEngine, 'verifySyncStatus').mockResolvedValue({
+        in_sync: false,
+        diff: [
+          { task_id: 'task-1', issue: 'missing_in_graph', file_path: 'a.md' },
+          { task_id: 'task-2', issue: 'fields_differ', file_path: 'b.md', fields: ['status'] },
+          { task_id: 'task-3', issue: 'not_synced', file_path: 'c.md' },
+          { task_id: 'task-4', issue: 'conflict', file_path: 'd.md', conflicts },
+          {
+            task_id: 'task-5',
+            issue: 'dependencies_differ',
+            file_path: 'e.md',
+            missing: ['task-1'],
+            extra: [],
+          },
+          { task_id: 'ghost', issue: 'missing_file', file_path: null },
+        ],
+      });
+
+      const plan = await syncEngine.planRepair();
+
+      expect(plan).toEqual({
+        graph_error: null,
+        actions: [
+          { action: 'create', task_id: 'task-1', file_path: 'a.md' },
+          { action: 'update', task_id: 'task-2', file_path: 'b.md', fields: ['status'] },
+          { action: 'update', task_id: 'task-3', file_path: 'c.md' },
+          { action: 'relink', task_id: 'task-5', file_path: 'e.md', add: ['task-1'], remove: [] },
+          { action: 'delete', task_id: 'ghost' },
+        ],
+        skipped: [{ task_id: 'task-4', reason: 'conflict', fields: ['title'] }],
+      });
+    });
+
+    test('should plan a rebuild when the graph cannot be used', async () => {
+      mockGraphConnection.initialize.mockRejectedValueOnce(
+        new Error('This is not a valid Kuzu database directory')
+      );
+      mockFileStorage.listAllTasks.mockResolvedValueOnce([task('task-1'), task('task-2')]);
+
+      const plan = await syncEngine.planRepair();
+
+      expect(plan).toEqual({
+        graph_error: 'This is not a valid Kuzu database directory',
+        actions: [
+          {
+            action: 'rebuild',
+            reason: 'This is not a valid Kuzu database directory',
+            task_count: 2,
+          },
+        ],
+        skipped: [],
+      });
+    });
+
+    test('should replace an unusable database and recreate every task', async () => {
+      mockGraphConnection.execute.mockRejectedValueOnce(new Error('Database not initialized'));
+      mockGraphConnection.rebuild.mockResolvedValueOnce({
+        backup_path: '/tmp/.graph.db.corrupt-1',
+      });
+      mockFileStorage.listAllTasks.mockResolvedValue([task('task-1')]);
+
+      const result = await syncEngine.applyRepair({
+        actions: [{ action: 'rebuild', reason: 'Database not initialized', task_count: 1 }],
+      });
+
+      expect(mockGraphConnection.rebuild).toHaveBeenCalled();
+      expect(mockGraphConnection.createTask).toHaveBeenCalledTimes(1);
+      expect(result).toMatchObject({
+        status: 'rebuilt',
+        changes: 1,
+        backup_path: '/tmp/.graph.db.corrupt-1',
+      });
+    });
+
+    test('should apply other plans with a full sync and relink dependencies', async () => {
+      jest
+        .spyOn(syncEngine, 'syncFilesToGraph')
+        .mockResolvedValue({ status: 'synced', changes: 1 });
+      jest.spyOn(syncEngine, 'getAllGraphTasks').mockResolvedValue([task('task-1')]);
+      mockFileStorage.listAllTasks.mockResolvedValue([
+        task('task-1', { dependencies: [{ id: 'task-2' }] }),
+      ]);
+      mockGraphConnection.detectCircularDependencies.mockResolvedValueOnce([
+        { task_id: 'task-1', cycle: ['task-1'] },
+      ]);
+
+      const result = await syncEngine.applyRepair({
+        actions: [{ action: 'relink', task_id: 'task-1', add: ['task-2'], remove: [] }],
+      });
+
+      expect(syncEngine.syncFilesToGraph).toHaveBeenCalledWith({ full: true });
+      expect(mockGraphConnection.addDependency).toHaveBeenCalledWith('task-1', 'task-2');
+      expect(mockGraphConnection.rebuild).not.toHaveBeenCalled();
+      expect(result.status).toBe('repaired');
+      expect(result.dependencies).toEqual({
+        issues_fixed: 1,
+        details: [
+          { type: 'dependencies_differ', task_id: 'task-1', action: 'relinked' },
+          {
+            type: 'circular_dependency',
+            task_id: 'task-1',
+            cycle: ['task-1'],
+            action: 'edit_file',
+          },
+        ],
+      });
+    });
+  });
+
   describe('createTaskInGraph', () => {
     test('should create task with all fields', async () => {
       const fileTask = {
@@ -326,6 +800,9 @@ describe('SyncEngine Unit Tests', () => {
         description: 'Updated description',
         status: 'done',
         priority: 'low',
+        estimate: 3,
+        assignee: 'agent-a',
+        lease_expires_at: '2025-01-01T00:30:00.000Z',
         file_path: '/test/updated.md',
       };
 
@@ -336,6 +813,9 @@ describe('SyncEngine Unit Tests', () => {
         description: 'Updated description',
         status: 'done',
         priority: 'low',
+        estimate: 3,
+        assignee: 'agent-a',
+        lease_expires_at: '2025-01-01T00:30:00.000Z',
         file_path: '/test/updated.md',
       });
     });
@@ -352,6 +832,203 @@ describe('SyncEngine Unit Tests', () => {
     });
   });
 
+  describe('search index', () => {
+    test('should re-index tasks changed through MCP on the next sync', async () => {
+      const task = { id: 'task-1', title: 'Webhook retries', file_path: '/test/tasks/t.md' };
+      mockFileStorage.listAllTasks.mockResolvedValue([]);
+      mockFileStorage.readTaskFile.mockResolvedValue(task);
+      await syncEngine.searchIndex.build();
+
+      syncEngine.recordMcpChange('task-1', 'updated');
+      syncEngine.lastFullScan = Date.now();
+      await syncEngine.syncChangedFiles();
+
+      expect(mockFileStorage.readTaskFile).toHaveBeenCalledWith('task-1');
+      expect(syncEngine.searchIndex.search('webhook')[0].task_id).toBe('task-1');
+      expect(syncEngine.searchIndexPending.size).toBe(0);
+    });
+
+    test('should not read files before the index is built', async () => {
+      syncEngine.recordMcpChange('task-1', 'updated');
+      syncEngine.lastFullScan = Date.now();
+      await syncEngine.syncChangedFiles();
+
+      expect(mockFileStorage.readTaskFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('watched changes', () => {
+    let testDir;
+    let filePath;
+
+    beforeEach(async () => {
+      testDir = await realFs.mkdtemp(path.join(os.tmpdir(), 'sync-engine-watch-'));
+      filePath = path.join(testDir, 'task-1.md');
+      await realFs.writeFile(filePath, '# Edited in an editor');
+
+      mockFileStorage.writtenHashes = new Map();
+      mockFileStorage.isOwnWrite = (file, hash) => mockFileStorage.writtenHashes.get(file) === hash;
+      mockFileStorage.loadTaskFile = async file => ({
+        id: 'task-1',
+        file_path: file,
+        content: await realFs.readFile(file, 'utf8'),
+      });
+      mockFileStorage.readTaskFile.mockImplementation(() => mockFileStorage.loadTaskFile(filePath));
+      jest.spyOn(syncEngine, 'syncTaskToGraph');
+    });
+
+    afterEach(async () => {
+      await syncEngine.stopWatching();
+      await realFs.rm(testDir, { recursive: true, force: true });
+    });
+
+    test('should sync queued external edits once', async () => {
+      syncEngine.changedPaths.add(filePath);
+      const result = await syncEngine.processQueue();
+
+      expect(result).toEqual({ changes: 1 });
+      expect(syncEngine.syncTaskToGraph).toHaveBeenCalledWith('task-1');
+      expect(syncEngine.searchIndexPending.has('task-1')).toBe(true);
+
+      // The same content reported again needs no sync
+      syncEngine.changedPaths.add(filePath);
+      expect(await syncEngine.processQueue()).toEqual({ changes: 0 });
+      expect(syncEngine.syncTaskToGraph).toHaveBeenCalledTimes(1);
+    });
+
+    test('should skip files whose content this process wrote', async () => {
+      mockFileStorage.writtenHashes.set(filePath, hashContent('# Edited in an editor'));
+
+      syncEngine.changedPaths.add(filePath);
+      const result = await syncEngine.processQueue();
+
+      expect(result).toEqual({ changes: 0 });
+      expect(syncEngine.syncTaskToGraph).not.toHaveBeenCalled();
+    });
+
+    test('should skip files that no longer exist', async () => {
+      syncEngine.changedPaths.add(path.join(testDir, 'gone.md'));
+
+      expect(await syncEngine.processQueue()).toEqual({ changes: 0 });
+    });
+
+    test('should sync watcher batches on the next smart sync', async () => {
+      mockFileStorage.tasksDir = testDir;
+      mockFileStorage.statusDirs = ['.'];
+      const mode = await syncEngine.startWatching({ mode: 'poll', pollInterval: 60000 });
+      expect(mode).toBe('poll');
+
+      syncEngine.watcher.queue(filePath);
+      const result = await syncEngine.smartSync('low');
+
+      expect(result).toEqual({ changes: 1 });
+      expect(syncEngine.syncTaskToGraph).toHaveBeenCalledWith('task-1');
+    });
+  });
+
+  describe('external moves and deletes', () => {
+    let testDir;
+    let journal;
+    let pendingPath;
+    let donePath;
+
+    beforeEach(async () => {
+      testDir = await realFs.mkdtemp(path.join(os.tmpdir(), 'sync-engine-external-'));
+      await realFs.mkdir(path.join(testDir, 'pending'));
+      await realFs.mkdir(path.join(testDir, 'done'));
+      pendingPath = path.join(testDir, 'pending', 'task-1-fix-login.md');
+      donePath = path.join(testDir, 'done', 'task-1-fix-login.md');
+      await realFs.writeFile(pendingPath, '# Fix login');
+
+      journal = { logExternalChange: jest.fn().mockResolvedValue() };
+      syncEngine = new SyncEngine(mockFileStorage, mockGraphConnection, { journal });
+
+      const taskAt = file => ({ id: 'task-1', file_path: file, content: '# Fix login' });
+      mockFileStorage.loadTaskFile = async file => {
+        await realFs.access(file);
+        return taskAt(file);
+      };
+      mockFileStorage.readTaskFile.mockImplementation(async () => {
+        const [task] = await mockFileStorage.listAllTasks();
+        return task || null;
+      });
+      mockFileStorage.listAllTasks.mockResolvedValue([taskAt(pendingPath)]);
+      mockGraphConnection.getTask.mockResolvedValue({ id: 'task-1', file_path: pendingPath });
+      jest.spyOn(syncEngine, 'syncTaskToGraph');
+      jest.spyOn(syncEngine, 'deleteTaskFromGraph').mockResolvedValue();
+
+      // The last sync recorded where the task lives
+      syncEngine.manifest.set(pendingPath, { task_id: 'task-1', hash: hashContent('# Fix login') });
+    });
+
+    afterEach(async () => {
+      await realFs.rm(testDir, { recursive: true, force: true });
+    });
+
+    test('should sync and journal a file moved to another status directory', async () => {
+      await realFs.rename(pendingPath, donePath);
+      mockFileStorage.listAllTasks.mockResolvedValue([
+        { id: 'task-1', file_path: donePath, content: '# Fix login' },
+      ]);
+
+      const result = await syncEngine.syncChangedFiles();
+
+      expect(result).toEqual({ changes: 1 });
+      expect(syncEngine.syncTaskToGraph).toHaveBeenCalledWith('task-1');
+      expect(journal.logExternalChange).toHaveBeenCalledWith('moved', 'task-1', {
+        from: pendingPath,
+        to: donePath,
+        old_status: 'pending',
+        new_status: 'done',
+      });
+    });
+
+    test('should remove a deleted file from the graph and journal it', async () => {
+      await realFs.rm(pendingPath);
+      mockFileStorage.listAllTasks.mockResolvedValue([]);
+
+      await syncEngine.syncChangedFiles();
+
+      expect(syncEngine.deleteTaskFromGraph).toHaveBeenCalledWith('task-1');
+      expect(journal.logExternalChange).toHaveBeenCalledWith('deleted', 'task-1', {
+        file_path: pendingPath,
+      });
+      expect(syncEngine.manifest.pathOf('task-1')).toBeUndefined();
+    });
+
+    test('should not report moves and deletes made by this process', async () => {
+      mockFileStorage.isOwnRemoval.mockReturnValue(true);
+      mockFileStorage.listAllTasks.mockResolvedValue([]);
+
+      const result = await syncEngine.syncChangedFiles();
+
+      expect(result).toEqual({ changes: 0 });
+      expect(syncEngine.deleteTaskFromGraph).not.toHaveBeenCalled();
+      expect(journal.logExternalChange).not.toHaveBeenCalled();
+    });
+
+    test('should detect a rename from watcher events', async () => {
+      const renamedPath = path.join(testDir, 'pending', 'task-1-login-bug.md');
+      await realFs.rename(pendingPath, renamedPath);
+      mockFileStorage.listAllTasks.mockResolvedValue([
+        { id: 'task-1', file_path: renamedPath, content: '# Fix login' },
+      ]);
+
+      // Events arrive for the old path first, the new one is still synced first
+      syncEngine.changedPaths.add(pendingPath);
+      syncEngine.changedPaths.add(renamedPath);
+      const result = await syncEngine.processQueue();
+
+      expect(result).toEqual({ changes: 1 });
+      expect(journal.logExternalChange).toHaveBeenCalledTimes(1);
+      expect(journal.logExternalChange).toHaveBeenCalledWith('renamed', 'task-1', {
+        from: pendingPath,
+        to: renamedPath,
+      });
+      expect(syncEngine.manifest.pathOf('task-1')).toBe(renamedPath);
+    });
+  });
+
   describe('clearCache', () => {
     test('should reset last sync time', () => {
       syncEngine.lastSyncTime = Date.now();
@@ -362,6 +1039,14 @@ describe('SyncEngine Unit Tests', () => {
       expect(syncEngine.lastSyncTime).toBe(null);
       expect(syncEngine.lastSyncTime).not.toBe(oldTime);
     });
+
+    test('should rebuild the search index on next search', () => {
+      syncEngine.searchIndex.built = true;
+
+      syncEngine.clearCache();
+
+      expect(syncEngine.searchIndex.built).toBe(false);
+    });
   });
 
   describe('performance', () => {
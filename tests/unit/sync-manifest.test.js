@@ -0,0 +1,82 @@
+import { describe, beforeEach, afterEach, test, expect } from '@jest/globals';
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { SyncManifest } from '../../src/core/sync-manifest.js';
+
+describe('SyncManifest', () => {
+  let tasksDir;
+  let manifest;
+
+  beforeEach(async () => {
+    tasksDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sync-manifest-'));
+    manifest = new SyncManifest(tasksDir);
+    await manifest.load();
+  });
+
+  afterEach(async () => {
+    await fs.rm(tasksDir, { recursive: true, force: true });
+  });
+
+  test('should start empty without a manifest file', () => {
+    expect(manifest.taskIds()).toEqual([]);
+    expect(manifest.get(path.join(tasksDir, 'pending', 'task-1.md'))).toBeUndefined();
+  });
+
+  test('should persist entries relative to the tasks directory', async () => {
+    const filePath = path.join(tasksDir, 'pending', 'task-1.md');
+    manifest.set(filePath, { task_id: 'task-1', hash: 'abc', graph_version: 3 });
+    await manifest.save();
+
+    const saved = JSON.parse(await fs.readFile(manifest.manifestPath, 'utf8'));
+    expect(saved.version).toBe(1);
+    expect(saved.files).toEqual({
+      'pending/task-1.md': { task_id: 'task-1', hash: 'abc', graph_version: 3 },
+    });
+
+    const reloaded = new SyncManifest(tasksDir);
+    await reloaded.load();
+    expect(reloaded.get(filePath)).toEqual({ task_id: 'task-1', hash: 'abc', graph_version: 3 });
+    expect(reloaded.pathOf('task-1')).toBe(filePath);
+  });
+
+  test('should follow a task to its new path and keep its graph version', () => {
+    const pendingPath = path.join(tasksDir, 'pending', 'task-1.md');
+    const donePath = path.join(tasksDir, 'done', 'task-1.md');
+    manifest.set(pendingPath, { task_id: 'task-1', hash: 'abc', graph_version: 2 });
+
+    manifest.set(donePath, { task_id: 'task-1', hash: 'def' });
+
+    expect(manifest.get(pendingPath)).toBeUndefined();
+    expect(manifest.get(donePath)).toEqual({ task_id: 'task-1', hash: 'def', graph_version: 2 });
+    expect(manifest.pathOf('task-1')).toBe(donePath);
+  });
+
+  test('should forget deleted tasks', () => {
+    const filePath = path.join(tasksDir, 'pending', 'task-1.md');
+    manifest.set(filePath, { task_id: 'task-1', hash: 'abc', graph_version: 1 });
+
+    manifest.deleteTask('task-1');
+
+    expect(manifest.get(filePath)).toBeUndefined();
+    expect(manifest.taskIds()).toEqual([]);
+  });
+
+  test('should ignore an unreadable manifest', async () => {
+    await fs.writeFile(manifest.manifestPath, '{ not json');
+
+    const reloaded = new SyncManifest(tasksDir);
+    await reloaded.load();
+
+    expect(reloaded.taskIds()).toEqual([]);
+  });
+
+  test('should only write when changed', async () => {
+    await manifest.save();
+    await expect(fs.access(manifest.manifestPath)).rejects.toThrow();
+
+    manifest.set(path.join(tasksDir, 'task-1.md'), { task_id: 'task-1', hash: 'abc' });
+    await manifest.save();
+    await expect(fs.access(manifest.manifestPath)).resolves.toBeUndefined();
+  });
+});
@@ -1,5 +1,13 @@
 import { jest, describe, beforeEach, test, expect } from '@jest/globals';
 import { TaskManager } from '../../src/core/task-manager.js';
+import {
+  AmbiguousTaskReferenceError,
+  DuplicateTaskError,
+  InvalidBatchError,
+  LeaseConflictError,
+  UnknownConflictError,
+  UnmetCriteriaError,
+} from '../../src/core/errors.js';
 // import { promises as fs } from 'fs';
 // import path from 'path';
 
@@ -12,15 +20,28 @@ describe('TaskManager Unit Tests (Simple)', () => {
     initialize: jest.fn().mockResolvedValue(true),
     createTaskFile: jest.fn().mockResolvedValue('/tmp/test-tasks/pending/test.md'),
     readTaskFile: jest.fn().mockResolvedValue(null),
+    updateTaskFile: jest.fn().mockResolvedValue('/tmp/test-tasks/pending/updated.md'),
+    updateTaskStatus: jest.fn().mockResolvedValue('/tmp/test-tasks/done/test.md'),
     listAllTasks: jest.fn().mockResolvedValue([]),
     taskFileExists: jest.fn().mockResolvedValue(false),
+    ownWriteOf: jest.fn().mockReturnValue(null),
   };
 
   const mockGraphConnection = {
     initialize: jest.fn().mockResolvedValue(true),
     createTask: jest.fn().mockResolvedValue(true),
     addDependency: jest.fn().mockResolvedValue(true),
+    removeDependency: jest.fn().mockResolvedValue(true),
+    hasCircularDependency: jest.fn().mockResolvedValue(false),
+    getDependents: jest.fn().mockResolvedValue([]),
+    updateTask: jest.fn().mockResolvedValue(true),
     getTask: jest.fn().mockResolvedValue(null),
+    setCriteria: jest.fn().mockResolvedValue(true),
+    setTags: jest.fn().mockResolvedValue(true),
+    findTaskIdsByTags: jest.fn().mockResolvedValue([]),
+    findNextTask: jest.fn().mockResolvedValue(null),
+    findExpiredLeases: jest.fn().mockResolvedValue([]),
+    queryTasks: jest.fn().mockResolvedValue({ ids: [], total: 0 }),
   };
 
   beforeEach(() => {
@@ -296,6 +317,7 @@ describe('TaskManager Unit Tests (Simple)', () => {
     test('should handle dependencies correctly', async () => {
       mockFileStorage.listAllTasks.mockResolvedValue([]);
       mockFileStorage.readTaskFile.mockResolvedValue({
+        id: 'auth-task-id',
         semantic_id: 'AUTH-1.01',
       });
 
@@ -322,4 +344,1360 @@ describe('TaskManager Unit Tests (Simple)', () => {
       );
     });
   });
+
+  describe('updateTask', () => {
+    const existingTask = () => ({
+      id: 'task-1',
+      semantic_id: 'API-1.03',
+      title: 'Create login endpoint',
+      description: 'REST endpoint for login',
+      priority: 'medium',
+      status: 'pending',
+      dependencies: [{ id: 'dep-old', status: 'done' }],
+      file_path: '/tmp/test-tasks/pending/API-1.03-task-1-create-login-endpoint.md',
+    });
+
+    test('should keep semantic ID when stream and phase are unchanged', async () => {
+      mockFileStorage.readTaskFile.mockResolvedValueOnce(existingTask());
+
+      const result = await taskManager.updateTask('task-1', {
+        title: 'Create login API endpoint',
+        priority: 'high',
+      });
+
+      expect(result.semantic_id).toBe('API-1.03');
+      expect(result.changed).toEqual(['title', 'priority']);
+      expect(mockFileStorage.updateTaskFile).toHaveBeenCalledWith('task-1', {
+        title: 'Create login API endpoint',
+        priority: 'high',
+      });
+      expect(mockGraphConnection.updateTask).toHaveBeenCalledWith(
+        'task-1',
+        expect.objectContaining({
+          title: 'Create login API endpoint',
+          priority: 'high',
+          file_path: '/tmp/test-tasks/pending/updated.md',
+        })
+      );
+    });
+
+    test('should regenerate semantic ID when the stream changes', async () => {
+      mockFileStorage.readTaskFile.mockResolvedValueOnce(existingTask());
+      mockFileStorage.listAllTasks.mockResolvedValueOnce([{ semantic_id: 'DOC-1.01' }]);
+
+      const result = await taskManager.updateTask('task-1', {
+        title: 'Write the readme',
+        description: 'Usage guide',
+      });
+
+      expect(result.semantic_id).toBe('DOC-1.02');
+      expect(result.changed).toContain('semantic_id');
+      expect(mockFileStorage.updateTaskFile).toHaveBeenCalledWith(
+        'task-1',
+        expect.objectContaining({ semantic_id: 'DOC-1.02' })
+      );
+    });
+
+    test('should re-link changed dependencies in the graph', async () => {
+      mockFileStorage.readTaskFile
+        .mockResolvedValueOnce(existingTask())
+        .mockResolvedValueOnce({ id: 'dep-new', semantic_id: 'DATA-1.01' })
+        .mockResolvedValueOnce({ id: 'dep-new', semantic_id: 'DATA-1.01' });
+      mockFileStorage.listAllTasks.mockResolvedValueOnce([]);
+
+      const result = await taskManager.updateTask('task-1', { dependencies: ['dep-new'] });
+
+      expect(result.semantic_id).toBe('API-2.01');
+      expect(mockGraphConnection.removeDependency).toHaveBeenCalledWith('task-1', 'dep-old');
+      expect(mockGraphConnection.addDependency).toHaveBeenCalledWith('task-1', 'dep-new');
+      expect(mockFileStorage.updateTaskFile).toHaveBeenCalledWith(
+        'task-1',
+        expect.objectContaining({ dependencies: [{ id: 'dep-new', status: 'unknown' }] })
+      );
+    });
+
+    test('should report no changes without rewriting the file', async () => {
+      mockFileStorage.readTaskFile.mockResolvedValueOnce(existingTask());
+
+      const result = await taskManager.updateTask('task-1', { priority: 'medium' });
+
+      expect(result.changed).toEqual([]);
+      expect(mockFileStorage.updateTaskFile).not.toHaveBeenCalled();
+    });
+
+    test('should reject invalid updates', async () => {
+      await expect(taskManager.updateTask('task-1', { status: 'done' })).rejects.toThrow(
+        'Cannot update field(s): status'
+      );
+      await expect(taskManager.updateTask('task-1', { title: '  ' })).rejects.toThrow(
+        'Title cannot be empty'
+      );
+      await expect(taskManager.updateTask('task-1', { priority: 'urgent' })).rejects.toThrow(
+        'Invalid priority: urgent'
+      );
+      await expect(taskManager.updateTask('task-1', { dependencies: ['task-1'] })).rejects.toThrow(
+        'cannot depend on itself'
+      );
+    });
+
+    test('should throw for non-existent task', async () => {
+      mockFileStorage.readTaskFile.mockResolvedValueOnce(null);
+
+      await expect(taskManager.updateTask('missing', { title: 'New' })).rejects.toThrow(
+        'Task missing not found'
+      );
+    });
+  });
+
+  describe('addDependency / removeDependency', () => {
+    const task = deps => ({
+      id: 'task-1',
+      title: 'Create login endpoint',
+      status: 'pending',
+      dependencies: deps,
+    });
+
+    beforeEach(() => {
+      // Earlier tests leave a default readTaskFile result behind
+      mockFileStorage.readTaskFile.mockResolvedValue(null);
+    });
+
+    test('should link two existing tasks and refresh dependents', async () => {
+      mockFileStorage.readTaskFile
+        .mockResolvedValueOnce(task([]))
+        .mockResolvedValueOnce({ id: 'task-2', title: 'Schema', status: 'done' });
+      mockGraphConnection.getDependents.mockResolvedValueOnce([
+        { id: 'task-1', title: 'Create login endpoint', status: 'pending' },
+      ]);
+
+      const result = await taskManager.addDependency('task-1', 'task-2');
+
+      expect(result).toEqual({ task_id: 'task-1', depends_on: 'task-2', added: true });
+      expect(mockGraphConnection.hasCircularDependency).toHaveBeenCalledWith('task-1', 'task-2');
+      expect(mockGraphConnection.addDependency).toHaveBeenCalledWith('task-1', 'task-2');
+      expect(mockFileStorage.updateTaskFile).toHaveBeenCalledWith('task-1', {
+        dependencies: [{ id: 'task-2', status: 'unknown' }],
+      });
+      expect(mockFileStorage.updateTaskFile).toHaveBeenCalledWith('task-2', {
+        dependents: [{ id: 'task-1', title: 'Create login endpoint', status: 'pending' }],
+      });
+    });
+
+    test('should sync before the cycle check and write the file before the graph', async () => {
+      const calls = [];
+      taskManager.sync.smartSync = jest.fn(async () => calls.push('sync'));
+      mockGraphConnection.hasCircularDependency.mockImplementationOnce(async () => {
+        calls.push('cycle check');
+        return false;
+      });
+      mockFileStorage.updateTaskFile.mockImplementationOnce(async () => calls.push('file'));
+      mockGraphConnection.addDependency.mockImplementationOnce(async () => calls.push('graph'));
+      mockFileStorage.readTaskFile
+        .mockResolvedValueOnce(task([]))
+        .mockResolvedValueOnce({ id: 'task-2', title: 'Schema', status: 'done' });
+
+      await taskManager.addDependency('task-1', 'task-2');
+
+      expect(taskManager.sync.smartSync).toHaveBeenCalledWith('high');
+      expect(calls).toEqual(['sync', 'cycle check', 'file', 'graph']);
+    });
+
+    test('should restore the file when the edge cannot be created', async () => {
+      const existing = { id: 'task-3', status: 'done' };
+      mockFileStorage.readTaskFile
+        .mockResolvedValueOnce(task([existing]))
+        .mockResolvedValueOnce({ id: 'task-2', title: 'Schema', status: 'done' });
+      mockGraphConnection.addDependency.mockResolvedValueOnce(false);
+
+      await expect(taskManager.addDependency('task-1', 'task-2')).rejects.toThrow(
+        'missing from the graph'
+      );
+      expect(mockFileStorage.updateTaskFile.mock.calls).toEqual([
+        ['task-1', { dependencies: [existing, { id: 'task-2', status: 'unknown' }] }],
+        ['task-1', { dependencies: [existing] }],
+      ]);
+
+      mockFileStorage.readTaskFile
+        .mockResolvedValueOnce(task([]))
+        .mockResolvedValueOnce({ id: 'task-2', title: 'Schema', status: 'done' });
+      mockGraphConnection.addDependency.mockRejectedValueOnce(new Error('Graph unavailable'));
+
+      await expect(taskManager.addDependency('task-1', 'task-2')).rejects.toThrow(
+        'Graph unavailable'
+      );
+      expect(mockFileStorage.updateTaskFile).toHaveBeenLastCalledWith('task-1', {
+        dependencies: [],
+      });
+    });
+
+    test('should reject a link that would create a cycle', async () => {
+      mockFileStorage.readTaskFile
+        .mockResolvedValueOnce(task([]))
+        .mockResolvedValueOnce({ id: 'task-2', title: 'Schema', status: 'pending' });
+      mockGraphConnection.hasCircularDependency.mockResolvedValueOnce(true);
+
+      await expect(taskManager.addDependency('task-1', 'task-2')).rejects.toThrow(
+        'circular dependency'
+      );
+      expect(mockGraphConnection.addDependency).not.toHaveBeenCalled();
+      expect(mockFileStorage.updateTaskFile).not.toHaveBeenCalled();
+    });
+
+    test('should reject a link to a missing task', async () => {
+      mockFileStorage.readTaskFile.mockResolvedValueOnce(task([]));
+
+      await expect(taskManager.addDependency('task-1', 'ghost')).rejects.toThrow(
+        'Dependency task ghost not found'
+      );
+      expect(mockGraphConnection.addDependency).not.toHaveBeenCalled();
+    });
+
+    test('should reject cycles introduced through updateTask', async () => {
+      mockFileStorage.readTaskFile
+        .mockResolvedValueOnce(task([]))
+        .mockResolvedValueOnce({ id: 'task-2', title: 'Schema', status: 'pending' });
+      mockGraphConnection.hasCircularDependency.mockResolvedValueOnce(true);
+
+      await expect(taskManager.updateTask('task-1', { dependencies: ['task-2'] })).rejects.toThrow(
+        'circular dependency'
+      );
+      expect(mockFileStorage.updateTaskFile).not.toHaveBeenCalled();
+    });
+
+    test('should unlink tasks and skip missing targets', async () => {
+      mockFileStorage.readTaskFile.mockResolvedValueOnce(
+        task([
+          { id: 'task-2', status: 'done' },
+          { id: 'task-3', status: 'pending' },
+        ])
+      );
+
+      const result = await taskManager.removeDependency('task-1', 'task-2');
+
+      expect(result).toEqual({ task_id: 'task-1', depends_on: 'task-2', removed: true });
+      expect(mockGraphConnection.removeDependency).toHaveBeenCalledWith('task-1', 'task-2');
+      expect(mockFileStorage.updateTaskFile).toHaveBeenCalledTimes(1);
+      expect(mockFileStorage.updateTaskFile).toHaveBeenCalledWith('task-1', {
+        dependencies: [{ id: 'task-3', status: 'pending' }],
+      });
+    });
+
+    test('should report links that do not exist', async () => {
+      mockFileStorage.readTaskFile.mockResolvedValueOnce(task([]));
+
+      const result = await taskManager.removeDependency('task-1', 'task-2');
+
+      expect(result.removed).toBe(false);
+      expect(mockGraphConnection.removeDependency).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resolveTaskId', () => {
+    const tasks = [
+      { id: 'mbs123-a1b2c3', semantic_id: 'API-1.01', title: 'Create login endpoint' },
+      { id: 'mbs124-d4e5f6', semantic_id: 'API-1.02', title: 'Create logout endpoint' },
+      { id: 'mcz999-g7h8i9', semantic_id: 'DOC-1.01', title: 'Write README' },
+    ];
+
+    beforeEach(() => {
+      mockFileStorage.readTaskFile.mockResolvedValue(null);
+      mockFileStorage.listAllTasks.mockResolvedValue(tasks);
+    });
+
+    test('should accept the internal ID directly', async () => {
+      mockFileStorage.readTaskFile.mockResolvedValueOnce(tasks[0]);
+
+      expect(await taskManager.resolveTaskId('mbs123-a1b2c3')).toBe('mbs123-a1b2c3');
+      expect(mockFileStorage.listAllTasks).not.toHaveBeenCalled();
+    });
+
+    test('should resolve semantic IDs, ID prefixes and titles', async () => {
+      expect(await taskManager.resolveTaskId('api-1.02')).toBe('mbs124-d4e5f6');
+      expect(await taskManager.resolveTaskId('mcz')).toBe('mcz999-g7h8i9');
+      expect(await taskManager.resolveTaskId('write readme')).toBe('mcz999-g7h8i9');
+      expect(await taskManager.resolveTaskId('logout')).toBe('mbs124-d4e5f6');
+    });
+
+    test('should list candidates when the reference is ambiguous', async () => {
+      const error = await taskManager.resolveTaskId('mbs12').catch(e => e);
+
+      expect(error).toBeInstanceOf(AmbiguousTaskReferenceError);
+      expect(error.message).toContain('API-1.01 (mbs123-a1b2c3) - Create login endpoint');
+      expect(error.details.candidates.map(c => c.id)).toEqual(['mbs123-a1b2c3', 'mbs124-d4e5f6']);
+    });
+
+    test('should return null when nothing matches', async () => {
+      expect(await taskManager.resolveTaskId('deploy')).toBeNull();
+      expect(await taskManager.resolveTaskId('')).toBeNull();
+    });
+  });
+
+  describe('acceptance criteria', () => {
+    const task = criteria => ({
+      id: 'task-1',
+      title: 'Create login endpoint',
+      status: 'in-progress',
+      dependencies: [],
+      acceptance_criteria: criteria,
+    });
+
+    beforeEach(() => {
+      mockFileStorage.readTaskFile.mockResolvedValue(null);
+    });
+
+    test('should create tasks with unchecked criteria', async () => {
+      await taskManager.createTask({
+        title: 'Create login endpoint',
+        acceptance_criteria: [' Returns 200 ', 'Rejects bad passwords'],
+      });
+
+      expect(mockFileStorage.createTaskFile).toHaveBeenCalledWith(
+        expect.objectContaining({
+          acceptance_criteria: [
+            { text: 'Returns 200', is_checked: false },
+            { text: 'Rejects bad passwords', is_checked: false },
+          ],
+        })
+      );
+      expect(mockGraphConnection.setCriteria).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.arrayContaining([{ text: 'Returns 200', is_checked: false }])
+      );
+      await expect(
+        taskManager.createTask({ title: 'Bad', acceptance_criteria: [''] })
+      ).rejects.toThrow('Acceptance criteria must be non-empty strings');
+    });
+
+    test('should check items by position or text', async () => {
+      mockFileStorage.readTaskFile.mockResolvedValueOnce(
+        task([
+          { text: 'Returns 200', is_checked: false },
+          { text: 'Rejects bad passwords', is_checked: false },
+          { text: 'Logs attempts', is_checked: false },
+        ])
+      );
+
+      const result = await taskManager.checkCriteria('task-1', [1, 'bad passwords']);
+
+      expect(result.remaining).toBe(1);
+      expect(result.criteria.map(c => c.is_checked)).toEqual([true, true, false]);
+      expect(mockFileStorage.updateTaskFile).toHaveBeenCalledWith('task-1', {
+        acceptance_criteria: [
+          { text: 'Returns 200', is_checked: true },
+          { text: 'Rejects bad passwords', is_checked: true },
+          { text: 'Logs attempts', is_checked: false },
+        ],
+      });
+      expect(mockGraphConnection.setCriteria).toHaveBeenCalledWith(
+        'task-1',
+        expect.arrayContaining([{ text: 'Logs attempts', is_checked: false }])
+      );
+    });
+
+    test('should reject unknown or ambiguous items', async () => {
+      const criteria = [
+        { text: 'Returns 200', is_checked: false },
+        { text: 'Returns 401', is_checked: false },
+      ];
+      mockFileStorage.readTaskFile.mockResolvedValue(task(criteria));
+
+      await expect(taskManager.checkCriteria('task-1', [3])).rejects.toThrow(
+        'Acceptance criterion 3 does not exist'
+      );
+      await expect(taskManager.checkCriteria('task-1', ['returns'])).rejects.toThrow(
+        'is ambiguous'
+      );
+      await expect(taskManager.checkCriteria('task-1', ['deploys'])).rejects.toThrow(
+        'No acceptance criterion matches "deploys"'
+      );
+      expect(mockFileStorage.updateTaskFile).not.toHaveBeenCalled();
+    });
+
+    test('should keep checked state when criteria are edited', async () => {
+      mockFileStorage.readTaskFile.mockResolvedValueOnce(
+        task([
+          { text: 'Returns 200', is_checked: true },
+          { text: 'Logs attempts', is_checked: false },
+        ])
+      );
+
+      const result = await taskManager.updateTask('task-1', {
+        acceptance_criteria: ['Returns 200', 'Rate limited'],
+      });
+
+      expect(result.changed).toEqual(['acceptance_criteria']);
+      expect(mockGraphConnection.setCriteria).toHaveBeenCalledWith('task-1', [
+        { text: 'Returns 200', is_checked: true },
+        { text: 'Rate limited', is_checked: false },
+      ]);
+    });
+
+    test('should refuse to complete a task with unchecked criteria', async () => {
+      mockFileStorage.readTaskFile.mockResolvedValue(
+        task([
+          { text: 'Returns 200', is_checked: true },
+          { text: 'Logs attempts', is_checked: false },
+        ])
+      );
+
+      const error = await taskManager.updateTaskStatus('task-1', 'done').catch(e => e);
+
+      expect(error).toBeInstanceOf(UnmetCriteriaError);
+      expect(error.details.unchecked).toEqual([{ position: 2, text: 'Logs attempts' }]);
+      expect(mockFileStorage.updateTaskStatus).not.toHaveBeenCalled();
+
+      // Other transitions are not gated
+      await taskManager.updateTaskStatus('task-1', 'archive');
+      expect(mockFileStorage.updateTaskStatus).toHaveBeenCalledWith('task-1', 'archive');
+    });
+
+    test('should complete with unchecked criteria when forced', async () => {
+      mockFileStorage.readTaskFile.mockResolvedValue(
+        task([{ text: 'Logs attempts', is_checked: false }])
+      );
+
+      const result = await taskManager.updateTaskStatus('task-1', 'done', { force: true });
+
+      expect(result.status).toBe('done');
+      expect(mockFileStorage.updateTaskStatus).toHaveBeenCalledWith('task-1', 'done');
+    });
+  });
+
+  describe('tags', () => {
+    beforeEach(() => {
+      mockFileStorage.readTaskFile.mockResolvedValue(null);
+      mockFileStorage.listAllTasks.mockResolvedValue([]);
+    });
+
+    test('should normalize tags on create', async () => {
+      await taskManager.createTask({
+        title: 'Login endpoint',
+        tags: ['Backend', ' api ', 'backend'],
+      });
+
+      expect(mockFileStorage.createTaskFile).toHaveBeenCalledWith(
+        expect.objectContaining({ tags: ['backend', 'api'] })
+      );
+      expect(mockGraphConnection.setTags).toHaveBeenCalledWith(expect.any(String), [
+        'backend',
+        'api',
+      ]);
+      await expect(taskManager.createTask({ title: 'Bad', tags: 'backend' })).rejects.toThrow(
+        'Tags must be an array'
+      );
+    });
+
+    test('should relink tags on update', async () => {
+      mockFileStorage.readTaskFile.mockResolvedValueOnce({
+        id: 'task-1',
+        title: 'Login endpoint',
+        dependencies: [],
+        tags: ['backend'],
+      });
+
+      const result = await taskManager.updateTask('task-1', { tags: ['backend', 'security'] });
+
+      expect(result.changed).toEqual(['tags']);
+      expect(mockGraphConnection.setTags).toHaveBeenCalledWith('task-1', ['backend', 'security']);
+    });
+
+    test('should filter listed tasks through the graph', async () => {
+      mockFileStorage.listAllTasks.mockResolvedValue([
+        { id: 'a', priority: 'high', tags: ['backend'] },
+        { id: 'b', priority: 'high', tags: ['frontend'] },
+      ]);
+      mockGraphConnection.findTaskIdsByTags.mockResolvedValueOnce(['a']);
+
+      const tasks = await taskManager.listTasks({ tags: ['Backend'], tag_mode: 'all' });
+
+      expect(tasks.map(t => t.id)).toEqual(['a']);
+      expect(mockGraphConnection.findTaskIdsByTags).toHaveBeenCalledWith({
+        tags: ['backend'],
+        tag_mode: 'all',
+        exclude_tags: [],
+      });
+    });
+
+    test('should pass tag filters to findNextTask', async () => {
+      await taskManager.findNextTask({ tags: ['backend'], exclude_tags: ['blocked-external'] });
+
+      expect(mockGraphConnection.findNextTask).toHaveBeenCalledWith({
+        tags: ['backend'],
+        tag_mode: 'any',
+        exclude_tags: ['blocked-external'],
+        available_to: taskManager.leases.assignee,
+      });
+      await expect(taskManager.findNextTask({ tag_mode: 'some' })).rejects.toThrow(
+        'Invalid tag mode: some'
+      );
+    });
+  });
+
+  describe('queryTasks', () => {
+    const tasks = [
+      { id: 'mbs123-a1b2c3', semantic_id: 'API-1.01', title: 'Create login endpoint' },
+      { id: 'mbs124-d4e5f6', semantic_id: 'API-1.02', title: 'Create logout endpoint' },
+    ];
+
+    beforeEach(() => {
+      mockFileStorage.readTaskFile.mockResolvedValue(null);
+      mockFileStorage.listAllTasks.mockResolvedValue(tasks);
+    });
+
+    test('should evaluate the query in the graph and return the page in graph order', async () => {
+      mockGraphConnection.queryTasks.mockResolvedValueOnce({
+        ids: ['mbs124-d4e5f6', 'mbs123-a1b2c3'],
+        total: 7,
+      });
+
+      const result = await taskManager.queryTasks({
+        query: 'tag:backend',
+        status: 'pending',
+        sort: '-created',
+        limit: 2,
+        offset: 4,
+      });
+
+      expect(result).toEqual({ tasks: [tasks[1], tasks[0]], total: 7, limit: 2, offset: 4 });
+      expect(mockGraphConnection.queryTasks).toHaveBeenCalledWith({
+        where: {
+          type: 'and',
+          terms: [
+            { type: 'field', field: 'status', values: ['pending'] },
+            { type: 'field', field: 'tag', values: ['backend'] },
+          ],
+        },
+        tagFilters: { tags: [], tag_mode: 'any', exclude_tags: [] },
+        sort: [{ key: 'created', direction: 'desc' }],
+        limit: 2,
+        offset: 4,
+      });
+    });
+
+    test('should resolve parent references', async () => {
+      await taskManager.queryTasks({ query: 'NOT parent:api-1.02' });
+
+      expect(mockGraphConnection.queryTasks).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: {
+            type: 'not',
+            term: { type: 'field', field: 'parent', values: ['mbs124-d4e5f6'] },
+          },
+        })
+      );
+      await expect(taskManager.queryTasks({ query: 'parent:deploy' })).rejects.toThrow(
+        'Unknown parent task in query: deploy'
+      );
+    });
+
+    test('should validate pagination', async () => {
+      await expect(taskManager.queryTasks({ limit: 0 })).rejects.toThrow(
+        'Limit must be a positive integer'
+      );
+      await expect(taskManager.queryTasks({ offset: -1 })).rejects.toThrow(
+        'Offset must be a non-negative integer'
+      );
+    });
+
+    test('should be used by listTasks when a query is given', async () => {
+      mockGraphConnection.queryTasks.mockResolvedValueOnce({ ids: ['mbs123-a1b2c3'], total: 1 });
+
+      expect(await taskManager.listTasks({ query: 'login' })).toEqual([tasks[0]]);
+    });
+  });
+
+  describe('searchTasks', () => {
+    test('should build the index on first search and limit the results', async () => {
+      mockFileStorage.listAllTasks.mockResolvedValue([
+        { id: 'a', title: 'Webhook retries', status: 'pending' },
+        { id: 'b', title: 'Webhook signatures', status: 'pending' },
+      ]);
+
+      const result = await taskManager.searchTasks('webhook', { limit: 1 });
+
+      expect(result.total).toBe(2);
+      expect(result.results).toHaveLength(1);
+      expect(taskManager.sync.searchIndex.built).toBe(true);
+    });
+
+    test('should reject empty queries', async () => {
+      await expect(taskManager.searchTasks('  ')).rejects.toThrow('Search query is required');
+      await expect(taskManager.searchTasks('x', { limit: 0 })).rejects.toThrow(
+        'Limit must be a positive integer'
+      );
+    });
+  });
+  describe('duplicate detection', () => {
+    const existing = {
+      id: 'login-abc123',
+      semantic_id: 'API-1.01',
+      title: 'Implement login API endpoint',
+      status: 'pending',
+      file_path: '/tmp/test-tasks/pending/login-abc123.md',
+    };
+
+    beforeEach(() => {
+      mockFileStorage.listAllTasks.mockResolvedValue([existing]);
+    });
+
+    test('should warn about likely duplicates and create the task', async () => {
+      const result = await taskManager.createTask({ title: 'Add login endpoint' });
+
+      expect(result.duplicates).toEqual([
+        expect.objectContaining({ id: 'login-abc123', score: 0.8 }),
+      ]);
+      expect(mockFileStorage.createTaskFile).toHaveBeenCalled();
+    });
+
+    test('should refuse to create a duplicate with the reject policy', async () => {
+      const error = await taskManager
+        .createTask({ title: 'Add login endpoint', duplicate_policy: 'reject' })
+        .catch(e => e);
+
+      expect(error).toBeInstanceOf(DuplicateTaskError);
+      expect(error.code).toBe('DUPLICATE_TASK');
+      expect(error.details.duplicates[0].id).toBe('login-abc123');
+      expect(mockFileStorage.createTaskFile).not.toHaveBeenCalled();
+    });
+
+    test('should add the request as a note with the merge-as-note policy', async () => {
+      mockFileStorage.addNote = jest.fn().mockResolvedValue(true);
+      mockFileStorage.readTaskFile.mockResolvedValue(existing);
+      taskManager.sync.syncTaskUpdate = jest.fn().mockResolvedValue(true);
+
+      const result = await taskManager.createTask({
+        title: 'Add login endpoint',
+        description: 'POST /login returning a session token',
+        duplicate_policy: 'merge-as-note',
+      });
+
+      expect(result).toMatchObject({ id: 'login-abc123', merged: true });
+      expect(mockFileStorage.addNote).toHaveBeenCalledWith(
+        'login-abc123',
+        'Merged duplicate task request "Add login endpoint":\n\nPOST /login returning a session token'
+      );
+      expect(mockFileStorage.createTaskFile).not.toHaveBeenCalled();
+    });
+
+    test('should use the configured policy and validate it', async () => {
+      const strict = new TaskManager(mockFileStorage, mockGraphConnection, {
+        duplicates: { policy: 'reject', threshold: 0.9 },
+      });
+
+      // 0.8 is below the stricter threshold
+      await expect(strict.createTask({ title: 'Add login endpoint' })).resolves.toMatchObject({
+        duplicates: [],
+      });
+      await expect(
+        taskManager.createTask({ title: 'Add login endpoint', duplicate_policy: 'ignore' })
+      ).rejects.toThrow('Invalid duplicate policy: ignore');
+    });
+  });
+  describe('createTaskBatch', () => {
+    beforeEach(() => {
+      mockFileStorage.listAllTasks.mockResolvedValue([
+        { id: 'existing-1', semantic_id: 'DATA-1.01', title: 'Provision database', status: 'done' },
+      ]);
+      mockFileStorage.readTaskFile.mockImplementation(async id =>
+        id === 'existing-1' ? { id, semantic_id: 'DATA-1.01' } : null
+      );
+      mockFileStorage.createTaskFile.mockImplementation(async task => `/tmp/${task.id}.md`);
+    });
+
+    test('should resolve $key references and number tasks in dependency order', async () => {
+      const result = await taskManager.createTaskBatch([
+        { key: 'endpoint', title: 'User endpoint', deps: ['$schema'] },
+        { key: 'schema', title: 'User schema', deps: ['existing-1'] },
+        { key: 'model', title: 'User schema migration', dependencies: ['$schema'] },
+      ]);
+
+      const [endpoint, schema, model] = result.tasks;
+      expect(result.total).toBe(3);
+      expect(schema.semantic_id).toBe('DATA-2.01');
+      expect(model.semantic_id).toBe('DATA-3.01');
+      expect(endpoint.semantic_id).toBe('API-3.01');
+      expect(endpoint.dependencies).toEqual([schema.id]);
+      expect(schema.dependencies).toEqual(['existing-1']);
+
+      // Files are written in dependency order
+      const writes = mockFileStorage.createTaskFile.mock.calls.map(([task]) => task.title);
+      expect(writes[0]).toBe('User schema');
+    });
+
+    test('should reject the whole batch when any task is invalid', async () => {
+      const error = await taskManager
+        .createTaskBatch([
+          { key: 'a', title: 'First task' },
+          { key: 'b', title: '', deps: ['$a'] },
+          { key: 'c', title: 'Third task', deps: ['$missing', 'nope'] },
+        ])
+        .catch(e => e);
+
+      expect(error).toBeInstanceOf(InvalidBatchError);
+      expect(error.code).toBe('INVALID_BATCH');
+      expect(error.details.errors).toEqual([
+        { index: 1, key: 'b', error: 'Title cannot be empty' },
+        { index: 2, key: 'c', error: 'Unknown batch key: $missing' },
+      ]);
+      expect(mockFileStorage.createTaskFile).not.toHaveBeenCalled();
+    });
+
+    test('should reject dependency cycles inside the batch', async () => {
+      await expect(
+        taskManager.createTaskBatch([
+          { key: 'a', title: 'First task', deps: ['$b'] },
+          { key: 'b', title: 'Second task', deps: ['$a'] },
+          { key: 'c', title: 'Third task' },
+        ])
+      ).rejects.toThrow('Dependency cycle between batch tasks: a, b');
+      expect(mockFileStorage.createTaskFile).not.toHaveBeenCalled();
+    });
+
+    test('should roll back tasks already written when a later write fails', async () => {
+      mockFileStorage.deleteTaskFile = jest.fn().mockResolvedValue(true);
+      mockGraphConnection.deleteCriteria = jest.fn().mockResolvedValue(true);
+      mockGraphConnection.execute = jest.fn().mockResolvedValue([]);
+      mockFileStorage.createTaskFile
+        .mockResolvedValueOnce('/tmp/first.md')
+        .mockRejectedValueOnce(new Error('Disk full'));
+
+      await expect(
+        taskManager.createTaskBatch([
+          { key: 'a', title: 'First task' },
+          { key: 'b', title: 'Second task', deps: ['$a'] },
+        ])
+      ).rejects.toThrow('Disk full');
+
+      const [firstTask] = mockFileStorage.createTaskFile.mock.calls[0];
+      expect(mockFileStorage.deleteTaskFile).toHaveBeenCalledWith(firstTask.id);
+      expect(mockGraphConnection.execute).toHaveBeenCalledWith(
+        expect.stringContaining('DETACH DELETE'),
+        { id: firstTask.id }
+      );
+    });
+  });
+  describe('importPlan', () => {
+    const plan = [
+      '- [ ] Orders API',
+      '  - [ ] Expose endpoint after Design schema',
+      '  - [x] Spike on pagination',
+      '- [ ] Design schema',
+      '- [ ] Write docs (deps: Expose endpoint, API-1.01)',
+      '- [ ] Clean up after lunch',
+    ].join('\n');
+
+    beforeEach(() => {
+      mockFileStorage.listAllTasks.mockResolvedValue([
+        { id: 'existing-1', semantic_id: 'API-1.01', title: 'Auth middleware', status: 'done' },
+      ]);
+      const written = new Map([
+        ['existing-1', { id: 'existing-1', semantic_id: 'API-1.01', title: 'Auth middleware' }],
+      ]);
+      mockFileStorage.readTaskFile.mockImplementation(async id => written.get(id) || null);
+      mockFileStorage.createTaskFile.mockImplementation(async task => {
+        written.set(task.id, task);
+        return `/tmp/${task.id}.md`;
+      });
+      mockGraphConnection.createUnifiedParentChildRelationship = jest.fn().mockResolvedValue(true);
+    });
+
+    test('should show the tasks a plan would create without writing anything', async () => {
+      const result = await taskManager.importPlan(plan, { dry_run: true });
+
+      expect(result.dry_run).toBe(true);
+      expect(result.tasks.map(task => [task.title, task.parent])).toEqual([
+        ['Orders API', null],
+        ['Expose endpoint', 'Orders API'],
+        ['Design schema', null],
+        ['Write docs', null],
+        ['Clean up after lunch', null],
+      ]);
+      expect(result.tasks[1].dependencies).toEqual([{ title: 'Design schema', id: null }]);
+      expect(result.tasks[3].dependencies).toEqual([
+        { title: 'Expose endpoint', id: null },
+        { title: 'Auth middleware', id: 'existing-1' },
+      ]);
+      expect(result.skipped).toEqual([{ line: 3, title: 'Spike on pagination' }]);
+      expect(result.warnings[0]).toContain('Line 6: kept "Clean up after lunch"');
+      expect(mockFileStorage.createTaskFile).not.toHaveBeenCalled();
+    });
+
+    test('should create parents and dependencies before the tasks that need them', async () => {
+      const result = await taskManager.importPlan(plan);
+
+      const writes = mockFileStorage.createTaskFile.mock.calls.map(([task]) => task.title);
+      expect(writes.indexOf('Design schema')).toBeLessThan(writes.indexOf('Expose endpoint'));
+      expect(writes.indexOf('Orders API')).toBeLessThan(writes.indexOf('Expose endpoint'));
+
+      const [parent, child] = result.tasks;
+      expect(child.parent_id).toBe(parent.id);
+      expect(mockGraphConnection.createUnifiedParentChildRelationship).toHaveBeenCalledWith(
+        parent.id,
+        child.id,
+        'decomposition',
+        { decomposition_type: 'import' }
+      );
+      expect(result.tasks[3].dependencies.map(dep => dep.id)).toEqual([child.id, 'existing-1']);
+    });
+
+    test('should reject unknown explicit dependencies and cycles', async () => {
+      await expect(taskManager.importPlan('- Deploy (deps: Missing step)')).rejects.toThrow(
+        'Unknown dependency task ID(s): Missing step'
+      );
+      await expect(
+        taskManager.importPlan('- Build after Test\n- Test after Build', { dry_run: true })
+      ).rejects.toThrow('Dependency cycle in plan: Build -> Test -> Build');
+      await expect(taskManager.importPlan('No list here')).rejects.toThrow(
+        'No list items found in plan'
+      );
+    });
+  });
+  describe('exportGraph', () => {
+    beforeEach(() => {
+      mockFileStorage.readTaskFile.mockImplementation(async id => ({ id }));
+      mockGraphConnection.getGraphElements = jest.fn().mockResolvedValue({
+        nodes: [
+          { id: 'epic', semantic_id: 'TASK-1.01', title: 'Epic', status: 'pending' },
+          { id: 'child', semantic_id: 'API-2.01', title: 'Child', status: 'pending' },
+          { id: 'dep', semantic_id: 'DATA-1.01', title: 'Dep', status: 'done' },
+          { id: 'other', semantic_id: 'DOC-1.01', title: 'Other', status: 'pending' },
+        ],
+        edges: [
+          { from: 'epic', to: 'child', type: 'PARENT_CHILD' },
+          { from: 'child', to: 'dep', type: 'DEPENDS_ON' },
+          { from: 'other', to: 'epic', type: 'DEPENDS_ON' },
+        ],
+      });
+    });
+
+    test('should export the whole graph', async () => {
+      const result = await taskManager.exportGraph({ format: 'json' });
+
+      expect(result).toMatchObject({ format: 'json', root: null, node_count: 4, edge_count: 3 });
+      expect(JSON.parse(result.content).nodes).toHaveLength(4);
+    });
+
+    test('should export the subgraph reachable from a task', async () => {
+      const result = await taskManager.exportGraph({ task_id: 'epic', format: 'json' });
+
+      const { nodes, edges } = JSON.parse(result.content);
+      expect(nodes.map(node => node.id)).toEqual(['epic', 'child', 'dep']);
+      expect(edges).toHaveLength(2);
+      expect(result.root).toBe('epic');
+    });
+
+    test('should validate the format', async () => {
+      await expect(taskManager.exportGraph({ format: 'png' })).rejects.toThrow(
+        'Invalid format: png'
+      );
+    });
+  });
+  describe('getSchedule', () => {
+    beforeEach(() => {
+      mockFileStorage.readTaskFile.mockImplementation(async id => ({ id }));
+      mockGraphConnection.getGraphElements = jest.fn().mockResolvedValue({
+        nodes: [
+          { id: 'schema', semantic_id: 'DATA-1.01', title: 'Schema', status: 'done' },
+          { id: 'api', semantic_id: 'API-2.01', title: 'API', status: 'pending' },
+          { id: 'ui', semantic_id: 'UI-3.01', title: 'UI', status: 'pending' },
+          { id: 'docs', semantic_id: 'DOC-1.01', title: 'Docs', status: 'pending' },
+        ],
+        edges: [
+          { from: 'api', to: 'schema', type: 'DEPENDS_ON' },
+          { from: 'ui', to: 'api', type: 'DEPENDS_ON' },
+        ],
+      });
+    });
+
+    test('should schedule the open tasks with their critical path', async () => {
+      const result = await taskManager.getSchedule({ estimates: { api: 3, ui: 2 } });
+
+      expect(result.goal).toBeNull();
+      expect(result.total_duration).toBe(5);
+      expect(result.critical_path.map(task => task.id)).toEqual(['api', 'ui']);
+      // Finished tasks are left out, the rest ordered by earliest start then slack
+      expect(result.tasks.map(task => [task.id, task.slack])).toEqual([
+        ['api', 0],
+        ['docs', 4],
+        ['ui', 0],
+      ]);
+    });
+
+    test('should only schedule what a goal depends on', async () => {
+      const result = await taskManager.getSchedule({ goal: 'api', default_estimate: 4 });
+
+      expect(result.goal).toBe('api');
+      expect(result.total_duration).toBe(4);
+      expect(result.tasks.map(task => task.id)).toEqual(['api']);
+    });
+
+    test('should validate estimates', async () => {
+      await expect(taskManager.getSchedule({ estimates: { api: -1 } })).rejects.toThrow(
+        'Estimates must be non-negative numbers'
+      );
+      await expect(taskManager.getSchedule({ default_estimate: 'x' })).rejects.toThrow(
+        'Estimates must be non-negative numbers'
+      );
+    });
+  });
+
+  describe('estimates and time report', () => {
+    test('should store estimates on create and clear them on update', async () => {
+      await taskManager.createTask({ title: 'Estimated task', estimate: 3 });
+      expect(mockFileStorage.createTaskFile).toHaveBeenCalledWith(
+        expect.objectContaining({ estimate: 3 })
+      );
+      expect(mockGraphConnection.createTask).toHaveBeenCalledWith(
+        expect.objectContaining({ estimate: 3 })
+      );
+
+      mockFileStorage.readTaskFile.mockResolvedValueOnce({
+        id: 'task-1',
+        title: 'Estimated task',
+        estimate: 3,
+        dependencies: [],
+      });
+      const result = await taskManager.updateTask('task-1', { estimate: null });
+
+      expect(result.changed).toEqual(['estimate']);
+      expect(mockFileStorage.updateTaskFile).toHaveBeenCalledWith('task-1', { estimate: null });
+      expect(mockGraphConnection.updateTask).toHaveBeenCalledWith(
+        'task-1',
+        expect.objectContaining({ estimate: null })
+      );
+    });
+
+    test('should reject invalid estimates', async () => {
+      await expect(taskManager.createTask({ title: 'Task', estimate: -2 })).rejects.toThrow(
+        'Estimate must be a non-negative number'
+      );
+      await expect(taskManager.updateTask('task-1', { estimate: '3h' })).rejects.toThrow(
+        'Estimate must be a non-negative number'
+      );
+    });
+
+    test('should compare estimates with tracked time per task, stream and parent', async () => {
+      const transition = (timestamp, taskId, newStatus) => ({
+        timestamp,
+        operation: 'task.status_updated',
+        details: { task_id: taskId, new_status: newStatus },
+      });
+      taskManager.journal.query = jest
+        .fn()
+        .mockResolvedValue([
+          transition('2025-01-01T13:00:00.000Z', 'ui', 'done'),
+          transition('2025-01-01T10:00:00.000Z', 'ui', 'in-progress'),
+          transition('2025-01-01T10:00:00.000Z', 'api', 'done'),
+          transition('2025-01-01T09:00:00.000Z', 'api', 'in-progress'),
+        ]);
+      mockFileStorage.listAllTasks.mockResolvedValueOnce([
+        { id: 'epic', semantic_id: 'TASK-1.01', title: 'Epic', status: 'pending' },
+        {
+          id: 'api',
+          semantic_id: 'API-1.01',
+          title: 'API',
+          status: 'done',
+          parent_id: 'epic',
+          estimate: 2,
+        },
+        {
+          id: 'ui',
+          semantic_id: 'UI-2.01',
+          title: 'UI',
+          status: 'done',
+          parent_id: 'epic',
+          estimate: 2,
+        },
+        { id: 'docs', semantic_id: 'DOC-1.01', title: 'Docs', status: 'pending', estimate: 1 },
+      ]);
+
+      const report = await taskManager.getTimeReport();
+
+      expect(taskManager.journal.query).toHaveBeenCalledWith({
+        operation: 'task.status_updated',
+        limit: Infinity,
+      });
+      expect(report.tasks.map(task => [task.id, task.actual_hours, task.variance])).toEqual([
+        ['ui', 3, 1],
+        ['api', 1, -1],
+        ['docs', 0, null],
+      ]);
+      expect(report.totals).toMatchObject({
+        task_count: 3,
+        estimate: 5,
+        actual_hours: 4,
+        ratio: 1,
+      });
+      expect(report.by_stream.map(group => group.stream)).toEqual(['API', 'DOC', 'UI']);
+      expect(report.by_parent).toEqual([
+        expect.objectContaining({
+          parent_id: 'epic',
+          semantic_id: 'TASK-1.01',
+          task_count: 2,
+          actual_hours: 4,
+          ratio: 1,
+        }),
+      ]);
+    });
+  });
+
+  describe('next task strategies', () => {
+    beforeEach(() => {
+      mockGraphConnection.findActionableTasks = jest.fn().mockResolvedValue([
+        { id: 'docs', semantic_id: 'DOC-1.01', title: 'Docs', priority: 'high', estimate: 1 },
+        { id: 'db', semantic_id: 'DATA-1.01', title: 'DB', priority: 'low', estimate: 5 },
+      ]);
+      mockGraphConnection.getGraphElements = jest.fn().mockResolvedValue({
+        nodes: [
+          { id: 'docs', title: 'Docs', status: 'pending' },
+          { id: 'db', title: 'DB', status: 'pending' },
+          { id: 'api', title: 'API', status: 'pending' },
+        ],
+        edges: [{ from: 'api', to: 'db', type: 'DEPENDS_ON' }],
+      });
+      mockFileStorage.readTaskFile.mockImplementation(async id => ({
+        id,
+        semantic_id: 'DATA-1.02',
+      }));
+      taskManager.journal.query = jest.fn().mockResolvedValue([
+        {
+          operation: 'task.status_updated',
+          details: { task_id: 'old', new_status: 'done' },
+        },
+      ]);
+    });
+
+    test('should rank candidates with a score breakdown', async () => {
+      const result = await taskManager.rankNextTasks({
+        strategy: 'unblocks-most-dependents',
+        limit: 1,
+      });
+
+      expect(result).toMatchObject({
+        strategy: 'unblocks-most-dependents',
+        total: 2,
+        weights: null,
+      });
+      expect(result.candidates).toEqual([
+        expect.objectContaining({ id: 'db', score: 1, factors: { unblocks: 1 } }),
+      ]);
+      expect(mockGraphConnection.findNextTask).not.toHaveBeenCalled();
+    });
+
+    test('should pick the next task with the configured strategy', async () => {
+      mockGraphConnection.getDependencies = jest.fn().mockResolvedValue([]);
+      taskManager = new TaskManager(mockFileStorage, mockGraphConnection, {
+        nextTask: { strategy: 'same-stream-as-last-completed' },
+      });
+      taskManager.journal.query = jest
+        .fn()
+        .mockResolvedValue([
+          { operation: 'task.status_updated', details: { task_id: 'old', new_status: 'done' } },
+        ]);
+
+      const next = await taskManager.findNextTask({});
+
+      // The last completed task is in the DATA stream
+      expect(next.id).toBe('db');
+
+      // Priority-FIFO still goes straight to the graph query
+      await taskManager.findNextTask({ strategy: 'priority-fifo' });
+      expect(mockGraphConnection.findNextTask).toHaveBeenCalled();
+    });
+
+    test('should validate strategy, weights and limit', async () => {
+      await expect(taskManager.rankNextTasks({ strategy: 'random' })).rejects.toThrow(
+        'Invalid strategy: random'
+      );
+      await expect(
+        taskManager.rankNextTasks({ strategy: 'weighted', weights: { speed: 1 } })
+      ).rejects.toThrow('Unknown weight: speed');
+      await expect(taskManager.rankNextTasks({ limit: 0 })).rejects.toThrow(
+        'Limit must be a positive integer'
+      );
+      expect(
+        () => new TaskManager(mockFileStorage, mockGraphConnection, { nextTask: { strategy: 'x' } })
+      ).toThrow('Invalid strategy: x');
+    });
+  });
+
+  describe('task leases', () => {
+    const soon = () => new Date(Date.now() + 10 * 60 * 1000).toISOString();
+    const past = '2025-01-01T00:00:00.000Z';
+    let files;
+
+    beforeEach(() => {
+      files = {
+        free: { id: 'free', status: 'pending' },
+        held: { id: 'held', status: 'pending', assignee: 'agent-b', lease_expires_at: soon() },
+        stale: { id: 'stale', status: 'in-progress', assignee: 'agent-b', lease_expires_at: past },
+      };
+      mockFileStorage.readTaskFile.mockImplementation(async id => files[id] && { ...files[id] });
+      mockFileStorage.updateTaskFile.mockImplementation(async (id, updates) => {
+        Object.assign(files[id], updates);
+        return `/tmp/test-tasks/pending/${id}.md`;
+      });
+      mockFileStorage.updateTaskStatus.mockImplementation(async (id, status) => {
+        files[id].status = status;
+        return `/tmp/test-tasks/${status}/${id}.md`;
+      });
+      taskManager = new TaskManager(mockFileStorage, mockGraphConnection, {
+        leases: { assignee: 'agent-a', minutes: 15 },
+      });
+      taskManager.journal.logLeaseChanged = jest.fn();
+    });
+
+    test('should claim, renew and release a task', async () => {
+      const claim = await taskManager.claimTask('free');
+
+      expect(claim).toMatchObject({ id: 'free', assignee: 'agent-a', renewed: false });
+      expect(new Date(claim.lease_expires_at) - Date.now()).toBeGreaterThan(14 * 60 * 1000);
+      expect(mockGraphConnection.updateTask).toHaveBeenCalledWith(
+        'free',
+        expect.objectContaining({ assignee: 'agent-a', lease_expires_at: claim.lease_expires_at })
+      );
+
+      const renewal = await taskManager.renewLease('free', { lease_minutes: 60 });
+      expect(renewal.renewed).toBe(true);
+      expect(new Date(renewal.lease_expires_at) - Date.now()).toBeGreaterThan(59 * 60 * 1000);
+
+      await taskManager.releaseTask('free');
+      expect(files.free).toMatchObject({ assignee: null, lease_expires_at: null });
+      expect(
+        taskManager.journal.logLeaseChanged.mock.calls.map(([event, id]) => `${event} ${id}`)
+      ).toEqual(['claimed free', 'renewed free', 'released free']);
+    });
+
+    test('should refuse tasks leased by another assignee', async () => {
+      const error = await taskManager.claimTask('held').catch(e => e);
+      expect(error).toBeInstanceOf(LeaseConflictError);
+      expect(error.details).toMatchObject({ task_id: 'held', assignee: 'agent-b' });
+
+      await expect(taskManager.renewLease('held')).rejects.toThrow('claimed by agent-b');
+      await expect(taskManager.releaseTask('held')).rejects.toThrow('claimed by agent-b');
+      await expect(taskManager.updateTaskStatus('held', 'in-progress')).rejects.toThrow(
+        'claimed by agent-b'
+      );
+      await expect(taskManager.claimTask('free', { lease_minutes: 0 })).rejects.toThrow(
+        'Lease minutes must be a positive number'
+      );
+
+      // Starting a free task claims it, completing it releases the claim
+      await taskManager.updateTaskStatus('free', 'in-progress');
+      expect(files.free.assignee).toBe('agent-a');
+      await taskManager.updateTaskStatus('free', 'done');
+      expect(files.free.assignee).toBeNull();
+    });
+
+    test('should reclaim expired leases and put abandoned work back', async () => {
+      mockGraphConnection.findExpiredLeases.mockResolvedValueOnce([{ id: 'stale' }]);
+
+      const reclaimed = await taskManager.reclaimExpiredLeases();
+
+      expect(reclaimed).toEqual([{ id: 'stale', assignee: 'agent-b', lease_expires_at: past }]);
+      expect(files.stale).toMatchObject({ assignee: null, status: 'pending' });
+      expect(taskManager.journal.logLeaseChanged).toHaveBeenCalledWith('expired', 'stale', {
+        assignee: 'agent-b',
+        lease_expires_at: past,
+      });
+    });
+
+    test('should claim the best candidate still free when ranking with claim', async () => {
+      mockGraphConnection.findActionableTasks = jest.fn().mockResolvedValue([
+        { id: 'held', title: 'Held', priority: 'high' },
+        { id: 'free', title: 'Free', priority: 'low' },
+      ]);
+
+      const result = await taskManager.rankNextTasks({ claim: true });
+
+      expect(mockGraphConnection.findActionableTasks).toHaveBeenCalledWith(
+        expect.objectContaining({ available_to: 'agent-a' })
+      );
+      expect(result.claimed).toMatchObject({ id: 'free', assignee: 'agent-a' });
+      expect(result.candidates.map(candidate => candidate.id)).toEqual(['free', 'held']);
+    });
+  });
+
+  describe('transitive dependencies', () => {
+    beforeEach(() => {
+      mockGraphConnection.detectCircularDependencies = jest.fn().mockResolvedValue([]);
+      mockGraphConnection.getTransitiveDependencies = jest.fn().mockResolvedValue([
+        { id: 'api', title: 'API', status: 'done', depth: 1, path: ['ui', 'api'] },
+        { id: 'db', title: 'DB', status: 'pending', depth: 2, path: ['ui', 'api', 'db'] },
+      ]);
+      mockGraphConnection.getTransitiveDependents = jest.fn().mockResolvedValue([]);
+    });
+
+    test('should report upstream blockers with depth and path', async () => {
+      const result = await taskManager.checkDependencies('ui', { transitive: true });
+
+      expect(mockGraphConnection.getTransitiveDependencies).toHaveBeenCalledWith('ui', 30);
+      expect(result.depth).toBe(30);
+      expect(result.blocking).toEqual([
+        { id: 'db', title: 'DB', status: 'pending', depth: 2, path: ['ui', 'api', 'db'] },
+      ]);
+      // Only direct dependencies decide readiness
+      expect(result.ready).toBe(true);
+    });
+
+    test('should use direct neighbours by default and follow an explicit depth', async () => {
+      await taskManager.getDependents('db');
+      expect(mockGraphConnection.getDependents).toHaveBeenCalledWith('db');
+
+      await taskManager.getDependents('db', { depth: 3 });
+      expect(mockGraphConnection.getTransitiveDependents).toHaveBeenCalledWith('db', 3);
+    });
+
+    test('should validate the depth', async () => {
+      await expect(taskManager.checkDependencies('ui', { depth: 0 })).rejects.toThrow(
+        'Depth must be an integer between 1 and 30'
+      );
+      await expect(taskManager.getDependents('ui', { depth: 31 })).rejects.toThrow(
+        'Depth must be an integer between 1 and 30'
+      );
+    });
+  });
+
+  describe('sync conflicts', () => {
+    const conflicts = [
+      { field: 'title', base: 'Fix login', file: 'Fix login (file)', graph: 'Fix login (graph)' },
+      { field: 'status', base: 'pending', file: 'in-progress', graph: 'done' },
+    ];
+
+    beforeEach(() => {
+      taskManager.sync.getTaskConflicts = jest.fn().mockResolvedValue(conflicts);
+      taskManager.sync.syncTaskToGraph = jest.fn().mockResolvedValue({ synced: true });
+      taskManager.journal.logConflict = jest.fn();
+      mockFileStorage.updateTaskStatus.mockResolvedValue('/tmp/test-tasks/done/task-1.md');
+    });
+
+    test('should keep the file value by writing it to the graph', async () => {
+      const result = await taskManager.resolveSyncConflict('task-1', 'title', 'file');
+
+      expect(result).toEqual({
+        task_id: 'task-1',
+        field: 'title',
+        kept: 'file',
+        value: 'Fix login (file)',
+        remaining: 1,
+      });
+      expect(mockGraphConnection.updateTask).toHaveBeenCalledWith('task-1', {
+        title: 'Fix login (file)',
+      });
+      expect(mockFileStorage.updateTaskFile).not.toHaveBeenCalled();
+      expect(taskManager.sync.syncTaskToGraph).not.toHaveBeenCalled();
+      expect(taskManager.journal.logConflict).toHaveBeenCalledWith('resolved', 'task-1', {
+        field: 'title',
+        keep: 'file',
+        value: 'Fix login (file)',
+      });
+    });
+
+    test('should keep the graph value by writing it to the file, then sync', async () => {
+      taskManager.sync.getTaskConflicts.mockResolvedValue([conflicts[1]]);
+
+      const result = await taskManager.resolveSyncConflict('task-1', 'status', 'graph');
+
+      expect(result.remaining).toBe(0);
+      expect(mockFileStorage.updateTaskStatus).toHaveBeenCalledWith('task-1', 'done');
+      expect(mockGraphConnection.updateTask).not.toHaveBeenCalled();
+      expect(taskManager.sync.syncTaskToGraph).toHaveBeenCalledWith('task-1');
+    });
+
+    test('should reject fields without a conflict and unknown resolutions', async () => {
+      const error = await taskManager
+        .resolveSyncConflict('task-1', 'priority', 'file')
+        .catch(e => e);
+      expect(error).toBeInstanceOf(UnknownConflictError);
+      expect(error.details).toEqual({
+        task_id: 'task-1',
+        field: 'priority',
+        conflicting_fields: ['title', 'status'],
+      });
+
+      await expect(taskManager.resolveSyncConflict('task-1', 'title', 'both')).rejects.toThrow(
+        'Invalid resolution: both'
+      );
+    });
+  });
+
+  describe('sync, verify and repair', () => {
+    const synced = {
+      status: 'synced',
+      changes: 1,
+      details: { created: 1, updated: 0, deleted: 0, dependencies: 0, unchanged: 2, conflicts: 0 },
+    };
+
+    beforeEach(() => {
+      taskManager.sync.syncFilesToGraph = jest.fn().mockResolvedValue(synced);
+      taskManager.sync.rebuildGraph = jest
+        .fn()
+        .mockResolvedValue({ ...synced, status: 'rebuilt', backup_path: null });
+      taskManager.sync.checkGraph = jest.fn().mockResolvedValue(null);
+      taskManager.sync.verifySyncStatus = jest.fn().mockResolvedValue({
+        in_sync: true,
+        file_count: 3,
+        graph_count: 3,
+        difference: 0,
+        diff: [],
+      });
+      taskManager.sync.clearCache = jest.fn();
+      taskManager.journal.logOperation = jest.fn();
+      taskManager.journal.logSyncPerformed = jest.fn();
+    });
+
+    test('should sync incrementally or rebuild the graph', async () => {
+      await taskManager.syncGraph();
+      expect(taskManager.sync.syncFilesToGraph).toHaveBeenCalledWith();
+      expect(taskManager.sync.rebuildGraph).not.toHaveBeenCalled();
+      expect(taskManager.journal.logSyncPerformed).toHaveBeenCalledWith(synced);
+
+      const result = await taskManager.syncGraph({ full: true });
+      expect(result.status).toBe('rebuilt');
+      expect(taskManager.sync.clearCache).toHaveBeenCalled();
+      expect(taskManager.sync.rebuildGraph).toHaveBeenCalled();
+    });
+
+    test('should report a graph that cannot be used instead of comparing', async () => {
+      taskManager.sync.checkGraph.mockResolvedValue('Database not initialized');
+      mockFileStorage.listAllTasks.mockResolvedValueOnce([{ id: 'task-1' }, { id: 'task-2' }]);
+
+      const status = await taskManager.verifySync();
+
+      expect(status).toEqual({
+        in_sync: false,
+        graph_error: 'Database not initialized',
+        file_count: 2,
+        graph_count: null,
+        difference: null,
+        diff: [],
+      });
+      expect(taskManager.sync.verifySyncStatus).not.toHaveBeenCalled();
+    });
+
+    test('should only plan a repair unless asked to apply it', async () => {
+      const plan = {
+        graph_error: null,
+        actions: [{ action: 'delete', task_id: 'ghost' }],
+        skipped: [],
+      };
+      taskManager.sync.planRepair = jest.fn().mockResolvedValue(plan);
+      taskManager.sync.applyRepair = jest
+        .fn()
+        .mockResolvedValue({ ...synced, status: 'repaired', backup_path: null });
+
+      expect(await taskManager.repairSync()).toEqual({ ...plan, applied: false });
+      expect(taskManager.sync.applyRepair).not.toHaveBeenCalled();
+
+      const repaired = await taskManager.repairSync({ apply: true });
+      expect(taskManager.sync.applyRepair).toHaveBeenCalledWith(plan);
+      expect(repaired.applied).toBe(true);
+      expect(repaired.remaining).toEqual([]);
+      expect(taskManager.journal.logOperation).toHaveBeenCalledWith('sync.repaired', {
+        actions: [{ action: 'delete', task_id: 'ghost' }],
+        changes: 1,
+        backup_path: null,
+      });
+    });
+  });
 });
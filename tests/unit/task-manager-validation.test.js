@@ -1,5 +1,6 @@
 import { jest, describe, beforeEach, test, expect } from '@jest/globals';
 import { TaskManager } from '../../src/core/task-manager.js';
+import { InvalidDependencyError } from '../../src/core/errors.js';
 
 describe('TaskManager Validation Tests', () => {
   let taskManager;
@@ -11,6 +12,7 @@ describe('TaskManager Validation Tests', () => {
     createTaskFile: jest.fn().mockResolvedValue('/tmp/test/file.md'),
     readTaskFile: jest.fn().mockResolvedValue(null),
     listAllTasks: jest.fn().mockResolvedValue([]),
+    ownWriteOf: jest.fn().mockReturnValue(null),
   };
 
   const mockGraphConnection = {
@@ -129,6 +131,9 @@ describe('TaskManager Validation Tests', () => {
 
     test('should accept array of strings', async () => {
       mockFileStorage.listAllTasks.mockResolvedValue([]);
+      mockFileStorage.readTaskFile
+        .mockResolvedValueOnce({ id: 'dep1' })
+        .mockResolvedValueOnce({ id: 'dep2' });
 
       await expect(
         taskManager.createTask({
@@ -138,6 +143,40 @@ describe('TaskManager Validation Tests', () => {
       ).resolves.toBeTruthy();
     });
 
+    test('should reject unknown dependency IDs with the full list', async () => {
+      mockFileStorage.listAllTasks.mockResolvedValue([]);
+      mockFileStorage.readTaskFile.mockResolvedValueOnce({ id: 'dep1' });
+
+      const error = await taskManager
+        .createTask({ title: 'Test', dependencies: ['dep1', 'ghost-1', 'ghost-2'] })
+        .catch(e => e);
+
+      expect(error).toBeInstanceOf(InvalidDependencyError);
+      expect(error.code).toBe('INVALID_DEPENDENCIES');
+      expect(error.details).toEqual({ invalid_ids: ['ghost-1', 'ghost-2'] });
+      expect(mockFileStorage.createTaskFile).not.toHaveBeenCalled();
+      expect(mockGraphConnection.createTask).not.toHaveBeenCalled();
+    });
+
+    test('should resolve semantic IDs only when asked to', async () => {
+      mockFileStorage.listAllTasks.mockResolvedValue([
+        { id: 'abc123-def456', semantic_id: 'API-1.02' },
+      ]);
+
+      await expect(
+        taskManager.createTask({ title: 'Test', dependencies: ['API-1.02'] })
+      ).rejects.toThrow('Unknown dependency task ID(s): API-1.02');
+
+      await taskManager.createTask({
+        title: 'Test',
+        dependencies: ['API-1.02'],
+        resolve_semantic_ids: true,
+      });
+
+      const callArgs = mockFileStorage.createTaskFile.mock.calls[0][0];
+      expect(callArgs.dependencies).toEqual([{ id: 'abc123-def456', status: 'unknown' }]);
+    });
+
     test('should reject non-array dependencies', async () => {
       await expect(
         taskManager.createTask({
@@ -195,6 +234,9 @@ describe('TaskManager Validation Tests', () => {
 
     test('should create task with all valid fields', async () => {
       mockFileStorage.listAllTasks.mockResolvedValue([]);
+      mockFileStorage.readTaskFile
+        .mockResolvedValueOnce({ id: 'dep1' })
+        .mockResolvedValueOnce({ id: 'dep2' });
 
       const result = await taskManager.createTask({
         title: 'Complete Task',
@@ -0,0 +1,117 @@
+import { describe, test, expect } from '@jest/globals';
+import { parseTaskQuery, parseTaskSort } from '../../src/core/task-query.js';
+import { InvalidQueryError } from '../../src/core/errors.js';
+
+describe('Task query', () => {
+  test('should treat an empty query as no filter', () => {
+    expect(parseTaskQuery('')).toBeNull();
+    expect(parseTaskQuery('   ')).toBeNull();
+    expect(parseTaskQuery(undefined)).toBeNull();
+  });
+
+  test('should join terms with implicit AND', () => {
+    expect(parseTaskQuery('status:pending,in-progress priority=HIGH tag:Backend')).toEqual({
+      type: 'and',
+      terms: [
+        { type: 'field', field: 'status', values: ['pending', 'in-progress'] },
+        { type: 'field', field: 'priority', values: ['high'] },
+        { type: 'field', field: 'tag', values: ['backend'] },
+      ],
+    });
+  });
+
+  test('should parse OR, NOT, negation and parentheses', () => {
+    expect(parseTaskQuery('(stream:api OR phase:2) AND NOT blocked:true -tag:wip')).toEqual({
+      type: 'and',
+      terms: [
+        {
+          type: 'or',
+          terms: [
+            { type: 'field', field: 'stream', values: ['API'] },
+            { type: 'field', field: 'phase', values: [2] },
+          ],
+        },
+        { type: 'not', term: { type: 'field', field: 'blocked', values: [true] } },
+        { type: 'not', term: { type: 'field', field: 'tag', values: ['wip'] } },
+      ],
+    });
+  });
+
+  test('should treat bare and quoted words as text search', () => {
+    expect(parseTaskQuery('"Login Form" text:\'due: friday\' "status:done"')).toEqual({
+      type: 'and',
+      terms: [
+        { type: 'text', value: 'login form' },
+        { type: 'text', value: 'due: friday' },
+        { type: 'text', value: 'status:done' },
+      ],
+    });
+  });
+
+  test('should turn date comparisons and ranges into whole-day bounds', () => {
+    expect(parseTaskQuery('created<=2025-01-31')).toEqual({
+      type: 'compare',
+      field: 'created',
+      op: '<',
+      value: '2025-02-01',
+    });
+    expect(parseTaskQuery('updated:2025-03-01..2025-03-31')).toEqual({
+      type: 'and',
+      terms: [
+        { type: 'compare', field: 'updated', op: '>=', value: '2025-03-01' },
+        { type: 'compare', field: 'updated', op: '<', value: '2025-04-01' },
+      ],
+    });
+    expect(parseTaskQuery('created:2025-06-11')).toEqual({
+      type: 'and',
+      terms: [
+        { type: 'compare', field: 'created', op: '>=', value: '2025-06-11' },
+        { type: 'compare', field: 'created', op: '<', value: '2025-06-12' },
+      ],
+    });
+    expect(parseTaskQuery('phase>1')).toEqual({
+      type: 'compare',
+      field: 'phase',
+      op: '>',
+      value: 1,
+    });
+  });
+
+  test('should report invalid queries with a position', () => {
+    const cases = [
+      ['owner:alice', 'Unknown query field: owner'],
+      ['status:open', 'Invalid status: open'],
+      ['tag>backend', 'Field tag does not support >'],
+      ['created>yesterday', 'Invalid date: yesterday'],
+      ['has-deps:maybe', 'Invalid value for has-deps'],
+      ['(status:done', 'Missing closing parenthesis'],
+      ['status:done)', 'Unexpected ")"'],
+      ['priority:high OR', 'Unexpected end of query'],
+      ['"unterminated', 'Unterminated quoted string'],
+    ];
+
+    for (const [query, message] of cases) {
+      const error = (() => {
+        try {
+          parseTaskQuery(query);
+        } catch (e) {
+          return e;
+        }
+      })();
+      expect(error).toBeInstanceOf(InvalidQueryError);
+      expect(error.message).toContain(message);
+      expect(error.code).toBe('INVALID_QUERY');
+      expect(error.details.query).toBe(query);
+    }
+  });
+
+  test('should parse sort keys with directions', () => {
+    expect(parseTaskSort('priority,-created')).toEqual([
+      { key: 'priority', direction: 'asc' },
+      { key: 'created', direction: 'desc' },
+    ]);
+    expect(parseTaskSort(['updated:desc'])).toEqual([{ key: 'updated', direction: 'desc' }]);
+    expect(parseTaskSort(undefined)).toEqual([]);
+    expect(() => parseTaskSort('owner')).toThrow('Invalid sort key: owner');
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, test, expect } from '@jest/globals';
+import { summarizeTime, trackTime } from '../../src/core/time-tracking.js';
+
+describe('time tracking', () => {
+  const transition = (timestamp, taskId, oldStatus, newStatus) => ({
+    timestamp,
+    operation: 'task.status_updated',
+    details: { task_id: taskId, old_status: oldStatus, new_status: newStatus },
+  });
+
+  test('should add up in-progress intervals and the pauses between them', () => {
+    const tracked = trackTime([
+      transition('2025-01-01T09:00:00.000Z', 'a', 'pending', 'in-progress'),
+      transition('2025-01-01T11:00:00.000Z', 'a', 'in-progress', 'pending'),
+      transition('2025-01-01T14:00:00.000Z', 'a', 'pending', 'in-progress'),
+      transition('2025-01-01T15:30:00.000Z', 'a', 'in-progress', 'done'),
+      { timestamp: '2025-01-01T10:00:00.000Z', operation: 'note.added', details: { task_id: 'a' } },
+    ]);
+
+    expect(tracked.get('a')).toMatchObject({
+      worked_hours: 3.5,
+      paused_hours: 3,
+      running: false,
+      started_at: '2025-01-01T09:00:00.000Z',
+      finished_at: '2025-01-01T15:30:00.000Z',
+    });
+    expect(tracked.get('a').intervals).toHaveLength(2);
+  });
+
+  test('should count a task still in progress up to now, in journal order', () => {
+    const tracked = trackTime(
+      [
+        transition('2025-01-01T10:00:00.000Z', 'b', 'pending', 'in-progress'),
+        transition('2025-01-01T09:00:00.000Z', 'c', 'pending', 'done'),
+      ],
+      new Date('2025-01-01T10:45:00.000Z')
+    );
+
+    expect(tracked.get('b')).toMatchObject({ worked_hours: 0.75, running: true });
+    // Never in progress, so nothing was tracked
+    expect(tracked.has('c')).toBe(false);
+  });
+
+  test('should summarize estimates against tracked time', () => {
+    const summary = summarizeTime([
+      { estimate: 2, actual_hours: 3, paused_hours: 1 },
+      { estimate: 4, actual_hours: 0, paused_hours: 0 },
+      { estimate: null, actual_hours: 1.5, paused_hours: 0 },
+    ]);
+
+    expect(summary).toEqual({
+      task_count: 3,
+      estimate: 6,
+      actual_hours: 4.5,
+      paused_hours: 1,
+      // Only the task with both an estimate and tracked time is compared
+      ratio: 1.5,
+    });
+  });
+});